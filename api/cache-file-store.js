@@ -0,0 +1,51 @@
+/**
+ * Cache File Store
+ * Persists a response cache (see cache.js) to a JSON file so it survives
+ * server restarts. Node only - used by server.js.
+ */
+
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Bumped when the file layout changes; files with another version are ignored
+const FILE_VERSION = 1;
+
+// Numbers the temporary files, so saves that overlap never write to the same one
+let writes = 0;
+
+/**
+ * Create a store that keeps cache entries in a JSON file
+ * @param {string} filePath - Path of the cache file
+ * @returns {Object} - { load(), save(entries) }
+ */
+export function createFileStore(filePath) {
+  return {
+    async load() {
+      let content;
+      try {
+        content = JSON.parse(await readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Ignoring unreadable cache file ${filePath}: ${error.message}`);
+        }
+        return [];
+      }
+
+      return content.version === FILE_VERSION && Array.isArray(content.entries) ? content.entries : [];
+    },
+
+    async save(entries) {
+      await mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write to a temporary file first so a crash never leaves a truncated cache
+      const tempPath = `${filePath}.${process.pid}.${++writes}.tmp`;
+      try {
+        await writeFile(tempPath, JSON.stringify({ version: FILE_VERSION, entries }));
+        await rename(tempPath, filePath);
+      } catch (error) {
+        await rm(tempPath, { force: true });
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Response Cache
+ * In-memory LRU cache with a TTL, used by the handlers for geocoding and
+ * directions lookups. Identical lookups that arrive while one is already in
+ * flight share that upstream call instead of starting their own.
+ *
+ * Persistence is optional and pluggable: a store ({ load, save }) restores the
+ * entries on startup and receives them again (debounced, one save at a time)
+ * after every change.
+ * See cache-file-store.js for the Node file store; the Cloudflare Functions
+ * run without one, so their cache lives as long as the worker isolate.
+ */
+
+// Delay before changed entries are handed to the store
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Create an LRU cache
+ * @param {Object} options - { maxEntries, ttlMs, store, now }
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @param {number} options.ttlMs - How long an entry stays fresh
+ * @param {Object} options.store - Optional persistence ({ load(), save(entries) })
+ * @param {Function} options.now - Clock, for tests (defaults to Date.now)
+ * @returns {Object} - { get, set, wrap, clear, stats, load, flush }
+ */
+export function createCache({ maxEntries = 1000, ttlMs = 24 * 60 * 60 * 1000, store = null, now = Date.now } = {}) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+  const inFlight = new Map();
+  const counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0, expirations: 0 };
+  let saveTimer = null;
+  // The save in progress, and whether entries changed after it took its snapshot
+  let saving = null;
+  let saveAgain = false;
+
+  function scheduleSave() {
+    if (!store || saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    // Never keep the process alive just to persist the cache
+    if (typeof saveTimer.unref === 'function') saveTimer.unref();
+  }
+
+  /**
+   * Hand the entries to the store now
+   * Saves never overlap: a flush during a save makes that save run once more
+   * with the entries as they are then, so the newest snapshot is written last.
+   * @returns {Promise<void>} - Resolves once the entries as of this call are saved
+   */
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!store) return Promise.resolve();
+
+    if (saving) {
+      saveAgain = true;
+      return saving;
+    }
+
+    saving = (async () => {
+      do {
+        saveAgain = false;
+        try {
+          await store.save(Array.from(entries.entries()));
+        } catch (error) {
+          console.error('Error saving cache:', error);
+        }
+      } while (saveAgain);
+      saving = null;
+    })();
+    return saving;
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      counters.expirations++;
+      scheduleSave();
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+
+    scheduleSave();
+  }
+
+  /**
+   * Return the cached value for a key, or produce, cache and return it
+   * Concurrent calls for a key that is being produced share one producer call.
+   * @param {string} key - Cache key
+   * @param {Function} produce - async () => value
+   * @param {Function} shouldCache - (value) => boolean; uncached values are still returned
+   * @returns {Promise<*>}
+   */
+  async function wrap(key, produce, shouldCache = () => true) {
+    const cached = get(key);
+    if (cached !== undefined) {
+      counters.hits++;
+      return cached;
+    }
+
+    if (inFlight.has(key)) {
+      counters.coalesced++;
+      return inFlight.get(key);
+    }
+
+    counters.misses++;
+    const pending = (async () => {
+      try {
+        const value = await produce();
+        if (shouldCache(value)) set(key, value);
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  function clear() {
+    entries.clear();
+    scheduleSave();
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses + counters.coalesced;
+    return {
+      ...counters,
+      size: entries.size,
+      maxEntries,
+      ttlSeconds: Math.round(ttlMs / 1000),
+      hitRate: lookups > 0 ? Number(((counters.hits + counters.coalesced) / lookups).toFixed(3)) : 0,
+      persistent: !!store
+    };
+  }
+
+  /**
+   * Restore entries from the store, dropping expired ones
+   * @returns {Promise<number>} - Number of entries restored
+   */
+  async function load() {
+    if (!store) return 0;
+
+    const saved = await store.load();
+    const time = now();
+    (saved || []).forEach(([key, entry]) => {
+      if (entry && entry.expiresAt > time) entries.set(key, entry);
+    });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    return entries.size;
+  }
+
+  return { get, set, wrap, clear, stats, load, flush };
+}
@@ -0,0 +1,95 @@
+/**
+ * Cloudflare Pages Adapter
+ * Turns the shared API handlers into Pages Functions (onRequest(context)).
+ */
+
+import { dispatch, loadConfig, createCaches, corsHeaders } from './handlers.js';
+
+// Reported by /api/debug in place of the Node version and platform
+const runtime = {
+  version: 'cloudflare-workers',
+  platform: 'cloudflare'
+};
+
+// Response caches, shared by every function in the worker isolate and created on first use
+let caches = null;
+
+/**
+ * Add a timeout to a fetch implementation, matching server.js fetchWithTimeout
+ * @param {Function} fetchImpl - The fetch implementation
+ * @returns {Function} - fetch(url, options, timeout)
+ */
+function withTimeout(fetchImpl) {
+  return (url, options = {}, timeout = 15000) => {
+    let timeoutId;
+    return Promise.race([
+      fetchImpl(url, options),
+      new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Network request timed out')), timeout);
+      })
+    ]).finally(() => clearTimeout(timeoutId));
+  };
+}
+
+/**
+ * Serialize a normalized response as a Fetch API Response
+ * @param {Object} response - Normalized response { status, body }
+ * @returns {Response}
+ */
+function toResponse(response) {
+  if (response.body === null) {
+    return new Response(null, { status: response.status, headers: corsHeaders });
+  }
+
+  return new Response(JSON.stringify(response.body), {
+    status: response.status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Create the onRequest handler for one API path
+ * @param {string} path - The API path, e.g. "/api/directions"
+ * @param {Object} options - Optional { fetch } to override the global fetch
+ * @returns {Function} - async onRequest(context)
+ */
+export function createPagesFunction(path, options = {}) {
+  return async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+    const contentType = request.headers.get('content-type') || '';
+
+    // Parse JSON bodies up front; the dispatcher validates the content type
+    let body = null;
+    if (request.method === 'POST' && contentType.includes('application/json')) {
+      try {
+        body = await request.json();
+      } catch (error) {
+        return toResponse({ status: 400, body: { error: 'Invalid JSON body' } });
+      }
+    }
+
+    const fetchImpl = options.fetch || ((...args) => fetch(...args));
+
+    // Record/replay needs a filesystem, so Pages Functions always call upstream live
+    const config = loadConfig({ ...env, UPSTREAM_MODE: 'live' });
+    if (!caches) caches = createCaches(config);
+
+    const response = await dispatch(path, {
+      method: request.method,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      contentType
+    }, {
+      config,
+      fetch: withTimeout(fetchImpl),
+      runtime,
+      caches
+    });
+
+    return toResponse(response);
+  };
+}
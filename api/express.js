@@ -0,0 +1,69 @@
+/**
+ * Express Adapter
+ * Mounts the shared API handlers on an Express app.
+ */
+
+import { routes, dispatch, loadConfig, createCaches, corsHeaders } from './handlers.js';
+import { createMockGemini } from './mock-gemini.js';
+
+/**
+ * Register every API route on an Express app
+ * The app must already parse JSON bodies (express.json()).
+ * @param {Object} app - The Express app
+ * @param {Object} options - { env, fetch, runtime, mockScenarios, cacheStore }
+ * @param {Object} options.env - Environment variables (usually process.env)
+ * @param {Function} options.fetch - fetch(url, options, timeout) used for upstream calls
+ * @param {Object} options.runtime - { version, platform } reported by /api/debug
+ * @param {Array} options.mockScenarios - Compiled Gemini mock scenarios (optional)
+ * @param {Function} options.cacheStore - (name) => store used to persist each response cache (optional)
+ * @returns {Object} - The handler context shared by all routes
+ */
+export function mountApi(app, { env, fetch, runtime, mockScenarios = [], cacheStore }) {
+  const config = loadConfig(env);
+  const context = {
+    config,
+    fetch,
+    runtime,
+    mockGemini: createMockGemini(mockScenarios),
+    caches: createCaches(config, cacheStore)
+  };
+
+  Object.keys(routes).forEach(path => {
+    app.all(path, async (req, res) => {
+      const response = await dispatch(path, {
+        method: req.method,
+        query: req.query,
+        body: req.body,
+        contentType: req.get('content-type')
+      }, context);
+
+      sendResponse(res, response);
+    });
+  });
+
+  // Malformed JSON bodies get the shared error shape instead of Express's HTML page
+  app.use('/api', (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return sendResponse(res, { status: 400, body: { error: 'Invalid JSON body' } });
+    }
+    next(err);
+  });
+
+  return context;
+}
+
+/**
+ * Write a normalized response to an Express response object
+ * @param {Object} res - Express response
+ * @param {Object} response - Normalized response { status, body }
+ */
+function sendResponse(res, response) {
+  res.set(corsHeaders);
+
+  if (response.body === null) {
+    res.status(response.status).end();
+    return;
+  }
+
+  res.status(response.status).json(response.body);
+}
@@ -0,0 +1,201 @@
+/**
+ * LLM Providers
+ * The parsing prompt behind /api/gemini can be answered by Google Gemini, any
+ * OpenAI-compatible chat completions endpoint, or a local Ollama-style model
+ * server. Every provider works on the same internal shapes:
+ *
+ * - request:  messages, an array of { role: "system" | "user" | "assistant", content }
+ * - response: { text, provider, model }
+ *
+ * A provider turns messages into an upstream { url, options } and pulls the
+ * generated text back out of the upstream response.
+ */
+
+// Roles used in the Gemini contents format, mapped to the internal roles
+const GEMINI_ROLES = { user: 'user', model: 'assistant', system: 'system' };
+
+/**
+ * Google Gemini (generateContent)
+ */
+const gemini = {
+  name: 'gemini',
+  defaultModel: 'gemini-pro',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  requiresApiKey: true,
+
+  buildRequest(messages, { model, baseUrl, apiKey }) {
+    // Gemini has no system role in contents; send system messages as user turns
+    const contents = messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+
+    return {
+      url: `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+      options: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents })
+      }
+    };
+  },
+
+  parseResponse(data) {
+    const parts = data.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) {
+      throw new Error('Gemini response contained no candidates');
+    }
+    return parts.map(part => part.text || '').join('');
+  }
+};
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Azure-style gateways, LM Studio, llama.cpp server, ...)
+ */
+const openai = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  // Only the hosted OpenAI API needs a key; self-hosted compatible servers usually do not
+  requiresApiKey: baseUrl => baseUrl.startsWith('https://api.openai.com/'),
+
+  buildRequest(messages, { model, baseUrl, apiKey }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    return {
+      url: `${baseUrl}/chat/completions`,
+      options: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, messages, temperature: 0 })
+      }
+    };
+  },
+
+  parseResponse(data) {
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Chat completion response contained no message');
+    }
+    return content;
+  }
+};
+
+/**
+ * Local model server speaking the Ollama chat API (POST /api/chat)
+ */
+const ollama = {
+  name: 'ollama',
+  defaultModel: 'llama3',
+  defaultBaseUrl: 'http://localhost:11434',
+  requiresApiKey: false,
+
+  buildRequest(messages, { model, baseUrl }) {
+    return {
+      url: `${baseUrl}/api/chat`,
+      options: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, messages, stream: false, options: { temperature: 0 } })
+      }
+    };
+  },
+
+  parseResponse(data) {
+    const content = data.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Local model response contained no message');
+    }
+    return content;
+  }
+};
+
+export const providers = { gemini, openai, ollama };
+
+/**
+ * Resolve the LLM settings from an environment object
+ * LLM_PROVIDER picks the provider (default gemini); LLM_MODEL, LLM_BASE_URL and
+ * LLM_API_KEY override its defaults. Gemini keeps using GOOGLE_API_KEY.
+ * @param {Object} env - Environment variables
+ * @param {string|null} geminiApiKey - The configured Gemini key
+ * @returns {Object} - { provider, model, baseUrl, apiKey, requiresApiKey }, or { error }
+ */
+export function loadLlmConfig(env, geminiApiKey) {
+  const providerName = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    return { error: `Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Use one of: ${Object.keys(providers).join(', ')}` };
+  }
+
+  const baseUrl = (env.LLM_BASE_URL || provider.defaultBaseUrl).replace(/\/+$/, '');
+  const apiKey = provider === gemini ? (env.LLM_API_KEY || geminiApiKey) : (env.LLM_API_KEY || null);
+  const requiresApiKey = typeof provider.requiresApiKey === 'function'
+    ? provider.requiresApiKey(baseUrl)
+    : provider.requiresApiKey;
+
+  return {
+    provider: provider.name,
+    model: env.LLM_MODEL || provider.defaultModel,
+    baseUrl,
+    apiKey: apiKey || null,
+    requiresApiKey
+  };
+}
+
+/**
+ * Normalize an /api/gemini request body to internal messages
+ * Accepts { prompt }, { messages } or the Gemini { contents } format.
+ * @param {Object} body - The request body
+ * @returns {Array|null} - Messages, or null if the body has none of the fields
+ */
+export function toMessages(body = {}) {
+  if (typeof body.prompt === 'string' && body.prompt.trim()) {
+    return [{ role: 'user', content: body.prompt }];
+  }
+
+  if (Array.isArray(body.messages) && body.messages.length > 0) {
+    return body.messages.map(message => ({
+      role: message.role || 'user',
+      content: String(message.content ?? '')
+    }));
+  }
+
+  if (body.contents) {
+    const contents = Array.isArray(body.contents) ? body.contents : [body.contents];
+    return contents
+      .filter(Boolean)
+      .map(item => ({
+        role: GEMINI_ROLES[item.role] || 'user',
+        content: (item.parts || []).map(part => part.text || '').join('\n')
+      }));
+  }
+
+  return null;
+}
+
+/**
+ * Send messages to the configured provider
+ * @param {Array} messages - Internal messages
+ * @param {Object} llm - Settings from loadLlmConfig()
+ * @param {Function} fetch - fetch(url, options, timeout)
+ * @returns {Promise<Object>} - { text, provider, model }
+ */
+export async function complete(messages, llm, fetch) {
+  const provider = providers[llm.provider];
+  const { url, options } = provider.buildRequest(messages, llm);
+
+  const response = await fetch(url, options, 20000); // 20 second timeout for LLM calls
+
+  if (!response.ok) {
+    throw new Error(`${provider.name} API returned ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return {
+    text: provider.parseResponse(data),
+    provider: provider.name,
+    model: llm.model
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Category Search Stand-in
+ * Deterministic stand-in for the Mapbox Search Box category search behind
+ * /api/category-search, used when no Mapbox token is set and for replayed
+ * requests without a fixture, so searching for stops works offline and in tests.
+ * Places sit on a lattice anchored to the globe, one cell per category
+ * spacing, nudged within their cell by a hash of the cell, so overlapping
+ * boxes find the same places and the same request always gets the same
+ * results.
+ *
+ * The response has the shape of the real one (a FeatureCollection of points
+ * with `name`, `mapbox_id`, `full_address`, `coordinates` and
+ * `poi_category_ids` properties, closest to `proximity` first) plus
+ * `standIn: true`.
+ */
+
+import { POI_CATEGORIES } from '../comparison/poi-categories.js';
+import { greatCircleDistance } from '../comparison/geodesic.js';
+
+// Lattice spacing by category, in degrees of latitude (0.05° is about 5.5 km)
+const CATEGORY_SPACING = {
+  coffee: 0.03,
+  restaurant: 0.02,
+  fast_food: 0.04,
+  gas_station: 0.05,
+  charging_station: 0.08,
+  rest_area: 0.25,
+  hotel: 0.06,
+  atm: 0.03,
+  bar: 0.03
+};
+const DEFAULT_SPACING = 0.05;
+
+// Most lattice cells looked at per request, so huge boxes stay cheap
+const MAX_CELLS = 2500;
+
+/**
+ * Hash integers to a number in [0, 1)
+ * @param {...number} values - Cell indexes and a salt
+ * @returns {number}
+ */
+function hash(...values) {
+  let h = 2166136261;
+  for (const value of values) {
+    h = Math.imul(h ^ (value & 0xffff), 16777619);
+    h = Math.imul(h ^ (value >>> 16), 16777619);
+  }
+  return ((h >>> 0) % 100000) / 100000;
+}
+
+/**
+ * Build stand-in category search results
+ * @param {Object} request - { category (a key of POI_CATEGORIES), bbox
+ *   ([minLng, minLat, maxLng, maxLat]), proximity ([lng, lat] or null), limit }
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+export function mockCategorySearch({ category, bbox, proximity, limit }) {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  let spacing = CATEGORY_SPACING[category] || DEFAULT_SPACING;
+
+  // Coarsen the lattice for boxes too big to walk cell by cell
+  const area = (maxLng - minLng) * (maxLat - minLat);
+  if (area / (spacing * spacing) > MAX_CELLS) {
+    spacing = Math.sqrt(area / MAX_CELLS);
+  }
+
+  const salt = Object.keys(POI_CATEGORIES).indexOf(category) + 1;
+  const center = proximity || [(minLng + maxLng) / 2, (minLat + maxLat) / 2];
+  const places = [];
+
+  for (let row = Math.floor(minLat / spacing); row * spacing <= maxLat; row++) {
+    for (let col = Math.floor(minLng / spacing); col * spacing <= maxLng; col++) {
+      const lat = (row + 0.1 + 0.8 * hash(row, col, salt)) * spacing;
+      const lng = (col + 0.1 + 0.8 * hash(col, row, salt)) * spacing;
+      if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) continue;
+      places.push({ row, col, coordinates: [Number(lng.toFixed(6)), Number(lat.toFixed(6))] });
+    }
+  }
+
+  const label = POI_CATEGORIES[category].words[0];
+  const features = places
+    .map(place => ({ ...place, distance: greatCircleDistance(center, place.coordinates) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ row, col, coordinates: [longitude, latitude] }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties: {
+        name: `${label.charAt(0).toUpperCase()}${label.slice(1)} ${Math.abs(row * 7919 + col * 104729) % 1000}`,
+        mapbox_id: `stand-in.${category}.${row}.${col}`,
+        feature_type: 'poi',
+        full_address: `${latitude.toFixed(3)}, ${longitude.toFixed(3)}`,
+        coordinates: { longitude, latitude },
+        poi_category_ids: [category]
+      }
+    }));
+
+  return { type: 'FeatureCollection', features, standIn: true };
+}
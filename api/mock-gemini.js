@@ -0,0 +1,153 @@
+/**
+ * Gemini Mock Scenarios
+ * Deterministic stand-in for the LLM provider behind /api/gemini, used in mock
+ * mode. The user query is pulled out of the prompt messages (see
+ * llm-providers.js) and matched against scenarios, each
+ * of which maps an exact query or a regex to a canned response, and can inject
+ * latency or an upstream error. Queries that match no scenario get a response
+ * derived from extractLocationsWithRegex, so the same query always gets the
+ * same answer.
+ *
+ * Scenario files are JSON, one scenario or an array of scenarios per file:
+ * {
+ *   "name": "paris-to-berlin",
+ *   "match": { "exact": "paris to berlin" } or { "regex": "^paris\\b", "flags": "i" },
+ *   "latencyMs": 1200,
+ *   "error": { "status": 503, "message": "Model overloaded" },
+ *   "response": { "intentType": "route", ... } or "raw model text"
+ * }
+ */
+
+import { extractLocationsWithRegex } from '../comparison/nlp-utils.js';
+
+// Delay applied when a scenario does not set latencyMs
+export const DEFAULT_MOCK_LATENCY_MS = 500;
+
+/**
+ * Extract the user query from the prompt messages
+ * The clients wrap the query in a prompt ('Parse the following query ...: "<query>"
+ * INSTRUCTIONS: ...' or 'Input text: "<query>" Return a JSON ...'); without a
+ * wrapper the whole text is the query.
+ * @param {Array} messages - Internal messages ({ role, content })
+ * @returns {string} - The query with whitespace collapsed
+ */
+export function extractQuery(messages) {
+  const userMessages = (messages || []).filter(message => message.role === 'user');
+  const lastMessage = userMessages[userMessages.length - 1];
+  if (!lastMessage) return '';
+
+  const text = lastMessage.content;
+
+  // The query may itself contain quotes, so take everything between the first
+  // quote after the intro and the last quote before the instructions
+  const wrapped = text.match(/(?:Parse the following query[^"]*|Input text:\s*)"([\s\S]*)"\s*(?:INSTRUCTIONS:|Return a JSON)/);
+  const query = wrapped ? wrapped[1] : text;
+
+  return query.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate scenarios and compile their matchers
+ * @param {Array} scenarios - Raw scenario objects
+ * @param {string} source - Where the scenarios came from, for error messages
+ * @returns {Array} - Scenarios with a test(query) function
+ */
+export function compileScenarios(scenarios, source = 'scenarios') {
+  return scenarios.map((scenario, index) => {
+    const name = scenario.name || `${source}#${index}`;
+    const match = scenario.match || {};
+
+    if (typeof match.exact !== 'string' && typeof match.regex !== 'string') {
+      throw new Error(`Scenario "${name}" needs match.exact or match.regex`);
+    }
+    if (scenario.response === undefined && !scenario.error) {
+      throw new Error(`Scenario "${name}" needs a response or an error`);
+    }
+
+    let test;
+    if (typeof match.exact === 'string') {
+      const expected = match.exact.trim().replace(/\s+/g, ' ').toLowerCase();
+      test = query => query.toLowerCase() === expected;
+    } else {
+      const pattern = new RegExp(match.regex, match.flags || 'i');
+      test = query => pattern.test(query);
+    }
+
+    return { ...scenario, name, test };
+  });
+}
+
+/**
+ * Build a structured result for a query no scenario matched
+ * @param {string} query - The user query
+ * @returns {Object} - A structured NLP result
+ */
+export function deriveMockResult(query) {
+  // Strip travel-mode and preference clauses and leading commands so they do
+  // not end up in the location names
+  const locationText = query
+    .replace(/^(show me|show|map|display|find)\s+/i, '')
+    .replace(/\s*\b(by (car|bike|bicycle|foot)|on foot|(avoid(ing)?|without|no) (highways?|tolls?|ferr(y|ies)))\b/gi, '')
+    .trim();
+  const names = extractLocationsWithRegex(locationText);
+  const isRoute = names.length >= 2 && /\b(to|route|directions|via|through|between|from)\b/i.test(query);
+
+  const travelMode =
+    /\b(walk|walking|on foot)\b/i.test(query) ? 'walking' :
+    /\b(cycl\w*|bike|biking|bicycle)\b/i.test(query) ? 'cycling' : 'driving';
+
+  const preferences = [];
+  if (/\b(no|avoid(ing)?|without) highways?\b/i.test(query)) preferences.push('avoid highways');
+  if (/\b(no|avoid(ing)?|without) tolls?\b/i.test(query)) preferences.push('avoid tolls');
+  if (/\b(no|avoid(ing)?|without) ferr(y|ies)\b/i.test(query)) preferences.push('avoid ferries');
+
+  const result = {
+    intentType: isRoute ? 'route' : 'locations',
+    locations: names.map(name => ({ name, timeContext: '' })),
+    visualizationType: 'default',
+    preferences,
+    message: names.length > 0
+      ? `${isRoute ? 'Route' : 'Showing'}: ${names.join(isRoute ? ' to ' : ', ')}`
+      : `No locations found in "${query}"`
+  };
+
+  if (isRoute) {
+    result.travelMode = travelMode;
+    result.suggestedSequence = names;
+  }
+
+  return result;
+}
+
+/**
+ * Create the mock Gemini responder
+ * @param {Array} scenarios - Compiled scenarios, checked in order (first match wins)
+ * @returns {Function} - (messages) => { query, scenario, latencyMs, error, text }
+ */
+export function createMockGemini(scenarios = []) {
+  return function resolveMock(messages) {
+    const query = extractQuery(messages);
+    const scenario = scenarios.find(candidate => candidate.test(query));
+
+    if (!scenario) {
+      return {
+        query,
+        scenario: null,
+        latencyMs: DEFAULT_MOCK_LATENCY_MS,
+        error: null,
+        text: JSON.stringify(deriveMockResult(query))
+      };
+    }
+
+    return {
+      query,
+      scenario: scenario.name,
+      latencyMs: scenario.latencyMs ?? DEFAULT_MOCK_LATENCY_MS,
+      error: scenario.error || null,
+      // A string response is passed through verbatim, e.g. to simulate fenced or malformed output
+      text: typeof scenario.response === 'string'
+        ? scenario.response
+        : JSON.stringify(scenario.response ?? deriveMockResult(query))
+    };
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Isochrone Stand-in
+ * Deterministic stand-in for the Mapbox Isochrone API behind /api/isochrone,
+ * used when no Mapbox token is set and for replayed requests without a
+ * fixture, so the isochrone view works offline and in tests. Each contour is a circle
+ * around the center: for time contours its radius is what the profile covers
+ * at a typical average speed, for distance contours the distance itself. The
+ * same request always gets the same polygons.
+ *
+ * The response has the shape of the real one (a FeatureCollection of
+ * polygons, largest contour first, each with `contour` and `metric`
+ * properties) plus `standIn: true`, so clients can say the areas are rough.
+ */
+
+import { destinationPoint } from '../comparison/geodesic.js';
+
+// Typical average speeds including stops and turns, in km/h
+const AVERAGE_SPEEDS = {
+  driving: 40,
+  'driving-traffic': 30,
+  walking: 5,
+  cycling: 15
+};
+
+// Vertices per contour polygon
+const POLYGON_POINTS = 64;
+
+/**
+ * Build stand-in isochrones
+ * @param {Object} request - { center ([lng, lat]), profile (without "mapbox/"),
+ *   metric ('time' or 'distance'), contours (minutes or meters, increasing) }
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+export function mockIsochrone({ center, profile, metric, contours }) {
+  const speed = AVERAGE_SPEEDS[profile] || AVERAGE_SPEEDS.driving;
+
+  const features = [...contours].reverse().map(contour => {
+    const radiusKm = metric === 'time' ? speed * contour / 60 : contour / 1000;
+    const ring = Array.from({ length: POLYGON_POINTS }, (_, i) => destinationPoint(center, i * 360 / POLYGON_POINTS, radiusKm));
+    ring.push(ring[0]);
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [ring] },
+      properties: { contour, metric }
+    };
+  });
+
+  return { type: 'FeatureCollection', features, standIn: true };
+}
@@ -0,0 +1,34 @@
+/**
+ * Gemini Scenario Loader
+ * Reads mock scenario files from a directory for the Express server.
+ * Node only - the Cloudflare Functions have no filesystem and run without scenarios.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { compileScenarios } from './mock-gemini.js';
+
+/**
+ * Load every *.json scenario file in a directory, in file name order
+ * @param {string} dir - The scenarios directory
+ * @returns {Promise<Array>} - Compiled scenarios ([] if the directory does not exist)
+ */
+export async function loadScenarios(dir) {
+  let files;
+  try {
+    files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const scenarios = [];
+  for (const file of files) {
+    const content = JSON.parse(await readFile(path.join(dir, file), 'utf8'));
+    const fileScenarios = Array.isArray(content) ? content : [content];
+    scenarios.push(...compileScenarios(fileScenarios, file));
+  }
+
+  return scenarios;
+}
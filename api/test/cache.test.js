@@ -0,0 +1,156 @@
+/**
+ * Response Cache Tests
+ * LRU eviction, TTL expiry, request coalescing, persistence, and the cache
+ * wiring in the geocoding handler.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { createCache } from '../cache.js';
+import { createFileStore } from '../cache-file-store.js';
+import { createCaches, dispatch, loadConfig } from '../handlers.js';
+
+test('evicts the least recently used entry', () => {
+  const cache = createCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.stats().evictions, 1);
+});
+
+test('entries expire after the TTL', () => {
+  let time = 0;
+  const cache = createCache({ ttlMs: 1000, now: () => time });
+  cache.set('a', 1);
+
+  time = 999;
+  assert.equal(cache.get('a'), 1);
+  time = 1000;
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.stats().expirations, 1);
+});
+
+test('identical lookups in flight share one producer call', async () => {
+  const cache = createCache();
+  let calls = 0;
+  const produce = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return { status: 200 };
+  };
+
+  const results = await Promise.all([cache.wrap('k', produce), cache.wrap('k', produce), cache.wrap('k', produce)]);
+  await cache.wrap('k', produce);
+
+  assert.equal(calls, 1);
+  assert.deepEqual(results, [{ status: 200 }, { status: 200 }, { status: 200 }]);
+  assert.deepEqual(
+    (({ hits, misses, coalesced }) => ({ hits, misses, coalesced }))(cache.stats()),
+    { hits: 1, misses: 1, coalesced: 2 }
+  );
+});
+
+test('values rejected by shouldCache are returned but not stored', async () => {
+  const cache = createCache();
+  const value = await cache.wrap('k', async () => ({ status: 500 }), response => response.status === 200);
+  assert.deepEqual(value, { status: 500 });
+  assert.equal(cache.get('k'), undefined);
+});
+
+test('a file store restores entries after a restart', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'api-cache-'));
+  try {
+    const filePath = path.join(dir, 'geocoding.json');
+    const first = createCache({ store: createFileStore(filePath) });
+    first.set('paris', { status: 200, body: 'Paris' });
+    await first.flush();
+
+    const second = createCache({ store: createFileStore(filePath) });
+    assert.equal(await second.load(), 1);
+    assert.deepEqual(second.get('paris'), { status: 200, body: 'Paris' });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('flushes during a save run one at a time and the last snapshot is saved last', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'api-cache-'));
+  try {
+    const filePath = path.join(dir, 'geocoding.json');
+    const fileStore = createFileStore(filePath);
+    let saving = 0;
+    let overlapped = false;
+    const store = {
+      load: fileStore.load,
+      async save(entries) {
+        overlapped = overlapped || saving > 0;
+        saving++;
+        try {
+          await fileStore.save(entries);
+        } finally {
+          saving--;
+        }
+      }
+    };
+
+    const cache = createCache({ store });
+    for (let i = 0; i < 2000; i++) cache.set(`key-${i}`, 'x'.repeat(1000));
+    const first = cache.flush();
+    cache.clear();
+    cache.set('paris', 'Paris');
+    const second = cache.flush();
+    cache.set('lyon', 'Lyon');
+    await Promise.all([first, second, cache.flush()]);
+
+    assert.equal(overlapped, false);
+    assert.deepEqual((await fileStore.load()).map(([key]) => key), ['paris', 'lyon']);
+    assert.deepEqual(await readdir(dir), ['geocoding.json']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed file store save leaves no temporary file', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'api-cache-'));
+  try {
+    // A directory where the file should be makes the rename fail
+    const filePath = path.join(dir, 'geocoding.json');
+    await mkdir(filePath);
+    await assert.rejects(createFileStore(filePath).save([['paris', { value: 'Paris' }]]));
+    assert.deepEqual(await readdir(dir), ['geocoding.json']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('geocoding lookups are cached case-insensitively and reported by /api/debug', async () => {
+  let upstreamCalls = 0;
+  const config = loadConfig({ MAPBOX_TOKEN: 'pk.test-token' });
+  const context = {
+    config,
+    runtime: {},
+    caches: createCaches(config),
+    fetch: async () => {
+      upstreamCalls++;
+      return new Response(JSON.stringify({ features: [] }), { status: 200 });
+    }
+  };
+
+  const lookup = q => dispatch('/api/mapbox-geocoding', { method: 'GET', query: { q } }, context);
+  await Promise.all([lookup('Paris'), lookup('paris')]);
+  await lookup(' PARIS ');
+
+  assert.equal(upstreamCalls, 1);
+  const debug = await dispatch('/api/debug', { method: 'GET', query: {} }, context);
+  assert.equal(debug.body.cache.geocoding.hits, 1);
+  assert.equal(debug.body.cache.geocoding.coalesced, 1);
+  assert.equal(debug.body.cache.geocoding.size, 1);
+});
@@ -0,0 +1,509 @@
+/**
+ * API Contract Tests
+ * Runs every endpoint through both the Express adapter and the Cloudflare Pages
+ * adapter against the same stubbed upstream, and checks that both return the
+ * same status and body.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+import { mountApi } from '../express.js';
+import { createPagesFunction } from '../cloudflare.js';
+
+const env = {
+  MAPBOX_TOKEN: 'pk.test-token',
+  GOOGLE_API_KEY: 'test-google-key',
+  NODE_ENV: 'test'
+};
+
+const directionsFixture = {
+  code: 'Ok',
+  routes: [{
+    geometry: { type: 'LineString', coordinates: [[-74.006, 40.7128], [-71.0589, 42.3601]] },
+    distance: 346000,
+    duration: 13800
+  }],
+  waypoints: []
+};
+
+const matrixFixture = {
+  code: 'Ok',
+  distances: [[0, 346000], [346000, 0]],
+  durations: [[0, 13800], [13800, 0]]
+};
+
+const isochroneFixture = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [[[-105.1, 39.6], [-104.8, 39.9], [-104.7, 39.6], [-105.1, 39.6]]] },
+    properties: { contour: 30, metric: 'time' }
+  }]
+};
+
+const categorySearchFixture = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-72.68, 41.76] },
+    properties: { name: 'Cafe', mapbox_id: 'poi.1', feature_type: 'poi', poi_category_ids: ['coffee'] }
+  }]
+};
+
+const geocodingFixture = {
+  type: 'FeatureCollection',
+  features: [{
+    id: 'place.1',
+    text: 'Paris',
+    place_name: 'Paris, France',
+    place_type: ['place'],
+    relevance: 1,
+    center: [2.3522, 48.8566],
+    geometry: { type: 'Point', coordinates: [2.3522, 48.8566] }
+  }]
+};
+
+const geminiResult = {
+  intentType: 'route',
+  locations: [{ name: 'Paris', timeContext: '' }, { name: 'Berlin', timeContext: '' }],
+  travelMode: 'driving',
+  suggestedSequence: ['Paris', 'Berlin']
+};
+
+/**
+ * Stub for the upstream services, keyed by URL
+ * Coordinates starting with "0,0" make Mapbox answer 422 (no route).
+ */
+async function stubUpstream(url) {
+  const respond = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  if (url.startsWith('https://api.mapbox.com/directions/')) {
+    return url.includes('/0,0;') ? respond({ code: 'NoRoute' }, 422) : respond(directionsFixture);
+  }
+  if (url.startsWith('https://api.mapbox.com/directions-matrix/')) {
+    return url.includes('/0,0;') ? respond({ code: 'InvalidInput' }, 422) : respond(matrixFixture);
+  }
+  if (url.startsWith('https://api.mapbox.com/isochrone/')) {
+    return url.includes('/0,0?') ? respond({ code: 'NoSegment' }, 422) : respond(isochroneFixture);
+  }
+  if (url.startsWith('https://api.mapbox.com/search/')) {
+    return respond(categorySearchFixture);
+  }
+  if (url.startsWith('https://api.mapbox.com/geocoding/')) {
+    // Reverse queries take a limit only along with a single type, as on Mapbox
+    const { pathname, searchParams } = new URL(url);
+    const reverse = /\/-?[\d.]+,-?[\d.]+\.json$/.test(decodeURIComponent(pathname));
+    if (reverse && searchParams.has('limit') && !/^[a-z]+$/.test(searchParams.get('types') || '')) {
+      return respond({ message: 'limit must be combined with a single type parameter when reverse geocoding' }, 422);
+    }
+    return respond(geocodingFixture);
+  }
+  if (url.startsWith('https://generativelanguage.googleapis.com/')) {
+    return respond({ candidates: [{ content: { parts: [{ text: JSON.stringify(geminiResult) }] } }] });
+  }
+  throw new Error(`Unexpected upstream URL: ${url}`);
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  mountApi(app, {
+    env,
+    fetch: stubUpstream,
+    runtime: { version: 'test', platform: 'test' }
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Call an endpoint through the Express adapter
+ */
+async function callExpress(path, init = {}) {
+  const response = await fetch(`${baseUrl}${path}`, init);
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Call an endpoint through the Cloudflare Pages adapter
+ */
+async function callCloudflare(path, init = {}, functionEnv = env) {
+  const route = path.split('?')[0];
+  const onRequest = createPagesFunction(route, { fetch: stubUpstream });
+  const response = await onRequest({
+    request: new Request(`https://example.pages.dev${path}`, init),
+    env: functionEnv
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Call both adapters and assert they agree
+ * @returns {Promise<Object>} - The shared { status, body }
+ */
+async function callBoth(path, init) {
+  const [viaExpress, viaCloudflare] = await Promise.all([
+    callExpress(path, init),
+    callCloudflare(path, init)
+  ]);
+  assert.deepEqual(viaCloudflare, viaExpress, `adapters disagree on ${init?.method || 'GET'} ${path}`);
+  return viaExpress;
+}
+
+const jsonPost = body => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('GET /api/mapbox-token returns the token', async () => {
+  const { status, body } = await callBoth('/api/mapbox-token');
+  assert.equal(status, 200);
+  assert.deepEqual(body, { token: env.MAPBOX_TOKEN });
+});
+
+test('GET /api/mapbox-token reports a missing token the same way', async () => {
+  const app = express();
+  mountApi(app, { env: {}, fetch: stubUpstream, runtime: {} });
+  const unconfigured = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+
+  try {
+    const viaExpress = await fetch(`http://127.0.0.1:${unconfigured.address().port}/api/mapbox-token`);
+    const viaCloudflare = await callCloudflare('/api/mapbox-token', {}, {});
+    assert.equal(viaExpress.status, 500);
+    assert.deepEqual(viaCloudflare, { status: 500, body: await viaExpress.json() });
+    assert.equal(viaCloudflare.body.error, 'Mapbox token not configured');
+  } finally {
+    unconfigured.close();
+  }
+});
+
+test('GET /api/directions proxies the Mapbox response', async () => {
+  const { status, body } = await callBoth('/api/directions?coordinates=-74.006,40.7128;-71.0589,42.3601&profile=mapbox/driving');
+  assert.equal(status, 200);
+  assert.deepEqual(body, directionsFixture);
+});
+
+test('GET /api/directions accepts a bare profile name', async () => {
+  const { status } = await callBoth('/api/directions?coordinates=-74.006,40.7128;-71.0589,42.3601&profile=walking');
+  assert.equal(status, 200);
+});
+
+test('GET /api/directions validates its parameters', async () => {
+  const missing = await callBoth('/api/directions');
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Missing coordinates parameter');
+
+  const invalid = await callBoth('/api/directions?coordinates=abc;def');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid coordinates format');
+
+  const profile = await callBoth('/api/directions?coordinates=1,2;3,4&profile=mapbox/flying');
+  assert.equal(profile.status, 400);
+  assert.equal(profile.body.error, 'Invalid profile');
+});
+
+test('GET /api/directions accepts and validates route preferences', async () => {
+  const valid = await callBoth('/api/directions?coordinates=-74.006,40.7128;-71.0589,42.3601&exclude=toll,ferry&alternatives=true');
+  assert.equal(valid.status, 200);
+
+  const invalid = await callBoth('/api/directions?coordinates=-74.006,40.7128;-71.0589,42.3601&profile=walking&max_speed=5');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid route preferences');
+});
+
+test('GET /api/directions accepts a steps flag', async () => {
+  const withSteps = await callBoth('/api/directions?coordinates=-74.006,40.7128;-71.0589,42.3601&steps=true');
+  assert.equal(withSteps.status, 200);
+
+  const invalid = await callBoth('/api/directions?coordinates=-74.006,40.7128;-71.0589,42.3601&steps=yes');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid steps parameter');
+});
+
+test('GET /api/directions maps an upstream 422 to NO_ROUTE', async () => {
+  const { status, body } = await callBoth('/api/directions?coordinates=0,0;10,10');
+  assert.equal(status, 400);
+  assert.equal(body.code, 'NO_ROUTE');
+});
+
+test('GET /api/matrix proxies the Mapbox response', async () => {
+  const { status, body } = await callBoth('/api/matrix?coordinates=-74.006,40.7128;-71.0589,42.3601&profile=driving');
+  assert.equal(status, 200);
+  assert.deepEqual(body, matrixFixture);
+});
+
+test('GET /api/matrix validates its parameters', async () => {
+  const missing = await callBoth('/api/matrix');
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Missing coordinates parameter');
+
+  const invalid = await callBoth('/api/matrix?coordinates=1,2');
+  assert.equal(invalid.body.error, 'Invalid coordinates format');
+
+  const profile = await callBoth('/api/matrix?coordinates=1,2;3,4&profile=mapbox/flying');
+  assert.equal(profile.body.error, 'Invalid profile');
+
+  const eleven = Array.from({ length: 11 }, (_, i) => `${i + 1},${i + 1}`).join(';');
+  const tooMany = await callBoth(`/api/matrix?coordinates=${eleven}&profile=driving-traffic`);
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.error, 'Too many coordinates');
+  assert.equal((await callBoth(`/api/matrix?coordinates=${eleven}`)).status, 200);
+});
+
+test('GET /api/matrix maps an upstream 422 to NO_ROUTE', async () => {
+  const { status, body } = await callBoth('/api/matrix?coordinates=0,0;10,10');
+  assert.equal(status, 400);
+  assert.equal(body.code, 'NO_ROUTE');
+});
+
+test('GET /api/isochrone proxies the Mapbox response', async () => {
+  const { status, body } = await callBoth('/api/isochrone?coordinates=-104.99,39.74&profile=driving&contours_minutes=30');
+  assert.equal(status, 200);
+  assert.deepEqual(body, isochroneFixture);
+});
+
+test('GET /api/isochrone validates its parameters', async () => {
+  const missing = await callBoth('/api/isochrone?contours_minutes=10');
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Missing coordinates parameter');
+
+  const invalid = await callBoth('/api/isochrone?coordinates=1,2;3,4&contours_minutes=10');
+  assert.equal(invalid.body.error, 'Invalid coordinates format');
+
+  const profile = await callBoth('/api/isochrone?coordinates=1,2&profile=mapbox/flying&contours_minutes=10');
+  assert.equal(profile.body.error, 'Invalid profile');
+
+  for (const contours of ['', 'contours_minutes=10&contours_meters=500', 'contours_minutes=20,10',
+    'contours_minutes=90', 'contours_minutes=5,10,15,20,25', 'contours_meters=1.5']) {
+    const response = await callBoth(`/api/isochrone?coordinates=1,2&${contours}`);
+    assert.equal(response.status, 400, contours);
+    assert.equal(response.body.error, 'Invalid contours', contours);
+  }
+});
+
+test('GET /api/isochrone maps an upstream 422 to NO_ROUTE', async () => {
+  const { status, body } = await callBoth('/api/isochrone?coordinates=0,0&contours_meters=1000');
+  assert.equal(status, 400);
+  assert.equal(body.code, 'NO_ROUTE');
+});
+
+test('GET /api/isochrone answers with the stand-in without a Mapbox token', async () => {
+  const viaCloudflare = await callCloudflare('/api/isochrone?coordinates=2.35,48.86&profile=walking&contours_minutes=6,12', {}, {});
+  assert.equal(viaCloudflare.status, 200);
+  assert.equal(viaCloudflare.body.standIn, true);
+  assert.deepEqual(viaCloudflare.body.features.map(feature => feature.properties.contour), [12, 6]);
+
+  // Walking covers about 1 km in 12 minutes
+  const ring = viaCloudflare.body.features[0].geometry.coordinates[0];
+  const radiusKm = (ring[0][1] - 48.86) * 111.2;
+  assert.ok(Math.abs(radiusKm - 1) < 0.01, `got ${radiusKm} km`);
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+});
+
+test('GET /api/category-search proxies the Mapbox response', async () => {
+  const { status, body } = await callBoth('/api/category-search?category=coffee&bbox=-73,41,-72,42&proximity=-72.5,41.5');
+  assert.equal(status, 200);
+  assert.deepEqual(body, categorySearchFixture);
+});
+
+test('GET /api/category-search validates its parameters', async () => {
+  const category = await callBoth('/api/category-search?category=casino&bbox=-73,41,-72,42');
+  assert.equal(category.status, 400);
+  assert.equal(category.body.error, 'Invalid category');
+
+  const missing = await callBoth('/api/category-search?category=coffee');
+  assert.equal(missing.body.error, 'Missing bbox parameter');
+
+  for (const bbox of ['1,2,3', '-72,41,-73,42', 'a,b,c,d']) {
+    const response = await callBoth(`/api/category-search?category=coffee&bbox=${bbox}`);
+    assert.equal(response.status, 400, bbox);
+    assert.equal(response.body.error, 'Invalid bbox format', bbox);
+  }
+
+  const proximity = await callBoth('/api/category-search?category=coffee&bbox=-73,41,-72,42&proximity=1');
+  assert.equal(proximity.body.error, 'Invalid proximity format');
+});
+
+test('GET /api/category-search answers with stand-in places without a Mapbox token', async () => {
+  const path = '/api/category-search?category=gas_station&bbox=-72.8,41.6,-72.5,41.9&proximity=-72.68,41.76&limit=5';
+  const viaCloudflare = await callCloudflare(path, {}, {});
+  assert.equal(viaCloudflare.status, 200);
+  assert.equal(viaCloudflare.body.standIn, true);
+  assert.equal(viaCloudflare.body.features.length, 5);
+
+  // Inside the box, closest first, and the same every time
+  const [first, ...rest] = viaCloudflare.body.features.map(feature => feature.geometry.coordinates);
+  for (const [lng, lat] of [first, ...rest]) {
+    assert.ok(lng >= -72.8 && lng <= -72.5 && lat >= 41.6 && lat <= 41.9);
+  }
+  const distance = ([lng, lat]) => Math.hypot(lng + 72.68, lat - 41.76);
+  assert.ok(rest.every(coordinates => distance(coordinates) >= distance(first) - 0.01));
+  assert.deepEqual((await callCloudflare(path, {}, {})).body, viaCloudflare.body);
+});
+
+test('GET /api/mapbox-geocoding proxies the Mapbox response', async () => {
+  const { status, body } = await callBoth('/api/mapbox-geocoding?q=Paris');
+  assert.equal(status, 200);
+  assert.deepEqual(body, geocodingFixture);
+});
+
+test('GET /api/mapbox-geocoding requires q', async () => {
+  const { status, body } = await callBoth('/api/mapbox-geocoding');
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Query parameter (q) is required');
+});
+
+test('GET /api/reverse-geocoding proxies the Mapbox response for a point', async () => {
+  const { status, body } = await callBoth('/api/reverse-geocoding?coordinates=2.3522,48.8566');
+  assert.equal(status, 200);
+  assert.deepEqual(body, geocodingFixture);
+
+  // The forward proxy's limit is refused on reverse queries
+  const forward = await callBoth('/api/mapbox-geocoding?q=2.3522,48.8566');
+  assert.equal(forward.status, 500);
+});
+
+test('GET /api/reverse-geocoding validates its coordinates', async () => {
+  const missing = await callBoth('/api/reverse-geocoding');
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Missing coordinates parameter');
+
+  const invalid = await callBoth('/api/reverse-geocoding?coordinates=2.35;48.85');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid coordinates format');
+});
+
+test('POST /api/geocode/batch returns one result per name in order', async () => {
+  const { status, body } = await callBoth('/api/geocode/batch', jsonPost({ names: ['Paris', 'paris'], country: 'fr' }));
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(result => [result.query, result.status, result.coordinates]), [
+    ['Paris', 'found', [2.3522, 48.8566]],
+    ['paris', 'found', [2.3522, 48.8566]]
+  ]);
+});
+
+test('POST /api/geocode/batch validates its payload', async () => {
+  const missing = await callBoth('/api/geocode/batch', jsonPost({}));
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Names are required');
+
+  const tooMany = await callBoth('/api/geocode/batch', jsonPost({ names: Array(51).fill('Paris') }));
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.error, 'Too many names');
+
+  const badFilter = await callBoth('/api/geocode/batch', jsonPost({ names: ['Paris'], proximity: [200, 0] }));
+  assert.equal(badFilter.status, 400);
+  assert.equal(badFilter.body.error, 'Invalid filters');
+});
+
+test('POST /api/gemini proxies the Gemini response', async () => {
+  const { status, body } = await callBoth('/api/gemini', jsonPost({ contents: [{ parts: [{ text: 'Paris to Berlin' }] }] }));
+  assert.equal(status, 200);
+  assert.deepEqual(JSON.parse(body.text), geminiResult);
+  assert.equal(body.provider, 'gemini');
+});
+
+test('POST /api/gemini validates its payload', async () => {
+  const missing = await callBoth('/api/gemini', jsonPost({}));
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Contents are required');
+
+  const wrongType = await callBoth('/api/gemini', { method: 'POST', body: 'contents' });
+  assert.equal(wrongType.status, 400);
+  assert.equal(wrongType.body.error, 'Content-Type must be application/json');
+
+  const malformed = await callBoth('/api/gemini', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"contents":'
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error, 'Invalid JSON body');
+});
+
+test('unsupported methods get 405 and OPTIONS gets 204', async () => {
+  const wrongMethod = await callBoth('/api/directions', jsonPost({ coordinates: [[1, 2], [3, 4]] }));
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.body.error, 'Method not allowed');
+
+  const preflight = await callBoth('/api/gemini', { method: 'OPTIONS' });
+  assert.deepEqual(preflight, { status: 204, body: null });
+});
+
+test('GET /api/debug reports the same configuration', async () => {
+  const [viaExpress, viaCloudflare] = await Promise.all([
+    callExpress('/api/debug'),
+    callCloudflare('/api/debug')
+  ]);
+
+  assert.equal(viaExpress.status, 200);
+  assert.equal(viaCloudflare.status, 200);
+
+  // Runtime details and timestamps legitimately differ between backends
+  const stable = ({ server: { env: serverEnv }, timestamp, ...rest }) => ({ serverEnv, ...rest });
+  assert.deepEqual(stable(viaCloudflare.body), stable(viaExpress.body));
+  assert.equal(viaExpress.body.apis.mapbox.configured, true);
+  assert.equal(viaExpress.body.apis.gemini.mockMode, false);
+});
+
+test('POST /api/parse runs the pattern stages of the pipeline', async () => {
+  const { status, body } = await callBoth('/api/parse', jsonPost({ text: 'From Paris to Berlin' }));
+  assert.equal(status, 200);
+  assert.equal(body.intentType, 'route');
+  assert.deepEqual(body.suggestedSequence, ['Paris', 'Berlin']);
+  assert.equal(body.travelMode, 'driving');
+  assert.ok(Array.isArray(body.preferences));
+  assert.equal(typeof body.confidence, 'number');
+});
+
+test('POST /api/parse sends complex queries to the LLM provider', async () => {
+  const { status, body } = await callBoth('/api/parse', jsonPost({
+    text: 'which famous landmarks should a first time traveller see in europe?'
+  }));
+  assert.equal(status, 200);
+  assert.deepEqual(body.suggestedSequence, geminiResult.suggestedSequence);
+  assert.deepEqual(body.locations.map(loc => loc.name), ['Paris', 'Berlin']);
+});
+
+test('POST /api/parse uses the previous turn for follow-up queries', async () => {
+  const { status, body } = await callBoth('/api/parse', jsonPost({
+    text: 'show me there',
+    context: {
+      lastQuery: 'Paris to Berlin',
+      lastLocations: [{ name: 'Paris', timeContext: '' }, { name: 'Berlin', timeContext: '' }],
+      lastIntent: 'route'
+    }
+  }));
+  assert.equal(status, 200);
+  assert.deepEqual(body.suggestedSequence, ['Paris', 'Berlin']);
+});
+
+test('POST /api/parse validates its payload', async () => {
+  const missing = await callBoth('/api/parse', jsonPost({}));
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Text is required');
+
+  const badContext = await callBoth('/api/parse', jsonPost({ text: 'Paris', context: 'Berlin' }));
+  assert.equal(badContext.status, 400);
+  assert.equal(badContext.body.error, 'Invalid context');
+});
@@ -0,0 +1,113 @@
+/**
+ * Distance Query Tests
+ * Recognizing "how far" and "how long" questions, unit preferences, and the
+ * wording of the answers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  describeDistanceAnswer,
+  detectDistanceQuery,
+  formatDistance,
+  formatTravelTime,
+  unitsForLocale
+} from '../../comparison/distance-query.js';
+import { parseText } from '../../comparison/nlp-pipeline.js';
+
+test('distance and travel time questions name their places, mode and units', () => {
+  assert.deepEqual(detectDistanceQuery('How far is Paris from Berlin?'), {
+    intentType: 'distance',
+    places: ['Berlin', 'Paris'],
+    travelMode: 'driving',
+    units: null
+  });
+  assert.deepEqual(detectDistanceQuery('how long to drive from LA to Vegas in miles'), {
+    intentType: 'duration',
+    places: ['LA', 'Vegas'],
+    travelMode: 'driving',
+    units: 'imperial'
+  });
+
+  const walk = detectDistanceQuery('how long does it take to walk from the Louvre to Notre Dame');
+  assert.equal(walk.travelMode, 'walking');
+  assert.deepEqual(walk.places, ['the Louvre', 'Notre Dame']);
+
+  assert.deepEqual(detectDistanceQuery('distance between London and Edinburgh in km').places, ['London', 'Edinburgh']);
+  assert.equal(detectDistanceQuery('distance between London and Edinburgh in km').units, 'metric');
+  assert.equal(detectDistanceQuery('how many miles from Boston to New York').units, 'imperial');
+  assert.equal(detectDistanceQuery('what is the flight time from Lisbon to Rome').travelMode, 'flying');
+  assert.equal(detectDistanceQuery('how far is it from Toronto to Ottawa on foot').travelMode, 'walking');
+});
+
+test('other queries are not distance questions', () => {
+  assert.equal(detectDistanceQuery('Boston to New York'), null);
+  assert.equal(detectDistanceQuery('how long is the Nile'), null);
+  assert.equal(detectDistanceQuery('historical sites in Rome'), null);
+  assert.equal(detectDistanceQuery(''), null);
+});
+
+test('the pipeline answers distance questions before matching plain routes', async () => {
+  const result = await parseText('how long is the flight from JFK to LHR');
+
+  assert.equal(result.intentType, 'duration');
+  assert.equal(result.travelMode, 'flying');
+  assert.deepEqual(result.locations.map(location => location.iata), ['JFK', 'LHR']);
+  assert.equal(result.skipClarification, true);
+});
+
+test('distances and times are formatted in the preferred units', () => {
+  assert.equal(unitsForLocale('en-US'), 'imperial');
+  assert.equal(unitsForLocale('de-DE'), 'metric');
+  assert.equal(unitsForLocale(undefined), 'metric');
+
+  assert.equal(formatDistance(1054000), '1,054 km');
+  assert.equal(formatDistance(8400), '8.4 km');
+  assert.equal(formatDistance(350), '350 m');
+  assert.equal(formatDistance(434520, 'imperial'), '270 mi');
+  assert.equal(formatDistance(8047, 'imperial'), '5.0 mi');
+  assert.equal(formatDistance(100, 'imperial'), '330 ft');
+
+  assert.equal(formatTravelTime(13800), '3 h 50 min');
+  assert.equal(formatTravelTime(190800), '2 d 5 h');
+});
+
+test('answers combine the straight-line and routed figures', () => {
+  assert.equal(
+    describeDistanceAnswer({
+      intentType: 'distance',
+      from: 'Berlin',
+      to: 'Paris',
+      travelMode: 'driving',
+      units: 'metric',
+      straightLine: 878000,
+      route: { distance: 1054000, duration: 35400 }
+    }),
+    'Paris is 878 km from Berlin in a straight line, or 1,054 km by road (about 9 h 50 min).'
+  );
+  assert.equal(
+    describeDistanceAnswer({
+      intentType: 'duration',
+      from: 'LA',
+      to: 'Vegas',
+      travelMode: 'driving',
+      units: 'imperial',
+      straightLine: 368000,
+      route: { distance: 434520, duration: 14700 }
+    }),
+    'Driving from LA to Vegas takes about 4 h 5 min (270 mi; 229 mi in a straight line).'
+  );
+  assert.equal(
+    describeDistanceAnswer({
+      intentType: 'duration',
+      from: 'A',
+      to: 'B',
+      travelMode: 'walking',
+      units: 'metric',
+      straightLine: 5000,
+      route: null
+    }),
+    'There is no walking route from A to B; the places are 5.0 km apart in a straight line.'
+  );
+});
@@ -0,0 +1,81 @@
+/**
+ * Document Extraction Tests
+ * Reading pasted texts and uploaded files into sentences and the places they
+ * mention, with where each mention is, its role and the dates near it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { documentText, extractDocumentPlaces, findPlaceMentions, looksLikeDocument, splitSentences } from '../../comparison/document-extraction.js';
+import { parseText } from '../../comparison/nlp-pipeline.js';
+
+const JOURNEY = 'In 1271 Marco Polo left Venice with his father. They sailed to Acre, crossed Persia ' +
+  'and reached the court of Kublai Khan at Khanbaliq in 1275. St. Mark watched over Venice while they were gone.';
+
+test('sentences and mentions keep their offsets into the text', () => {
+  const sentences = splitSentences(JOURNEY);
+  assert.equal(sentences.length, 3);
+  sentences.forEach(sentence => assert.equal(JOURNEY.slice(sentence.start, sentence.end), sentence.text));
+  assert.ok(sentences[2].text.startsWith('St. Mark'));
+
+  const { mentions } = findPlaceMentions(JOURNEY);
+  assert.deepEqual(mentions.map(mention => mention.name), ['Venice', 'Acre', 'Persia', 'Khanbaliq', 'Venice']);
+  mentions.forEach(mention => assert.equal(JOURNEY.slice(mention.start, mention.end), mention.name));
+  assert.deepEqual(mentions.map(mention => mention.sentence), [0, 1, 1, 1, 2]);
+});
+
+test('mentions have a role and the dates written near them', () => {
+  const { mentions } = findPlaceMentions(JOURNEY);
+  assert.deepEqual(mentions.map(mention => mention.role), ['origin', 'destination', 'mentioned', 'mentioned', 'mentioned']);
+  assert.equal(mentions[0].timeContext, '1271');
+  assert.equal(mentions[3].timeContext, '1275');
+  assert.equal(mentions[4].timeContext, '');
+
+  // Places of a list take the role of the first
+  const listed = findPlaceMentions('The fleet sailed to Venice, Genoa and Pisa during the Middle Ages.').mentions;
+  assert.deepEqual(listed.map(mention => [mention.name, mention.role]), [['Venice', 'destination'], ['Genoa', 'destination'], ['Pisa', 'destination']]);
+  assert.deepEqual(listed[0].dates.map(date => date.years), [{ start: 500, end: 1500 }]);
+
+  // Each place once, with every mention of it
+  const { places } = extractDocumentPlaces(JOURNEY);
+  assert.deepEqual(places.map(place => place.name), ['Venice', 'Acre', 'Persia', 'Khanbaliq']);
+  assert.deepEqual(places[0].roles, ['origin', 'mentioned']);
+  assert.deepEqual(places[0].mentions, [0, 4]);
+  assert.equal(places[0].timeContext, '1271');
+});
+
+test('initialisms and qualified names stay whole', () => {
+  const text = 'In 1846 the family moved west from Washington, D.C. to San Francisco, California. They stayed a year.';
+  assert.equal(splitSentences(text).length, 2);
+
+  const { mentions } = findPlaceMentions(text);
+  assert.deepEqual(mentions.map(mention => [mention.name, mention.role]), [
+    ['Washington, D.C.', 'origin'],
+    ['San Francisco, California', 'destination']
+  ]);
+  mentions.forEach(mention => assert.equal(text.slice(mention.start, mention.end), mention.name));
+});
+
+test('uploaded Markdown and HTML files are read as plain text', () => {
+  assert.equal(
+    documentText('# The journey\n\nWe left **Lisbon** for [Goa](https://example.com/goa).', 'journey.md'),
+    'The journey\n\nWe left Lisbon for Goa.'
+  );
+  assert.equal(
+    documentText('<html><head><title>x</title></head><body><h1>Notes</h1><p>From Cairo&nbsp;to Aswan &amp; back.</p><script>alert(1)</script></body></html>', 'notes.html'),
+    'Notes\n\nFrom Cairo to Aswan & back.'
+  );
+  assert.equal(documentText('  Rome, then Naples.\r\n', 'notes.txt'), 'Rome, then Naples.');
+});
+
+test('paragraphs are read as documents, queries are not', async () => {
+  assert.equal(looksLikeDocument('Show me Paris and Rome'), false);
+  assert.equal(looksLikeDocument(JOURNEY), true);
+
+  const result = await parseText(JOURNEY);
+  assert.equal(result.intentType, 'document');
+  assert.deepEqual(result.locations.map(location => location.name), ['Venice', 'Acre', 'Persia', 'Khanbaliq']);
+  assert.equal(result.document.text, JOURNEY);
+  assert.equal(result.document.mentions.length, 5);
+});
@@ -0,0 +1,92 @@
+/**
+ * Flight Routing Tests
+ * Airport lookup by IATA code and by position, flight time estimates, flight
+ * plans between stops, and IATA codes typed into a query.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AIRPORTS } from '../../comparison/airports.js';
+import { createFlightPlanner, estimateFlightDuration } from '../../comparison/flight-routing.js';
+import { extractDirectRoutePattern } from '../../comparison/nlp-pipeline.js';
+
+const LONDON = [-0.13, 51.51];
+const TOKYO = [139.69, 35.68];
+const SAN_FRANCISCO = [-122.42, 37.77];
+
+test('bundled airports have unique codes and valid coordinates', () => {
+  const codes = AIRPORTS.map(airport => airport.iata);
+  assert.equal(new Set(codes).size, codes.length);
+  AIRPORTS.forEach(({ iata, coordinates: [lon, lat] }) => {
+    assert.match(iata, /^[A-Z]{3}$/);
+    assert.ok(lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90, `${iata} is off the map`);
+  });
+});
+
+test('airports are found by code in any case and by position', () => {
+  const { findAirport, nearestAirport } = createFlightPlanner();
+
+  assert.equal(findAirport('nrt').name, 'Narita International Airport');
+  assert.equal(findAirport(' JFK ').city, 'New York');
+  assert.equal(findAirport('XXX'), null);
+  assert.equal(findAirport(undefined), null);
+
+  assert.equal(nearestAirport(LONDON).airport.iata, 'LHR');
+  assert.equal(nearestAirport(TOKYO).airport.iata, 'HND');
+  assert.ok(nearestAirport(LONDON).distance < 30);
+});
+
+test('flight time is cruise time plus a fixed overhead', () => {
+  assert.equal(estimateFlightDuration(0), 30 * 60);
+  assert.equal(estimateFlightDuration(800), 90 * 60);
+
+  // JFK to NRT is scheduled at around 14 hours
+  const { findAirport, planFlights } = createFlightPlanner();
+  const [flight] = planFlights([findAirport('JFK').coordinates, findAirport('NRT').coordinates]).flights;
+  assert.ok(flight.duration > 13 * 3600 && flight.duration < 15 * 3600, `got ${flight.duration} s`);
+});
+
+test('flights join the airports of consecutive stops', () => {
+  const { planFlights } = createFlightPlanner();
+
+  const plan = planFlights([LONDON, TOKYO, SAN_FRANCISCO]);
+  assert.deepEqual(plan.airports.map(({ airport }) => airport.iata), ['LHR', 'HND', 'SFO']);
+  assert.deepEqual(plan.flights.map(flight => `${flight.origin.iata}-${flight.destination.iata}`), ['LHR-HND', 'HND-SFO']);
+
+  // The flight starts and ends at the airports, not the city centres
+  const [first] = plan.flights;
+  assert.deepEqual(first.coordinates[0], first.origin.coordinates);
+
+  // Two stops served by the same airport have nothing to fly
+  assert.equal(planFlights([LONDON, [-0.1, 51.5]]), null);
+  assert.equal(planFlights([LONDON]), null);
+
+  const custom = createFlightPlanner({
+    airports: [
+      { iata: 'AAA', name: 'A', city: 'A', coordinates: [0, 0] },
+      { iata: 'BBB', name: 'B', city: 'B', coordinates: [10, 0] }
+    ]
+  });
+  assert.equal(custom.planFlights([[1, 0], [9, 0], [2, 0]]).flights.length, 2);
+});
+
+test('IATA codes in a query are parsed as a flight', () => {
+  const flight = extractDirectRoutePattern('fly JFK to NRT');
+  assert.equal(flight.travelMode, 'flying');
+  assert.deepEqual(flight.locations.map(location => location.iata), ['JFK', 'NRT']);
+  assert.deepEqual(flight.locations[1].coordinates, [140.39, 35.77]);
+  assert.deepEqual(flight.suggestedSequence, flight.locations.map(location => location.name));
+
+  assert.equal(extractDirectRoutePattern('Flight from lhr to cdg.').locations[1].iata, 'CDG');
+  assert.equal(extractDirectRoutePattern('LHR to CDG').travelMode, 'flying');
+
+  // "fly" turns a route between cities into a flight
+  const cities = extractDirectRoutePattern('fly from Boston to Chicago');
+  assert.equal(cities.travelMode, 'flying');
+  assert.deepEqual(cities.suggestedSequence, ['Boston', 'Chicago']);
+
+  // Without "fly", lower-case or unknown three-letter words stay place names
+  assert.equal(extractDirectRoutePattern('jfk to nrt').travelMode, 'driving');
+  assert.equal(extractDirectRoutePattern('Ayr to Rio').travelMode, 'driving');
+});
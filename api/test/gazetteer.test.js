@@ -0,0 +1,74 @@
+/**
+ * Gazetteer Tests
+ * Looking places up in the bundled extract, telling shared names apart,
+ * finding place names in text, and the parser's use of them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describePlace, findPlace, findPlaceNames, findPlaces, isAmbiguousPlace, placeAlternatives } from '../../comparison/gazetteer.js';
+import { extractSimpleLocations } from '../../comparison/nlp-utils.js';
+import { addClarificationIfNeeded, enhanceLocationsWithEntityTypes } from '../../comparison/nlp-pipeline.js';
+
+test('names resolve to the most likely place, and qualifiers pick another', () => {
+  assert.equal(describePlace(findPlace('Portland')), 'Portland, Oregon, United States');
+  assert.equal(describePlace(findPlace('Portland, Maine')), 'Portland, Maine, United States');
+  assert.equal(describePlace(findPlace('Portland, ME')), 'Portland, Maine, United States');
+  assert.equal(describePlace(findPlace('London, Ontario')), 'London, Ontario, Canada');
+  assert.deepEqual(findPlace('Paris, France').coordinates, [2.3488, 48.8534]);
+
+  // Case, accents, abbreviated words and leading qualifying words don't matter
+  assert.equal(findPlace('MONTREAL').name, 'Montréal');
+  assert.equal(findPlace('St Louis').name, 'St. Louis');
+  assert.equal(findPlace('ancient Rome').name, 'Rome');
+  assert.equal(findPlace('NYC').name, 'New York City');
+
+  // A city comes before the division of the same name it is in
+  assert.deepEqual(findPlaces('New York').map(place => place.kind), ['city', 'admin']);
+  assert.equal(findPlace('Narnia'), null);
+});
+
+test('names shared by several likely places are ambiguous', () => {
+  ['Springfield', 'Portland', 'Washington', 'San Jose', 'Manchester'].forEach(name =>
+    assert.equal(isAmbiguousPlace(name), true, name));
+  ['London', 'Paris', 'New York', 'Portland, Maine', 'Narnia'].forEach(name =>
+    assert.equal(isAmbiguousPlace(name), false, name));
+
+  assert.deepEqual(placeAlternatives('Springfield'), [
+    'Springfield, Missouri, United States',
+    'Springfield, Massachusetts, United States',
+    'Springfield, Illinois, United States',
+    'Springfield, Ohio, United States'
+  ]);
+});
+
+test('place names are found in text as written', () => {
+  const text = 'Fly from NYC to Portland, Maine, then on to paris and the Eiffel Tower. Say us a poem.';
+  const names = findPlaceNames(text);
+  assert.deepEqual(names.map(found => found.name), ['NYC', 'Portland, Maine', 'paris', 'Eiffel Tower']);
+  names.forEach(found => assert.equal(text.slice(found.start, found.end), found.name));
+  assert.equal(names[1].place.admin1, 'ME');
+
+  // Abbreviations only match as written, and small places only capitalized
+  assert.deepEqual(findPlaceNames('bring us to the nyc reading room').map(found => found.name), []);
+  assert.deepEqual(findPlaceNames('Washington, D.C. in spring').map(found => found.name), ['Washington, D.C.']);
+
+  assert.deepEqual(extractSimpleLocations('From NYC to Portland, Maine via Boston'), ['New York City', 'Portland, Maine', 'Boston']);
+});
+
+test('clarification and entity types come from the gazetteer', () => {
+  const ambiguous = addClarificationIfNeeded({ locations: [{ name: 'Springfield' }] }, 'Show me Springfield');
+  assert.equal(ambiguous.needsClarification, true);
+  assert.equal(ambiguous.clarification.type, 'ambiguousLocations');
+  assert.ok(ambiguous.clarification.alternatives.includes('Springfield, Illinois, United States'));
+
+  const clear = addClarificationIfNeeded({ locations: [{ name: 'Paris' }, { name: 'LA' }] }, 'Show me Paris and LA');
+  assert.equal(clear.needsClarification, false);
+
+  assert.deepEqual(
+    enhanceLocationsWithEntityTypes([{ name: 'Japan' }, { name: 'Oregon' }, { name: 'Tokyo' }, { name: 'Boise' }])
+      .map(location => location.entityType),
+    ['country', 'administrativeArea', 'majorCity', 'place']
+  );
+});
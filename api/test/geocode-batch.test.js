@@ -0,0 +1,119 @@
+/**
+ * Batch Geocoding Tests
+ * Result classification, filters and upstream concurrency of
+ * POST /api/geocode/batch, run against a stubbed Mapbox Geocoding API.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCaches, dispatch, loadConfig } from '../handlers.js';
+
+const feature = (text, coordinates, relevance = 1, placeType = 'place') => ({
+  text,
+  place_name: text,
+  place_type: [placeType],
+  relevance,
+  geometry: { type: 'Point', coordinates }
+});
+
+// Upstream answers keyed by the lower-cased place name
+const places = {
+  paris: [feature('Paris, France', [2.3522, 48.8566]), feature('Paris 11e', [2.38, 48.86], 0.9, 'locality')],
+  springfield: [
+    feature('Springfield, Illinois', [-89.65, 39.8]),
+    feature('Springfield, Massachusetts', [-72.59, 42.1]),
+    feature('Springfield, Missouri', [-93.29, 37.21], 0.5)
+  ],
+  'lyon': [feature('Lyon, France', [4.8357, 45.764]), feature('Lyon Part-Dieu', [4.86, 45.76])],
+  atlantis: []
+};
+
+/**
+ * Create a handler context whose upstream records calls and the peak number in flight
+ */
+function createContext({ caches = false } = {}) {
+  const calls = [];
+  let active = 0;
+  const stats = { peak: 0 };
+
+  const context = {
+    config: loadConfig({ MAPBOX_TOKEN: 'pk.test-token' }),
+    runtime: {},
+    fetch: async url => {
+      calls.push(url);
+      active++;
+      stats.peak = Math.max(stats.peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+
+      const name = decodeURIComponent(new URL(url).pathname.split('/').pop().replace(/\.json$/, '')).toLowerCase();
+      if (name === 'broken') {
+        return new Response('{}', { status: 503, statusText: 'Service Unavailable' });
+      }
+      return new Response(JSON.stringify({ features: places[name] || [] }), { status: 200 });
+    }
+  };
+  if (caches) context.caches = createCaches(context.config);
+
+  return { context, calls, stats };
+}
+
+const batch = (body, context) => dispatch('/api/geocode/batch', {
+  method: 'POST',
+  contentType: 'application/json',
+  body
+}, context);
+
+test('each name gets found, ambiguous, not_found or error in input order', async () => {
+  const { context } = createContext();
+  const { status, body } = await batch({ names: ['Springfield', 'Atlantis', 'Paris', 'Broken', 'Lyon'] }, context);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(result => [result.query, result.status]), [
+    ['Springfield', 'ambiguous'],
+    ['Atlantis', 'not_found'],
+    ['Paris', 'found'],
+    ['Broken', 'error'],
+    ['Lyon', 'found']
+  ]);
+
+  // Ambiguous names still carry the best match, plus the equally good rivals
+  const [springfield] = body.results;
+  assert.deepEqual(springfield.coordinates, [-89.65, 39.8]);
+  assert.deepEqual(springfield.candidates.map(candidate => candidate.name), ['Springfield, Illinois', 'Springfield, Massachusetts']);
+  assert.match(body.results[3].message, /503/);
+});
+
+test('upstream calls are bounded and repeated names are looked up once', async () => {
+  const { context, calls, stats } = createContext();
+  const names = Array.from({ length: 12 }, (_, index) => `Place ${index}`).concat(['Paris', 'PARIS ']);
+  const { body } = await batch({ names }, context);
+
+  assert.equal(body.results.length, 14);
+  assert.equal(calls.length, 13);
+  assert.ok(stats.peak <= 4, `expected at most 4 upstream calls in flight, saw ${stats.peak}`);
+});
+
+test('filters are passed to Mapbox and kept apart in the cache', async () => {
+  const { context, calls } = createContext({ caches: true });
+  await batch({ names: ['Paris'], proximity: '2.35,48.85', country: ['FR'], types: 'place,locality' }, context);
+  await batch({ names: ['Paris'], proximity: [2.35, 48.85], country: 'fr', types: ['place', 'locality'] }, context);
+  await batch({ names: ['Paris'] }, context);
+
+  assert.equal(calls.length, 2);
+  const params = new URL(calls[0]).searchParams;
+  assert.equal(params.get('proximity'), '2.35,48.85');
+  assert.equal(params.get('country'), 'fr');
+  assert.equal(params.get('types'), 'place,locality');
+  assert.equal(params.get('limit'), '5');
+});
+
+test('invalid names and filters are rejected', async () => {
+  const { context, calls } = createContext();
+
+  assert.equal((await batch({ names: ['Paris', ''] }, context)).body.error, 'Invalid names');
+  assert.equal((await batch({ names: ['Paris'], country: 'France' }, context)).body.error, 'Invalid filters');
+  assert.equal((await batch({ names: ['Paris'], types: 'city' }, context)).body.error, 'Invalid filters');
+  assert.equal(calls.length, 0);
+});
@@ -0,0 +1,88 @@
+/**
+ * Geodesic Line Tests
+ * Great-circle interpolation, point density, antimeridian unwrapping and
+ * splitting, and bounds for lines that cross the dateline.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  greatCircleDistance,
+  greatCircleLine,
+  interpolateGreatCircle,
+  lngLatBounds,
+  splitAtAntimeridian
+} from '../../comparison/geodesic.js';
+
+const LOS_ANGELES = [-118.24, 34.05];
+const TOKYO = [139.69, 35.68];
+const SYDNEY = [151.21, -33.87];
+const LONDON = [-0.13, 51.51];
+const PARIS = [2.35, 48.86];
+
+const assertClose = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('interpolation follows the great circle rather than the lon/lat grid', () => {
+  const [lon, lat] = interpolateGreatCircle([0, 0], [90, 0], 0.5);
+  assertClose(lon, 45);
+  assertClose(lat, 0);
+
+  // Between two points on the 60th parallel the great circle passes over the pole
+  const [, poleLat] = interpolateGreatCircle([0, 60], [180, 60], 0.5);
+  assertClose(poleLat, 90);
+});
+
+test('point density follows the arc length', () => {
+  assert.equal(greatCircleLine([LONDON, PARIS]).length, Math.ceil(greatCircleDistance(LONDON, PARIS) / 100) + 1);
+  assert.equal(greatCircleLine([LONDON, PARIS], { segmentKm: 1000 }).length, 2);
+
+  const pacific = greatCircleLine([LOS_ANGELES, TOKYO]);
+  assert.ok(pacific.length > 80 && pacific.length < 100, `got ${pacific.length} points`);
+});
+
+test('trans-Pacific lines are unwrapped to cross the antimeridian', () => {
+  const line = greatCircleLine([LOS_ANGELES, TOKYO]);
+
+  assert.deepEqual(line[0], LOS_ANGELES);
+  assertClose(line[line.length - 1][0], TOKYO[0] - 360);
+  for (let i = 1; i < line.length; i++) {
+    assert.ok(Math.abs(line[i][0] - line[i - 1][0]) < 180, `jump at point ${i}`);
+  }
+
+  // The flight arcs north over the Pacific, well above either endpoint
+  assert.ok(Math.max(...line.map(([, lat]) => lat)) > 45);
+
+  const eastbound = greatCircleLine([SYDNEY, LOS_ANGELES]);
+  assertClose(eastbound[eastbound.length - 1][0], LOS_ANGELES[0] + 360);
+});
+
+test('bounds of a dateline-crossing line stay over the Pacific', () => {
+  const [[west, south], [east, north]] = lngLatBounds(greatCircleLine([LOS_ANGELES, TOKYO]));
+  assertClose(west, TOKYO[0] - 360);
+  assertClose(east, LOS_ANGELES[0]);
+  assertClose(south, LOS_ANGELES[1]);
+  assert.ok(north > 45);
+
+  // Unordered points get the same treatment, in the first point's world copy
+  const [[pointsWest], [pointsEast]] = lngLatBounds([TOKYO, LOS_ANGELES, SYDNEY]);
+  assertClose(pointsWest, TOKYO[0]);
+  assertClose(pointsEast, LOS_ANGELES[0] + 360);
+
+  assert.deepEqual(lngLatBounds([LONDON, PARIS]), [[LONDON[0], PARIS[1]], [PARIS[0], LONDON[1]]]);
+  assert.equal(lngLatBounds([]), null);
+});
+
+test('lines are split at the antimeridian for export', () => {
+  const parts = splitAtAntimeridian(greatCircleLine([SYDNEY, LOS_ANGELES]));
+
+  assert.equal(parts.length, 2);
+  assert.equal(parts[0][parts[0].length - 1][0], 180);
+  assert.equal(parts[1][0][0], -180);
+  assert.equal(parts[0][parts[0].length - 1][1], parts[1][0][1]);
+  parts.flat().forEach(([lon]) => assert.ok(lon >= -180 && lon <= 180));
+  assertClose(parts[1][parts[1].length - 1][0], LOS_ANGELES[0]);
+
+  assert.deepEqual(splitAtAntimeridian([LONDON, PARIS]), [[LONDON, PARIS]]);
+});
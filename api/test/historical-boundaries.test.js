@@ -0,0 +1,60 @@
+/**
+ * Historical Boundaries Tests
+ * Choosing the boundary snapshot for the time of a result's places, and the
+ * bundled snapshot files the historical style overlays.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { BOUNDARY_SNAPSHOTS, chooseSnapshot, describeMissingSnapshot, describeSnapshot, locationYears, snapshotUrl } from '../../comparison/historical-boundaries.js';
+
+test('the snapshot closest to the places\' time is chosen', () => {
+  assert.equal(chooseSnapshot({ start: 98, end: 117 }).id, 'roman-empire-117');
+  assert.equal(chooseSnapshot({ start: -27, end: 476 }).id, 'roman-empire-117');
+  assert.equal(chooseSnapshot({ start: 1914, end: 1918 }).id, 'europe-1914');
+  assert.equal(chooseSnapshot({ start: 1837, end: 1901 }).id, 'europe-1914');
+  assert.equal(chooseSnapshot({ start: 1206, end: 1368 }).id, 'mongol-empire-1279');
+
+  // Spans covering several snapshots take the one nearest their middle
+  assert.equal(chooseSnapshot({ start: 500, end: 1500 }).id, 'mongol-empire-1279');
+
+  // Too far from any snapshot
+  assert.equal(chooseSnapshot({ start: -3100, end: -30 }), null);
+  assert.equal(chooseSnapshot({ start: 2020, end: 2024 }), null);
+  assert.equal(chooseSnapshot(null), null);
+});
+
+test('places\' years come from their years or time contexts', () => {
+  assert.deepEqual(locationYears([
+    { name: 'Rome', timeContext: '1st century', years: { start: 1, end: 100 } },
+    { name: 'Constantinople', timeContext: '1453' },
+    { name: 'Paris', timeContext: '' }
+  ]), { start: 1, end: 1453 });
+  assert.equal(locationYears([{ name: 'Paris', timeContext: '' }]), null);
+
+  assert.equal(describeSnapshot(BOUNDARY_SNAPSHOTS[0]), 'Roman Empire, 117');
+  assert.equal(describeMissingSnapshot({ start: -3100, end: -30 }), 'No boundaries for 3100 BC–30 BC');
+});
+
+test('bundled snapshots are named, colored polygons with closed rings', () => {
+  BOUNDARY_SNAPSHOTS.forEach(snapshot => {
+    const data = JSON.parse(readFileSync(snapshotUrl(snapshot), 'utf8'));
+    assert.equal(data.type, 'FeatureCollection', snapshot.id);
+    assert.ok(data.features.length > 0, snapshot.id);
+
+    data.features.forEach(({ properties, geometry }) => {
+      assert.ok(properties.name, snapshot.id);
+      assert.match(properties.color, /^#[0-9a-f]{6}$/, properties.name);
+
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      assert.ok(['Polygon', 'MultiPolygon'].includes(geometry.type), properties.name);
+      polygons.flat().forEach(ring => {
+        assert.ok(ring.length >= 4, properties.name);
+        assert.deepEqual(ring[0], ring[ring.length - 1], properties.name);
+        ring.forEach(([lng, lat]) => assert.ok(Math.abs(lng) <= 180 && Math.abs(lat) <= 90, properties.name));
+      });
+    });
+  });
+});
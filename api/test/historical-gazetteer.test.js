@@ -0,0 +1,47 @@
+/**
+ * Historical Gazetteer Tests
+ * Resolving historical place names, era-aware choices between names, and
+ * what the popups say a place is called now.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HISTORICAL_PLACES, findHistoricalPlace, soundsHistorical } from '../../comparison/historical-gazetteer.js';
+
+test('historical names and their variants resolve with a note', () => {
+  const constantinople = findHistoricalPlace('Constantinople');
+  assert.deepEqual(constantinople.coordinates, [28.9784, 41.0082]);
+  assert.equal(constantinople.modern, 'Istanbul');
+  assert.equal(constantinople.note, 'Now known as Istanbul');
+
+  assert.equal(findHistoricalPlace('Gallia').name, 'Gaul');
+  assert.equal(findHistoricalPlace('Konigsberg').name, 'Königsberg');
+  assert.equal(findHistoricalPlace('ancient Carthage').note, 'Now known as Tunis');
+  assert.equal(findHistoricalPlace('Paris'), null);
+});
+
+test('time contexts choose between names and rename modern places', () => {
+  // Memphis is a city in Tennessee today, so it only means the Egyptian city in its own period
+  assert.equal(findHistoricalPlace('Memphis'), null);
+  assert.equal(findHistoricalPlace('Memphis', { start: -1300, end: -1200 }).modern, 'Mit Rahina, Egypt');
+
+  assert.equal(findHistoricalPlace('Istanbul'), null);
+  assert.equal(findHistoricalPlace('Istanbul', { start: 1453, end: 1453 }).note, 'Called Constantinople then (330–1930)');
+  assert.equal(findHistoricalPlace('Istanbul', { start: 100, end: 100 }).name, 'Byzantium');
+  assert.equal(findHistoricalPlace('London', { start: -27, end: 476 }).name, 'Londinium');
+  assert.equal(findHistoricalPlace('Paris', { start: 1920, end: 1929 }), null);
+});
+
+test('names sound historical when only the gazetteer knows them', () => {
+  assert.equal(soundsHistorical('Persia'), true);
+  assert.equal(soundsHistorical('Ancient Egypt'), true);
+  assert.equal(soundsHistorical('Kingdom of Prussia'), true);
+  assert.equal(soundsHistorical('Memphis'), false);
+  assert.equal(soundsHistorical('Denver'), false);
+
+  HISTORICAL_PLACES.forEach(place => {
+    assert.ok(place.start < place.end, place.name);
+    assert.ok(Math.abs(place.coordinates[0]) <= 180 && Math.abs(place.coordinates[1]) <= 90, place.name);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Isochrone Query Tests
+ * Recognizing "reachable within" questions, their budgets and travel modes,
+ * and the contours requested from /api/isochrone.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeIsochroneBudget, detectIsochroneQuery, toContours } from '../../comparison/isochrone-query.js';
+import { parseText } from '../../comparison/nlp-pipeline.js';
+
+test('reachable-area questions name their place, mode and budget', () => {
+  assert.deepEqual(detectIsochroneQuery('where can I drive to in 30 minutes from Denver'), {
+    place: 'Denver',
+    travelMode: 'driving',
+    metric: 'time',
+    contours: [10, 20, 30],
+    units: null
+  });
+  assert.deepEqual(detectIsochroneQuery('15 minute walk around the Louvre'), {
+    place: 'the Louvre',
+    travelMode: 'walking',
+    metric: 'time',
+    contours: [5, 10, 15],
+    units: null
+  });
+
+  const bike = detectIsochroneQuery('within 10/20/30 min by bike of Union Square');
+  assert.equal(bike.travelMode, 'cycling');
+  assert.deepEqual(bike.contours, [10, 20, 30]);
+
+  const hour = detectIsochroneQuery('where can we get in an hour from Boston');
+  assert.deepEqual(hour.contours, [20, 40, 60]);
+
+  const miles = detectIsochroneQuery('areas within 2 miles of Times Square');
+  assert.equal(miles.metric, 'distance');
+  assert.deepEqual(miles.contours, [3219]);
+  assert.equal(describeIsochroneBudget(miles), '2 miles driving');
+
+  // A place name containing "of" stays whole
+  assert.equal(detectIsochroneQuery('how far can I walk in 20 minutes from the Statue of Liberty').place, 'the Statue of Liberty');
+});
+
+test('trips, distance questions and other modes are not isochrones', () => {
+  assert.equal(detectIsochroneQuery('drive from Boston to New York'), null);
+  assert.equal(detectIsochroneQuery('how far is Paris from Berlin'), null);
+  assert.equal(detectIsochroneQuery('where can I fly in 2 hours from London'), null);
+  assert.equal(detectIsochroneQuery('where can I walk in 10 minutes from here'), null);
+});
+
+test('contours stay within the API limits', () => {
+  assert.deepEqual(toContours([90], 60, { split: true }), [20, 40, 60]);
+  assert.deepEqual(toContours([30, 10, 20, 10], 60), [10, 20, 30]);
+  assert.deepEqual(toContours([5, 10, 15, 20, 25], 60), [10, 15, 20, 25]);
+  assert.deepEqual(toContours([10], 60, { split: true }), [10]);
+  assert.equal(describeIsochroneBudget({ travelMode: 'walking', metric: 'distance', contours: [500, 1000] }), '0.5 and 1 km walking');
+});
+
+test('the pipeline returns an isochrone intent before matching plain routes', async () => {
+  const result = await parseText('where can I drive to in 30 minutes from Denver');
+
+  assert.equal(result.intentType, 'isochrone');
+  assert.deepEqual(result.locations.map(location => location.name), ['Denver']);
+  assert.deepEqual(result.isochrone, { metric: 'time', contours: [10, 20, 30], units: null });
+  assert.equal(result.message, 'Showing areas within 10, 20 and 30 minutes driving of Denver');
+});
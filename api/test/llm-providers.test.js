@@ -0,0 +1,116 @@
+/**
+ * LLM Provider Tests
+ * Runs /api/gemini against stubbed Gemini, OpenAI-compatible and Ollama
+ * endpoints and checks that every provider yields the same normalized response.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dispatch, loadConfig } from '../handlers.js';
+import { toMessages } from '../llm-providers.js';
+
+const resultText = JSON.stringify({ intentType: 'locations', locations: [{ name: 'Oslo', timeContext: '' }] });
+
+/**
+ * Stub upstream that answers in each provider's native format and records the requests
+ */
+function createStub() {
+  const calls = [];
+  const respond = body => new Response(JSON.stringify(body), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  async function stub(url, options = {}) {
+    calls.push({ url, options, body: JSON.parse(options.body) });
+    if (url.startsWith('https://generativelanguage.googleapis.com/')) {
+      return respond({ candidates: [{ content: { parts: [{ text: resultText }] } }] });
+    }
+    if (url.endsWith('/chat/completions')) {
+      return respond({ choices: [{ message: { role: 'assistant', content: resultText } }] });
+    }
+    if (url.endsWith('/api/chat')) {
+      return respond({ message: { role: 'assistant', content: resultText }, done: true });
+    }
+    throw new Error(`Unexpected upstream URL: ${url}`);
+  }
+
+  return { stub, calls };
+}
+
+async function ask(env, body = { prompt: 'Show me Oslo' }) {
+  const { stub, calls } = createStub();
+  const response = await dispatch('/api/gemini', {
+    method: 'POST',
+    contentType: 'application/json',
+    body
+  }, { config: loadConfig(env), fetch: stub, runtime: {} });
+  return { response, calls };
+}
+
+test('toMessages accepts prompt, messages and Gemini contents', () => {
+  const expected = [{ role: 'user', content: 'Show me Oslo' }];
+  assert.deepEqual(toMessages({ prompt: 'Show me Oslo' }), expected);
+  assert.deepEqual(toMessages({ messages: [{ role: 'user', content: 'Show me Oslo' }] }), expected);
+  assert.deepEqual(toMessages({ contents: [{ role: 'user', parts: [{ text: 'Show me Oslo' }] }] }), expected);
+  assert.equal(toMessages({}), null);
+});
+
+test('gemini is the default provider', async () => {
+  const { response, calls } = await ask({ GOOGLE_API_KEY: 'google-key' });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.text, resultText);
+  assert.equal(response.body.provider, 'gemini');
+  assert.match(calls[0].url, /models\/gemini-pro:generateContent\?key=google-key$/);
+  assert.deepEqual(calls[0].body, { contents: [{ role: 'user', parts: [{ text: 'Show me Oslo' }] }] });
+});
+
+test('OpenAI-compatible endpoints get a chat completion request', async () => {
+  const { response, calls } = await ask({
+    LLM_PROVIDER: 'openai',
+    LLM_API_KEY: 'sk-test',
+    LLM_MODEL: 'gpt-test'
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    { text: response.body.text, provider: response.body.provider, model: response.body.model },
+    { text: resultText, provider: 'openai', model: 'gpt-test' }
+  );
+  assert.equal(calls[0].url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(calls[0].options.headers.Authorization, 'Bearer sk-test');
+  assert.deepEqual(calls[0].body.messages, [{ role: 'user', content: 'Show me Oslo' }]);
+});
+
+test('a local model server needs no API key', async () => {
+  const { response, calls } = await ask({
+    LLM_PROVIDER: 'ollama',
+    LLM_BASE_URL: 'http://127.0.0.1:8080/'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.text, resultText);
+  assert.equal(response.body.provider, 'ollama');
+  assert.equal(calls[0].url, 'http://127.0.0.1:8080/api/chat');
+  assert.equal(calls[0].body.stream, false);
+});
+
+test('an unknown provider is reported as a configuration error', async () => {
+  const { response, calls } = await ask({ LLM_PROVIDER: 'carrier-pigeon' });
+  assert.equal(response.status, 500);
+  assert.equal(response.body.error, 'LLM provider not configured');
+  assert.equal(calls.length, 0);
+});
+
+test('/api/debug reports one mock mode for /api/gemini whatever the provider', async () => {
+  const debug = async env => (await dispatch('/api/debug', { method: 'GET' }, { config: loadConfig(env), runtime: {} })).body.apis;
+
+  for (const env of [{ LLM_PROVIDER: 'openai', LLM_API_KEY: 'sk-test' }, { LLM_PROVIDER: 'ollama' }]) {
+    const apis = await debug(env);
+    assert.equal(apis.gemini.mockMode, false);
+    assert.equal(apis.llm.mockMode, false);
+  }
+
+  const apis = await debug({ LLM_PROVIDER: 'openai' });
+  assert.equal(apis.gemini.mockMode, true);
+  assert.equal(apis.llm.mockMode, true);
+});
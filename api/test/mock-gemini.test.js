@@ -0,0 +1,88 @@
+/**
+ * Gemini Mock Scenario Tests
+ * Checks query extraction, scenario matching, injected errors and the
+ * regex-derived fallback, using the scenario files shipped in fixtures/.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { dispatch, loadConfig } from '../handlers.js';
+import { compileScenarios, createMockGemini, extractQuery } from '../mock-gemini.js';
+import { toMessages } from '../llm-providers.js';
+import { loadScenarios } from '../scenario-loader.js';
+
+const scenariosDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/gemini-scenarios');
+
+// Same wrapping as the prompt built in comparison/enhanced-nlp-improved.js
+const prompt = query => [{
+  role: 'user',
+  parts: [{
+    text: `
+      Parse the following query and extract structured location data for a map application:
+      "${query}"
+
+      INSTRUCTIONS:
+      - Identify if this is a route request
+    `
+  }]
+}];
+
+const mockContext = mockGemini => ({
+  config: loadConfig({ USE_MOCK_DATA: 'true' }),
+  fetch: () => { throw new Error('Mock mode must not call upstream'); },
+  runtime: {},
+  mockGemini
+});
+
+const resultOf = response => JSON.parse(response.body.text);
+
+test('extractQuery unwraps the client prompt and accepts bare text', () => {
+  assert.equal(extractQuery(toMessages({ contents: prompt('Walk from "Old Town" to  the harbour') })), 'Walk from "Old Town" to the harbour');
+  assert.equal(extractQuery(toMessages({ prompt: ' Paris to Berlin ' })), 'Paris to Berlin');
+  assert.equal(extractQuery([]), '');
+});
+
+test('shipped scenario files load and match their queries', async () => {
+  const scenarios = await loadScenarios(scenariosDir);
+  const resolveMock = createMockGemini(scenarios);
+
+  assert.equal(resolveMock(toMessages({ contents: prompt('Show me famous mountains') })).scenario, 'famous-mountains');
+  assert.equal(resolveMock(toMessages({ contents: prompt('Simulate Gemini error') })).error.status, 503);
+});
+
+test('scenarios can inject errors and raw model output', async () => {
+  const mockGemini = createMockGemini(compileScenarios([
+    { name: 'down', match: { exact: 'fail please' }, latencyMs: 0, error: { status: 503, message: 'Overloaded' } },
+    { name: 'raw', match: { regex: '^raw\\b' }, latencyMs: 0, response: '```json\n{}\n```' }
+  ]));
+
+  const failed = await dispatch('/api/gemini', { method: 'POST', contentType: 'application/json', body: { contents: prompt('Fail  please') } }, mockContext(mockGemini));
+  assert.deepEqual(failed, { status: 503, body: { error: 'Gemini API error', message: 'Overloaded' } });
+
+  const raw = await dispatch('/api/gemini', { method: 'POST', contentType: 'application/json', body: { contents: prompt('raw output') } }, mockContext(mockGemini));
+  assert.equal(raw.body.text, '```json\n{}\n```');
+});
+
+test('unmatched queries get the same regex-derived answer every time', async () => {
+  const mockGemini = createMockGemini([]);
+  const request = { method: 'POST', contentType: 'application/json', body: { contents: prompt('Boston to New York by bike') } };
+
+  const first = await dispatch('/api/gemini', request, mockContext(mockGemini));
+  const second = mockGemini(toMessages({ contents: prompt('Boston to New York by bike') }));
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.text, second.text);
+
+  const result = resultOf(first);
+  assert.equal(result.intentType, 'route');
+  assert.equal(result.travelMode, 'cycling');
+  assert.deepEqual(result.suggestedSequence, ['Boston', 'New York']);
+});
+
+test('invalid scenarios are rejected when compiled', () => {
+  assert.throws(() => compileScenarios([{ name: 'nothing', response: {} }]), /needs match/);
+  assert.throws(() => compileScenarios([{ name: 'empty', match: { exact: 'x' } }]), /needs a response or an error/);
+});
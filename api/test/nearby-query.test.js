@@ -0,0 +1,83 @@
+/**
+ * Nearby Query Tests
+ * Recognizing searches for a kind of place around an anchor, the area they
+ * search and how the places found are ranked.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectNearbyQuery, describeNearbySearch, nearbyBox, rankNearbyPlaces } from '../../comparison/nearby-query.js';
+import { parseText } from '../../comparison/nlp-pipeline.js';
+
+test('nearby searches name their category, anchor and radius', () => {
+  assert.deepEqual(detectNearbyQuery('museums near the Eiffel Tower'), {
+    category: 'museum',
+    anchor: 'the Eiffel Tower',
+    radius: 1500,
+    within: false,
+    units: null,
+    travelMode: null
+  });
+  assert.deepEqual(detectNearbyQuery('hotels in downtown Chicago'), {
+    category: 'hotel',
+    anchor: 'downtown Chicago',
+    radius: 5000,
+    within: true,
+    units: null,
+    travelMode: null
+  });
+
+  const me = detectNearbyQuery('parks within 2 km of me');
+  assert.equal(me.anchor, null);
+  assert.equal(me.radius, 2000);
+
+  const miles = detectNearbyQuery('Show me cheap hotels within 1 mile of Times Square?');
+  assert.equal(miles.anchor, 'Times Square');
+  assert.equal(miles.radius, 1609);
+  assert.equal(miles.units, 'imperial');
+
+  assert.equal(detectNearbyQuery('things to see in Rome').category, 'tourist_attraction');
+  assert.equal(detectNearbyQuery('coffee nearby').anchor, null);
+  assert.equal(detectNearbyQuery('museums near the Louvre by bike').travelMode, 'cycling');
+});
+
+test('places and routes that only contain category words are not searches', () => {
+  assert.equal(detectNearbyQuery('Central Park in New York'), null);
+  assert.equal(detectNearbyQuery('Museum of Fine Arts in Boston'), null);
+  assert.equal(detectNearbyQuery('Boston to New York'), null);
+  assert.equal(detectNearbyQuery('show me Paris and London'), null);
+});
+
+test('places are kept within the radius and ranked by distance', () => {
+  const center = [2.2945, 48.8584];
+  const [west, south, east, north] = nearbyBox(center, 1000);
+  assert.ok(Math.abs((north - center[1]) * 111.2 - 1) < 0.01);
+  assert.ok(west < center[0] && east > center[0] && south < center[1]);
+
+  const ranked = rankNearbyPlaces([
+    { name: 'Far', coordinates: [2.32, 48.86] },
+    { name: 'Close', coordinates: [2.295, 48.859] },
+    { name: 'Closer', coordinates: [2.2946, 48.8585] },
+    { name: 'Close', coordinates: [2.295, 48.859] }
+  ], center, 1000);
+  assert.deepEqual(ranked.map(place => [place.number, place.name]), [[1, 'Closer'], [2, 'Close']]);
+  assert.ok(ranked[0].distance < ranked[1].distance);
+
+  assert.equal(describeNearbySearch({ category: 'park', anchorName: 'your location', radius: 2000, currentPosition: true }),
+    'parks within 2 km of your location');
+});
+
+test('the pipeline returns a nearby intent before informational queries', async () => {
+  const result = await parseText('things to see in Rome');
+
+  assert.equal(result.intentType, 'nearby');
+  assert.deepEqual(result.locations.map(location => location.name), ['Rome']);
+  assert.deepEqual(result.nearby, { category: 'tourist_attraction', radius: 5000, within: true, units: null });
+  assert.equal(result.travelMode, 'walking');
+  assert.equal(result.message, 'Searching for attractions in Rome');
+
+  const me = await parseText('coffee within 500 m of me');
+  assert.equal(me.locations[0].currentPosition, true);
+  assert.equal(me.message, 'Searching for coffee within 500 m of your location');
+});
@@ -0,0 +1,101 @@
+/**
+ * Route Corridor Tests
+ * Requests for stops along the way in queries, the corridor around a route
+ * and ranking the places in it by detour.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractAlongRouteRequests, findCategory } from '../../comparison/poi-categories.js';
+import { corridorBoxes, insertStop, projectOntoRoute, rankCorridorPlaces } from '../../comparison/route-corridor.js';
+import { createConversationState, parseText, parseWithContext } from '../../comparison/nlp-pipeline.js';
+
+// A straight road east along the equator, about 111 km per degree
+const road = [[0, 0], [0.5, 0], [1, 0]];
+
+test('stop requests are taken out of the query', () => {
+  assert.deepEqual(extractAlongRouteRequests('Boston to New York with coffee stops'), {
+    categories: ['coffee'],
+    text: 'Boston to New York'
+  });
+  assert.deepEqual(extractAlongRouteRequests('LA to Vegas stopping for gas and coffee').categories, ['gas_station', 'coffee']);
+  assert.deepEqual(extractAlongRouteRequests('Seattle to Portland with EV chargers along the way').categories, ['charging_station']);
+
+  // Queries without such phrases are left alone
+  assert.deepEqual(extractAlongRouteRequests('coffee shops in Paris'), { categories: [], text: 'coffee shops in Paris' });
+
+  assert.equal(findCategory('Pharmacies'), 'pharmacy');
+  assert.equal(findCategory('petrol stations'), 'gas_station');
+  assert.equal(findCategory('casino'), null);
+});
+
+test('places are located along the route', () => {
+  const { distance, along, segment } = projectOntoRoute([0.75, 0.01], road);
+  assert.ok(Math.abs(distance - 1.112) < 0.01, `got ${distance} km`);
+  assert.ok(Math.abs(along - 83.4) < 0.1, `got ${along} km`);
+  assert.equal(segment, 1);
+
+  // Beyond the end the closest point is the end
+  assert.ok(Math.abs(projectOntoRoute([1.1, 0], road).distance - 11.12) < 0.01);
+});
+
+test('the corridor is covered by boxes grown by its width', () => {
+  const boxes = corridorBoxes(road, 2, 4);
+  assert.equal(boxes.length, 4);
+  assert.ok(boxes[0][0] < 0 && boxes[3][2] > 1);
+  assert.ok(Math.abs(boxes[0][3] - 2 / 111.2) < 1e-6);
+
+  // Consecutive boxes overlap so nothing between them is missed
+  boxes.slice(1).forEach((box, i) => assert.ok(box[0] <= boxes[i][2]));
+
+  assert.equal(corridorBoxes([[0, 0], [0.01, 0]], 2).length, 1);
+});
+
+test('places in the corridor are ranked by detour and placed on a leg', () => {
+  const places = [
+    { name: 'Far', coordinates: [0.2, 0.05] },
+    { name: 'Late', coordinates: [0.9, 0.005] },
+    { name: 'Early', coordinates: [0.1, 0.005] },
+    { name: 'Near', coordinates: [0.6, -0.001] },
+    { name: 'Near', coordinates: [0.6, -0.001] }
+  ];
+  const ranked = rankCorridorPlaces(places, road, { widthKm: 2, stops: [[0, 0], [0.5, 0], [1, 0]] });
+
+  assert.deepEqual(ranked.map(place => place.name), ['Near', 'Early', 'Late']);
+  assert.deepEqual(ranked.map(place => place.leg), [1, 0, 1]);
+  assert.equal(ranked[0].detour, 222);
+  assert.equal(ranked[1].detourDuration, 80);
+
+  // A place goes between the stops of its leg
+  const stops = [{ name: 'A' }, { name: 'B' }, { name: 'C' }];
+  assert.deepEqual(insertStop(stops, { ...ranked[1] }).map(stop => stop.name), ['A', 'Early', 'B', 'C']);
+  assert.deepEqual(insertStop(stops, { ...ranked[0] }).map(stop => stop.name), ['A', 'B', 'Near', 'C']);
+});
+
+test('the pipeline returns the requested categories with the route', async () => {
+  const result = await parseText('Boston to New York avoiding tolls with coffee and gas stops');
+
+  assert.equal(result.intentType, 'route');
+  assert.deepEqual(result.locations.map(location => location.name), ['Boston', 'New York']);
+  assert.deepEqual(result.corridorCategories, ['coffee', 'gas_station']);
+  assert.deepEqual(result.routePreferences.exclude, ['toll']);
+
+  assert.equal((await parseText('Boston to New York')).corridorCategories, undefined);
+});
+
+test('stops asked for after a route are looked for along that route', async () => {
+  const conversation = createConversationState();
+  await parseWithContext('Denver to Boulder', conversation);
+  const result = await parseWithContext('gas stations along the way', conversation);
+
+  assert.equal(result.intentType, 'route');
+  assert.deepEqual(result.locations.map(location => location.name), ['Denver', 'Boulder']);
+  assert.deepEqual(result.corridorCategories, ['gas_station']);
+  assert.equal(result.alongActiveRoute, true);
+  assert.equal(result.message, 'Searching along the route for gas stations');
+
+  // Without a route there is nothing to search along
+  const alone = await parseWithContext('gas stations along the way');
+  assert.equal(alone.alongActiveRoute, undefined);
+});
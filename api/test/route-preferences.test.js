@@ -0,0 +1,123 @@
+/**
+ * Route Preference Tests
+ * Extraction from query text, the parse result, and validation and
+ * forwarding by GET /api/directions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dispatch, loadConfig } from '../handlers.js';
+import { parseText } from '../../comparison/nlp-pipeline.js';
+import {
+  applicablePreferences,
+  describeRoutePreferences,
+  extractRoutePreferences,
+  preferencesFromList,
+  toDirectionsQuery
+} from '../../comparison/route-preferences.js';
+
+// Sunday 19 October 2026, 10:00 local time
+const now = new Date(2026, 9, 19, 10, 0);
+
+test('preference phrases are extracted and removed from the query', () => {
+  const { preferences, text } = extractRoutePreferences(
+    'From Boston to New York avoiding highways and tolls, leaving at 8am with alternatives',
+    now
+  );
+  assert.equal(text, 'From Boston to New York');
+  assert.deepEqual(preferences, {
+    exclude: ['motorway', 'toll'],
+    departAt: '2026-10-20T08:00',
+    alternatives: true,
+    maxSpeed: null
+  });
+});
+
+test('departure times and speeds are normalized', () => {
+  assert.equal(extractRoutePreferences('from Rome to Naples departing at 14:30', now).preferences.departAt, '2026-10-19T14:30');
+  assert.equal(extractRoutePreferences('from Rome to Naples departing at 14:30 tomorrow', now).preferences.departAt, '2026-10-20T14:30');
+  assert.equal(extractRoutePreferences('from Lyon to Nice at a max speed of 60 mph', now).preferences.maxSpeed, 97);
+  assert.equal(extractRoutePreferences('from Lyon to Nice no faster than 90 km/h', now).preferences.maxSpeed, 90);
+});
+
+test('LLM preference strings map to the same structure', () => {
+  assert.deepEqual(preferencesFromList(['avoid highways', 'no ferries', 'historical context']).exclude, ['motorway', 'ferry']);
+});
+
+test('parse results carry routePreferences and clean location names', async () => {
+  const result = await parseText('From Paris to Berlin avoiding tolls');
+  assert.deepEqual(result.locations.map(location => location.name), ['Paris', 'Berlin']);
+  assert.deepEqual(result.routePreferences.exclude, ['toll']);
+});
+
+test('preferences a profile does not support are dropped and described', () => {
+  const preferences = { exclude: ['toll', 'ferry'], departAt: '2026-10-20T08:00', alternatives: false, maxSpeed: 90 };
+  const { preferences: cycling, ignored } = applicablePreferences(preferences, 'mapbox/cycling');
+
+  assert.deepEqual(toDirectionsQuery(cycling), { exclude: 'ferry' });
+  assert.deepEqual(ignored, ['avoiding tolls', 'departure time', 'max speed']);
+  assert.equal(describeRoutePreferences(preferences), 'avoiding tolls and ferries, departing 2026-10-20 at 08:00, max 90 km/h');
+});
+
+/**
+ * Call /api/directions against a stub that records the upstream URL
+ */
+async function directions(query) {
+  const calls = [];
+  const response = await dispatch('/api/directions', { method: 'GET', query }, {
+    config: loadConfig({ MAPBOX_TOKEN: 'pk.test-token' }),
+    runtime: {},
+    fetch: async url => {
+      calls.push(new URL(url));
+      return new Response(JSON.stringify({ routes: [{ geometry: { coordinates: [] } }] }), { status: 200 });
+    }
+  });
+  return { response, calls };
+}
+
+test('/api/directions forwards valid preferences to Mapbox', async () => {
+  const { response, calls } = await directions({
+    coordinates: '2.35,48.85;13.4,52.52',
+    profile: 'mapbox/driving',
+    exclude: 'toll,motorway',
+    depart_at: '2026-10-20T08:00',
+    alternatives: 'true',
+    max_speed: '90'
+  });
+
+  assert.equal(response.status, 200);
+  const params = calls[0].searchParams;
+  assert.equal(params.get('exclude'), 'motorway,toll');
+  assert.equal(params.get('depart_at'), '2026-10-20T08:00');
+  assert.equal(params.get('alternatives'), 'true');
+  assert.equal(params.get('max_speed'), '90');
+});
+
+test('/api/directions only asks Mapbox for steps when requested', async () => {
+  const without = await directions({ coordinates: '2.35,48.85;13.4,52.52' });
+  assert.equal(without.calls[0].searchParams.get('steps'), null);
+
+  const withSteps = await directions({ coordinates: '2.35,48.85;13.4,52.52', steps: 'true' });
+  assert.equal(withSteps.calls[0].searchParams.get('steps'), 'true');
+});
+
+test('/api/directions rejects preferences the profile does not support', async () => {
+  const cases = [
+    [{ profile: 'walking', exclude: 'toll' }, /not supported for walking/],
+    [{ profile: 'driving', exclude: 'unpaved' }, /exclude for driving/],
+    [{ profile: 'cycling', depart_at: '2026-10-20T08:00' }, /depart_at is not supported/],
+    [{ profile: 'driving', depart_at: 'tomorrow' }, /YYYY-MM-DDThh:mm/],
+    [{ profile: 'driving-traffic', max_speed: '90' }, /only supported for the driving profile/],
+    [{ profile: 'driving', max_speed: '500' }, /between 10 and 200/],
+    [{ profile: 'driving', alternatives: 'yes' }, /true or false/]
+  ];
+
+  for (const [query, message] of cases) {
+    const { response, calls } = await directions({ coordinates: '2.35,48.85;13.4,52.52', ...query });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid route preferences');
+    assert.match(response.body.message, message);
+    assert.equal(calls.length, 0);
+  }
+});
@@ -0,0 +1,114 @@
+/**
+ * Sea Routing Tests
+ * The bundled maritime network, snapping stops to it, and shortest paths
+ * through straits and canals.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MARITIME_EDGES, MARITIME_NODES } from '../../comparison/maritime-network.js';
+import { createSeaRouter } from '../../comparison/sea-routing.js';
+
+const ROTTERDAM = [4.48, 51.92];
+const SINGAPORE = [103.82, 1.35];
+const NEW_YORK = [-74.0, 40.71];
+const LOS_ANGELES = [-118.24, 34.05];
+const TOKYO = [139.69, 35.68];
+const SAN_FRANCISCO = [-122.42, 37.77];
+const ISTANBUL = [28.98, 41.01];
+const ODESA = [30.73, 46.48];
+const ATHENS = [23.73, 37.98];
+
+test('every node of the bundled network is reachable from every other', () => {
+  const neighbours = new Map(Object.keys(MARITIME_NODES).map(id => [id, []]));
+  MARITIME_EDGES.forEach(([from, to]) => {
+    assert.ok(MARITIME_NODES[from] && MARITIME_NODES[to], `unknown node in edge ${from} - ${to}`);
+    neighbours.get(from).push(to);
+    neighbours.get(to).push(from);
+  });
+
+  const [first] = neighbours.keys();
+  const reached = new Set([first]);
+  const queue = [first];
+  while (queue.length > 0) {
+    neighbours.get(queue.pop()).forEach(id => {
+      if (!reached.has(id)) {
+        reached.add(id);
+        queue.push(id);
+      }
+    });
+  }
+
+  assert.deepEqual(Object.keys(MARITIME_NODES).filter(id => !reached.has(id)), []);
+});
+
+test('stops snap to a nearby port before a nearer waypoint', () => {
+  const { snapToNetwork } = createSeaRouter();
+
+  assert.equal(snapToNetwork(ROTTERDAM).id, 'rotterdam');
+  assert.equal(snapToNetwork(NEW_YORK).id, 'new-york');
+  // Mid-ocean there is no port in range
+  assert.equal(snapToNetwork([-39, 40]).id, 'mid-atlantic');
+
+  const istanbul = snapToNetwork(ISTANBUL);
+  assert.equal(istanbul.id, 'istanbul');
+  assert.ok(istanbul.distance < 10, `got ${istanbul.distance} km`);
+});
+
+test('Black Sea routes pass the Bosporus and the Dardanelles', () => {
+  const { findSeaRoute } = createSeaRouter();
+
+  const route = findSeaRoute([ODESA, ATHENS]);
+  assert.deepEqual(route.waypoints.slice(0, 4), ['Odesa', 'Black Sea', 'Bosporus', 'Istanbul']);
+  assert.ok(route.waypoints.includes('Sea of Marmara'));
+  assert.ok(route.waypoints.includes('Dardanelles'));
+  assert.equal(route.waypoints[route.waypoints.length - 1], 'Piraeus (Athens)');
+  assert.ok(route.distance > 1200000 && route.distance < 1800000, `got ${route.distance} m`);
+});
+
+test('routes follow the canals that shorten them', () => {
+  const { findSeaRoute } = createSeaRouter();
+
+  const suez = findSeaRoute([ROTTERDAM, SINGAPORE]);
+  assert.deepEqual(suez.canals, ['Suez Canal']);
+  assert.ok(suez.waypoints.includes('Strait of Gibraltar'));
+  assert.ok(suez.waypoints.includes('Strait of Malacca'));
+
+  const panama = findSeaRoute([NEW_YORK, LOS_ANGELES]);
+  assert.deepEqual(panama.canals, ['Panama Canal']);
+  // Around Cape Horn would be roughly twice as long
+  assert.ok(panama.distance > 8000000 && panama.distance < 11000000, `got ${panama.distance} m`);
+
+  const route = suez.coordinates;
+  assert.deepEqual(route[0], ROTTERDAM);
+  assert.deepEqual(route[route.length - 1], SINGAPORE);
+});
+
+test('trans-Pacific sea routes are unwrapped at the antimeridian', () => {
+  const { coordinates } = createSeaRouter().findSeaRoute([TOKYO, SAN_FRANCISCO]);
+
+  for (let i = 1; i < coordinates.length; i++) {
+    assert.ok(Math.abs(coordinates[i][0] - coordinates[i - 1][0]) < 180, `jump at point ${i}`);
+  }
+  assert.ok(Math.abs(coordinates[coordinates.length - 1][0] - (SAN_FRANCISCO[0] + 360)) < 1e-9);
+});
+
+test('multi-stop routes chain their legs and stops off the network return null', () => {
+  const router = createSeaRouter({
+    nodes: {
+      a: { name: 'A', coordinates: [0, 0], port: true },
+      b: { name: 'B', coordinates: [10, 0] },
+      c: { name: 'C', coordinates: [20, 0], port: true },
+      island: { name: 'Island', coordinates: [0, 40], port: true }
+    },
+    edges: [['a', 'b'], ['b', 'c', { canal: 'Test Canal' }]]
+  });
+
+  const route = router.findSeaRoute([[0, 0], [20, 0], [0, 0]]);
+  assert.deepEqual(route.waypoints, ['A', 'B', 'C', 'B', 'A']);
+  assert.deepEqual(route.canals, ['Test Canal']);
+
+  assert.equal(router.findSeaRoute([[0, 0], [0, 40]]), null);
+  assert.equal(router.findSeaRoute([[0, 0]]), null);
+});
@@ -0,0 +1,105 @@
+/**
+ * Spatial Expression Tests
+ * Places described relative to others, the coordinates they resolve to and
+ * naming what is there.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeReverseGeocode, directionBearing, parseSpatialExpression, resolveSpatialExpression } from '../../comparison/spatial-expressions.js';
+import { greatCircleDistance } from '../../comparison/geodesic.js';
+import { parseText } from '../../comparison/nlp-pipeline.js';
+
+const PLACES = {
+  denver: [-104.9903, 39.7392],
+  paris: [2.3522, 48.8566],
+  madrid: [-3.7038, 40.4168],
+  lisbon: [-9.1393, 38.7223]
+};
+
+// Land ends at longitude -9.5, a little west of Lisbon
+const lookups = {
+  geocode: name => PLACES[name.toLowerCase()] || null,
+  reverseGeocode: ([lng]) => ({ land: lng > -9.5, name: lng > -9.5 ? 'Somewhere, Portugal' : null }),
+  currentPosition: () => [0, 0]
+};
+
+test('relative descriptions parse into expression trees', () => {
+  assert.deepEqual(parseSpatialExpression('50 miles north of Denver'), {
+    type: 'offset', from: { type: 'place', name: 'Denver' }, bearing: 0, distanceKm: 50 * 1.609344
+  });
+  assert.deepEqual(parseSpatialExpression('halfway between Paris and Madrid'), {
+    type: 'midpoint', between: [{ type: 'place', name: 'Paris' }, { type: 'place', name: 'Madrid' }]
+  });
+  assert.deepEqual(parseSpatialExpression('the coast west of Lisbon'), {
+    type: 'coast', from: { type: 'place', name: 'Lisbon' }, bearing: 270
+  });
+  assert.deepEqual(parseSpatialExpression('10 km east of here').from, { type: 'here' });
+
+  // Expressions nest
+  const nested = parseSpatialExpression('20 km south of the midpoint of Paris and Madrid');
+  assert.equal(nested.from.type, 'midpoint');
+
+  assert.equal(directionBearing('north-east'), 45);
+  assert.equal(directionBearing('NNW'), 337.5);
+  assert.equal(directionBearing('south west'), 225);
+
+  // Plain names are not expressions
+  assert.equal(parseSpatialExpression('Denver'), null);
+  assert.equal(parseSpatialExpression('North Dakota'), null);
+  assert.equal(parseSpatialExpression('Paris and Madrid'), null);
+});
+
+test('expressions resolve to offsets, midpoints and coasts', async () => {
+  const north = await resolveSpatialExpression(parseSpatialExpression('50 miles north of Denver'), lookups);
+  assert.ok(Math.abs(greatCircleDistance(PLACES.denver, north) - 80.47) < 0.01);
+  assert.ok(Math.abs(north[0] - PLACES.denver[0]) < 1e-9 && north[1] > PLACES.denver[1]);
+
+  const middle = await resolveSpatialExpression(parseSpatialExpression('halfway between Paris and Madrid'), lookups);
+  const toParis = greatCircleDistance(PLACES.paris, middle);
+  assert.ok(Math.abs(toParis - greatCircleDistance(PLACES.madrid, middle)) < 0.01);
+
+  const east = await resolveSpatialExpression(parseSpatialExpression('10 km east of here'), lookups);
+  assert.ok(Math.abs(east[0] - 10 / 111.195) < 1e-3 && Math.abs(east[1]) < 1e-9);
+
+  // The coast is the last point on land walking west, to within a couple of km
+  const coast = await resolveSpatialExpression(parseSpatialExpression('the coast west of Lisbon'), lookups);
+  assert.ok(coast[0] > -9.5 && coast[0] < -9.47, `got ${coast[0]}`);
+});
+
+test('resolving fails when a place, the position or the coast is missing', async () => {
+  await assert.rejects(resolveSpatialExpression(parseSpatialExpression('5 km north of Atlantis'), lookups), /Could not find "Atlantis"/);
+  await assert.rejects(
+    resolveSpatialExpression(parseSpatialExpression('1 km north of me'), { ...lookups, currentPosition: () => null }),
+    /your location/
+  );
+  await assert.rejects(resolveSpatialExpression(parseSpatialExpression('the coast east of Lisbon'), lookups), /No coast within 320 km east of Lisbon/);
+});
+
+test('reverse geocoding names the place and tells land from sea', () => {
+  const feature = {
+    place_type: ['address'],
+    text: 'Main Street',
+    context: [
+      { id: 'place.123', text: 'Fort Collins' },
+      { id: 'region.456', text: 'Colorado' },
+      { id: 'country.789', text: 'United States' }
+    ]
+  };
+  assert.deepEqual(describeReverseGeocode([feature]), { land: true, name: 'Fort Collins, Colorado' });
+  assert.deepEqual(describeReverseGeocode([{ place_type: ['country'], text: 'Portugal' }]), { land: false, name: 'Portugal' });
+  assert.deepEqual(describeReverseGeocode([]), { land: false, name: null });
+});
+
+test('the pipeline marks described places in queries and routes', async () => {
+  const result = await parseText('Show me halfway between Paris and Madrid?');
+  assert.equal(result.intentType, 'locations');
+  assert.deepEqual(result.locations.map(location => location.name), ['halfway between Paris and Madrid']);
+  assert.equal(result.locations[0].spatial.type, 'midpoint');
+
+  const route = await parseText('Boston to 20 miles north of Boston');
+  assert.equal(route.intentType, 'route');
+  assert.equal(route.locations[0].spatial, undefined);
+  assert.equal(route.locations[1].spatial.type, 'offset');
+});
@@ -0,0 +1,81 @@
+/**
+ * Time Context Tests
+ * Normalizing time contexts into year ranges, taking them off place names,
+ * and turning dated places into a timeline.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeYears, parseTimeContext, splitTimeContext, timelinePhase } from '../../comparison/time-context.js';
+import { parseText } from '../../comparison/nlp-pipeline.js';
+
+test('years, ranges, decades and centuries become year ranges', () => {
+  assert.deepEqual(parseTimeContext('1453'), { start: 1453, end: 1453 });
+  assert.deepEqual(parseTimeContext('44 BC'), { start: -44, end: -44 });
+  assert.deepEqual(parseTimeContext('1914–18'), { start: 1914, end: 1918 });
+  assert.deepEqual(parseTimeContext('between 500 and 300 BC'), { start: -500, end: -300 });
+  assert.deepEqual(parseTimeContext('the 1920s'), { start: 1920, end: 1929 });
+  assert.deepEqual(parseTimeContext('1800s'), { start: 1800, end: 1899 });
+  assert.deepEqual(parseTimeContext('19th century'), { start: 1801, end: 1900 });
+  assert.deepEqual(parseTimeContext('5th century BC'), { start: -500, end: -401 });
+  assert.deepEqual(parseTimeContext('early 19th century'), { start: 1801, end: 1833 });
+
+  assert.equal(parseTimeContext('spring'), null);
+  assert.equal(parseTimeContext(''), null);
+});
+
+test('named eras come from the era table', () => {
+  assert.deepEqual(parseTimeContext('Victorian era'), { start: 1837, end: 1901 });
+  assert.deepEqual(parseTimeContext('during the Ming dynasty'), { start: 1368, end: 1644 });
+  assert.deepEqual(parseTimeContext('Roman Empire'), { start: -27, end: 476 });
+
+  // The longest name wins
+  assert.deepEqual(parseTimeContext('Holy Roman Empire'), { start: 800, end: 1806 });
+  assert.deepEqual(parseTimeContext('the second world war'), { start: 1939, end: 1945 });
+  assert.deepEqual(parseTimeContext('Middle Ages'), { start: 500, end: 1500 });
+  assert.deepEqual(parseTimeContext('during the Middle Ages'), { start: 500, end: 1500 });
+  assert.deepEqual(parseTimeContext('Late Middle Ages'), { start: 1300, end: 1500 });
+
+  assert.equal(describeYears(parseTimeContext('Roman Empire')), '27 BC–476');
+});
+
+test('times are taken off the end of place names', () => {
+  assert.deepEqual(splitTimeContext('Constantinople in 1453'), { name: 'Constantinople', timeContext: '1453' });
+  assert.deepEqual(splitTimeContext('London during the Victorian era'), { name: 'London', timeContext: 'Victorian era' });
+  assert.deepEqual(splitTimeContext("Xi'an (Tang dynasty)"), { name: "Xi'an", timeContext: 'Tang dynasty' });
+
+  assert.equal(splitTimeContext('Museum of Fine Arts in Boston'), null);
+  assert.equal(splitTimeContext('Berlin (Germany)'), null);
+
+  assert.equal(timelinePhase({ start: 1837, end: 1901 }, 1800), 'upcoming');
+  assert.equal(timelinePhase({ start: 1837, end: 1901 }, 1901), 'active');
+  assert.equal(timelinePhase({ start: 1837, end: 1901 }, 1902), 'past');
+});
+
+test('the pipeline shows dated places as a timeline in time order', async () => {
+  const result = await parseText('Show me Constantinople in 1453, Rome in the 1st century and London during the Victorian era');
+
+  assert.equal(result.intentType, 'timeline');
+  assert.deepEqual(result.locations.map(location => [location.name, location.timeContext]), [
+    ['Constantinople', '1453'],
+    ['Rome', '1st century'],
+    ['London', 'Victorian era']
+  ]);
+  assert.deepEqual(result.locations[1].years, { start: 1, end: 100 });
+  assert.deepEqual(result.suggestedSequence, ['Rome', 'Constantinople', 'London']);
+
+  // Trips stay routes
+  assert.equal((await parseText('Show me Paris and London')).intentType, 'route');
+});
+
+test('dated places listed without "Show me" are a timeline too', async () => {
+  const result = await parseText('Constantinople in 1453, Rome in the 1st century and London during the Victorian era');
+
+  assert.equal(result.intentType, 'timeline');
+  assert.deepEqual(result.locations.map(location => location.name), ['Constantinople', 'Rome', 'London']);
+  assert.deepEqual(result.suggestedSequence, ['Rome', 'Constantinople', 'London']);
+
+  // A list with an undated place is left to the other extractors
+  assert.notEqual((await parseText('Constantinople in 1453, Rome and London')).intentType, 'timeline');
+});
@@ -0,0 +1,64 @@
+/**
+ * Travel Mode Tests
+ * Mode verbs at the start of a phrase, and trips parsed into legs that each
+ * have their own travel mode.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TRAVEL_MODES, detectTravelMode } from '../../comparison/travel-modes.js';
+import { extractDirectRoutePattern, parseWithContext } from '../../comparison/nlp-pipeline.js';
+
+test('mode verbs are split off the start of a phrase', () => {
+  assert.deepEqual(detectTravelMode('fly to London'), { mode: 'flying', rest: 'to London' });
+  assert.deepEqual(detectTravelMode('Take a  ferry to Dublin'), { mode: 'sailing', rest: 'to Dublin' });
+  assert.deepEqual(detectTravelMode('walk from A to B'), { mode: 'walking', rest: 'from A to B' });
+  assert.equal(detectTravelMode('Boston to New York'), null);
+  // A verb has to be a whole word
+  assert.equal(detectTravelMode('flyover to Denver'), null);
+});
+
+test('every mode has a label and a line style of its own', () => {
+  const modes = Object.values(TRAVEL_MODES);
+  assert.equal(new Set(modes.map(mode => mode.color)).size, modes.length);
+  assert.equal(new Set(modes.map(mode => JSON.stringify(mode.dasharray))).size, modes.length);
+  modes.forEach(mode => assert.ok(mode.label && mode.verbs.length > 0));
+});
+
+test('trips joined by "then" are parsed into legs with their own modes', () => {
+  const trip = extractDirectRoutePattern('Drive from Boston to New York, then fly to London, then walk to the British Museum.');
+
+  assert.deepEqual(trip.suggestedSequence, ['Boston', 'New York', 'London', 'the British Museum']);
+  assert.deepEqual(trip.legModes, ['driving', 'flying', 'walking']);
+  assert.equal(trip.travelMode, 'driving');
+  assert.equal(trip.message, 'Showing trip from Boston to the British Museum');
+});
+
+test('trips with a mode per leg are not questioned as routes', async () => {
+  const trip = await parseWithContext('drive from Boston to New York, then fly to London, then walk to the British Museum');
+  assert.deepEqual(trip.legModes, ['driving', 'flying', 'walking']);
+  assert.equal(trip.needsClarification, false);
+  assert.equal(trip.confidence, 0.95);
+});
+
+test('legs may list several stops, repeat their origin or start elsewhere', () => {
+  const chained = extractDirectRoutePattern('walk from A to B and then cycle to C to D');
+  assert.deepEqual(chained.suggestedSequence, ['A', 'B', 'C', 'D']);
+  assert.deepEqual(chained.legModes, ['walking', 'cycling', 'cycling']);
+
+  // Repeating where the previous leg ended adds no stop
+  const repeated = extractDirectRoutePattern('drive from Paris to Lyon, then fly from Lyon to Rome');
+  assert.deepEqual(repeated.suggestedSequence, ['Paris', 'Lyon', 'Rome']);
+
+  // A leg from elsewhere is reached the way the previous leg went, and
+  // airport codes on flights resolve to the airport
+  const airports = extractDirectRoutePattern('Boston to New York then fly JFK to lhr then take a ferry to Dublin');
+  assert.deepEqual(airports.legModes, ['driving', 'driving', 'flying', 'sailing']);
+  assert.deepEqual(airports.locations.map(location => location.iata), [undefined, undefined, 'JFK', 'LHR', undefined]);
+});
+
+test('queries without a mode for every later leg are not trips', () => {
+  assert.equal(extractDirectRoutePattern('from Boston then to Chicago').legModes, undefined);
+  assert.equal(extractDirectRoutePattern('fly JFK to NRT').legModes, undefined);
+});
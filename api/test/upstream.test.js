@@ -0,0 +1,138 @@
+/**
+ * Upstream Record/Replay Tests
+ * Records upstream calls through the handlers, then replays them with the
+ * network unavailable.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { dispatch, loadConfig } from '../handlers.js';
+import { createUpstreamFetch, normalizeRequest } from '../upstream.js';
+
+const geocodingFixture = {
+  type: 'FeatureCollection',
+  features: [{ geometry: { type: 'Point', coordinates: [2.3522, 48.8566] } }]
+};
+
+let fixturesDir;
+let upstreamCalls;
+
+async function liveUpstream(url) {
+  upstreamCalls.push(url);
+  return new Response(JSON.stringify(geocodingFixture), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function offline(url) {
+  throw new Error(`Network access attempted in replay mode: ${url}`);
+}
+
+const runtime = { version: 'test', platform: 'test' };
+
+before(async () => {
+  fixturesDir = await mkdtemp(path.join(tmpdir(), 'upstream-fixtures-'));
+  upstreamCalls = [];
+});
+
+after(async () => {
+  await rm(fixturesDir, { recursive: true, force: true });
+});
+
+test('normalizeRequest drops secrets and sorts query parameters and JSON keys', () => {
+  const a = normalizeRequest('https://api.mapbox.com/geocoding/v5/mapbox.places/Paris.json?limit=1&access_token=pk.one');
+  const b = normalizeRequest('https://api.mapbox.com/geocoding/v5/mapbox.places/paris.json?access_token=pk.two&limit=1');
+  assert.deepEqual(a, b);
+  assert.equal(a.service, 'mapbox-geocoding');
+  assert.doesNotMatch(a.url, /access_token/);
+
+  const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=secret';
+  const c = normalizeRequest(url, { method: 'POST', body: '{"b":1,"a":{"d":2,"c":3}}' });
+  const d = normalizeRequest(url, { method: 'POST', body: '{"a":{"c":3,"d":2},"b":1}' });
+  assert.equal(c.body, d.body);
+  assert.doesNotMatch(c.url, /secret/);
+});
+
+test('record saves fixtures that replay serves without network or token', async () => {
+  const recordContext = {
+    config: loadConfig({ MAPBOX_TOKEN: 'pk.test-token', UPSTREAM_MODE: 'record' }),
+    fetch: createUpstreamFetch(liveUpstream, { mode: 'record', fixturesDir }),
+    runtime
+  };
+  const recorded = await dispatch('/api/mapbox-geocoding', { method: 'GET', query: { q: 'Paris' } }, recordContext);
+  assert.equal(recorded.status, 200);
+  assert.equal(upstreamCalls.length, 1);
+
+  const files = await readdir(path.join(fixturesDir, 'mapbox-geocoding'));
+  assert.equal(files.length, 1);
+  const saved = await readFile(path.join(fixturesDir, 'mapbox-geocoding', files[0]), 'utf8');
+  assert.doesNotMatch(saved, /pk\.test-token/);
+
+  const replayContext = {
+    config: loadConfig({ UPSTREAM_MODE: 'replay' }),
+    fetch: createUpstreamFetch(offline, { mode: 'replay', fixturesDir }),
+    runtime
+  };
+  const replayed = await dispatch('/api/mapbox-geocoding', { method: 'GET', query: { q: 'PARIS' } }, replayContext);
+  assert.deepEqual(replayed, { status: 200, body: geocodingFixture });
+});
+
+test('matrix calls are recorded as a service of their own', async () => {
+  const coordinates = '-104.99,39.74;-97.74,30.27';
+  const request = normalizeRequest(`https://api.mapbox.com/directions-matrix/v1/mapbox/driving/${coordinates}?annotations=distance,duration`);
+  assert.equal(request.service, 'mapbox-matrix');
+
+  const context = {
+    config: loadConfig({ MAPBOX_TOKEN: 'pk.test-token', UPSTREAM_MODE: 'record' }),
+    fetch: createUpstreamFetch(liveUpstream, { mode: 'record', fixturesDir }),
+    runtime
+  };
+  const recorded = await dispatch('/api/matrix', { method: 'GET', query: { coordinates } }, context);
+  assert.equal(recorded.status, 200);
+  assert.equal((await readdir(path.join(fixturesDir, 'mapbox-matrix'))).length, 1);
+});
+
+test('isochrones and category searches stay live when only the LLM is mocked', async () => {
+  const context = {
+    config: loadConfig({ MAPBOX_TOKEN: 'pk.test-token', USE_MOCK_DATA: 'true' }),
+    fetch: liveUpstream,
+    runtime
+  };
+  const calls = upstreamCalls.length;
+  const isochrone = await dispatch('/api/isochrone', { method: 'GET', query: { coordinates: '-105,39.7', contours_minutes: '30' } }, context);
+  const places = await dispatch('/api/category-search', { method: 'GET', query: { category: 'coffee', bbox: '-73,41,-72,42' } }, context);
+  assert.equal(upstreamCalls.length, calls + 2);
+  assert.equal(isochrone.body.standIn, undefined);
+  assert.equal(places.body.standIn, undefined);
+});
+
+test('replay answers isochrones and category searches without fixtures with stand-ins', async () => {
+  const context = {
+    config: loadConfig({ UPSTREAM_MODE: 'replay' }),
+    fetch: createUpstreamFetch(offline, { mode: 'replay', fixturesDir }),
+    runtime
+  };
+  const isochrone = await dispatch('/api/isochrone', { method: 'GET', query: { coordinates: '-105,39.7', contours_minutes: '30' } }, context);
+  assert.equal(isochrone.status, 200);
+  assert.equal(isochrone.body.standIn, true);
+
+  const places = await dispatch('/api/category-search', { method: 'GET', query: { category: 'coffee', bbox: '-73,41,-72,42' } }, context);
+  assert.equal(places.status, 200);
+  assert.equal(places.body.standIn, true);
+});
+
+test('replay reports a missing fixture', async () => {
+  const context = {
+    config: loadConfig({ UPSTREAM_MODE: 'replay' }),
+    fetch: createUpstreamFetch(offline, { mode: 'replay', fixturesDir }),
+    runtime
+  };
+  const { status, body } = await dispatch('/api/mapbox-geocoding', { method: 'GET', query: { q: 'Atlantis' } }, context);
+  assert.equal(status, 500);
+  assert.match(body.message, /No recorded fixture/);
+});
@@ -0,0 +1,86 @@
+/**
+ * Visit Order Tests
+ * Tour construction and improvement for the round-trip, fixed-start and
+ * fixed-ends variants, on straight-line and asymmetric distances.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { haversineMatrix, optimizeVisitOrder, tourDistance } from '../../comparison/visit-order.js';
+import { parseText, parseWithContext } from '../../comparison/nlp-pipeline.js';
+
+// Denver, Austin, Seattle, Chicago, Phoenix
+const CITIES = [[-104.99, 39.74], [-97.74, 30.27], [-122.33, 47.61], [-87.63, 41.88], [-112.07, 33.45]];
+
+// Points on a line, listed out of order
+const LINE = [[0, 0], [3, 0], [1, 0], [4, 0], [2, 0]];
+
+/**
+ * Shortest tour by trying every order (fine for five stops)
+ */
+function bruteForce(matrix, variant) {
+  const free = [...matrix.keys()].slice(1, variant === 'fixed-ends' ? -1 : undefined);
+  const permutations = items => items.length <= 1
+    ? [items]
+    : items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+  return Math.min(...permutations(free).map(order => tourDistance(
+    matrix,
+    [0, ...order, ...(variant === 'fixed-ends' ? [matrix.length - 1] : [])],
+    variant === 'round-trip'
+  )));
+}
+
+test('haversine distances are symmetric and in meters', () => {
+  const matrix = haversineMatrix(CITIES);
+  assert.equal(matrix[0][0], 0);
+  assert.equal(matrix[1][3], matrix[3][1]);
+  // Denver to Chicago is about 1,480 km
+  assert.ok(Math.abs(matrix[0][3] - 1480000) < 20000, `got ${matrix[0][3]} m`);
+});
+
+test('every variant finds the shortest tour of a small example', () => {
+  const matrix = haversineMatrix(CITIES);
+  for (const variant of ['round-trip', 'fixed-start', 'fixed-ends']) {
+    const { order, distance } = optimizeVisitOrder(matrix, { variant });
+    assert.equal(order[0], 0);
+    assert.deepEqual([...order].sort(), [0, 1, 2, 3, 4]);
+    assert.ok(Math.abs(distance - bruteForce(matrix, variant)) < 1e-6, `${variant} is not optimal`);
+    assert.ok(distance <= tourDistance(matrix, [0, 1, 2, 3, 4], variant === 'round-trip'));
+  }
+
+  assert.equal(optimizeVisitOrder(matrix, { variant: 'fixed-ends' }).order[4], 4);
+});
+
+test('stops along a line are visited in line order', () => {
+  const matrix = haversineMatrix(LINE);
+  assert.deepEqual(optimizeVisitOrder(matrix, { variant: 'fixed-start' }).order, [0, 2, 4, 1, 3]);
+  // Ending at x = 2 means doubling back once: 0, 1, 3, 4, then 2
+  assert.deepEqual(optimizeVisitOrder(matrix, { variant: 'fixed-ends' }).order, [0, 2, 1, 3, 4]);
+});
+
+test('asymmetric distances are followed in the direction of travel', () => {
+  // Going 0 -> 1 -> 2 is cheap, the reverse direction is expensive
+  const matrix = [
+    [0, 1, 10],
+    [10, 0, 1],
+    [1, 10, 0]
+  ];
+  const { order, distance } = optimizeVisitOrder(matrix, { variant: 'round-trip' });
+  assert.deepEqual(order, [0, 1, 2]);
+  assert.equal(distance, 3);
+
+  assert.throws(() => optimizeVisitOrder(matrix, { variant: 'shortest' }), /Unknown visit order variant/);
+  assert.deepEqual(optimizeVisitOrder([[0]]).order, [0]);
+});
+
+test('lists of places to visit are routes through every stop', async () => {
+  const result = await parseWithContext('visit Denver, Austin, Seattle, Chicago and Phoenix');
+  assert.equal(result.intentType, 'route');
+  assert.deepEqual(result.suggestedSequence, ['Denver', 'Austin', 'Seattle', 'Chicago', 'Phoenix']);
+  // Five stops listed by name are not a route-or-locations question
+  assert.equal(result.needsClarification, false);
+
+  // One name with "and" in it is still a single place
+  assert.equal((await parseText('visit Trinidad and Tobago')).intentType, 'locations');
+});
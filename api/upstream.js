@@ -0,0 +1,207 @@
+/**
+ * Upstream Record/Replay
+ * Wraps the fetch used for upstream calls (Mapbox geocoding, directions,
+ * matrices and isochrones, the LLM provider) so that responses can be recorded to fixture
+ * files and served back later without any network access.
+ *
+ * Modes (UPSTREAM_MODE):
+ * - live:   pass every call through unchanged
+ * - record: pass every call through and save the response as a fixture
+ * - replay: answer every call from the fixtures, never touching the network
+ *
+ * Fixtures are keyed by the normalized request: secrets (access_token, key) are
+ * dropped, query parameters are sorted, and JSON bodies are serialized with
+ * sorted keys, so the same logical request always maps to the same file.
+ * Node only - used by server.js, not by the Cloudflare Functions.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const UPSTREAM_MODES = ['live', 'record', 'replay'];
+
+// Query parameters that carry credentials and must never be part of a fixture
+const SECRET_PARAMS = ['access_token', 'key'];
+
+// Upstream services, matched by URL prefix; the name is the fixture subdirectory
+const SERVICES = [
+  { name: 'mapbox-geocoding', prefix: 'https://api.mapbox.com/geocoding/' },
+  { name: 'mapbox-directions', prefix: 'https://api.mapbox.com/directions/' },
+  { name: 'mapbox-matrix', prefix: 'https://api.mapbox.com/directions-matrix/' },
+  { name: 'mapbox-isochrone', prefix: 'https://api.mapbox.com/isochrone/' },
+  { name: 'mapbox-search', prefix: 'https://api.mapbox.com/search/' },
+  { name: 'gemini', prefix: 'https://generativelanguage.googleapis.com/' }
+];
+
+// LLM providers with configurable hosts, matched by path instead
+const PATH_SERVICES = [
+  { name: 'openai', suffix: '/chat/completions' },
+  { name: 'ollama', suffix: '/api/chat' }
+];
+
+/**
+ * Find the service an upstream URL belongs to
+ * @param {string} url - The upstream URL
+ * @returns {string} - The service name ("other" for unknown hosts)
+ */
+function getServiceName(url) {
+  const service = SERVICES.find(s => url.startsWith(s.prefix));
+  if (service) return service.name;
+
+  const { pathname } = new URL(url);
+  const pathService = PATH_SERVICES.find(s => pathname.endsWith(s.suffix));
+  return pathService ? pathService.name : 'other';
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Normalize an upstream request so equivalent requests share one fixture
+ * @param {string} url - The upstream URL
+ * @param {Object} options - fetch options
+ * @returns {Object} - { service, method, url, body } with secrets removed
+ */
+export function normalizeRequest(url, options = {}) {
+  const parsed = new URL(url);
+
+  SECRET_PARAMS.forEach(param => parsed.searchParams.delete(param));
+  parsed.searchParams.sort();
+
+  // Place names in geocoding paths are case-insensitive
+  let pathname = decodeURIComponent(parsed.pathname);
+  const service = getServiceName(url);
+  if (service === 'mapbox-geocoding') {
+    pathname = pathname.toLowerCase();
+  }
+
+  let body = options.body || '';
+  if (body) {
+    try {
+      body = canonicalJson(JSON.parse(body));
+    } catch (error) {
+      // Not JSON - keep the raw body
+    }
+  }
+
+  const query = parsed.searchParams.toString();
+
+  return {
+    service,
+    method: (options.method || 'GET').toUpperCase(),
+    url: `${parsed.origin}${pathname}${query ? `?${query}` : ''}`,
+    body
+  };
+}
+
+/**
+ * Get the fixture file path for a normalized request
+ * @param {string} fixturesDir - Root fixtures directory
+ * @param {Object} request - Normalized request from normalizeRequest()
+ * @returns {string} - Absolute fixture path
+ */
+export function getFixturePath(fixturesDir, request) {
+  const hash = createHash('sha1')
+    .update(`${request.method} ${request.url}\n${request.body}`)
+    .digest('hex')
+    .substring(0, 12);
+
+  // A readable prefix from the last path segment, e.g. "paris" or "gemini-pro-generatecontent"
+  const lastSegment = request.url.split('?')[0].split('/').pop() || 'request';
+  const slug = lastSegment
+    .replace(/\.json$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 40) || 'request';
+
+  return path.join(fixturesDir, request.service, `${slug}-${hash}.json`);
+}
+
+/**
+ * Build a fetch Response from a stored fixture
+ * @param {Object} fixture - The parsed fixture file
+ * @returns {Response}
+ */
+function responseFromFixture(fixture) {
+  const { status, statusText, contentType, body } = fixture.response;
+  // Null-body statuses must not be given a body, even an empty one
+  return new Response([204, 304].includes(status) ? null : body, {
+    status,
+    statusText,
+    headers: contentType ? { 'Content-Type': contentType } : {}
+  });
+}
+
+/**
+ * Wrap an upstream fetch with record/replay behaviour
+ * @param {Function} fetchImpl - fetch(url, options, timeout), e.g. fetchWithTimeout
+ * @param {Object} options - { mode, fixturesDir }
+ * @param {string} options.mode - "live", "record" or "replay"
+ * @param {string} options.fixturesDir - Directory holding the fixture files
+ * @returns {Function} - fetch(url, options, timeout) with the same signature
+ */
+export function createUpstreamFetch(fetchImpl, { mode = 'live', fixturesDir }) {
+  if (!UPSTREAM_MODES.includes(mode)) {
+    throw new Error(`Unknown upstream mode "${mode}". Use one of: ${UPSTREAM_MODES.join(', ')}`);
+  }
+
+  if (mode === 'live') {
+    return fetchImpl;
+  }
+
+  return async (url, options = {}, timeout) => {
+    const request = normalizeRequest(url, options);
+    const fixturePath = getFixturePath(fixturesDir, request);
+    const relativePath = path.relative(process.cwd(), fixturePath);
+
+    if (mode === 'replay') {
+      let fixture;
+      try {
+        fixture = JSON.parse(await readFile(fixturePath, 'utf8'));
+      } catch (error) {
+        throw Object.assign(new Error(`No recorded fixture for ${request.method} ${request.url} (expected ${relativePath})`), {
+          code: 'NO_FIXTURE'
+        });
+      }
+      console.log(`Replaying ${request.service} fixture: ${relativePath}`);
+      return responseFromFixture(fixture);
+    }
+
+    // Record mode: make the real call, then store what came back
+    const response = await fetchImpl(url, options, timeout);
+    const body = await response.text();
+
+    const fixture = {
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        contentType: response.headers.get('content-type'),
+        body
+      },
+      recordedAt: new Date().toISOString()
+    };
+
+    await mkdir(path.dirname(fixturePath), { recursive: true });
+    await writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+    console.log(`Recorded ${request.service} fixture: ${relativePath}`);
+
+    return responseFromFixture(fixture);
+  };
+}
@@ -0,0 +1,5 @@
+// Cloudflare Pages Function for GET /api/directions (handler shared with server.js, see /api)
+
+import { createPagesFunction } from '../../../api/cloudflare.js';
+
+export const onRequest = createPagesFunction('/api/directions');
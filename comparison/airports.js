@@ -0,0 +1,149 @@
+/**
+ * Airports
+ * A bundled list of major international airports for the flight planner
+ * (flight-routing.js) and for IATA codes typed into a query. Coordinates are
+ * the airfield, rounded to two decimals, which is plenty to draw a flight and
+ * estimate its length; the list is meant to cover the cities people fly
+ * between, not every airport with scheduled service.
+ */
+
+/**
+ * Airports: { iata, name, city, coordinates: [lng, lat] }
+ */
+export const AIRPORTS = [
+  // North America
+  { iata: 'ATL', name: 'Hartsfield-Jackson Atlanta International Airport', city: 'Atlanta', coordinates: [-84.43, 33.64] },
+  { iata: 'AUS', name: 'Austin-Bergstrom International Airport', city: 'Austin', coordinates: [-97.67, 30.19] },
+  { iata: 'BOS', name: 'Logan International Airport', city: 'Boston', coordinates: [-71.01, 42.36] },
+  { iata: 'CLT', name: 'Charlotte Douglas International Airport', city: 'Charlotte', coordinates: [-80.94, 35.21] },
+  { iata: 'ORD', name: "O'Hare International Airport", city: 'Chicago', coordinates: [-87.9, 41.98] },
+  { iata: 'DFW', name: 'Dallas/Fort Worth International Airport', city: 'Dallas', coordinates: [-97.04, 32.9] },
+  { iata: 'DEN', name: 'Denver International Airport', city: 'Denver', coordinates: [-104.67, 39.86] },
+  { iata: 'DTW', name: 'Detroit Metropolitan Airport', city: 'Detroit', coordinates: [-83.35, 42.21] },
+  { iata: 'HNL', name: 'Daniel K. Inouye International Airport', city: 'Honolulu', coordinates: [-157.92, 21.32] },
+  { iata: 'IAH', name: 'George Bush Intercontinental Airport', city: 'Houston', coordinates: [-95.34, 29.98] },
+  { iata: 'LAS', name: 'Harry Reid International Airport', city: 'Las Vegas', coordinates: [-115.15, 36.08] },
+  { iata: 'LAX', name: 'Los Angeles International Airport', city: 'Los Angeles', coordinates: [-118.41, 33.94] },
+  { iata: 'MIA', name: 'Miami International Airport', city: 'Miami', coordinates: [-80.29, 25.79] },
+  { iata: 'MSP', name: 'Minneapolis-Saint Paul International Airport', city: 'Minneapolis', coordinates: [-93.22, 44.88] },
+  { iata: 'MSY', name: 'Louis Armstrong New Orleans International Airport', city: 'New Orleans', coordinates: [-90.26, 29.99] },
+  { iata: 'JFK', name: 'John F. Kennedy International Airport', city: 'New York', coordinates: [-73.78, 40.64] },
+  { iata: 'EWR', name: 'Newark Liberty International Airport', city: 'Newark', coordinates: [-74.17, 40.69] },
+  { iata: 'MCO', name: 'Orlando International Airport', city: 'Orlando', coordinates: [-81.31, 28.43] },
+  { iata: 'PHL', name: 'Philadelphia International Airport', city: 'Philadelphia', coordinates: [-75.24, 39.87] },
+  { iata: 'PHX', name: 'Phoenix Sky Harbor International Airport', city: 'Phoenix', coordinates: [-112.01, 33.43] },
+  { iata: 'PDX', name: 'Portland International Airport', city: 'Portland', coordinates: [-122.6, 45.59] },
+  { iata: 'SLC', name: 'Salt Lake City International Airport', city: 'Salt Lake City', coordinates: [-111.98, 40.79] },
+  { iata: 'SAN', name: 'San Diego International Airport', city: 'San Diego', coordinates: [-117.19, 32.73] },
+  { iata: 'SFO', name: 'San Francisco International Airport', city: 'San Francisco', coordinates: [-122.38, 37.62] },
+  { iata: 'SEA', name: 'Seattle-Tacoma International Airport', city: 'Seattle', coordinates: [-122.31, 47.45] },
+  { iata: 'IAD', name: 'Washington Dulles International Airport', city: 'Washington', coordinates: [-77.46, 38.95] },
+  { iata: 'ANC', name: 'Ted Stevens Anchorage International Airport', city: 'Anchorage', coordinates: [-149.99, 61.17] },
+  { iata: 'YYC', name: 'Calgary International Airport', city: 'Calgary', coordinates: [-114.02, 51.13] },
+  { iata: 'YUL', name: 'Montréal-Trudeau International Airport', city: 'Montreal', coordinates: [-73.74, 45.47] },
+  { iata: 'YYZ', name: 'Toronto Pearson International Airport', city: 'Toronto', coordinates: [-79.63, 43.68] },
+  { iata: 'YVR', name: 'Vancouver International Airport', city: 'Vancouver', coordinates: [-123.18, 49.19] },
+  { iata: 'CUN', name: 'Cancún International Airport', city: 'Cancún', coordinates: [-86.88, 21.04] },
+  { iata: 'MEX', name: 'Mexico City International Airport', city: 'Mexico City', coordinates: [-99.07, 19.44] },
+
+  // Central America, the Caribbean and South America
+  { iata: 'HAV', name: 'José Martí International Airport', city: 'Havana', coordinates: [-82.41, 22.99] },
+  { iata: 'SJU', name: 'Luis Muñoz Marín International Airport', city: 'San Juan', coordinates: [-66.0, 18.44] },
+  { iata: 'PTY', name: 'Tocumen International Airport', city: 'Panama City', coordinates: [-79.38, 9.07] },
+  { iata: 'BOG', name: 'El Dorado International Airport', city: 'Bogotá', coordinates: [-74.15, 4.7] },
+  { iata: 'LIM', name: 'Jorge Chávez International Airport', city: 'Lima', coordinates: [-77.11, -12.02] },
+  { iata: 'SCL', name: 'Arturo Merino Benítez International Airport', city: 'Santiago', coordinates: [-70.79, -33.39] },
+  { iata: 'EZE', name: 'Ministro Pistarini International Airport', city: 'Buenos Aires', coordinates: [-58.54, -34.82] },
+  { iata: 'GRU', name: 'São Paulo/Guarulhos International Airport', city: 'São Paulo', coordinates: [-46.47, -23.43] },
+  { iata: 'GIG', name: 'Rio de Janeiro/Galeão International Airport', city: 'Rio de Janeiro', coordinates: [-43.25, -22.81] },
+
+  // Europe
+  { iata: 'LHR', name: 'Heathrow Airport', city: 'London', coordinates: [-0.45, 51.47] },
+  { iata: 'LGW', name: 'Gatwick Airport', city: 'London', coordinates: [-0.19, 51.15] },
+  { iata: 'MAN', name: 'Manchester Airport', city: 'Manchester', coordinates: [-2.27, 53.35] },
+  { iata: 'EDI', name: 'Edinburgh Airport', city: 'Edinburgh', coordinates: [-3.37, 55.95] },
+  { iata: 'DUB', name: 'Dublin Airport', city: 'Dublin', coordinates: [-6.27, 53.43] },
+  { iata: 'KEF', name: 'Keflavík International Airport', city: 'Reykjavík', coordinates: [-22.61, 63.99] },
+  { iata: 'CDG', name: 'Paris Charles de Gaulle Airport', city: 'Paris', coordinates: [2.55, 49.01] },
+  { iata: 'NCE', name: "Nice Côte d'Azur Airport", city: 'Nice', coordinates: [7.22, 43.66] },
+  { iata: 'AMS', name: 'Amsterdam Airport Schiphol', city: 'Amsterdam', coordinates: [4.76, 52.31] },
+  { iata: 'BRU', name: 'Brussels Airport', city: 'Brussels', coordinates: [4.48, 50.9] },
+  { iata: 'FRA', name: 'Frankfurt Airport', city: 'Frankfurt', coordinates: [8.57, 50.03] },
+  { iata: 'MUC', name: 'Munich Airport', city: 'Munich', coordinates: [11.79, 48.35] },
+  { iata: 'BER', name: 'Berlin Brandenburg Airport', city: 'Berlin', coordinates: [13.5, 52.37] },
+  { iata: 'HAM', name: 'Hamburg Airport', city: 'Hamburg', coordinates: [9.99, 53.63] },
+  { iata: 'ZRH', name: 'Zurich Airport', city: 'Zurich', coordinates: [8.55, 47.46] },
+  { iata: 'GVA', name: 'Geneva Airport', city: 'Geneva', coordinates: [6.11, 46.24] },
+  { iata: 'VIE', name: 'Vienna International Airport', city: 'Vienna', coordinates: [16.57, 48.11] },
+  { iata: 'PRG', name: 'Václav Havel Airport Prague', city: 'Prague', coordinates: [14.26, 50.1] },
+  { iata: 'BUD', name: 'Budapest Ferenc Liszt International Airport', city: 'Budapest', coordinates: [19.26, 47.44] },
+  { iata: 'WAW', name: 'Warsaw Chopin Airport', city: 'Warsaw', coordinates: [20.97, 52.17] },
+  { iata: 'CPH', name: 'Copenhagen Airport', city: 'Copenhagen', coordinates: [12.65, 55.62] },
+  { iata: 'OSL', name: 'Oslo Airport, Gardermoen', city: 'Oslo', coordinates: [11.1, 60.19] },
+  { iata: 'ARN', name: 'Stockholm Arlanda Airport', city: 'Stockholm', coordinates: [17.92, 59.65] },
+  { iata: 'HEL', name: 'Helsinki Airport', city: 'Helsinki', coordinates: [24.96, 60.32] },
+  { iata: 'MAD', name: 'Adolfo Suárez Madrid-Barajas Airport', city: 'Madrid', coordinates: [-3.57, 40.47] },
+  { iata: 'BCN', name: 'Josep Tarradellas Barcelona-El Prat Airport', city: 'Barcelona', coordinates: [2.08, 41.3] },
+  { iata: 'LIS', name: 'Humberto Delgado Airport', city: 'Lisbon', coordinates: [-9.13, 38.77] },
+  { iata: 'FCO', name: 'Leonardo da Vinci-Fiumicino Airport', city: 'Rome', coordinates: [12.25, 41.8] },
+  { iata: 'MXP', name: 'Milan Malpensa Airport', city: 'Milan', coordinates: [8.72, 45.63] },
+  { iata: 'VCE', name: 'Venice Marco Polo Airport', city: 'Venice', coordinates: [12.35, 45.5] },
+  { iata: 'ATH', name: 'Athens International Airport', city: 'Athens', coordinates: [23.94, 37.94] },
+  { iata: 'IST', name: 'Istanbul Airport', city: 'Istanbul', coordinates: [28.75, 41.26] },
+  { iata: 'SVO', name: 'Sheremetyevo International Airport', city: 'Moscow', coordinates: [37.41, 55.97] },
+  { iata: 'LED', name: 'Pulkovo Airport', city: 'Saint Petersburg', coordinates: [30.26, 59.8] },
+
+  // Middle East and Africa
+  { iata: 'TLV', name: 'Ben Gurion Airport', city: 'Tel Aviv', coordinates: [34.89, 32.01] },
+  { iata: 'AMM', name: 'Queen Alia International Airport', city: 'Amman', coordinates: [35.99, 31.72] },
+  { iata: 'JED', name: 'King Abdulaziz International Airport', city: 'Jeddah', coordinates: [39.16, 21.68] },
+  { iata: 'RUH', name: 'King Khalid International Airport', city: 'Riyadh', coordinates: [46.7, 24.96] },
+  { iata: 'DOH', name: 'Hamad International Airport', city: 'Doha', coordinates: [51.61, 25.27] },
+  { iata: 'AUH', name: 'Zayed International Airport', city: 'Abu Dhabi', coordinates: [54.65, 24.43] },
+  { iata: 'DXB', name: 'Dubai International Airport', city: 'Dubai', coordinates: [55.36, 25.25] },
+  { iata: 'CAI', name: 'Cairo International Airport', city: 'Cairo', coordinates: [31.41, 30.12] },
+  { iata: 'CMN', name: 'Mohammed V International Airport', city: 'Casablanca', coordinates: [-7.59, 33.37] },
+  { iata: 'LOS', name: 'Murtala Muhammed International Airport', city: 'Lagos', coordinates: [3.32, 6.58] },
+  { iata: 'ACC', name: 'Kotoka International Airport', city: 'Accra', coordinates: [-0.17, 5.61] },
+  { iata: 'ADD', name: 'Addis Ababa Bole International Airport', city: 'Addis Ababa', coordinates: [38.8, 8.98] },
+  { iata: 'NBO', name: 'Jomo Kenyatta International Airport', city: 'Nairobi', coordinates: [36.93, -1.32] },
+  { iata: 'JNB', name: 'O. R. Tambo International Airport', city: 'Johannesburg', coordinates: [28.24, -26.14] },
+  { iata: 'CPT', name: 'Cape Town International Airport', city: 'Cape Town', coordinates: [18.6, -33.97] },
+
+  // Asia
+  { iata: 'KHI', name: 'Jinnah International Airport', city: 'Karachi', coordinates: [67.16, 24.91] },
+  { iata: 'DEL', name: 'Indira Gandhi International Airport', city: 'Delhi', coordinates: [77.1, 28.56] },
+  { iata: 'BOM', name: 'Chhatrapati Shivaji Maharaj International Airport', city: 'Mumbai', coordinates: [72.87, 19.09] },
+  { iata: 'BLR', name: 'Kempegowda International Airport', city: 'Bengaluru', coordinates: [77.71, 13.2] },
+  { iata: 'MAA', name: 'Chennai International Airport', city: 'Chennai', coordinates: [80.17, 12.99] },
+  { iata: 'CMB', name: 'Bandaranaike International Airport', city: 'Colombo', coordinates: [79.88, 7.18] },
+  { iata: 'KTM', name: 'Tribhuvan International Airport', city: 'Kathmandu', coordinates: [85.36, 27.7] },
+  { iata: 'DAC', name: 'Hazrat Shahjalal International Airport', city: 'Dhaka', coordinates: [90.4, 23.84] },
+  { iata: 'ALA', name: 'Almaty International Airport', city: 'Almaty', coordinates: [77.04, 43.35] },
+  { iata: 'BKK', name: 'Suvarnabhumi Airport', city: 'Bangkok', coordinates: [100.75, 13.69] },
+  { iata: 'HAN', name: 'Noi Bai International Airport', city: 'Hanoi', coordinates: [105.81, 21.22] },
+  { iata: 'SGN', name: 'Tan Son Nhat International Airport', city: 'Ho Chi Minh City', coordinates: [106.66, 10.82] },
+  { iata: 'KUL', name: 'Kuala Lumpur International Airport', city: 'Kuala Lumpur', coordinates: [101.71, 2.75] },
+  { iata: 'SIN', name: 'Singapore Changi Airport', city: 'Singapore', coordinates: [103.99, 1.36] },
+  { iata: 'CGK', name: 'Soekarno-Hatta International Airport', city: 'Jakarta', coordinates: [106.66, -6.13] },
+  { iata: 'MNL', name: 'Ninoy Aquino International Airport', city: 'Manila', coordinates: [121.02, 14.51] },
+  { iata: 'HKG', name: 'Hong Kong International Airport', city: 'Hong Kong', coordinates: [113.92, 22.31] },
+  { iata: 'CAN', name: 'Guangzhou Baiyun International Airport', city: 'Guangzhou', coordinates: [113.3, 23.39] },
+  { iata: 'TPE', name: 'Taiwan Taoyuan International Airport', city: 'Taipei', coordinates: [121.23, 25.08] },
+  { iata: 'PVG', name: 'Shanghai Pudong International Airport', city: 'Shanghai', coordinates: [121.81, 31.14] },
+  { iata: 'PEK', name: 'Beijing Capital International Airport', city: 'Beijing', coordinates: [116.6, 40.08] },
+  { iata: 'ICN', name: 'Incheon International Airport', city: 'Seoul', coordinates: [126.45, 37.46] },
+  { iata: 'KIX', name: 'Kansai International Airport', city: 'Osaka', coordinates: [135.24, 34.43] },
+  { iata: 'HND', name: 'Haneda Airport', city: 'Tokyo', coordinates: [139.78, 35.55] },
+  { iata: 'NRT', name: 'Narita International Airport', city: 'Tokyo', coordinates: [140.39, 35.77] },
+
+  // Oceania
+  { iata: 'PER', name: 'Perth Airport', city: 'Perth', coordinates: [115.97, -31.94] },
+  { iata: 'MEL', name: 'Melbourne Airport', city: 'Melbourne', coordinates: [144.84, -37.67] },
+  { iata: 'SYD', name: 'Sydney Kingsford Smith Airport', city: 'Sydney', coordinates: [151.18, -33.95] },
+  { iata: 'BNE', name: 'Brisbane Airport', city: 'Brisbane', coordinates: [153.12, -27.38] },
+  { iata: 'AKL', name: 'Auckland Airport', city: 'Auckland', coordinates: [174.79, -37.01] },
+  { iata: 'CHC', name: 'Christchurch Airport', city: 'Christchurch', coordinates: [172.53, -43.49] },
+  { iata: 'NAN', name: 'Nadi International Airport', city: 'Nadi', coordinates: [177.44, -17.76] },
+  { iata: 'PPT', name: "Faa'a International Airport", city: 'Papeete', coordinates: [-149.61, -17.55] }
+];
@@ -3,8 +3,9 @@
  * This script initializes the application with the enhanced NLP and visualization features.
  */
 
-// Import visualization module only
+// Import the visualization module and the fallback location extractor
 import { applyVisualization } from './visualization-integration.js';
+import { extractSimpleLocations } from './nlp-utils.js';
 
 // Store the map instance and settings
 let map;
@@ -613,29 +614,8 @@ function handleProcessResult(result, visualizationType) {
 function extractSimpleLocationsDirectly(text) {
   log(`Using simple location extraction for: "${text}"`);
   
-  // Common locations to extract - expand this list as needed
-  const commonLocations = [
-    "New York", "Los Angeles", "Chicago", "Houston", "Phoenix", "Philadelphia",
-    "San Antonio", "San Diego", "Dallas", "San Jose", "Austin", "Jacksonville",
-    "Fort Worth", "Columbus", "San Francisco", "Charlotte", "Indianapolis", "Seattle",
-    "Denver", "Washington", "Boston", "El Paso", "Nashville", "Detroit", "Portland",
-    "Memphis", "Oklahoma City", "Las Vegas", "Louisville", "Baltimore", "Milwaukee",
-    "Albuquerque", "Tucson", "Fresno", "Sacramento", "Long Beach", "Kansas City",
-    "Mesa", "Atlanta", "Colorado Springs", "Raleigh", "Omaha", "Miami", "Oakland",
-    "Minneapolis", "Tulsa", "Cleveland", "Wichita", "Arlington", "New Orleans",
-    "London", "Paris", "Tokyo", "Rome", "Berlin", "Madrid", "Moscow", "Beijing",
-    "Sydney", "Toronto", "Cairo", "Dubai", "Istanbul", "Mexico City", "Rio de Janeiro",
-    "Amsterdam", "Bangkok", "Singapore", "Seoul", "Barcelona", "Mumbai", "Shanghai",
-    "Hong Kong", "Cape Town", "Vienna", "Athens", "Prague", "Dublin", "Brussels"
-  ];
-  
-  // Look for any of these locations in the text
-  const foundLocations = [];
-  for (const location of commonLocations) {
-    if (text.toLowerCase().includes(location.toLowerCase())) {
-      foundLocations.push(location);
-    }
-  }
+  // Places the gazetteer knows
+  const foundLocations = extractSimpleLocations(text);
   
   log(`Found ${foundLocations.length} locations in text: ${foundLocations.join(', ') || 'none'}`);
   
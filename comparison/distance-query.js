@@ -0,0 +1,204 @@
+/**
+ * Distance Queries
+ * Recognizes questions about how far apart places are or how long the trip
+ * between them takes ("how far is Paris from Berlin", "how long to drive from
+ * LA to Vegas in miles") and words the answer once the map has measured the
+ * straight-line and routed distance. DOM-free, so the NLP pipeline and the
+ * tests share it with the page.
+ */
+
+import { detectTravelMode } from './travel-modes.js';
+
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_METER = 3.28084;
+
+// "in miles", "in km", "using metric"
+const UNIT_HINT = /\s*\b(?:in|using)\s+(miles|mi|kilometers|kilometres|km|metric|imperial)\b/i;
+
+// How each kind of question opens; `units` is implied by the opener
+const QUESTION_OPENERS = [
+  { intentType: 'distance', pattern: /^how\s+far\b/i },
+  { intentType: 'distance', pattern: /^how\s+many\s+(miles|kilometers|kilometres|km)\b/i },
+  { intentType: 'distance', pattern: /^(?:what(?:'s|\s+is)\s+)?(?:the\s+)?(?:\w+\s+)?distance\b/i },
+  { intentType: 'duration', pattern: /^how\s+long\b/i },
+  { intentType: 'duration', pattern: /^how\s+(?:much\s+time|many\s+(?:hours|minutes|days))\b/i },
+  { intentType: 'duration', pattern: /^(?:what(?:'s|\s+is)\s+)?(?:the\s+)?(?:travel|journey|driving|walking|cycling|flying|flight|sailing)\s+time\b/i }
+];
+
+// "... to Vegas by car", "... on foot"
+const MODE_SUFFIX = /\s+(?:by\s+(car|road|plane|air|bike|bicycle|boat|ferry|sea)|on\s+(foot))$/i;
+
+const SUFFIX_MODES = {
+  car: 'driving',
+  road: 'driving',
+  plane: 'flying',
+  air: 'flying',
+  bike: 'cycling',
+  bicycle: 'cycling',
+  boat: 'sailing',
+  ferry: 'sailing',
+  sea: 'sailing',
+  foot: 'walking'
+};
+
+// How a routed distance is described for each travel mode
+const MODE_WAYS = {
+  driving: 'by road',
+  walking: 'on foot',
+  cycling: 'by bike',
+  flying: 'by air',
+  sailing: 'by sea'
+};
+
+/**
+ * Read a unit word as a unit system
+ * @param {string} word - e.g. "miles" or "km"
+ * @returns {string} - 'imperial' or 'metric'
+ */
+function toUnits(word) {
+  return /^(?:miles|mi|imperial)$/i.test(word) ? 'imperial' : 'metric';
+}
+
+/**
+ * Find the first travel mode verb in a phrase, e.g. "does it take to drive"
+ * @param {string} phrase - Words around the places of the question
+ * @returns {string|null} - A key of TRAVEL_MODES or null
+ */
+function findTravelMode(phrase) {
+  const words = phrase.trim().split(/\s+/);
+  for (let i = 0; i < words.length; i++) {
+    const detected = detectTravelMode(words.slice(i).join(' '));
+    if (detected) return detected.mode;
+  }
+  return null;
+}
+
+/**
+ * Detect a question about the distance or travel time between places
+ * @param {string} text - The query text
+ * @returns {Object|null} - { intentType: 'distance' or 'duration', places,
+ *   travelMode, units ('metric', 'imperial' or null when the question does not
+ *   say) }, or null for other queries
+ */
+export function detectDistanceQuery(text) {
+  if (!text) return null;
+
+  let question = text.trim().replace(/[?.!\s]+$/, '');
+  let units = null;
+  const unitHint = question.match(UNIT_HINT);
+  if (unitHint) {
+    units = toUnits(unitHint[1]);
+    question = question.replace(UNIT_HINT, '');
+  }
+
+  const opener = QUESTION_OPENERS.map(({ intentType, pattern }) => ({ intentType, match: question.match(pattern) }))
+    .find(({ match }) => match);
+  if (!opener) return null;
+  if (opener.match[1] && !units) units = toUnits(opener.match[1]);
+
+  const rest = question.slice(opener.match[0].length);
+  let filler;
+  let places;
+  const between = rest.match(/^(.*?)\bbetween\s+(.+?)\s+and\s+(.+)$/i);
+  const fromTo = rest.match(/^(.*?)\bfrom\s+(.+?)\s+to\s+(.+)$/i);
+  // "how far is Paris from Berlin" measures from Berlin
+  const isFrom = rest.match(/^\s*(?:away\s+)?(?:is|are)\s+(.+?)\s+(?:away\s+)?from\s+(.+)$/i);
+  if (between) {
+    filler = between[1];
+    places = [between[2], between[3]];
+  } else if (fromTo) {
+    filler = fromTo[1];
+    places = [fromTo[2], ...fromTo[3].split(/\s+to\s+/i)];
+  } else if (isFrom) {
+    filler = '';
+    places = [isFrom[2], isFrom[1]];
+  } else {
+    return null;
+  }
+
+  let travelMode = findTravelMode(`${opener.match[0]} ${filler}`);
+  const modeSuffix = places[places.length - 1].match(MODE_SUFFIX);
+  if (modeSuffix) {
+    places[places.length - 1] = places[places.length - 1].slice(0, modeSuffix.index);
+    travelMode = SUFFIX_MODES[(modeSuffix[1] || modeSuffix[2]).toLowerCase()];
+  }
+
+  places = places.map(place => place.trim());
+  if (places.some(place => !place)) return null;
+
+  return {
+    intentType: opener.intentType,
+    places,
+    travelMode: travelMode || 'driving',
+    units
+  };
+}
+
+/**
+ * The unit system people in a locale expect
+ * @param {string} locale - BCP 47 tag, e.g. navigator.language
+ * @returns {string} - 'imperial' for the US, the UK, Liberia and Myanmar, else 'metric'
+ */
+export function unitsForLocale(locale) {
+  return /^[a-z]+-(?:US|GB|LR|MM)\b/i.test(locale || '') ? 'imperial' : 'metric';
+}
+
+/**
+ * Format a distance in the given unit system
+ * @param {number} meters - Distance in meters
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {string} - e.g. "350 m", "8.4 km", "1,054 km", "600 ft" or "270 mi"
+ */
+export function formatDistance(meters, units = 'metric') {
+  if (units === 'imperial') {
+    const miles = meters / METERS_PER_MILE;
+    if (miles < 0.1) return `${Math.round(meters * FEET_PER_METER / 10) * 10} ft`;
+    return `${miles < 100 ? miles.toFixed(1) : Math.round(miles).toLocaleString('en-US')} mi`;
+  }
+
+  if (meters < 1000) return `${Math.round(meters / 10) * 10} m`;
+  const km = meters / 1000;
+  return `${km < 100 ? km.toFixed(1) : Math.round(km).toLocaleString('en-US')} km`;
+}
+
+/**
+ * Format a travel time
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "< 1 min", "45 min", "3 h 50 min" or "2 d 5 h"
+ */
+export function formatTravelTime(seconds) {
+  if (seconds < 60) return '< 1 min';
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours >= 24) return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+  return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+}
+
+/**
+ * Answer a distance or travel time question
+ * @param {Object} answer - { intentType, from, to (place names), travelMode
+ *   (the mode the route actually uses), units, straightLine (meters), route
+ *   ({ distance, duration }, either may be null) or null without a route }
+ * @returns {string} - e.g. "Paris is 878 km from Berlin in a straight line,
+ *   or 1,054 km by road (about 9 h 50 min)."
+ */
+export function describeDistanceAnswer({ intentType, from, to, travelMode, units, straightLine, route }) {
+  const straight = formatDistance(straightLine, units);
+  const distance = route && route.distance !== null ? formatDistance(route.distance, units) : null;
+  const duration = route && route.duration !== null ? formatTravelTime(route.duration) : null;
+  const travelling = travelMode.charAt(0).toUpperCase() + travelMode.slice(1);
+
+  if (intentType === 'duration') {
+    if (duration) {
+      return `${travelling} from ${from} to ${to} takes about ${duration} (${distance ? `${distance}; ` : ''}${straight} in a straight line).`;
+    }
+    if (distance) {
+      return `${travelling} from ${from} to ${to} covers ${distance}, but there is no time estimate for it; the places are ${straight} apart in a straight line.`;
+    }
+    return `There is no ${travelMode} route from ${from} to ${to}; the places are ${straight} apart in a straight line.`;
+  }
+
+  if (!distance) return `${to} is ${straight} from ${from} in a straight line.`;
+  return `${to} is ${straight} from ${from} in a straight line, or ${distance} ${MODE_WAYS[travelMode] || 'by road'}${duration ? ` (about ${duration})` : ''}.`;
+}
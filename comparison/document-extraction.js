@@ -0,0 +1,286 @@
+/**
+ * Document Extraction
+ * Reads a document (pasted text, or an uploaded .txt, .md or .html file) into
+ * sentences and the places it mentions. Each mention keeps where it is in the
+ * text (character offsets), the sentence it came from, the dates written near
+ * it and its role: where a journey sets out from (origin), where it goes
+ * (destination), or a place only mentioned. The page links the mentions in
+ * its text view with the markers on the map. DOM-free, so the NLP pipeline and
+ * the tests share it with the page.
+ */
+
+import { findHistoricalPlace } from './historical-gazetteer.js';
+import { findPlace, findPlaceNames } from './gazetteer.js';
+import { findTimeMentions } from './time-context.js';
+
+// Places read from one document at most; the map geocodes each of them
+export const MAX_DOCUMENT_PLACES = 50;
+
+// Abbreviations whose period doesn't end a sentence ("St. Petersburg", "c. 1450"),
+// dotted initialisms included ("Washington, D.C.", "e.g.")
+const ABBREVIATION = /(?:^|[\s(])(?:mr|mrs|ms|dr|st|mt|ft|gen|col|capt|lt|sgt|rev|prof|jr|sr|vs|etc|c|ca|approx|no|vol|ch|fig|(?:[a-z]\.)*[a-z])\.$/i;
+
+// A capitalized word of a name, "sub-Saharan" and "St." included
+const NAME_WORD = String.raw`(?:(?:St|Mt|Ft)\.|(?:[a-z]+-)?\p{Lu}[\p{L}'’-]*)`;
+
+// Runs of capitalized words on one line, joined by the small words of names
+// ("Gulf of Mexico", "Rio de Janeiro")
+const NAME = new RegExp(String.raw`${NAME_WORD}(?:(?:[^\S\n]+|[^\S\n]+(?:of|de|del|della|da|di|do|dos|du|des|la|le|el|al|von|van|der|upon)[^\S\n]+(?:the[^\S\n]+)?)${NAME_WORD})*`, 'gu');
+
+// Capitalized words a name doesn't start with ("The", "In", "He")
+const LEADING_WORD = /^(?:the|a|an|in|on|at|from|to|by|for|with|after|before|during|when|while|then|but|and|or|as|of|this|that|these|those|his|her|their|its|our|my|your|he|she|it|they|we|i|you|there|here|where|later|meanwhile|since|until|under|near|into|across|through|via|toward|towards|along|beyond|between|once|thus|yet|so|if|although|though|both|all|many|some|most|every|each|no|not)\s+/i;
+
+// Capitalized words that are not places on their own
+const NOT_PLACES = new Set([
+  'i', 'the', 'a', 'an', 'he', 'she', 'it', 'they', 'we', 'you', 'his', 'her', 'their', 'its', 'our', 'my', 'your',
+  'this', 'that', 'these', 'those', 'there', 'here', 'god', 'lord', 'king', 'queen', 'emperor', 'empress', 'pope', 'sultan',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'
+]);
+
+// Words naming seas, continents, regions and states, which make a name a place without a preposition
+const GEOGRAPHY = /\b(?:Sea|Ocean|River|Lake|Mountains?|Mount|Mt\.|Gulf|Bay|Cape|Island|Islands|Isles|Strait|Desert|Valley|Peninsula|Coast|Empire|Kingdom|Republic|Province|Africa|Asia|Europe|America|Americas|Arctic|Antarctica|Atlantic|Pacific|Mediterranean|Caribbean|Balkans|Alps|Sahara|Levant)\b/;
+
+// Population from which a city the gazetteer knows is a place without a
+// preposition; smaller towns share their names with too many people
+const KNOWN_CITY_POPULATION = 100000;
+
+// Words before a name that make it a place ("in Rome", "the fall of Constantinople")
+const LOCATIVE = /\b(?:in|at|to|from|near|through|via|into|towards?|across|along|beyond|around|reached|reaching|visited|visiting|entered|entering|left|leaving|crossed|crossing|conquered|captured|besieged|invaded|founded|occupied|as\s+far\s+as|bound\s+for|headed\s+for|(?:fall|capital|city|town|port|coast|shores?|walls|gates|siege|sack|battle|kingdom|empire|province|region|north|south|east|west)\s+of)\s+(?:the\s+)?$/i;
+
+// Words before a name that make it where a journey sets out from
+const ORIGIN = /\b(?:from|left|leaving|departed|departing|out\s+of)\s+(?:the\s+)?$/i;
+
+// Words before a name that make it where a journey goes
+const DESTINATION = /\b(?:to|towards?|into|reached|reaching|entered|entering|arrived\s+(?:at|in)|arriving\s+(?:at|in)|bound\s+for|headed\s+for|as\s+far\s+as)\s+(?:the\s+)?$/i;
+
+// What separates the places of a list ("Venice, Genoa and Pisa")
+const LIST_SEPARATOR = /^\s*(?:,|,?\s*(?:and|or))\s*$/i;
+
+/**
+ * Turn an uploaded file's contents into the plain text a document is read from
+ * @param {string} content - The file's text
+ * @param {string} fileName - e.g. "journey.md"; .html and .htm files lose
+ *   their markup, .md and .markdown files their formatting
+ * @returns {string}
+ */
+export function documentText(content, fileName = '') {
+  const text = String(content || '').replace(/\r\n?/g, '\n');
+
+  if (/\.html?$/i.test(fileName)) {
+    return text
+      .replace(/<(script|style|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(?:p|div|h[1-6]|li|tr|blockquote|section|article)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+      .replace(/&(amp|lt|gt|quot|apos|#39);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" })[name])
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  if (/\.(?:md|markdown)$/i.test(fileName)) {
+    return text
+      .replace(/```[\s\S]*?```/g, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/(\*\*|__|\*|_|`)(\S(?:[^\n]*?\S)?)\1/g, '$2')
+      .trim();
+  }
+
+  return text.trim();
+}
+
+/**
+ * Split a text into sentences
+ * @param {string} text - The document's text
+ * @returns {Object[]} - { text, start, end } with character offsets into the
+ *   text; blank lines end a sentence too
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  const add = (start, end) => {
+    const content = text.slice(start, end);
+    const trimmedStart = start + (content.length - content.trimStart().length);
+    const trimmedEnd = end - (content.length - content.trimEnd().length);
+    if (trimmedEnd > trimmedStart) {
+      sentences.push({ text: text.slice(trimmedStart, trimmedEnd), start: trimmedStart, end: trimmedEnd });
+    }
+  };
+
+  const boundary = /[.!?]+["'”’)\]]*(?=\s|$)|\n[^\S\n]*\n/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    if (match[0][0] === '.' && ABBREVIATION.test(text.slice(start, match.index + 1))) continue;
+    add(start, end);
+    start = end;
+  }
+  add(start, text.length);
+
+  return sentences;
+}
+
+/**
+ * Take the capitalized words that don't belong to a name off its start, and
+ * a possessive off its end
+ * @returns {Object|null} - { name, offset (of the name within the run) }
+ */
+function trimName(run) {
+  let name = run;
+  let offset = 0;
+  let leading;
+  while ((leading = name.match(LEADING_WORD))) {
+    name = name.slice(leading[0].length);
+    offset += leading[0].length;
+  }
+  name = name.replace(/['’]s$/, '').replace(/[-'’]+$/, '');
+  return name && !NOT_PLACES.has(name.toLowerCase()) ? { name, offset } : null;
+}
+
+/**
+ * Find the names in a sentence: first the names of more than one word the
+ * gazetteer knows, with their punctuation and qualifiers ("Washington, D.C.",
+ * "San Francisco, California"), then the runs of capitalized words outside them
+ * @param {string} sentence - The sentence's text
+ * @returns {Object[]} - { name, index (offset into the sentence) } in text order
+ */
+function findNames(sentence) {
+  const known = findPlaceNames(sentence)
+    .filter(({ name }) => /^\p{Lu}/u.test(name) && /[\s,.]/.test(name))
+    .map(({ name, start }) => ({ name, index: start }));
+  const overlapsKnown = (index, name) => known.some(other => index < other.index + other.name.length && other.index < index + name.length);
+
+  const runs = [];
+  for (const match of sentence.matchAll(NAME)) {
+    const trimmed = trimName(match[0]);
+    const index = match.index + (trimmed ? trimmed.offset : 0);
+    if (trimmed && !overlapsKnown(index, trimmed.name)) runs.push({ name: trimmed.name, index });
+  }
+  return [...known, ...runs].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Whether the gazetteer knows a name well enough to read it as a place
+ */
+function isKnownPlace(name) {
+  const place = findPlace(name);
+  return place !== null && (place.kind !== 'city' || place.population >= KNOWN_CITY_POPULATION);
+}
+
+/**
+ * Find the places a text mentions
+ * A capitalized name is a place when a preposition or verb of place comes
+ * before it ("in Rome", "reached Antioch", "the fall of Constantinople"), when
+ * it names a sea, continent, region or state, when the gazetteer knows it as
+ * a country, division, landmark or sizeable city, when the historical
+ * gazetteer knows it, when it continues a list of places ("Venice, Genoa and Pisa"), or
+ * when the text has already mentioned it as a place.
+ * @param {string} text - The document's text
+ * @returns {Object} - { sentences (see splitSentences), mentions: { name,
+ *   start, end (character offsets), sentence (its index), role ('origin',
+ *   'destination' or 'mentioned'), dates (times written in the sentence, see
+ *   findTimeMentions, nearest first), timeContext (the nearest, or '') } }
+ */
+export function findPlaceMentions(text) {
+  const sentences = splitSentences(text || '');
+  const mentions = [];
+  const known = new Set();
+
+  sentences.forEach((sentence, index) => {
+    const dates = findTimeMentions(sentence.text).map(date => ({
+      ...date,
+      start: sentence.start + date.start,
+      end: sentence.start + date.end
+    }));
+    let previous = null;
+
+    for (const candidate of findNames(sentence.text)) {
+      const start = sentence.start + candidate.index;
+      const end = start + candidate.name.length;
+      // Times like "Middle Ages" or "Victorian" are dates, not places
+      if (dates.some(date => start < date.end && date.start < end)) continue;
+
+      const before = text.slice(sentence.start, start);
+      const listed = previous && LIST_SEPARATOR.test(text.slice(previous.end, start));
+      const isPlace = known.has(candidate.name.toLowerCase()) || LOCATIVE.test(before) || listed ||
+        GEOGRAPHY.test(candidate.name) || isKnownPlace(candidate.name) || findHistoricalPlace(candidate.name) !== null;
+      if (!isPlace) continue;
+      known.add(candidate.name.toLowerCase());
+
+      let role = 'mentioned';
+      if (ORIGIN.test(before)) role = 'origin';
+      else if (DESTINATION.test(before)) role = 'destination';
+      else if (listed) role = previous.role;
+
+      const nearby = [...dates].sort((a, b) => distanceBetween(a, start, end) - distanceBetween(b, start, end));
+      const mention = {
+        name: candidate.name,
+        start,
+        end,
+        sentence: index,
+        role,
+        dates: nearby,
+        timeContext: nearby.length > 0 ? nearby[0].text : ''
+      };
+      mentions.push(mention);
+      previous = mention;
+    }
+  });
+
+  return { sentences, mentions };
+}
+
+/**
+ * Characters between a date and a mention
+ */
+function distanceBetween(date, start, end) {
+  return date.end <= start ? start - date.end : Math.max(0, date.start - end);
+}
+
+/**
+ * Read a document into its sentences, the mentions of places and the places
+ * @param {string} text - The document's text (see documentText for files)
+ * @returns {Object} - { text, sentences, mentions (see findPlaceMentions,
+ *   each also with the name of its place), places: { name, timeContext (of
+ *   its first dated mention, or ''), roles, mentions (indices into mentions) }
+ *   in the order they are first mentioned, at most MAX_DOCUMENT_PLACES }
+ */
+export function extractDocumentPlaces(text) {
+  const { sentences, mentions: found } = findPlaceMentions(text);
+  const places = new Map();
+  const mentions = [];
+
+  found.forEach(mention => {
+    const key = mention.name.toLowerCase();
+    if (!places.has(key)) {
+      if (places.size >= MAX_DOCUMENT_PLACES) return;
+      places.set(key, { name: mention.name, timeContext: '', roles: [], mentions: [] });
+    }
+
+    const place = places.get(key);
+    if (!place.timeContext) place.timeContext = mention.timeContext;
+    if (!place.roles.includes(mention.role)) place.roles.push(mention.role);
+    place.mentions.push(mentions.length);
+    mentions.push({ ...mention, place: place.name });
+  });
+
+  return { text, sentences, mentions, places: [...places.values()] };
+}
+
+/**
+ * Whether a text is a document to read rather than a query: a few sentences
+ * of prose, not an instruction
+ * @param {string} text - The text typed or pasted
+ * @returns {boolean}
+ */
+export function looksLikeDocument(text) {
+  if (!text || text.length < 150) return false;
+  if (/^\s*(?:show|route|directions|take|navigate|drive|walk|cycle|fly|find|plan|how|what|where)\b/i.test(text)) return false;
+  return splitSentences(text).length >= 2;
+}
@@ -0,0 +1,94 @@
+/**
+ * Flight Routing
+ * Plans air legs between airports from the bundled list (airports.js): each
+ * stop is served by its nearest airport and consecutive airports are joined by
+ * a great-circle flight with an estimated block time. The ground legs to and
+ * from the airports are left to the caller, which has a road network.
+ * DOM-free, so it runs in the browser, the NLP pipeline and the tests alike.
+ */
+
+import { AIRPORTS } from './airports.js';
+import { greatCircleDistance, greatCircleLine } from './geodesic.js';
+
+// Typical cruise speed of a jet airliner
+const CRUISE_SPEED_KMH = 800;
+
+// Taxi, climb and descent, which take about the same time on any flight
+const FLIGHT_OVERHEAD_MINUTES = 30;
+
+/**
+ * Estimate how long a flight takes
+ * @param {number} distanceKm - Great-circle distance between the airports
+ * @returns {number} - Duration in seconds
+ */
+export function estimateFlightDuration(distanceKm) {
+  return Math.round((distanceKm / CRUISE_SPEED_KMH * 60 + FLIGHT_OVERHEAD_MINUTES) * 60);
+}
+
+/**
+ * Create a flight planner over a list of airports
+ * @param {Object} options - { airports }; defaults to the bundled list
+ * @returns {Object} - { findAirport, nearestAirport, planFlights }
+ */
+export function createFlightPlanner({ airports = AIRPORTS } = {}) {
+  const byCode = new Map(airports.map(airport => [airport.iata, airport]));
+
+  /**
+   * Look up an airport by its IATA code
+   * @param {string} code - Three-letter code, any case
+   * @returns {Object|null} - The airport or null when the code is unknown
+   */
+  function findAirport(code) {
+    if (typeof code !== 'string') return null;
+    return byCode.get(code.trim().toUpperCase()) || null;
+  }
+
+  /**
+   * Find the airport closest to a point
+   * @param {Array} coordinates - [lng, lat]
+   * @returns {Object|null} - { airport, distance (km) } or null without airports
+   */
+  function nearestAirport(coordinates) {
+    let nearest = null;
+    airports.forEach(airport => {
+      const distance = greatCircleDistance(coordinates, airport.coordinates);
+      if (!nearest || distance < nearest.distance) nearest = { airport, distance };
+    });
+    return nearest;
+  }
+
+  /**
+   * Plan the flights between stops
+   * Stops served by the same airport are not joined by a flight.
+   * @param {Array} stops - Array of [lng, lat], at least two
+   * @returns {Object|null} - { airports: [{ airport, distance (km) }] per stop,
+   *   flights: [{ origin, destination, coordinates, distance (meters), duration (seconds) }] },
+   *   or null when there is nothing to fly
+   */
+  function planFlights(stops) {
+    if (!stops || stops.length < 2) return null;
+
+    const served = stops.map(nearestAirport);
+    if (served.some(entry => !entry)) return null;
+
+    const flights = [];
+    for (let i = 0; i < served.length - 1; i++) {
+      const origin = served[i].airport;
+      const destination = served[i + 1].airport;
+      if (origin === destination) continue;
+
+      const distance = greatCircleDistance(origin.coordinates, destination.coordinates);
+      flights.push({
+        origin,
+        destination,
+        coordinates: greatCircleLine([origin.coordinates, destination.coordinates]),
+        distance: Math.round(distance * 1000),
+        duration: estimateFlightDuration(distance)
+      });
+    }
+
+    return flights.length > 0 ? { airports: served, flights } : null;
+  }
+
+  return { findAirport, nearestAirport, planFlights };
+}
@@ -0,0 +1,296 @@
+/**
+ * Gazetteer
+ * Place names, kinds, coordinates and populations from the bundled GeoNames
+ * extract (gazetteer-data.js, built by scripts/build-gazetteer.js), so the
+ * extractors, the clarification logic and the offline geocoding fallback
+ * agree on what a place is and where it lies. DOM-free, so the tests can
+ * use it.
+ *
+ * Names are compared folded (case, accents, "St." and "Saint"). A name that
+ * several places share resolves to the most likely one: countries first,
+ * then the most populous, except that a city comes before the division of
+ * the same name it is in ("New York", "Quebec"). Qualified names such as
+ * "Portland, Maine" or "Portland, OR" pick the place inside the qualifier.
+ */
+
+import { ADMIN_AREAS, COUNTRIES, PLACES } from './gazetteer-data.js';
+
+// Population from which a city counts as a major one
+export const MAJOR_CITY_POPULATION = 1000000;
+
+// Smallest population of a place that makes a shared name ambiguous
+const AMBIGUOUS_POPULATION = 50000;
+
+// Share of the largest place's population the next one needs for the name to be ambiguous
+const AMBIGUOUS_SHARE = 0.1;
+
+// Longest place name, in words, looked for in a text
+const MAX_NAME_WORDS = 6;
+
+const KINDS = { C: 'country', A: 'admin', P: 'city', L: 'landmark' };
+
+// Letters that do not decompose into a base letter and an accent
+const LETTERS = { ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', ł: 'l', đ: 'd', ı: 'i', þ: 'th', ð: 'd' };
+
+// Abbreviated words of place names ("St. Louis", "Mt. Fuji")
+const ABBREVIATED = { st: 'saint', ste: 'sainte', mt: 'mount', ft: 'fort' };
+
+// Words that may precede a name without being part of it
+const QUALIFYING_WORDS = /^(?:the|ancient|old|historic|downtown|central|greater)\s+/i;
+
+// Words of a text, keeping apostrophes, hyphens and inner dots ("Xi'an", "D.C")
+const WORD = /[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+
+// What may separate the words of one name
+const NAME_SEPARATOR = /^[.,]?[ \t]+$/;
+
+/**
+ * Fold a name for comparison: no case, accents or punctuation, abbreviated
+ * words spelled out
+ */
+export function foldName(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[øæœßłđıþð]/g, letter => LETTERS[letter])
+    .replace(/&/g, ' and ')
+    .replace(/[.'’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ABBREVIATED[word] || word)
+    .join(' ');
+}
+
+/**
+ * Whether a form of a name is an abbreviation ("NYC", "U.K."), which only
+ * matches when written the same way
+ */
+function isAbbreviation(form) {
+  return /^[A-Z]{2,5}$/.test(form.replace(/\./g, ''));
+}
+
+/**
+ * Whether an area (a country or a first-level division) contains a place
+ */
+function contains(area, place) {
+  if (area === place || place.kind === 'country') return false;
+  if (area.kind === 'country') return place.country === area.country;
+  if (area.kind === 'admin') return place.kind !== 'admin' && place.country === area.country && place.admin1 === area.admin1;
+  return false;
+}
+
+/**
+ * Order the places sharing a name from the most to the least likely meant
+ */
+function rank(entries) {
+  const ranked = [...entries].sort((a, b) =>
+    (b.place.kind === 'country') - (a.place.kind === 'country') || b.place.population - a.place.population);
+
+  // A city is what its name usually means, over the division it is in
+  ranked.forEach((entry, i) => {
+    if (entry.place.kind !== 'city') return;
+    const area = ranked.findIndex((other, j) => j < i && other.place.kind === 'admin' && contains(other.place, entry.place));
+    if (area >= 0) {
+      ranked.splice(i, 1);
+      ranked.splice(area, 0, entry);
+    }
+  });
+  return ranked;
+}
+
+let index = null;
+
+/**
+ * Read the extract into lookup tables the first time they are needed
+ * @returns {Object} - { countries (code to name), admins ("US.OR" to name), names (folded name to ranked entries { place, abbreviation }) }
+ */
+function getIndex() {
+  if (index) return index;
+
+  const table = text => new Map(text.trim().split('\n').map(line => line.split('|')));
+  const countries = table(COUNTRIES);
+  const admins = table(ADMIN_AREAS);
+  const names = new Map();
+
+  PLACES.trim().split('\n').forEach(line => {
+    const [name, alternates, lng, lat, kind, country, admin1, population] = line.split('|');
+    const place = {
+      name,
+      kind: KINDS[kind],
+      coordinates: [Number(lng), Number(lat)],
+      country,
+      admin1,
+      population: Number(population) || 0
+    };
+
+    [name, ...(alternates ? alternates.split(';') : [])].forEach(form => {
+      const key = foldName(form);
+      if (!key) return;
+      const abbreviation = form !== name && isAbbreviation(form) ? form.replace(/\./g, '') : null;
+      const entries = names.get(key) || [];
+      const existing = entries.find(entry => entry.place === place);
+      if (existing) {
+        if (!abbreviation) existing.abbreviation = null;
+      } else {
+        entries.push({ place, abbreviation });
+        names.set(key, entries);
+      }
+    });
+  });
+
+  names.forEach((entries, key) => {
+    if (entries.length > 1) names.set(key, rank(entries));
+  });
+
+  index = { countries, admins, names };
+  return index;
+}
+
+/**
+ * Whether a qualifier ("Maine", "OR", "France", "UK") names an area the place is in
+ */
+function isQualifiedBy(place, qualifier) {
+  const code = qualifier.trim().replace(/\./g, '');
+  if (/^[A-Z]{2,3}$/.test(code) && (code === place.admin1 || code === place.country)) return true;
+  return (getIndex().names.get(foldName(qualifier)) || []).some(entry => contains(entry.place, place));
+}
+
+/**
+ * Find the places a name may refer to, the most likely first
+ * @param {string} query - A place name, optionally qualified ("Portland, Maine", "the ancient Rome")
+ * @returns {Array<Object>} - Places { name, kind ('country', 'admin', 'city' or 'landmark'), coordinates [lng, lat], country, admin1, population }
+ */
+export function findPlaces(query) {
+  const key = foldName(query);
+  if (!key) return [];
+
+  const { names } = getIndex();
+  if (names.has(key)) return names.get(key).map(entry => entry.place);
+
+  const [name, ...qualifiers] = String(query).split(',').map(part => part.trim()).filter(Boolean);
+  if (qualifiers.length) {
+    const places = (names.get(foldName(name)) || [])
+      .map(entry => entry.place)
+      .filter(place => qualifiers.every(qualifier => isQualifiedBy(place, qualifier)));
+    if (places.length) return places;
+  }
+
+  const unqualified = name.replace(QUALIFYING_WORDS, '');
+  return unqualified !== name ? findPlaces([unqualified, ...qualifiers].join(', ')) : [];
+}
+
+/**
+ * Find the place a name most likely refers to
+ * @returns {Object|null} - A place as returned by findPlaces
+ */
+export function findPlace(query) {
+  return findPlaces(query)[0] || null;
+}
+
+/**
+ * Describe a place with the areas it is in ("Portland, Oregon, United States")
+ */
+export function describePlace(place) {
+  const { countries, admins } = getIndex();
+  const parts = [place.name];
+  if (place.kind !== 'country' && place.kind !== 'admin' && !place.name.includes(',')) {
+    parts.push(admins.get(`${place.country}.${place.admin1}`));
+  }
+  if (place.kind !== 'country') parts.push(countries.get(place.country));
+  return parts.filter((part, i) => part && part !== parts[i - 1]).join(', ');
+}
+
+/**
+ * Whether a name is shared by places that are each likely to be meant
+ * ("Springfield", "Portland", "Washington"), rather than by one well-known
+ * place and some small ones ("Paris")
+ */
+export function isAmbiguousPlace(name) {
+  const places = findPlaces(name).filter(place => place.population >= AMBIGUOUS_POPULATION);
+  const distinct = places
+    .filter(place => !places.some(other => contains(other, place)))
+    .sort((a, b) => b.population - a.population);
+  if (distinct.length < 2) return false;
+
+  const [first, second] = distinct;
+  const isArea = place => place.kind === 'country' || place.kind === 'admin';
+  return second.population >= first.population * AMBIGUOUS_SHARE || isArea(first) !== isArea(second);
+}
+
+/**
+ * Describe the places a name may refer to, for asking which one was meant
+ * @returns {Array<string>} - e.g. ["Portland, Oregon, United States", "Portland, Maine, United States"]
+ */
+export function placeAlternatives(name, limit = 4) {
+  return [...new Set(findPlaces(name).map(describePlace))].slice(0, limit);
+}
+
+/**
+ * Whether a name as written may be read as a place: abbreviations only as
+ * written, single words capitalized unless the place is a major one
+ */
+function matchesAsWritten(entry, written, words) {
+  if (entry.abbreviation) return written.replace(/\./g, '') === entry.abbreviation;
+  if (words > 1 || /^\p{Lu}/u.test(written)) return true;
+  const { place } = entry;
+  return place.kind === 'country' || place.kind === 'admin' || (place.kind === 'city' && place.population >= MAJOR_CITY_POPULATION);
+}
+
+/**
+ * Find the known place names in a text, longest first ("New York City"
+ * before "York"), with a qualifier that follows them ("Portland, Maine")
+ * @param {string} text - The text to search
+ * @returns {Array<Object>} - { name (as written), start, end (offsets into the text), place } in text order
+ */
+export function findPlaceNames(text) {
+  if (!text) return [];
+  const { names } = getIndex();
+  const words = [...String(text).matchAll(WORD)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+  // Places a run of words may be read as, or null where the words do not make one name
+  const placesAt = (from, count) => {
+    for (let i = from + 1; i < from + count; i++) {
+      if (!NAME_SEPARATOR.test(text.slice(words[i - 1].end, words[i].start))) return null;
+    }
+    const written = text.slice(words[from].start, words[from + count - 1].end);
+    const places = (names.get(foldName(written)) || [])
+      .filter(entry => matchesAsWritten(entry, written, count))
+      .map(entry => entry.place);
+    return places.length ? places : null;
+  };
+
+  const found = [];
+  for (let i = 0; i < words.length;) {
+    let count = Math.min(MAX_NAME_WORDS, words.length - i);
+    let places = null;
+    for (; count > 0 && !places; count--) places = placesAt(i, count);
+    if (!places) {
+      i++;
+      continue;
+    }
+    count++;
+
+    // Take in a qualifier that names an area the place is in
+    let end = i + count;
+    let place = places[0];
+    if (end < words.length && /^,[ \t]*$/.test(text.slice(words[end - 1].end, words[end].start))) {
+      for (let length = Math.min(3, words.length - end); length > 0; length--) {
+        const gaps = words.slice(end + 1, end + length).every((word, j) => /^[ \t]+$/.test(text.slice(words[end + j].end, word.start)));
+        const qualifier = text.slice(words[end].start, words[end + length - 1].end);
+        const qualified = gaps && places.find(candidate => isQualifiedBy(candidate, qualifier));
+        if (qualified) {
+          place = qualified;
+          end += length;
+          break;
+        }
+      }
+    }
+
+    // The dot that ends an abbreviation ("D.C.") is not part of the last word
+    const start = words[i].start;
+    let last = words[end - 1].end;
+    if (text[last] === '.' && text.slice(words[end - 1].start, last).includes('.')) last++;
+    found.push({ name: text.slice(start, last), start, end: last, place });
+    i = end;
+  }
+  return found;
+}
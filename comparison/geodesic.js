@@ -0,0 +1,239 @@
+/**
+ * Geodesic Lines
+ * Great-circle geometry for the routes drawn without a road network (air and
+ * sea legs): spherical interpolation with a point density that follows the
+ * arc length, longitude unwrapping so Mapbox draws lines across the
+ * antimeridian the short way, and bounds that stay tight for such lines.
+ *
+ * Coordinates are [lng, lat] pairs. Unwrapped lines may contain longitudes
+ * outside [-180, 180]; Mapbox GL renders those on the neighbouring world copy,
+ * which is exactly where the line continues. Use splitAtAntimeridian() when a
+ * line has to leave the map, e.g. for a GeoJSON export.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Default spacing between interpolated points
+const DEFAULT_SEGMENT_KM = 100;
+
+// Upper bound on points per leg, so antipodal legs stay cheap to draw
+const MAX_POINTS_PER_SEGMENT = 500;
+
+// Below this angle (radians) two points are treated as identical or antipodal
+const EPSILON = 1e-12;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Normalize a longitude to [-180, 180)
+ * @param {number} lon - Longitude in degrees
+ * @returns {number}
+ */
+export function normalizeLongitude(lon) {
+  // Leave in-range values untouched so they survive without rounding noise
+  if (lon >= -180 && lon < 180) return lon;
+  return ((lon + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Angle between two points on the sphere (haversine)
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {number} - Central angle in radians
+ */
+export function centralAngle([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(Math.max(0, 1 - a)));
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {number} - Distance in kilometers
+ */
+export function greatCircleDistance(from, to) {
+  return centralAngle(from, to) * EARTH_RADIUS_KM;
+}
+
+/**
+ * Point at a distance and initial bearing from a start point
+ * @param {Array} from - [lng, lat]
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} distanceKm - Distance along the great circle
+ * @returns {Array} - [lng, lat], longitude in [-180, 180)
+ */
+export function destinationPoint(from, bearing, distanceKm) {
+  const [lon1, lat1] = from.map(toRadians);
+  const angle = distanceKm / EARTH_RADIUS_KM;
+  const theta = toRadians(bearing);
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(theta));
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angle) * Math.cos(lat1),
+    Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return [normalizeLongitude(toDegrees(lon2)), toDegrees(lat2)];
+}
+
+/**
+ * Point at a fraction of the way along the great circle between two points
+ * (spherical linear interpolation of the unit vectors)
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @param {number} fraction - 0 returns from, 1 returns to
+ * @returns {Array} - [lng, lat], longitude in [-180, 180]
+ */
+export function interpolateGreatCircle(from, to, fraction) {
+  const angle = centralAngle(from, to);
+  const sinAngle = Math.sin(angle);
+
+  // Identical points have no direction and antipodal points have infinitely
+  // many great circles between them; fall back to a straight line
+  if (sinAngle < EPSILON) {
+    return [from[0] + (to[0] - from[0]) * fraction, from[1] + (to[1] - from[1]) * fraction];
+  }
+
+  const [lon1, lat1] = from.map(toRadians);
+  const [lon2, lat2] = to.map(toRadians);
+  const a = Math.sin((1 - fraction) * angle) / sinAngle;
+  const b = Math.sin(fraction * angle) / sinAngle;
+
+  const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+  const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+  return [toDegrees(Math.atan2(y, x)), toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)))];
+}
+
+/**
+ * Shift longitudes by multiples of 360 so that consecutive points are never
+ * more than 180 degrees apart, which makes every step take the short way
+ * @param {Array} coordinates - Array of [lng, lat]
+ * @returns {Array} - New array of [lng, lat]; the first point is left as is
+ */
+export function unwrapLongitudes(coordinates) {
+  const result = [];
+  coordinates.forEach(([lon, lat], index) => {
+    if (index === 0) {
+      result.push([lon, lat]);
+      return;
+    }
+    const previous = result[index - 1][0];
+    result.push([previous + normalizeLongitude(lon - previous), lat]);
+  });
+  return result;
+}
+
+/**
+ * Follow the great circles through a list of points
+ * Each leg gets one point per segmentKm of arc length (at least its two
+ * endpoints), and the result is unwrapped at the antimeridian.
+ * @param {Array} coordinates - Array of [lng, lat]
+ * @param {Object} options - { segmentKm, maxPointsPerSegment }
+ * @returns {Array} - Array of [lng, lat]
+ */
+export function greatCircleLine(coordinates, { segmentKm = DEFAULT_SEGMENT_KM, maxPointsPerSegment = MAX_POINTS_PER_SEGMENT } = {}) {
+  if (!coordinates || coordinates.length < 2) return coordinates;
+
+  const result = [];
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const from = coordinates[i];
+    const to = coordinates[i + 1];
+    const steps = Math.min(Math.max(Math.ceil(greatCircleDistance(from, to) / segmentKm), 1), maxPointsPerSegment);
+
+    result.push([from[0], from[1]]);
+    for (let j = 1; j < steps; j++) {
+      result.push(interpolateGreatCircle(from, to, j / steps));
+    }
+  }
+  const last = coordinates[coordinates.length - 1];
+  result.push([last[0], last[1]]);
+
+  return unwrapLongitudes(result);
+}
+
+/**
+ * Cut a line wherever it crosses the antimeridian, as RFC 7946 asks of
+ * GeoJSON geometries
+ * @param {Array} coordinates - Array of [lng, lat], wrapped or unwrapped
+ * @returns {Array} - Array of lines, all longitudes within [-180, 180]
+ */
+export function splitAtAntimeridian(coordinates) {
+  if (!coordinates || coordinates.length === 0) return [];
+
+  const unwrapped = unwrapLongitudes(coordinates);
+  const worldCopy = lon => Math.floor((lon + 180) / 360);
+  const lines = [];
+  let line = [];
+
+  unwrapped.forEach(([lon, lat], index) => {
+    if (index > 0) {
+      const [previousLon, previousLat] = unwrapped[index - 1];
+      const fromCopy = worldCopy(previousLon);
+      const toCopy = worldCopy(lon);
+
+      if (fromCopy !== toCopy) {
+        // Consecutive unwrapped points are less than 180 degrees apart, so a
+        // step crosses at most one antimeridian
+        const crossing = Math.max(fromCopy, toCopy) * 360 - 180;
+        const crossingLat = previousLat + (lat - previousLat) * (crossing - previousLon) / (lon - previousLon);
+        const eastward = toCopy > fromCopy;
+
+        line.push([eastward ? 180 : -180, crossingLat]);
+        lines.push(line);
+        line = [[eastward ? -180 : 180, crossingLat]];
+      }
+    }
+    line.push([lon - worldCopy(lon) * 360, lat]);
+  });
+
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Smallest bounds that contain all points, crossing the antimeridian when
+ * that is shorter than going around the other way
+ * @param {Array} coordinates - Array of [lng, lat]
+ * @returns {Array|null} - [[west, south], [east, north]], or null when there
+ *   are no points. east may exceed 180; the bounds are expressed in the world
+ *   copy of the first point so they line up with an unwrapped line.
+ */
+export function lngLatBounds(coordinates) {
+  const points = (coordinates || []).filter(coord =>
+    Array.isArray(coord) && coord.length >= 2 && Number.isFinite(coord[0]) && Number.isFinite(coord[1])
+  );
+  if (points.length === 0) return null;
+
+  const south = Math.min(...points.map(([, lat]) => lat));
+  const north = Math.max(...points.map(([, lat]) => lat));
+
+  // The bounds leave out the widest empty stretch of longitudes
+  const longitudes = [...new Set(points.map(([lon]) => normalizeLongitude(lon)))].sort((a, b) => a - b);
+  let gapEnd = 0;
+  let widestGap = longitudes[0] + 360 - longitudes[longitudes.length - 1];
+  for (let i = 1; i < longitudes.length; i++) {
+    if (longitudes[i] - longitudes[i - 1] > widestGap) {
+      widestGap = longitudes[i] - longitudes[i - 1];
+      gapEnd = i;
+    }
+  }
+
+  let west = longitudes[gapEnd];
+  let east = longitudes[(gapEnd + longitudes.length - 1) % longitudes.length];
+  if (east < west) east += 360;
+
+  // The tolerance keeps rounding in normalizeLongitude() from picking the
+  // copy next door when the first point is the western edge
+  const shift = Math.floor((points[0][0] - west) / 360 + 1e-9) * 360;
+  west += shift;
+  east += shift;
+
+  return [[west, south], [east, north]];
+}
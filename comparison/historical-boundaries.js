@@ -0,0 +1,108 @@
+/**
+ * Historical Boundaries
+ * The catalog of boundary snapshots the historical style overlays on the map:
+ * coarse outlines of the states of a moment in history (the Roman Empire at
+ * its greatest extent in 117, the Mongol khanates in 1279, Europe on the eve
+ * of the First World War), bundled as GeoJSON files in ./boundaries. Picks
+ * the snapshot that fits the years a result's places are meant at.
+ * DOM-free, so the tests can use it.
+ */
+
+import { describeYears, formatYear, parseTimeContext } from './time-context.js';
+
+/**
+ * Snapshots, in time order: { id (also the name of the GeoJSON file), year,
+ * label }. Each file is a FeatureCollection of polygons with a name and a
+ * fill color.
+ */
+export const BOUNDARY_SNAPSHOTS = [
+  { id: 'roman-empire-117', year: 117, label: 'Roman Empire' },
+  { id: 'mongol-empire-1279', year: 1279, label: 'Mongol Empire' },
+  { id: 'europe-1914', year: 1914, label: 'Europe' }
+];
+
+// How many years away from the places' time a snapshot may be and still be shown
+export const MAX_SNAPSHOT_DISTANCE = 100;
+
+/**
+ * Look a snapshot up by its id
+ * @param {string} id - e.g. 'europe-1914'
+ * @returns {Object|null}
+ */
+export function findSnapshot(id) {
+  return BOUNDARY_SNAPSHOTS.find(snapshot => snapshot.id === id) || null;
+}
+
+/**
+ * Name a snapshot for the year picker and the map
+ * @param {Object} snapshot - A snapshot of BOUNDARY_SNAPSHOTS
+ * @returns {string} - e.g. "Roman Empire, 117", "Europe, 1914"
+ */
+export function describeSnapshot(snapshot) {
+  return `${snapshot.label}, ${formatYear(snapshot.year)}`;
+}
+
+/**
+ * The span of years a result's places are meant at
+ * @param {Object[]} locations - Locations with years ({ start, end }) or a
+ *   time context
+ * @returns {Object|null} - { start, end } covering all of them, or null when
+ *   none is dated
+ */
+export function locationYears(locations) {
+  const dated = (locations || [])
+    .map(location => location.years || parseTimeContext(location.timeContext))
+    .filter(Boolean);
+  if (dated.length === 0) return null;
+
+  return {
+    start: Math.min(...dated.map(years => years.start)),
+    end: Math.max(...dated.map(years => years.end))
+  };
+}
+
+/**
+ * Years between a snapshot and a span of years, 0 when the span includes it
+ */
+function distanceInYears(snapshot, years) {
+  if (snapshot.year < years.start) return years.start - snapshot.year;
+  return Math.max(0, snapshot.year - years.end);
+}
+
+/**
+ * Choose the snapshot closest in time to a span of years
+ * Among snapshots inside the span, the one nearest its middle wins.
+ * @param {Object} years - { start, end }, or null
+ * @returns {Object|null} - A snapshot of BOUNDARY_SNAPSHOTS, or null when
+ *   none is within MAX_SNAPSHOT_DISTANCE years (e.g. for "Ancient Egypt")
+ */
+export function chooseSnapshot(years) {
+  if (!years) return null;
+
+  const middle = (years.start + years.end) / 2;
+  const [best] = BOUNDARY_SNAPSHOTS
+    .map(snapshot => ({ snapshot, distance: distanceInYears(snapshot, years) }))
+    .filter(({ distance }) => distance <= MAX_SNAPSHOT_DISTANCE)
+    .sort((a, b) => a.distance - b.distance || Math.abs(a.snapshot.year - middle) - Math.abs(b.snapshot.year - middle));
+  return best ? best.snapshot : null;
+}
+
+/**
+ * Explain why no snapshot is shown for a span of years
+ * @param {Object} years - { start, end }, or null
+ * @returns {string}
+ */
+export function describeMissingSnapshot(years) {
+  return years
+    ? `No boundaries for ${describeYears(years)}`
+    : 'No dated places to match';
+}
+
+/**
+ * Where a snapshot's GeoJSON file is, next to this module
+ * @param {Object} snapshot - A snapshot of BOUNDARY_SNAPSHOTS
+ * @returns {URL}
+ */
+export function snapshotUrl(snapshot) {
+  return new URL(`./boundaries/${snapshot.id}.geojson`, import.meta.url);
+}
@@ -0,0 +1,129 @@
+/**
+ * Historical Gazetteer
+ * A bundled table of historical place names ("Constantinople", "Gaul",
+ * "Persia", "Carthage") with their variants, the places they correspond to
+ * today and the years the name was in use, so places from history resolve
+ * without a geocoder that only knows today's map, and popups can say what
+ * a place is now called. DOM-free, so the tests can use it.
+ *
+ * Resolution is era-aware: with a time context, names whose period overlaps
+ * it are preferred, a modern name resolves to what the place was called then
+ * ("Istanbul" in 1453 is Constantinople), and names still used for another
+ * place today (Memphis) only match in their own period.
+ */
+
+import { describeYears } from './time-context.js';
+
+/**
+ * Places: { name, variants, modern (what the place is today), coordinates
+ * [lng, lat], start, end (years the name was in use, negative before the
+ * common era), current (the name is also a present-day place elsewhere) }
+ */
+export const HISTORICAL_PLACES = [
+  // Antiquity
+  { name: 'Byzantium', variants: ['Byzantion'], modern: 'Istanbul', coordinates: [28.9784, 41.0082], start: -667, end: 330 },
+  { name: 'Constantinople', variants: ['Konstantinoupolis', 'Kostantiniyye'], modern: 'Istanbul', coordinates: [28.9784, 41.0082], start: 330, end: 1930 },
+  { name: 'Carthage', variants: ['Carthago', 'Qart-hadasht'], modern: 'Tunis', coordinates: [10.3236, 36.8585], start: -814, end: 698 },
+  { name: 'Gaul', variants: ['Gallia'], modern: 'France', coordinates: [2.2137, 46.2276], start: -600, end: 486 },
+  { name: 'Britannia', variants: ['Roman Britain'], modern: 'Great Britain', coordinates: [-1.5491, 52.3555], start: 43, end: 410 },
+  { name: 'Hispania', variants: ['Iberia'], modern: 'Spain and Portugal', coordinates: [-3.7492, 40.4637], start: -218, end: 472 },
+  { name: 'Germania', variants: ['Magna Germania'], modern: 'Germany', coordinates: [10.4515, 51.1657], start: -100, end: 476 },
+  { name: 'Dacia', variants: [], modern: 'Romania', coordinates: [24.9668, 45.9443], start: -168, end: 275 },
+  { name: 'Persia', variants: ['Persian Empire'], modern: 'Iran', coordinates: [53.688, 32.4279], start: -550, end: 1935 },
+  { name: 'Mesopotamia', variants: [], modern: 'Iraq', coordinates: [44.4009, 33.2232], start: -3100, end: 651 },
+  { name: 'Babylon', variants: ['Babylonia'], modern: 'Hillah, Iraq', coordinates: [44.4209, 32.5364], start: -1894, end: -275 },
+  { name: 'Asia Minor', variants: ['Anatolia'], modern: 'Turkey', coordinates: [32.8597, 39.9334], start: -1200, end: 1923 },
+  { name: 'Memphis', variants: [], modern: 'Mit Rahina, Egypt', coordinates: [31.2508, 29.8447], start: -3100, end: 641, current: true },
+  { name: 'Thebes', variants: ['Waset'], modern: 'Luxor', coordinates: [32.6396, 25.6872], start: -3200, end: -27, current: true },
+  { name: 'Lutetia', variants: ['Lutetia Parisiorum'], modern: 'Paris', coordinates: [2.3488, 48.8534], start: -52, end: 360 },
+  { name: 'Londinium', variants: [], modern: 'London', coordinates: [-0.0918, 51.5128], start: 47, end: 410 },
+  { name: 'Eboracum', variants: [], modern: 'York', coordinates: [-1.0815, 53.96], start: 71, end: 410 },
+  { name: 'Tenochtitlan', variants: ['Mexico-Tenochtitlan'], modern: 'Mexico City', coordinates: [-99.1332, 19.4326], start: 1325, end: 1521 },
+
+  // Renamed cities and countries
+  { name: 'Edo', variants: ['Yedo'], modern: 'Tokyo', coordinates: [139.6917, 35.6895], start: 1457, end: 1868 },
+  { name: 'Peking', variants: ['Peiping'], modern: 'Beijing', coordinates: [116.4074, 39.9042], start: 1403, end: 1949 },
+  { name: 'Canton', variants: [], modern: 'Guangzhou', coordinates: [113.2644, 23.1291], start: 1600, end: 1958, current: true },
+  { name: 'Bombay', variants: [], modern: 'Mumbai', coordinates: [72.8777, 19.076], start: 1507, end: 1995 },
+  { name: 'Madras', variants: [], modern: 'Chennai', coordinates: [80.2707, 13.0827], start: 1639, end: 1996 },
+  { name: 'Calcutta', variants: [], modern: 'Kolkata', coordinates: [88.3639, 22.5726], start: 1690, end: 2001 },
+  { name: 'Ceylon', variants: [], modern: 'Sri Lanka', coordinates: [80.7718, 7.8731], start: 1505, end: 1972 },
+  { name: 'Siam', variants: [], modern: 'Thailand', coordinates: [100.9925, 15.87], start: 1350, end: 1939 },
+  { name: 'Saigon', variants: [], modern: 'Ho Chi Minh City', coordinates: [106.6297, 10.8231], start: 1698, end: 1976 },
+  { name: 'Batavia', variants: [], modern: 'Jakarta', coordinates: [106.8456, -6.2088], start: 1619, end: 1942, current: true },
+  { name: 'Petrograd', variants: [], modern: 'Saint Petersburg', coordinates: [30.3351, 59.9343], start: 1914, end: 1924 },
+  { name: 'Leningrad', variants: [], modern: 'Saint Petersburg', coordinates: [30.3351, 59.9343], start: 1924, end: 1991 },
+  { name: 'Tsaritsyn', variants: [], modern: 'Volgograd', coordinates: [44.5133, 48.708], start: 1589, end: 1925 },
+  { name: 'Stalingrad', variants: [], modern: 'Volgograd', coordinates: [44.5133, 48.708], start: 1925, end: 1961 },
+  { name: 'New Amsterdam', variants: ['Nieuw Amsterdam'], modern: 'New York City', coordinates: [-74.011, 40.7069], start: 1625, end: 1664 },
+  { name: 'Danzig', variants: [], modern: 'Gdańsk', coordinates: [18.6466, 54.352], start: 1308, end: 1945 },
+  { name: 'Königsberg', variants: ['Konigsberg', 'Koenigsberg'], modern: 'Kaliningrad', coordinates: [20.4522, 54.7104], start: 1255, end: 1946 },
+  { name: 'Pressburg', variants: ['Pozsony'], modern: 'Bratislava', coordinates: [17.1077, 48.1486], start: 907, end: 1919 },
+  { name: 'Christiania', variants: ['Kristiania'], modern: 'Oslo', coordinates: [10.7522, 59.9139], start: 1624, end: 1924 },
+  { name: 'Prussia', variants: ['Kingdom of Prussia'], modern: 'Germany and Poland', coordinates: [14.0, 52.5], start: 1701, end: 1947 }
+];
+
+// Words that make a name sound like a place from history
+const HISTORICAL_WORDS = /^(?:ancient|medieval|roman|byzantine|imperial|colonial|classical)\s|\b(?:empire|kingdom|caliphate|sultanate|khanate|dynasty|principality|duchy)\b/i;
+
+/**
+ * Fold case and accents, and drop "the" and "ancient", for comparing names
+ */
+function normalizeName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim()
+    .replace(/^(?:the\s+)?(?:ancient\s+)?/, '');
+}
+
+/**
+ * Whether a place's name was in use during any part of a range of years
+ */
+function overlaps(place, years) {
+  return place.start <= years.end && years.start <= place.end;
+}
+
+/**
+ * Look a place up in the gazetteer
+ * @param {string} name - A place name, historical or modern
+ * @param {Object} years - { start, end } the place is meant at, or null
+ * @returns {Object|null} - { name, modern, coordinates, start, end, note
+ *   ("Now known as Istanbul", "Called Constantinople then (330–1930)") },
+ *   or null when the gazetteer doesn't know the place
+ */
+export function findHistoricalPlace(name, years = null) {
+  if (!name) return null;
+  const key = normalizeName(name);
+
+  const named = HISTORICAL_PLACES.filter(place => [place.name, ...place.variants].some(variant => normalizeName(variant) === key));
+  const place = years
+    ? named.find(candidate => overlaps(candidate, years)) || named.find(candidate => !candidate.current)
+    : named.find(candidate => !candidate.current);
+  if (place) {
+    const renamed = normalizeName(place.modern) !== normalizeName(place.name);
+    return { ...entry(place), note: renamed ? `Now known as ${place.modern}` : null };
+  }
+
+  // A modern name at a time it was called something else
+  const then = years && HISTORICAL_PLACES.find(candidate => normalizeName(candidate.modern) === key && overlaps(candidate, years));
+  if (then) {
+    return { ...entry(then), note: `Called ${then.name} then (${describeYears(then)})` };
+  }
+
+  return null;
+}
+
+/**
+ * The fields of a gazetteer place a lookup returns
+ */
+function entry({ name, modern, coordinates, start, end }) {
+  return { name, modern, coordinates, start, end };
+}
+
+/**
+ * Whether a name sounds like a place from history: a name only the gazetteer
+ * knows, or one like "Ancient Egypt" or "Kingdom of Prussia"
+ * @param {string} name - A place name
+ * @returns {boolean}
+ */
+export function soundsHistorical(name) {
+  return Boolean(name) && (HISTORICAL_WORDS.test(name) || findHistoricalPlace(name) !== null);
+}
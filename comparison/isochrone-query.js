@@ -0,0 +1,170 @@
+/**
+ * Isochrone Queries
+ * Recognizes questions about the area reachable from a place within a time or
+ * distance budget ("where can I drive to in 30 minutes from Denver", "15
+ * minute walk around the Louvre", "within 10/20/30 min by bike of Union
+ * Square") and turns them into the contours /api/isochrone draws. DOM-free,
+ * so the NLP pipeline and the tests share it with the page.
+ */
+
+import { detectTravelMode } from './travel-modes.js';
+
+// Limits of /api/isochrone (the Mapbox Isochrone API)
+export const MAX_CONTOURS = 4;
+export const MAX_CONTOUR_MINUTES = 60;
+export const MAX_CONTOUR_METERS = 100000;
+
+// Travel modes isochrones can be computed for
+const ISOCHRONE_MODES = ['driving', 'walking', 'cycling'];
+
+// A number or a list of them: "30", "10/20/30", "10, 20 and 30", "1.5"
+const NUMBER_LIST = String.raw`\d+(?:\.\d+)?(?:\s*(?:\/|,|and|or)\s*\d+(?:\.\d+)?)*`;
+
+// "30 minutes", "10/20/30 min", "1 hour", "an hour", "half an hour"
+const TIME_BUDGET = new RegExp(String.raw`\b(?:(${NUMBER_LIST})[\s-]*(min(?:ute)?s?|hours?|hrs?|h)|(half\s+an|an|one)\s+hour)\b`, 'i');
+
+// "5 km", "2/4 miles", "800 m"
+const DISTANCE_BUDGET = new RegExp(String.raw`\b(${NUMBER_LIST})[\s-]*(km|kilomet(?:er|re)s?|miles?|mi|m|met(?:er|re)s?)\b`, 'i');
+
+// Words showing the question is about a reachable area rather than a trip
+const ISOCHRONE_CUE = /\b(?:where\s+can\s+(?:i|we|you)|how\s+far\s+can\s+(?:i|we|you)|reachable|within|isochrones?|(?:min(?:ute)?s?|hours?|km|miles?)\s+(?:walk|drive|ride|bike|cycle)\s+(?:around|from|of|near))\b/i;
+
+// "by car", "on foot", "by bike"
+const MODE_PHRASE = /\s*\b(?:by\s+(car|bike|bicycle)|on\s+(foot))\b/i;
+
+const PHRASE_MODES = {
+  car: 'driving',
+  bike: 'cycling',
+  bicycle: 'cycling',
+  foot: 'walking'
+};
+
+// Nouns that name a mode after a budget ("a 15 minute walk")
+const NOUN_MODES = {
+  walk: 'walking',
+  drive: 'driving',
+  ride: 'cycling',
+  bike: 'cycling',
+  cycle: 'cycling'
+};
+
+const METERS_PER_UNIT = { km: 1000, mile: 1609.344, m: 1 };
+
+/**
+ * Split a number list like "10/20/30" into numbers
+ * @param {string} list - The matched list
+ * @returns {Array} - Numbers in the order given
+ */
+function parseNumbers(list) {
+  return list.split(/\s*(?:\/|,|and|or)\s*/i).map(Number).filter(number => number > 0);
+}
+
+/**
+ * Turn budgets into increasing contours within the API limits
+ * @param {Array} values - Budgets in minutes or meters
+ * @param {number} limit - Largest allowed contour
+ * @param {Object} options - { split }: split a single budget into thirds (30
+ *   min becomes 10, 20 and 30) so the map shows how the area grows, as long
+ *   as the steps stay whole numbers
+ * @returns {Array} - Up to MAX_CONTOURS increasing whole numbers
+ */
+export function toContours(values, limit, { split = false } = {}) {
+  let contours = [...new Set(values.map(value => Math.min(Math.round(value), limit)))]
+    .filter(value => value > 0)
+    .sort((a, b) => a - b);
+
+  if (split && contours.length === 1 && contours[0] % 3 === 0 && contours[0] >= 15) {
+    const step = contours[0] / 3;
+    contours = [step, step * 2, step * 3];
+  }
+  return contours.slice(-MAX_CONTOURS);
+}
+
+/**
+ * Find the travel mode of an isochrone question
+ * @param {string} lead - The question up to the place
+ * @param {string} text - The whole question without its budget
+ * @returns {string|null} - 'driving', 'walking', 'cycling', null for other modes,
+ *   or 'driving' when the question names none
+ */
+function findTravelMode(lead, text) {
+  const phrase = text.match(MODE_PHRASE);
+  if (phrase) return PHRASE_MODES[(phrase[1] || phrase[2]).toLowerCase()];
+
+  const words = lead.trim().split(/\s+/);
+  for (let i = 0; i < words.length; i++) {
+    const noun = NOUN_MODES[words[i].toLowerCase()];
+    if (noun) return noun;
+    const detected = detectTravelMode(words.slice(i).join(' '));
+    if (detected) return ISOCHRONE_MODES.includes(detected.mode) ? detected.mode : null;
+  }
+  return 'driving';
+}
+
+/**
+ * Detect a question about the area reachable within a budget
+ * @param {string} text - The query text
+ * @returns {Object|null} - { place, travelMode, metric ('time' or 'distance'),
+ *   contours (minutes or meters, increasing), units (for distances: 'imperial'
+ *   when given in miles, else 'metric') }, or null for other queries
+ */
+export function detectIsochroneQuery(text) {
+  if (!text || !ISOCHRONE_CUE.test(text)) return null;
+
+  const question = text.trim().replace(/[?.!\s]+$/, '');
+  const time = question.match(TIME_BUDGET);
+  const distance = time ? null : question.match(DISTANCE_BUDGET);
+  if (!time && !distance) return null;
+
+  let metric;
+  let contours;
+  let units = null;
+  if (time) {
+    metric = 'time';
+    const minutes = time[1]
+      ? parseNumbers(time[1]).map(value => (/^h/i.test(time[2]) ? value * 60 : value))
+      : [/^half/i.test(time[3]) ? 30 : 60];
+    contours = toContours(minutes, MAX_CONTOUR_MINUTES, { split: true });
+  } else {
+    metric = 'distance';
+    const unit = /^k/i.test(distance[2]) ? 'km' : /^mi/i.test(distance[2]) ? 'mile' : 'm';
+    contours = toContours(parseNumbers(distance[1]).map(value => value * METERS_PER_UNIT[unit]), MAX_CONTOUR_METERS);
+    units = unit === 'mile' ? 'imperial' : 'metric';
+  }
+
+  const rest = question.replace((time || distance)[0], ' ');
+
+  // The place follows "from", "around" or "near", else "of"
+  const anchor = rest.match(/^(.*?)\b(?:from|around|near)\s+(.+)$/i) || rest.match(/^(.*?)\bof\s+(.+)$/i);
+  if (!anchor) return null;
+  const place = anchor[2].replace(MODE_PHRASE, ' ').replace(/\s+(?:in|within)\s*$/i, '').trim();
+  if (!place || /^(?:me|here)$/i.test(place)) return null;
+
+  // Mode words come before the place, or as "by car" anywhere
+  const travelMode = findTravelMode(anchor[1], rest);
+  if (!travelMode) return null;
+
+  return { place, travelMode, metric, contours, units };
+}
+
+/**
+ * Describe an isochrone budget
+ * @param {Object} query - { travelMode, metric, contours, units }
+ * @returns {string} - e.g. "10, 20 and 30 minutes driving" or "1 and 2 km walking"
+ */
+export function describeIsochroneBudget({ travelMode, metric, contours, units }) {
+  let values = contours;
+  let unit = 'minutes';
+  if (metric === 'distance' && units === 'imperial') {
+    values = contours.map(meters => Number((meters / METERS_PER_UNIT.mile).toFixed(1)));
+    unit = 'miles';
+  } else if (metric === 'distance') {
+    const inKm = contours[contours.length - 1] >= 1000;
+    values = inKm ? contours.map(meters => Number((meters / 1000).toFixed(1))) : contours;
+    unit = inKm ? 'km' : 'm';
+  }
+  const list = values.length > 1
+    ? `${values.slice(0, -1).join(', ')} and ${values[values.length - 1]}`
+    : `${values[0]}`;
+  return `${list} ${unit} ${travelMode}`;
+}
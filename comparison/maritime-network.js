@@ -0,0 +1,428 @@
+/**
+ * Maritime Network
+ * A coarse, bundled graph of the world's main shipping lanes for the offline
+ * sea router (sea-routing.js). Nodes are ports and the waypoints ships round
+ * on the way between them (capes, straits, channel entrances); edges are
+ * lanes that stay in open water when drawn as great circles. Canals are
+ * edges too, tagged with their name so routes can report them.
+ *
+ * Waypoints sit a little offshore, which keeps the lanes clear of the coast
+ * at this resolution. The network is deliberately small: it is meant to
+ * make sea routes follow water, not to plan voyages.
+ */
+
+/**
+ * Nodes by id: { name, coordinates: [lng, lat], port }
+ */
+export const MARITIME_NODES = {
+  // North Sea and Baltic
+  'dover-strait': { name: 'Strait of Dover', coordinates: [1.45, 51.0] },
+  'london': { name: 'London (Thames Estuary)', coordinates: [1.6, 51.5], port: true },
+  'rotterdam': { name: 'Rotterdam', coordinates: [3.9, 51.98], port: true },
+  'north-sea-south': { name: 'Southern North Sea', coordinates: [4.2, 53.5] },
+  'north-sea': { name: 'North Sea', coordinates: [5.0, 56.0] },
+  'german-bight': { name: 'German Bight', coordinates: [8.2, 54.0] },
+  'brunsbuttel': { name: 'Brunsbüttel (Elbe)', coordinates: [9.15, 53.89] },
+  'hamburg': { name: 'Hamburg', coordinates: [9.95, 53.54], port: true },
+  'kiel': { name: 'Kiel', coordinates: [10.15, 54.4], port: true },
+  'fehmarn-belt': { name: 'Fehmarn Belt', coordinates: [11.2, 54.6] },
+  'kadet-channel': { name: 'Kadet Channel', coordinates: [12.2, 54.45] },
+  'skagerrak': { name: 'Skagerrak', coordinates: [10.6, 58.1] },
+  'kattegat': { name: 'Kattegat', coordinates: [11.6, 57.0] },
+  'oresund': { name: 'Øresund', coordinates: [12.65, 56.04] },
+  'copenhagen': { name: 'Copenhagen', coordinates: [12.68, 55.72], port: true },
+  'falsterbo': { name: 'Falsterbo Channel', coordinates: [12.68, 55.3] },
+  'bornholm-gat': { name: 'Bornholmsgat', coordinates: [14.5, 55.35] },
+  'baltic-central': { name: 'Central Baltic', coordinates: [18.5, 55.5] },
+  'gdansk': { name: 'Gdańsk', coordinates: [18.85, 54.55], port: true },
+  'baltic-north': { name: 'Northern Baltic', coordinates: [21.0, 58.8] },
+  'gulf-of-finland': { name: 'Gulf of Finland', coordinates: [22.8, 59.6] },
+  'helsinki': { name: 'Helsinki', coordinates: [24.95, 60.1], port: true },
+  'st-petersburg': { name: 'Saint Petersburg', coordinates: [29.5, 59.97], port: true },
+
+  // Eastern Atlantic
+  'ushant': { name: 'Ushant', coordinates: [-5.6, 48.6] },
+  'finisterre': { name: 'Cape Finisterre', coordinates: [-10.0, 43.0] },
+  'st-vincent': { name: 'Cape St. Vincent', coordinates: [-9.6, 36.8] },
+  'canary-west': { name: 'West of the Canary Islands', coordinates: [-19.0, 28.0] },
+  'cape-verde': { name: 'Off Cape Verde', coordinates: [-19.0, 15.0] },
+  'sierra-leone-offshore': { name: 'Off Sierra Leone', coordinates: [-16.0, 7.0] },
+  'cape-palmas': { name: 'Cape Palmas', coordinates: [-7.7, 3.8] },
+  'lagos': { name: 'Lagos', coordinates: [3.4, 6.3], port: true },
+  'south-atlantic-east': { name: 'Eastern South Atlantic', coordinates: [5.0, -10.0] },
+  'mid-atlantic': { name: 'Mid-Atlantic', coordinates: [-40.0, 40.5] },
+
+  // Mediterranean and Suez
+  'gibraltar': { name: 'Strait of Gibraltar', coordinates: [-5.6, 35.95] },
+  'algerian-basin': { name: 'Western Mediterranean', coordinates: [5.0, 38.0] },
+  'barcelona': { name: 'Barcelona', coordinates: [2.2, 41.3], port: true },
+  'marseille': { name: 'Marseille', coordinates: [5.3, 43.25], port: true },
+  'genoa': { name: 'Genoa', coordinates: [8.9, 44.35], port: true },
+  'sardinia-channel': { name: 'Sardinia Channel', coordinates: [9.5, 37.8] },
+  'tyrrhenian': { name: 'Tyrrhenian Sea', coordinates: [12.5, 39.5] },
+  'naples': { name: 'Naples', coordinates: [14.2, 40.75], port: true },
+  'sicily-channel': { name: 'Strait of Sicily', coordinates: [12.0, 37.0] },
+  'ionian': { name: 'Ionian Sea', coordinates: [18.0, 36.0] },
+  'cape-maleas': { name: 'Cape Maleas', coordinates: [23.5, 36.3] },
+  'saronic': { name: 'Saronic Gulf', coordinates: [23.75, 37.35] },
+  'piraeus': { name: 'Piraeus (Athens)', coordinates: [23.6, 37.9], port: true },
+  'east-med': { name: 'Eastern Mediterranean', coordinates: [28.0, 33.5] },
+  'port-said': { name: 'Port Said', coordinates: [32.3, 31.35], port: true },
+  'suez': { name: 'Suez', coordinates: [32.55, 29.9], port: true },
+
+  // Aegean, Turkish Straits and Black Sea
+  'kafireas': { name: 'Kafireas Strait', coordinates: [24.65, 37.95] },
+  'north-aegean': { name: 'Northern Aegean', coordinates: [25.5, 39.6] },
+  'dardanelles': { name: 'Dardanelles', coordinates: [26.39, 40.15] },
+  'gallipoli': { name: 'Gallipoli', coordinates: [26.7, 40.42] },
+  'marmara': { name: 'Sea of Marmara', coordinates: [27.6, 40.8] },
+  'istanbul': { name: 'Istanbul', coordinates: [29.0, 40.98], port: true },
+  'bosporus': { name: 'Bosporus', coordinates: [29.13, 41.22] },
+  'black-sea': { name: 'Black Sea', coordinates: [31.5, 43.0] },
+  'odesa': { name: 'Odesa', coordinates: [30.8, 46.45], port: true },
+
+  // Red Sea, Arabian Sea and East Africa
+  'gulf-of-suez': { name: 'Gulf of Suez', coordinates: [33.0, 28.9] },
+  'strait-of-gubal': { name: 'Strait of Gubal', coordinates: [34.1, 27.6] },
+  'red-sea': { name: 'Red Sea', coordinates: [38.0, 20.0] },
+  'jeddah': { name: 'Jeddah', coordinates: [39.1, 21.45], port: true },
+  'bab-el-mandeb': { name: 'Bab-el-Mandeb', coordinates: [43.35, 12.6] },
+  'gulf-of-aden': { name: 'Gulf of Aden', coordinates: [51.8, 12.6] },
+  'arabian-sea': { name: 'Arabian Sea', coordinates: [60.0, 15.0] },
+  'ras-al-hadd': { name: 'Ras al Hadd', coordinates: [60.4, 22.7] },
+  'gulf-of-oman': { name: 'Gulf of Oman', coordinates: [58.3, 24.6] },
+  'hormuz': { name: 'Strait of Hormuz', coordinates: [56.6, 26.5] },
+  'musandam': { name: 'West of Musandam', coordinates: [56.0, 26.45] },
+  'dubai': { name: 'Dubai', coordinates: [55.1, 25.3], port: true },
+  'karachi': { name: 'Karachi', coordinates: [66.95, 24.75], port: true },
+  'mumbai': { name: 'Mumbai', coordinates: [72.75, 18.9], port: true },
+  'somali-basin': { name: 'Somali Basin', coordinates: [51.0, 5.0] },
+  'mombasa': { name: 'Mombasa', coordinates: [39.8, -4.1], port: true },
+  'mozambique-north': { name: 'Northern Mozambique Channel', coordinates: [42.0, -12.5] },
+  'mozambique-channel': { name: 'Mozambique Channel', coordinates: [40.0, -20.0] },
+
+  // Southern Africa
+  'durban': { name: 'Durban', coordinates: [31.3, -29.9], port: true },
+  'east-london-offshore': { name: 'Off East London', coordinates: [28.5, -33.6] },
+  'algoa-offshore': { name: 'Off Algoa Bay', coordinates: [26.0, -34.5] },
+  'agulhas': { name: 'Cape Agulhas', coordinates: [20.0, -35.3] },
+  'cape-of-good-hope': { name: 'Cape of Good Hope', coordinates: [18.2, -34.6] },
+  'cape-town': { name: 'Cape Town', coordinates: [18.35, -33.85], port: true },
+
+  // South Asia and Southeast Asia
+  'cape-comorin': { name: 'Cape Comorin', coordinates: [76.8, 7.3] },
+  'colombo': { name: 'Colombo', coordinates: [79.75, 6.95], port: true },
+  'sri-lanka-southwest': { name: 'Off Galle', coordinates: [79.9, 5.7] },
+  'dondra': { name: 'Dondra Head', coordinates: [80.6, 5.4] },
+  'sri-lanka-east': { name: 'East of Sri Lanka', coordinates: [82.5, 7.5] },
+  'chennai': { name: 'Chennai', coordinates: [80.35, 13.1], port: true },
+  'great-channel': { name: 'Great Channel', coordinates: [95.5, 6.2] },
+  'malacca-north': { name: 'Northern Strait of Malacca', coordinates: [98.8, 4.8] },
+  'malacca-strait': { name: 'Strait of Malacca', coordinates: [100.6, 2.9] },
+  'singapore-strait-west': { name: 'Western Singapore Strait', coordinates: [103.5, 1.18] },
+  'singapore': { name: 'Singapore', coordinates: [103.85, 1.2], port: true },
+  'singapore-strait-east': { name: 'Eastern Singapore Strait', coordinates: [104.5, 1.35] },
+  'south-china-sea': { name: 'South China Sea', coordinates: [112.5, 12.0] },
+  'hong-kong': { name: 'Hong Kong', coordinates: [114.2, 22.2], port: true },
+
+  // East Asia
+  'taiwan-strait': { name: 'Taiwan Strait', coordinates: [119.8, 24.3] },
+  'bashi-channel': { name: 'Bashi Channel', coordinates: [121.0, 21.5] },
+  'east-china-sea': { name: 'East China Sea', coordinates: [123.0, 28.0] },
+  'shanghai': { name: 'Shanghai', coordinates: [122.3, 31.2], port: true },
+  'korea-strait': { name: 'Korea Strait', coordinates: [128.9, 34.6] },
+  'busan': { name: 'Busan', coordinates: [129.05, 35.05], port: true },
+  'osumi-strait': { name: 'Ōsumi Strait', coordinates: [130.75, 30.92] },
+  'kii-south': { name: 'Off Cape Shiono', coordinates: [135.8, 33.2] },
+  'izu-south': { name: 'Off the Izu Peninsula', coordinates: [138.9, 34.4] },
+  'uraga-channel': { name: 'Uraga Channel', coordinates: [139.74, 35.05] },
+  'tokyo': { name: 'Tokyo / Yokohama', coordinates: [139.77, 35.4], port: true },
+  'japan-east': { name: 'Off the Bōsō Peninsula', coordinates: [142.0, 35.0] },
+  'philippine-sea': { name: 'Philippine Sea', coordinates: [140.0, 15.0] },
+
+  // Australia and the South Pacific
+  'indian-ocean-south': { name: 'Southern Indian Ocean', coordinates: [70.0, -35.0] },
+  'cape-leeuwin': { name: 'Cape Leeuwin', coordinates: [114.8, -34.8] },
+  'fremantle': { name: 'Fremantle (Perth)', coordinates: [115.65, -32.1], port: true },
+  'great-australian-bight': { name: 'Great Australian Bight', coordinates: [130.0, -36.5] },
+  'cape-otway': { name: 'Cape Otway', coordinates: [143.5, -39.2] },
+  'melbourne': { name: 'Melbourne (Port Phillip Heads)', coordinates: [144.6, -38.4], port: true },
+  'bass-strait': { name: 'Bass Strait', coordinates: [146.0, -39.8] },
+  'cape-howe': { name: 'Off Cape Howe', coordinates: [150.2, -37.8] },
+  'sydney': { name: 'Sydney', coordinates: [151.3, -33.85], port: true },
+  'tasman-north': { name: 'Northern Tasman Sea', coordinates: [155.0, -30.0] },
+  'coral-sea': { name: 'Coral Sea', coordinates: [156.5, -18.0] },
+  'santa-cruz-islands': { name: 'Off the Santa Cruz Islands', coordinates: [164.5, -10.0] },
+
+  // North Pacific
+  'north-pacific': { name: 'North Pacific', coordinates: [180.0, 47.0] },
+  'honolulu': { name: 'Honolulu', coordinates: [-157.9, 21.25], port: true },
+
+  // Americas, Pacific side
+  'juan-de-fuca': { name: 'Strait of Juan de Fuca', coordinates: [-124.9, 48.5] },
+  'admiralty-inlet': { name: 'Admiralty Inlet', coordinates: [-122.75, 48.15] },
+  'seattle': { name: 'Seattle', coordinates: [-122.4, 47.6], port: true },
+  'cape-mendocino': { name: 'Cape Mendocino', coordinates: [-125.0, 40.4] },
+  'san-francisco': { name: 'San Francisco', coordinates: [-122.9, 37.6], port: true },
+  'point-conception': { name: 'Point Conception', coordinates: [-120.75, 34.35] },
+  'santa-barbara-channel': { name: 'Santa Barbara Channel', coordinates: [-119.6, 34.2] },
+  'los-angeles': { name: 'Los Angeles / Long Beach', coordinates: [-118.25, 33.65], port: true },
+  'baja-west': { name: 'Off Baja California', coordinates: [-116.0, 28.0] },
+  'cabo-san-lucas': { name: 'Cabo San Lucas', coordinates: [-109.8, 22.3] },
+  'mexico-pacific': { name: 'Off Acapulco', coordinates: [-100.0, 15.5] },
+  'central-america-pacific': { name: 'Off Central America', coordinates: [-88.0, 10.0] },
+  'gulf-of-panama': { name: 'Gulf of Panama', coordinates: [-80.0, 6.8] },
+  'balboa': { name: 'Balboa (Panama Canal)', coordinates: [-79.55, 8.85], port: true },
+  'peru-offshore': { name: 'Off Punta Pariñas', coordinates: [-82.0, -5.0] },
+  'callao': { name: 'Callao (Lima)', coordinates: [-77.35, -12.0], port: true },
+  'valparaiso': { name: 'Valparaíso', coordinates: [-71.8, -33.0], port: true },
+
+  // Americas, Atlantic side
+  'colon': { name: 'Colón (Panama Canal)', coordinates: [-79.9, 9.4], port: true },
+  'caribbean-west': { name: 'Western Caribbean', coordinates: [-80.0, 12.5] },
+  'caribbean-central': { name: 'Central Caribbean', coordinates: [-76.0, 16.0] },
+  'yucatan-channel': { name: 'Yucatán Channel', coordinates: [-85.9, 21.7] },
+  'gulf-of-mexico': { name: 'Gulf of Mexico', coordinates: [-88.0, 26.0] },
+  'houston': { name: 'Houston (Galveston Bay)', coordinates: [-94.7, 29.25], port: true },
+  'new-orleans': { name: 'New Orleans (Mississippi River)', coordinates: [-89.4, 28.85], port: true },
+  'florida-strait-west': { name: 'Western Straits of Florida', coordinates: [-83.0, 24.0] },
+  'florida-strait-south': { name: 'Off the Florida Keys', coordinates: [-80.5, 24.0] },
+  'florida-strait-north': { name: 'Straits of Florida', coordinates: [-79.8, 25.6] },
+  'miami': { name: 'Miami', coordinates: [-80.1, 25.75], port: true },
+  'windward-passage': { name: 'Windward Passage', coordinates: [-73.8, 19.9] },
+  'crooked-island-passage': { name: 'Crooked Island Passage', coordinates: [-74.6, 22.6] },
+  'bahamas-north': { name: 'North of the Bahamas', coordinates: [-74.0, 25.0] },
+  'hatteras-offshore': { name: 'Off Cape Hatteras', coordinates: [-75.0, 35.0] },
+  'new-york': { name: 'New York', coordinates: [-73.8, 40.4], port: true },
+  'nantucket-south': { name: 'South of Nantucket', coordinates: [-69.5, 40.0] },
+  'cape-cod-east': { name: 'Off Cape Cod', coordinates: [-69.8, 42.2] },
+  'boston': { name: 'Boston', coordinates: [-70.8, 42.35], port: true },
+  'cabo-branco-offshore': { name: 'Off Cabo Branco', coordinates: [-33.8, -7.0] },
+  'abrolhos-offshore': { name: 'Off the Abrolhos', coordinates: [-37.5, -19.0] },
+  'cabo-frio-offshore': { name: 'Off Cabo Frio', coordinates: [-42.0, -23.5] },
+  'rio-de-janeiro': { name: 'Rio de Janeiro', coordinates: [-43.15, -23.0], port: true },
+  'santos': { name: 'Santos (São Paulo)', coordinates: [-46.3, -24.2], port: true },
+  'rio-grande-offshore': { name: 'Off Rio Grande', coordinates: [-49.0, -31.0] },
+  'rio-de-la-plata': { name: 'Río de la Plata', coordinates: [-54.5, -35.3] },
+  'buenos-aires': { name: 'Buenos Aires', coordinates: [-57.8, -34.85], port: true }
+};
+
+/**
+ * Lanes between nodes: [fromId, toId] or [fromId, toId, { canal }]
+ * Edges are undirected.
+ */
+export const MARITIME_EDGES = [
+  // North Sea and Baltic
+  ['dover-strait', 'london'],
+  ['dover-strait', 'rotterdam'],
+  ['dover-strait', 'ushant'],
+  ['rotterdam', 'north-sea-south'],
+  ['north-sea-south', 'north-sea'],
+  ['north-sea-south', 'german-bight'],
+  ['north-sea', 'german-bight'],
+  ['north-sea', 'skagerrak'],
+  ['german-bight', 'brunsbuttel'],
+  ['brunsbuttel', 'hamburg'],
+  ['brunsbuttel', 'kiel', { canal: 'Kiel Canal' }],
+  ['kiel', 'fehmarn-belt'],
+  ['fehmarn-belt', 'kadet-channel'],
+  ['kadet-channel', 'falsterbo'],
+  ['kadet-channel', 'bornholm-gat'],
+  ['skagerrak', 'kattegat'],
+  ['kattegat', 'oresund'],
+  ['oresund', 'copenhagen'],
+  ['copenhagen', 'falsterbo'],
+  ['falsterbo', 'bornholm-gat'],
+  ['bornholm-gat', 'baltic-central'],
+  ['baltic-central', 'gdansk'],
+  ['baltic-central', 'baltic-north'],
+  ['baltic-north', 'gulf-of-finland'],
+  ['gulf-of-finland', 'helsinki'],
+  ['gulf-of-finland', 'st-petersburg'],
+
+  // Eastern Atlantic
+  ['ushant', 'finisterre'],
+  ['ushant', 'mid-atlantic'],
+  ['finisterre', 'st-vincent'],
+  ['st-vincent', 'gibraltar'],
+  ['st-vincent', 'canary-west'],
+  ['st-vincent', 'mid-atlantic'],
+  ['canary-west', 'mid-atlantic'],
+  ['canary-west', 'cape-verde'],
+  ['cape-verde', 'sierra-leone-offshore'],
+  ['cape-verde', 'cabo-branco-offshore'],
+  ['sierra-leone-offshore', 'cape-palmas'],
+  ['cape-palmas', 'lagos'],
+  ['cape-palmas', 'south-atlantic-east'],
+  ['lagos', 'south-atlantic-east'],
+  ['south-atlantic-east', 'cape-of-good-hope'],
+
+  // Mediterranean and Suez
+  ['gibraltar', 'algerian-basin'],
+  ['algerian-basin', 'barcelona'],
+  ['algerian-basin', 'marseille'],
+  ['algerian-basin', 'genoa'],
+  ['algerian-basin', 'sardinia-channel'],
+  ['sardinia-channel', 'sicily-channel'],
+  ['sardinia-channel', 'tyrrhenian'],
+  ['tyrrhenian', 'naples'],
+  ['sicily-channel', 'ionian'],
+  ['ionian', 'cape-maleas'],
+  ['ionian', 'east-med'],
+  ['cape-maleas', 'saronic'],
+  ['saronic', 'piraeus'],
+  ['east-med', 'port-said'],
+  ['port-said', 'suez', { canal: 'Suez Canal' }],
+
+  // Aegean, Turkish Straits and Black Sea
+  ['saronic', 'kafireas'],
+  ['kafireas', 'north-aegean'],
+  ['north-aegean', 'dardanelles'],
+  ['dardanelles', 'gallipoli'],
+  ['gallipoli', 'marmara'],
+  ['marmara', 'istanbul'],
+  ['istanbul', 'bosporus'],
+  ['bosporus', 'black-sea'],
+  ['black-sea', 'odesa'],
+
+  // Red Sea, Arabian Sea and East Africa
+  ['suez', 'gulf-of-suez'],
+  ['gulf-of-suez', 'strait-of-gubal'],
+  ['strait-of-gubal', 'red-sea'],
+  ['red-sea', 'jeddah'],
+  ['red-sea', 'bab-el-mandeb'],
+  ['bab-el-mandeb', 'gulf-of-aden'],
+  ['gulf-of-aden', 'arabian-sea'],
+  ['gulf-of-aden', 'somali-basin'],
+  ['arabian-sea', 'ras-al-hadd'],
+  ['arabian-sea', 'karachi'],
+  ['arabian-sea', 'mumbai'],
+  ['arabian-sea', 'cape-comorin'],
+  ['ras-al-hadd', 'gulf-of-oman'],
+  ['gulf-of-oman', 'karachi'],
+  ['gulf-of-oman', 'hormuz'],
+  ['hormuz', 'musandam'],
+  ['musandam', 'dubai'],
+  ['somali-basin', 'mombasa'],
+  ['mombasa', 'mozambique-north'],
+  ['mozambique-north', 'mozambique-channel'],
+  ['mozambique-channel', 'durban'],
+
+  // Southern Africa
+  ['durban', 'east-london-offshore'],
+  ['east-london-offshore', 'algoa-offshore'],
+  ['algoa-offshore', 'agulhas'],
+  ['agulhas', 'cape-of-good-hope'],
+  ['agulhas', 'indian-ocean-south'],
+  ['cape-of-good-hope', 'cape-town'],
+  ['cape-of-good-hope', 'cabo-frio-offshore'],
+
+  // South Asia and Southeast Asia
+  ['cape-comorin', 'mumbai'],
+  ['cape-comorin', 'colombo'],
+  ['cape-comorin', 'dondra'],
+  ['colombo', 'sri-lanka-southwest'],
+  ['sri-lanka-southwest', 'dondra'],
+  ['dondra', 'sri-lanka-east'],
+  ['dondra', 'great-channel'],
+  ['dondra', 'indian-ocean-south'],
+  ['dondra', 'cape-leeuwin'],
+  ['sri-lanka-east', 'chennai'],
+  ['sri-lanka-east', 'great-channel'],
+  ['great-channel', 'malacca-north'],
+  ['malacca-north', 'malacca-strait'],
+  ['malacca-strait', 'singapore-strait-west'],
+  ['singapore-strait-west', 'singapore'],
+  ['singapore', 'singapore-strait-east'],
+  ['singapore-strait-east', 'south-china-sea'],
+  ['south-china-sea', 'hong-kong'],
+
+  // East Asia
+  ['hong-kong', 'taiwan-strait'],
+  ['hong-kong', 'bashi-channel'],
+  ['taiwan-strait', 'east-china-sea'],
+  ['bashi-channel', 'east-china-sea'],
+  ['bashi-channel', 'philippine-sea'],
+  ['east-china-sea', 'shanghai'],
+  ['east-china-sea', 'korea-strait'],
+  ['east-china-sea', 'osumi-strait'],
+  ['korea-strait', 'busan'],
+  ['osumi-strait', 'kii-south'],
+  ['kii-south', 'izu-south'],
+  ['izu-south', 'uraga-channel'],
+  ['uraga-channel', 'tokyo'],
+  ['izu-south', 'japan-east'],
+  ['izu-south', 'philippine-sea'],
+
+  // Australia and the South Pacific
+  ['indian-ocean-south', 'cape-leeuwin'],
+  ['cape-leeuwin', 'fremantle'],
+  ['cape-leeuwin', 'great-australian-bight'],
+  ['great-australian-bight', 'cape-otway'],
+  ['cape-otway', 'melbourne'],
+  ['cape-otway', 'bass-strait'],
+  ['bass-strait', 'cape-howe'],
+  ['cape-howe', 'sydney'],
+  ['sydney', 'tasman-north'],
+  ['tasman-north', 'coral-sea'],
+  ['coral-sea', 'santa-cruz-islands'],
+  ['santa-cruz-islands', 'philippine-sea'],
+  ['santa-cruz-islands', 'honolulu'],
+
+  // North Pacific
+  ['japan-east', 'north-pacific'],
+  ['japan-east', 'honolulu'],
+  ['north-pacific', 'juan-de-fuca'],
+  ['north-pacific', 'san-francisco'],
+  ['honolulu', 'san-francisco'],
+  ['honolulu', 'los-angeles'],
+
+  // Americas, Pacific side
+  ['juan-de-fuca', 'admiralty-inlet'],
+  ['admiralty-inlet', 'seattle'],
+  ['juan-de-fuca', 'cape-mendocino'],
+  ['cape-mendocino', 'san-francisco'],
+  ['san-francisco', 'point-conception'],
+  ['point-conception', 'santa-barbara-channel'],
+  ['santa-barbara-channel', 'los-angeles'],
+  ['los-angeles', 'baja-west'],
+  ['baja-west', 'cabo-san-lucas'],
+  ['cabo-san-lucas', 'mexico-pacific'],
+  ['mexico-pacific', 'central-america-pacific'],
+  ['central-america-pacific', 'gulf-of-panama'],
+  ['gulf-of-panama', 'balboa'],
+  ['gulf-of-panama', 'peru-offshore'],
+  ['peru-offshore', 'callao'],
+  ['callao', 'valparaiso'],
+  ['balboa', 'colon', { canal: 'Panama Canal' }],
+
+  // Americas, Atlantic side
+  ['colon', 'caribbean-west'],
+  ['colon', 'caribbean-central'],
+  ['caribbean-west', 'yucatan-channel'],
+  ['yucatan-channel', 'gulf-of-mexico'],
+  ['gulf-of-mexico', 'houston'],
+  ['gulf-of-mexico', 'new-orleans'],
+  ['gulf-of-mexico', 'florida-strait-west'],
+  ['florida-strait-west', 'florida-strait-south'],
+  ['florida-strait-south', 'florida-strait-north'],
+  ['florida-strait-north', 'miami'],
+  ['florida-strait-north', 'hatteras-offshore'],
+  ['caribbean-central', 'windward-passage'],
+  ['windward-passage', 'crooked-island-passage'],
+  ['crooked-island-passage', 'bahamas-north'],
+  ['bahamas-north', 'hatteras-offshore'],
+  ['bahamas-north', 'mid-atlantic'],
+  ['hatteras-offshore', 'new-york'],
+  ['new-york', 'nantucket-south'],
+  ['nantucket-south', 'cape-cod-east'],
+  ['nantucket-south', 'mid-atlantic'],
+  ['cape-cod-east', 'boston'],
+  ['cabo-branco-offshore', 'abrolhos-offshore'],
+  ['abrolhos-offshore', 'cabo-frio-offshore'],
+  ['cabo-frio-offshore', 'rio-de-janeiro'],
+  ['cabo-frio-offshore', 'santos'],
+  ['santos', 'rio-grande-offshore'],
+  ['rio-grande-offshore', 'rio-de-la-plata'],
+  ['rio-de-la-plata', 'buenos-aires']
+];
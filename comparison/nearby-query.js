@@ -0,0 +1,159 @@
+/**
+ * Nearby Queries
+ * Recognizes searches for a kind of place around an anchor ("museums near the
+ * Eiffel Tower", "hotels in downtown Chicago", "parks within 2 km of me"),
+ * works out the area to search, and ranks what a category search finds
+ * there. DOM-free, so the NLP pipeline and the tests share it with the page.
+ */
+
+import { CATEGORY_WORD, describeCategory, findCategory } from './poi-categories.js';
+import { destinationPoint, greatCircleDistance } from './geodesic.js';
+
+// Search radius when the query gives none, in meters: around a place, and
+// inside a place such as a city or neighborhood
+export const NEAR_RADIUS = 1500;
+export const IN_RADIUS = 5000;
+
+// Largest search radius, in meters
+export const MAX_RADIUS = 50000;
+
+// Most places shown for one search
+export const MAX_NEARBY_PLACES = 15;
+
+// Words that may open the query or come before the category
+const LEAD = String.raw`(?:(?:show\s+me|find(?:\s+me)?|search\s+for|look\s+for|where\s+are|are\s+there|list|any|some|the|a\s+few|all|good|best|cheap|nice|top|great|popular|local|nearby|open)\s+)*`;
+
+// "near", "around", "close to", "next to", "in", "within 2 km of"
+const ANCHOR_PHRASE = String.raw`(near(?:by)?|around|close\s+to|next\s+to|by|in|inside|within\s+(\d+(?:\.\d+)?)\s*(km|kilomet(?:er|re)s?|miles?|mi|m|met(?:er|re)s?)\s+(?:of|from))`;
+
+const NEARBY_QUERY = new RegExp(String.raw`^${LEAD}(${CATEGORY_WORD})\s+${ANCHOR_PHRASE}\s+(.+)$`, 'i');
+
+// "coffee nearby", "hotels near me"
+const NEAR_ME_QUERY = new RegExp(String.raw`^${LEAD}(${CATEGORY_WORD})\s+(?:nearby|around\s+here|close\s+by)$`, 'i');
+
+// "... by car", "... on foot"
+const MODE_SUFFIX = /\s+(?:by\s+(car|bike|bicycle)|on\s+(foot))$/i;
+
+const SUFFIX_MODES = {
+  car: 'driving',
+  bike: 'cycling',
+  bicycle: 'cycling',
+  foot: 'walking'
+};
+
+// Anchors that mean the user's own position
+const ME = /^(?:me|here|my\s+(?:location|position)|where\s+i\s+am|us)$/i;
+
+const METERS_PER_UNIT = { km: 1000, mile: 1609.344, m: 1 };
+
+/**
+ * Detect a search for a kind of place around an anchor
+ * @param {string} text - The query text
+ * @returns {Object|null} - { category (a key of POI_CATEGORIES), anchor (the
+ *   place name, or null for the user's position), radius (meters), within
+ *   (whether the query said "in"), units ('imperial' when the radius was in
+ *   miles), travelMode (from "by car", "on foot" or "by bike", else null) },
+ *   or null for other queries
+ */
+export function detectNearbyQuery(text) {
+  if (!text) return null;
+
+  let query = text.trim().replace(/[?.!\s]+$/, '').replace(/\s+please$/i, '');
+  const mode = query.match(MODE_SUFFIX);
+  const travelMode = mode ? SUFFIX_MODES[(mode[1] || mode[2]).toLowerCase()] : null;
+  if (mode) query = query.slice(0, mode.index);
+
+  if (NEAR_ME_QUERY.test(query)) {
+    const [, word] = query.match(NEAR_ME_QUERY);
+    return { category: findCategory(word), anchor: null, radius: NEAR_RADIUS, within: false, units: null, travelMode };
+  }
+
+  const match = query.match(NEARBY_QUERY);
+  if (!match) return null;
+
+  const [, word, phrase, amount, unitWord, place] = match;
+  const category = findCategory(word);
+  const anchor = place.replace(/^(?:the\s+)?(?:area\s+)?(?:of|around)\s+/i, '').trim();
+  if (!category || !anchor) return null;
+
+  const within = /^(?:in|inside)$/i.test(phrase);
+  let radius = within ? IN_RADIUS : NEAR_RADIUS;
+  let units = null;
+  if (amount) {
+    const unit = /^k/i.test(unitWord) ? 'km' : /^mi/i.test(unitWord) ? 'mile' : 'm';
+    radius = Math.min(Math.round(Number(amount) * METERS_PER_UNIT[unit]), MAX_RADIUS);
+    units = unit === 'mile' ? 'imperial' : 'metric';
+  }
+  if (radius <= 0) return null;
+
+  return { category, anchor: ME.test(anchor) ? null : anchor, radius, within, units, travelMode };
+}
+
+/**
+ * Bounding box of the circle around an anchor
+ * @param {Array} center - [lng, lat]
+ * @param {number} radius - Meters
+ * @returns {Array} - [minLng, minLat, maxLng, maxLat]
+ */
+export function nearbyBox(center, radius) {
+  const km = radius / 1000;
+  const [, north] = destinationPoint(center, 0, km);
+  const [east] = destinationPoint(center, 90, km);
+  const [, south] = destinationPoint(center, 180, km);
+  const [west] = destinationPoint(center, 270, km);
+  return [west, Math.max(south, -90), east, Math.min(north, 90)];
+}
+
+/**
+ * Keep the places within the radius and rank them by distance
+ * @param {Array} places - [{ name, coordinates, ... }], may contain duplicates
+ * @param {Array} center - The anchor, [lng, lat]
+ * @param {number} radius - Meters
+ * @returns {Array} - Up to MAX_NEARBY_PLACES places with { distance (meters),
+ *   number (1 for the closest) }
+ */
+export function rankNearbyPlaces(places, center, radius) {
+  const seen = new Set();
+
+  return places
+    .filter(place => {
+      const key = `${place.name}|${place.coordinates.map(value => value.toFixed(5)).join(',')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(place => ({ ...place, distance: Math.round(greatCircleDistance(center, place.coordinates) * 1000) }))
+    .filter(place => place.distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_NEARBY_PLACES)
+    .map((place, i) => ({ ...place, number: i + 1 }));
+}
+
+/**
+ * Describe a search radius
+ * @param {number} radius - Meters
+ * @param {string} units - 'imperial' for miles
+ * @returns {string} - e.g. "1.5 km", "800 m" or "2 miles"
+ */
+export function describeRadius(radius, units) {
+  if (units === 'imperial') {
+    const miles = Number((radius / METERS_PER_UNIT.mile).toFixed(1));
+    return `${miles} ${miles === 1 ? 'mile' : 'miles'}`;
+  }
+  return radius >= 1000 ? `${Number((radius / 1000).toFixed(1))} km` : `${radius} m`;
+}
+
+/**
+ * Describe what a nearby search looks for
+ * The radius is named when the query gave one or there is no place to name.
+ * @param {Object} search - { category, anchorName, radius, within, units,
+ *   currentPosition }
+ * @returns {string} - e.g. "museums near the Eiffel Tower", "hotels in
+ *   downtown Chicago" or "parks within 2 km of your location"
+ */
+export function describeNearbySearch({ category, anchorName, radius, within, units, currentPosition }) {
+  const where = units || currentPosition
+    ? `within ${describeRadius(radius, units)} of ${anchorName}`
+    : `${within ? 'in' : 'near'} ${anchorName}`;
+  return `${describeCategory(category)} ${where}`;
+}
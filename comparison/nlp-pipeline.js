@@ -0,0 +1,1368 @@
+/**
+ * NLP Pipeline
+ * The natural language parsing cascade shared by the browser
+ * (enhanced-nlp-improved.js) and the server (POST /api/parse). It has no DOM,
+ * storage or window access: progress messages go to an optional debug callback,
+ * the LLM is reached through an injected client, and the conversation state for
+ * follow-up queries is passed in by the caller.
+ */
+
+// Import NLP utility functions
+import { extractLocationsWithRegex, extractSimpleLocations } from './nlp-utils.js';
+import { extractRoutePreferences, mergeRoutePreferences, preferencesFromList } from './route-preferences.js';
+import { createFlightPlanner } from './flight-routing.js';
+import { detectTravelMode } from './travel-modes.js';
+import { detectDistanceQuery } from './distance-query.js';
+import { describeIsochroneBudget, detectIsochroneQuery } from './isochrone-query.js';
+import { describeCategory, extractAlongRouteRequests } from './poi-categories.js';
+import { describeNearbySearch, detectNearbyQuery } from './nearby-query.js';
+import { parseSpatialExpression } from './spatial-expressions.js';
+import { compareYears, parseTimeContext, splitTimeContext } from './time-context.js';
+import { extractDocumentPlaces, looksLikeDocument } from './document-extraction.js';
+import { MAJOR_CITY_POPULATION, findPlace, isAmbiguousPlace, placeAlternatives } from './gazetteer.js';
+
+// Default debug sink
+function noop() {}
+
+// What may be left of a query asking only for stops along the way
+const ALONG_ROUTE_ONLY = /^(?:(?:please|also|now|too)\b[\s,.!?]*)*$/i;
+
+/**
+ * Create an empty conversation state for parseWithContext
+ * @returns {Object} - { lastQuery, lastLocations, lastIntent, turnCount, sessionId }
+ */
+export function createConversationState() {
+  return {
+    lastQuery: null,
+    lastLocations: [],
+    lastIntent: null,
+    turnCount: 0,
+    sessionId: Date.now()
+  };
+}
+
+/**
+ * Build the structured-extraction prompt sent to the LLM
+ * @param {string} inputText - The user query
+ * @returns {string} - The prompt text
+ */
+export function buildParsePrompt(inputText) {
+  return `
+    Parse the following query and extract structured location data for a map application:
+    "${inputText}"
+    
+    INSTRUCTIONS:
+    - Identify if this is a route request (multiple locations with intent to travel between them) or just a list of locations
+    - Extract all location names mentioned (cities, countries, landmarks, etc.)
+    - Detect any time periods or historical context for each location (e.g., "Ancient Rome", "Paris in the 1920s")
+    - Identify any travel preferences (walking, driving, cycling, avoid highways, etc.)
+    - Determine the intended sequence of locations for routes
+    
+    RESPONSE FORMAT (JSON only, no explanations):
+    {
+      "intentType": "route" or "locations",
+      "locations": [{"name": "Location name", "timeContext": "historical period or empty"}],
+      "visualizationType": "both",
+      "travelMode": "driving", "walking", or "cycling",
+      "legModes": ["only when the mode changes along the route: one of driving, walking, cycling, flying or sailing per leg"],
+      "preferences": ["array of preferences"],
+      "message": "A descriptive message for the user",
+      "suggestedSequence": ["ordered array of location names for routes"]
+    }
+  `;
+}
+
+// Airport lookup for IATA codes typed into a query
+const flightPlanner = createFlightPlanner();
+
+// "fly", "flying", "flight", "take a flight", optionally followed by "from"
+const FLIGHT_PREFIX = /^(?:fly(?:ing)?|(?:take\s+a\s+)?flights?)\s+(?:from\s+)?/i;
+
+/**
+ * Turn a place from a route query into a location, resolving IATA codes
+ * @param {string} part - Place name or airport code
+ * @param {RegExp} codePattern - What counts as a code, e.g. only upper case
+ * @returns {Object} - { name, timeContext }, plus { coordinates, iata } for airports
+ */
+function toRouteLocation(part, codePattern) {
+  const airport = codePattern.test(part) ? flightPlanner.findAirport(part) : null;
+  return airport
+    ? { name: `${airport.city} (${airport.iata})`, timeContext: "", coordinates: airport.coordinates, iata: airport.iata }
+    : { name: part, timeContext: "" };
+}
+
+/**
+ * Extract a flight from queries like "fly JFK to NRT", "flight from London to
+ * Tokyo" or "LHR to CDG"
+ * After "fly" any stop may be an IATA code in any case; without it every stop
+ * has to be an upper-case code, so "Ayr to Rio" stays a driving route.
+ * Airports come back with their coordinates and code, so they skip geocoding.
+ * @param {string} text - The normalized input text
+ * @returns {Object|null} - Route object with travelMode "flying", or null
+ */
+function extractFlightPattern(text) {
+  const prefix = text.match(FLIGHT_PREFIX);
+  const parts = text.slice(prefix ? prefix[0].length : 0)
+    .split(/\s+to\s+/i)
+    .map(part => part.trim())
+    .filter(part => part.length > 0);
+  if (parts.length < 2) return null;
+
+  const locations = parts.map(part => toRouteLocation(part, prefix ? /^[A-Za-z]{3}$/ : /^[A-Z]{3}$/));
+  if (!prefix && locations.some(location => !location.iata)) return null;
+
+  const names = locations.map(location => location.name);
+  console.log('Matched flight pattern:', names);
+
+  return {
+    intentType: "route",
+    locations,
+    visualizationType: "both",
+    travelMode: "flying",
+    preferences: [],
+    message: `Showing flight from ${names[0]} to ${names[names.length - 1]}`,
+    suggestedSequence: names
+  };
+}
+
+/**
+ * Extract a trip whose legs use different travel modes, e.g. "drive from
+ * Boston to New York, then fly to London, then walk to the British Museum"
+ * Legs are joined by "then"; each may start with a mode verb (see
+ * travel-modes.js), and a leg without "from" starts where the previous one
+ * ended. A first leg without a verb is driven.
+ * @param {string} text - The normalized input text
+ * @returns {Object|null} - Route object with one entry in legModes per leg, or null
+ */
+function extractMultiModalPattern(text) {
+  const segments = text.split(/\s*,?\s+(?:and\s+)?then\s+/i);
+  if (segments.length < 2) return null;
+
+  const locations = [];
+  const legModes = [];
+  for (const [index, segment] of segments.entries()) {
+    const detected = detectTravelMode(segment);
+    if (!detected && index > 0) return null;
+
+    const mode = detected ? detected.mode : 'driving';
+    const rest = detected ? detected.rest : segment;
+    const match = rest.match(/^(?:from\s+(.+?)\s+)?to\s+(.+)$/i) || rest.match(/^(.+?)\s+to\s+(.+)$/i);
+    if (!match) return null;
+
+    // IATA codes are only read as airports on flights, in any case
+    const codePattern = mode === 'flying' ? /^[A-Za-z]{3}$/ : /^[A-Z]{3}$/;
+    const places = [match[1], ...match[2].split(/\s+to\s+/i)].map(place => place && place.trim());
+    if (!places[0] && locations.length === 0) return null;
+
+    places.forEach((place, placeIndex) => {
+      if (!place) return;
+      const location = toRouteLocation(place, codePattern);
+      const previous = locations[locations.length - 1];
+      // "from" repeating where the previous leg ended is not a new stop
+      if (placeIndex === 0 && previous && previous.name.toLowerCase() === location.name.toLowerCase()) return;
+      // A leg starting somewhere else is reached the way the previous leg went
+      if (locations.length > 0) legModes.push(placeIndex === 0 ? legModes[legModes.length - 1] || mode : mode);
+      locations.push(location);
+    });
+  }
+
+  const names = locations.map(location => location.name);
+  console.log('Matched multi-modal pattern:', names, legModes);
+
+  return {
+    intentType: "route",
+    locations,
+    visualizationType: "both",
+    travelMode: legModes[0],
+    legModes,
+    preferences: [],
+    message: `Showing trip from ${names[0]} to ${names[names.length - 1]}`,
+    suggestedSequence: names
+  };
+}
+
+/**
+ * Extract a question about distance or travel time, e.g. "how far is Paris
+ * from Berlin" or "how long to drive from LA to Vegas in miles"
+ * The result has intentType "distance" or "duration"; the map measures the
+ * route and replaces the message with the answer (see distance-query.js).
+ * @param {string} text - The query text
+ * @returns {Object|null} - Result with travelMode and units, or null
+ */
+function extractDistanceQuestion(text) {
+  const query = detectDistanceQuery(text);
+  if (!query) return null;
+
+  const codePattern = query.travelMode === 'flying' ? /^[A-Za-z]{3}$/ : /^[A-Z]{3}$/;
+  const locations = query.places.map(place => toRouteLocation(place, codePattern));
+  const names = locations.map(location => location.name);
+  console.log(`Matched ${query.intentType} question:`, names, query.travelMode);
+
+  return {
+    intentType: query.intentType,
+    locations,
+    visualizationType: "both",
+    travelMode: query.travelMode,
+    units: query.units,
+    preferences: [],
+    message: `Measuring the ${query.intentType === "distance" ? "distance" : "travel time"} from ${names[0]} to ${names[names.length - 1]}`,
+    suggestedSequence: names,
+    // The question names its places; there is no route-or-locations doubt
+    skipClarification: true
+  };
+}
+
+/**
+ * Extract a question about the area reachable within a budget, e.g. "where
+ * can I drive to in 30 minutes from Denver" or "15 minute walk around the
+ * Louvre"
+ * The result has intentType "isochrone" and an `isochrone` object with the
+ * contours to request from /api/isochrone (see isochrone-query.js).
+ * @param {string} text - The query text
+ * @returns {Object|null} - Result with a single location, or null
+ */
+function extractIsochroneQuestion(text) {
+  const query = detectIsochroneQuery(text);
+  if (!query) return null;
+
+  const { place, ...isochrone } = query;
+  console.log('Matched isochrone question:', place, isochrone);
+
+  return {
+    intentType: "isochrone",
+    locations: [{ name: place, timeContext: "" }],
+    visualizationType: "both",
+    travelMode: isochrone.travelMode,
+    isochrone: { metric: isochrone.metric, contours: isochrone.contours, units: isochrone.units },
+    preferences: [],
+    message: `Showing areas within ${describeIsochroneBudget(isochrone)} of ${place}`,
+    suggestedSequence: [place],
+    skipClarification: true
+  };
+}
+
+/**
+ * Extract a search for a kind of place around an anchor, e.g. "museums near
+ * the Eiffel Tower", "hotels in downtown Chicago" or "parks within 2 km of me"
+ * The result has intentType "nearby" and a `nearby` object with the category
+ * and radius to search (see nearby-query.js). A search around the user's own
+ * position has a location flagged `currentPosition` for the map to resolve.
+ * @param {string} text - The query text
+ * @returns {Object|null} - Result with a single location, or null
+ */
+function extractNearbyQuestion(text) {
+  const query = detectNearbyQuery(text);
+  if (!query) return null;
+
+  const { anchor, travelMode, ...nearby } = query;
+  const location = anchor
+    ? toRouteLocation(anchor, /^[A-Z]{3}$/)
+    : { name: "your location", timeContext: "", currentPosition: true };
+  console.log('Matched nearby search:', location.name, nearby);
+
+  return {
+    intentType: "nearby",
+    locations: [location],
+    visualizationType: "both",
+    // Routes through the results are walked unless the query says otherwise
+    travelMode: travelMode || "walking",
+    nearby,
+    preferences: [],
+    message: `Searching for ${describeNearbySearch({ ...nearby, anchorName: location.name, currentPosition: !anchor })}`,
+    suggestedSequence: [location.name],
+    skipClarification: true
+  };
+}
+
+/**
+ * Extract a place described relative to others, e.g. "50 miles north of
+ * Denver", "show me halfway between Paris and Madrid" or "the coast west of
+ * Lisbon"
+ * The result has intentType "locations" and a single location carrying the
+ * parsed expression as `spatial`; the map works out its coordinates (see
+ * spatial-expressions.js). Queries with more than one stop are left to the
+ * route patterns, which mark such stops the same way.
+ * @param {string} text - The query text
+ * @returns {Object|null} - Result with a single location, or null
+ */
+function extractSpatialQuestion(text) {
+  const query = text.trim()
+    .replace(/^(?:show\s+me|where\s+is|what(?:\s+is|'s)|take\s+me\s+to|go\s+to|find|map)\s+/i, '')
+    .replace(/[?.!\s]+$/, '');
+  if (/\s(?:to|then)\s|→|->/i.test(query)) return null;
+
+  const spatial = parseSpatialExpression(query);
+  if (!spatial) return null;
+  console.log('Matched spatial expression:', query, spatial);
+
+  return {
+    intentType: "locations",
+    locations: [{ name: query, timeContext: "", spatial }],
+    visualizationType: "both",
+    travelMode: "driving",
+    preferences: [],
+    message: `Working out where ${query} is`,
+    suggestedSequence: [query],
+    skipClarification: true
+  };
+}
+
+/**
+ * Extract a list of places to visit, e.g. "visit Denver, Austin, Seattle,
+ * Chicago and Phoenix" or "I want to visit Paris and Rome"
+ * The stops become a route in the order given, which the visit-order panel
+ * can then improve. A list that is itself one known name ("visit Trinidad
+ * and Tobago") is left to the informational query.
+ * @param {string} text - The query text
+ * @returns {Object|null} - Route object flagged `explicitRoute`, or null
+ */
+function extractVisitList(text) {
+  const match = text.trim().match(/^(?:(?:i\s+(?:want|would\s+like|'d\s+like)\s+to|let'?s|plan\s+to)\s+)?visit\s+(.+?)[.!?\s]*$/i);
+  if (!match || findPlace(match[1])) return null;
+
+  const names = match[1]
+    .split(/\s*,\s*(?:and\s+)?|\s+and\s+/i)
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+  if (names.length < 2) return null;
+  console.log('Matched visit list:', names);
+
+  return {
+    intentType: "route",
+    locations: names.map(name => ({ name, timeContext: "" })),
+    visualizationType: "both",
+    travelMode: "driving",
+    preferences: [],
+    message: `Showing route visiting ${names.join(' → ')}`,
+    suggestedSequence: names,
+    // Listing the stops asks for a route through them, however many there are
+    explicitRoute: true
+  };
+}
+
+/**
+ * Extract a list of places each given with a time, e.g. "Constantinople in
+ * 1453, Rome in the 1st century and London during the Victorian era"
+ * Without this the list would reach the regex extraction, which splits at
+ * its first separator only. The places are returned as locations; parseText
+ * turns them into a timeline.
+ * @param {string} text - The query text
+ * @returns {Object|null} - Result with one location per dated place, or null
+ */
+function extractDatedList(text) {
+  const parts = text.trim().replace(/[.!?]+$/, '')
+    .split(/\s*,\s*(?:and\s+)?|\s+and\s+/i)
+    .filter(part => part.length > 0);
+  if (parts.length < 2) return null;
+
+  const locations = parts.map(splitTimeContext);
+  if (locations.some(location => !location)) return null;
+
+  const names = locations.map(location => location.name);
+  console.log('Matched dated list:', names);
+
+  return {
+    intentType: "locations",
+    locations,
+    visualizationType: "both",
+    travelMode: "driving",
+    preferences: [],
+    message: `Showing ${names.join(', ')}`,
+    suggestedSequence: names
+  };
+}
+
+/**
+ * Extract basic route locations directly from simple queries
+ * This is an optimized function for the most common route query formats
+ * @param {string} text - The input text
+ * @returns {Object|null} - Route object or null if pattern doesn't match
+ */
+export function extractDirectRoutePattern(text) {
+  if (!text) return null;
+  
+  console.log('Attempting direct route pattern extraction for:', text);
+  
+  // Clean and normalize the input
+  const normalizedText = text.trim().replace(/[.!?]+$/, '').trim();
+  
+  // Trips with a travel mode per leg, "drive to X, then fly to Y"
+  const multiModalRoute = extractMultiModalPattern(normalizedText);
+  if (multiModalRoute) return multiModalRoute;
+  
+  // Flights come first, "fly New York to London" is not a drive
+  const flightRoute = extractFlightPattern(normalizedText);
+  if (flightRoute) return flightRoute;
+  
+  // First, check for popular intercontinental city pairs
+  const intercontinentalPairs = [
+    /\b(?:new\s*york|nyc)\s+to\s+(?:paris|london|tokyo|beijing|sydney|rome)\b/i,
+    /\b(?:paris|london|tokyo|beijing|sydney|rome)\s+to\s+(?:new\s*york|nyc)\b/i,
+    /\b(?:los\s*angeles|la)\s+to\s+(?:tokyo|sydney|paris|london|rome)\b/i,
+    /\b(?:tokyo|sydney|paris|london|rome)\s+to\s+(?:los\s*angeles|la)\b/i,
+    /\b(?:chicago)\s+to\s+(?:paris|london|tokyo|sydney|rome)\b/i,
+    /\b(?:paris|london|tokyo|sydney|rome)\s+to\s+(?:chicago)\b/i,
+  ];
+  
+  for (const pattern of intercontinentalPairs) {
+    const match = normalizedText.match(pattern);
+    if (match) {
+      console.log('Matched intercontinental city pair:', match[0]);
+      // Extract the cities using a general pattern
+      const parts = match[0].split(/\s+to\s+/i);
+      if (parts.length === 2) {
+        return {
+          intentType: "route",
+          locations: [
+            { name: parts[0].trim(), timeContext: "" },
+            { name: parts[1].trim(), timeContext: "" }
+          ],
+          visualizationType: "both",
+          travelMode: "driving",
+          preferences: [],
+          message: `Showing intercontinental route from ${parts[0].trim()} to ${parts[1].trim()}`,
+          suggestedSequence: [parts[0].trim(), parts[1].trim()]
+        };
+      }
+    }
+  }
+  
+  // Pattern 1: "From X to Y" - the most common simple case
+  if (normalizedText.toLowerCase().startsWith('from ')) {
+    const withoutFrom = normalizedText.substring(4).trim(); // Remove "from " prefix
+    const parts = withoutFrom.split(/\s+to\s+/i);
+    
+    // Clean up and validate parts
+    const cleanParts = parts
+      .map(part => part.trim().replace(/\.$/, '')) // Remove trailing periods
+      .filter(part => part.length > 0);
+    
+    if (cleanParts.length >= 2) {
+      console.log('Matched direct "From X to Y" pattern:', cleanParts);
+      return {
+        intentType: "route",
+        locations: cleanParts.map(loc => ({ name: loc, timeContext: "" })),
+        visualizationType: "both",
+        travelMode: "driving", 
+        preferences: [],
+        message: `Showing route from ${cleanParts[0]} to ${cleanParts[cleanParts.length-1]}`,
+        suggestedSequence: cleanParts
+      };
+    }
+  }
+  
+  // Pattern 2: "Route from X to Y"
+  const routePattern = /route\s+from\s+([A-Za-z\s']+?)\s+to\s+([A-Za-z\s']+)(?:\s|$)/i;
+  const routeMatch = routePattern.exec(normalizedText);
+  
+  if (routeMatch && routeMatch[1] && routeMatch[2]) {
+    const from = routeMatch[1].trim();
+    const to = routeMatch[2].trim();
+    console.log('Matched "Route from X to Y" pattern:', from, 'to', to);
+    
+    return {
+      intentType: "route",
+      locations: [
+        { name: from, timeContext: "" },
+        { name: to, timeContext: "" }
+      ],
+      visualizationType: "both",
+      travelMode: "driving",
+      preferences: [],
+      message: `Showing route from ${from} to ${to}`,
+      suggestedSequence: [from, to]
+    };
+  }
+  
+  // Pattern 3: "X to Y" basic pattern
+  const basicToPattern = /^([A-Za-z\s']+?)\s+to\s+([A-Za-z\s']+)$/i;
+  const basicMatch = basicToPattern.exec(normalizedText);
+  
+  if (basicMatch && basicMatch[1] && basicMatch[2]) {
+    const from = basicMatch[1].trim();
+    const to = basicMatch[2].trim();
+    console.log('Matched basic "X to Y" pattern:', from, 'to', to);
+    
+    return {
+      intentType: "route",
+      locations: [
+        { name: from, timeContext: "" },
+        { name: to, timeContext: "" }
+      ],
+      visualizationType: "both",
+      travelMode: "driving",
+      preferences: [],
+      message: `Showing route from ${from} to ${to}`,
+      suggestedSequence: [from, to]
+    };
+  }
+  
+  console.log('No direct route pattern matched');
+  return null;
+}
+
+/**
+ * Check if the result needs clarification and add verification properties
+ * @param {Object} result - The result object from NLP processing
+ * @param {string} inputText - The original input text
+ * @returns {Object} - The result object with added clarification properties
+ */
+export function addClarificationIfNeeded(result, inputText) {
+  if (!result) return result;
+  
+  // If result has explicit flag to skip clarification, respect it
+  if (result.skipClarification === true) {
+    console.log('Skipping clarification due to explicit skipClarification flag');
+    result.needsClarification = false;
+    result.confidence = 0.95;
+    return result;
+  }
+  
+  // Flag to track if we added any clarification
+  let needsClarification = false;
+  
+  // Check for ambiguous or uncertain locations
+  const ambiguousLocations = [];
+  if (result.locations && Array.isArray(result.locations)) {
+    // Identify potentially ambiguous locations: short names the gazetteer
+    // doesn't know, and names several likely places share
+    result.locations.forEach(loc => {
+      const name = loc.name || '';
+      if ((name.length < 4 && !findPlace(name)) || isAmbiguousPlace(name)) {
+        ambiguousLocations.push(loc.name);
+      }
+    });
+  }
+  
+  // Check for "Show me" pattern which is clearly a route request and should NOT trigger clarification
+  const hasShowMePattern = /^show\s+me\s+[^?]+/i.test(inputText);
+  
+  // Routes the query spelled out as such ("visit X, Y and Z", or legs with
+  // their travel modes) are not in doubt either
+  const isExplicitRoute = hasShowMePattern || result.explicitRoute === true || Array.isArray(result.legModes);
+
+  // Check for potential intent ambiguity, but exclude obvious pattern matches
+  const isAmbiguousIntent =
+    // Skip clarification for "Show me X, Y, and Z" patterns
+    !isExplicitRoute && (
+      inputText.length < 10 || // Very short queries
+      /^(display|find|get)\b/i.test(inputText) || // Generic verbs (removed "show")
+      (result.locations && result.locations.length > 3) // Multiple locations
+    );
+  
+  // Add clarification properties if needed
+  if (ambiguousLocations.length > 0) {
+    result.clarification = {
+      type: 'ambiguousLocations',
+      message: `I found these locations: ${result.locations.map(loc => loc.name).join(', ')}. Did you mean something else?`,
+      ambiguousLocations: ambiguousLocations,
+      alternatives: generateAlternativesForLocation(ambiguousLocations[0])
+    };
+    needsClarification = true;
+  } else if (isAmbiguousIntent && result.locations.length >= 2) {
+    result.clarification = {
+      type: 'ambiguousIntent',
+      message: 'Should I show these as separate locations or create a route between them?',
+      options: ['Show as route', 'Show as separate locations']
+    };
+    needsClarification = true;
+  }
+  
+  // Add a confidence score to the result
+  result.confidence = needsClarification ? 0.7 : 0.95;
+  result.needsClarification = needsClarification;
+  
+  return result;
+}
+
+/**
+ * Generate alternative suggestions for an ambiguous location
+ * @param {string} locationName - The ambiguous location name
+ * @returns {Array} - Array of alternative location suggestions
+ */
+function generateAlternativesForLocation(locationName) {
+  if (!locationName) return [];
+  
+  const alternatives = [];
+  const name = locationName.toLowerCase();
+  
+  // The places the gazetteer knows by this name
+  alternatives.push(...placeAlternatives(locationName));
+  
+  // For very short names, add generic suggestions
+  if (name.length < 4) {
+    // Suggest adding a country or state
+    alternatives.push(`${locationName} City`, `${locationName}, USA`, `${locationName}, Europe`);
+  }
+  
+  // If we don't have suggestions yet, add some generic ones
+  if (alternatives.length === 0) {
+    alternatives.push(
+      `${locationName}, USA`,
+      `${locationName}, Europe`,
+      `${locationName} (the city)`,
+      `${locationName} (the landmark)`
+    );
+  }
+  
+  return alternatives;
+}
+
+/**
+ * Process natural language input with context awareness
+ * This function wraps parseText and adds awareness of the previous turn for
+ * follow-up queries ("and Chicago", "then to Denver", "what about there?").
+ * The conversation state is updated in place for the next turn.
+ * @param {string} inputText - The natural language text input from the user
+ * @param {Object} conversation - State from createConversationState() ({ lastQuery, lastLocations, lastIntent, turnCount })
+ * @param {Object} options - { debug, llm }, passed through to parseText
+ * @returns {Promise<Object>} - A structured result with locations, intent type, and visualization preferences
+ */
+export async function parseWithContext(inputText, conversation = createConversationState(), options = {}) {
+  const { debug = noop } = options;
+
+  // Start performance tracking
+  const contextStartTime = performance.now();
+  
+  debug(`\n[${new Date().toISOString()}] Processing query with context: "${inputText}"`);
+  
+  // Increment turn counter
+  conversation.turnCount++;
+  
+  // Check for contextual follow-up queries
+  const followUpPatterns = {
+    addition: /^(and|also|add|include|with|plus)\b/i,
+    continuation: /^(then|next|after that|from there)\b/i,
+    question: /^(what about|how about|what is|where is|show me)\b/i,
+    refinement: /^(but|instead|actually|rather)\b/i,
+    reference: /\b(there|it|that|this|those|these|the area|the city|the route)\b/i
+  };
+  
+  // Check if this is likely a follow-up query; pasted documents never are,
+  // though their "it" and "there" would read as references
+  const isFollowUp = !looksLikeDocument(inputText) && Object.values(followUpPatterns).some(pattern => pattern.test(inputText));
+  
+  // Stops asked for on their own ("gas stations along the way") are looked
+  // for along the route already shown
+  const alongRoute = extractAlongRouteRequests(inputText);
+  const isAlongRouteFollowUp = alongRoute.categories.length > 0 && ALONG_ROUTE_ONLY.test(alongRoute.text) &&
+    conversation.lastIntent === "route" && conversation.lastLocations.length >= 2;
+  
+  // Add previous context for follow-up queries
+  let processedText = inputText;
+  
+  if (isAlongRouteFollowUp) {
+    processedText = `${conversation.lastLocations.map(loc => loc.name).join(' to ')} ${inputText}`;
+    debug(`\nSearching along the previous route: "${processedText}"`);
+  } else if (isFollowUp && conversation.lastQuery) {
+    console.log('Detected possible follow-up query:', inputText);
+    console.log('Previous query was:', conversation.lastQuery);
+    
+    debug(`\nDetected follow-up to previous query: "${conversation.lastQuery}"`);
+    
+    // Different handling based on follow-up type
+    if (followUpPatterns.addition.test(inputText)) {
+      // For additions, we keep the context of the previous query
+      // e.g., "and Chicago" after "Show me New York and Los Angeles" 
+      processedText = `${inputText} to the route with ${conversation.lastLocations.map(loc => loc.name).join(' and ')}`;
+    } else if (followUpPatterns.continuation.test(inputText)) {
+      // For continuations, we're extending the route
+      // e.g., "then to Chicago" after "Show me New York to Los Angeles"
+      const lastLocation = conversation.lastLocations[conversation.lastLocations.length - 1];
+      processedText = `from ${lastLocation?.name || 'the last location'} ${inputText}`;
+    } else if (followUpPatterns.reference.test(inputText) && conversation.lastLocations.length > 0) {
+      // For references to previous results
+      // e.g., "What's the weather like there?" after "Show me Chicago"
+      processedText = inputText.replace(
+        /(there|it|that|this|those|these|the area|the city|the route)/gi,
+        conversation.lastLocations.map(loc => loc.name).join(' and ')
+      );
+    }
+    
+    const contextProcessingTime = performance.now() - contextStartTime;
+    console.log(`Processed text with context in ${contextProcessingTime.toFixed(2)}ms:`, processedText);
+    debug(`\nEnriched query with context in ${contextProcessingTime.toFixed(2)}ms: "${processedText}"`);
+  }
+  
+  // Process with the enriched query
+  const nlpStartTime = performance.now();
+  const result = await parseText(processedText, options);
+  const nlpProcessingTime = performance.now() - nlpStartTime;
+  console.log(`Base NLP processing took ${nlpProcessingTime.toFixed(2)}ms`);
+  
+  // Try enhancing the result with context when appropriate
+  let finalResult = result;
+  if (isFollowUp && conversation.lastIntent === "route" && result.intentType === "locations") {
+    console.log('Enhancing result with context: converting to route continuation');
+    
+    // Get a combined list of unique locations
+    const allLocations = [...conversation.lastLocations];
+    
+    // Add new locations if they're not already in the list
+    result.locations.forEach(newLoc => {
+      if (!allLocations.some(existingLoc => existingLoc.name === newLoc.name)) {
+        allLocations.push(newLoc);
+      }
+    });
+    
+    // Create an enhanced result that continues the previous route
+    finalResult = {
+      intentType: "route",
+      locations: allLocations,
+      visualizationType: result.visualizationType || "both",
+      travelMode: result.travelMode || "driving",
+      preferences: result.preferences || [],
+      routePreferences: result.routePreferences,
+      corridorCategories: result.corridorCategories,
+      message: `Continuing route with ${result.locations.map(loc => loc.name).join(' and ')}`,
+      suggestedSequence: allLocations.map(loc => loc.name)
+    };
+    
+    console.log('Enhanced result:', finalResult);
+    debug(`\nEnhanced result with context: continuing route with additional locations`);
+  }
+  
+  // The map keeps the route it shows and searches along it
+  if (isAlongRouteFollowUp && finalResult.intentType === "route") {
+    finalResult.alongActiveRoute = true;
+    finalResult.message = `Searching along the route for ${finalResult.corridorCategories.map(describeCategory).join(' and ')}`;
+  }
+  
+  // Add clarification if needed
+  finalResult = addClarificationIfNeeded(finalResult, inputText);
+  
+  // Update conversation context
+  conversation.lastQuery = inputText;
+  conversation.lastLocations = finalResult.locations;
+  conversation.lastIntent = finalResult.intentType;
+  
+  // Log total processing time
+  const totalTime = performance.now() - contextStartTime;
+  console.log(`Total context-aware processing took ${totalTime.toFixed(2)}ms`);
+  debug(`\nTotal context-aware processing completed in ${totalTime.toFixed(2)}ms`);
+  
+  return finalResult;
+}
+
+/**
+ * Enhance locations with entity type classification
+ * Helps distinguish between different types of locations
+ * @param {Array} locations - Array of location objects
+ * @returns {Array} - Enhanced locations with entity types
+ */
+export function enhanceLocationsWithEntityTypes(locations) {
+  if (!locations || !Array.isArray(locations)) return [];
+  
+  // Patterns for different types of locations
+  const patterns = {
+    naturalFeature: /\b(mount|mt\.|lake|river|mountain|ocean|sea|forest|desert|canyon|valley|peak|island|peninsula|bay|gulf|waterfall|plateau|volcano|cliff|glacier|reef|delta|spring|basin|falls|rapids|strait|hill|dune)\b/i,
+    historicalSite: /\b(ancient|historical|historic|ruins|castle|palace|temple|monument|memorial|fort|fortress|cathedral|basilica|colosseum|acropolis|pyramid|tomb|shrine|wall|tower|battlefield|amphitheater|altar|mosque|abbey|citadel)\b/i,
+    administrativeArea: /\b(county|district|region|state|province|territory|oblast|prefecture|canton|republic|kingdom|empire|commonwealth|principality|duchy|federation|borough|precinct|colony|county)\b/i,
+    pointOfInterest: /\b(museum|park|garden|zoo|stadium|mall|restaurant|hotel|airport|station|theater|cinema|library|university|college|school|hospital|plaza|square|market|store|shop|center|gallery|hall|arena|complex|resort|manor|villa)\b/i,
+    urbanArea: /\b(city|town|village|metropolis|suburb|downtown|neighborhood|district|quarter|block|street|avenue|boulevard|lane|plaza|borough|urban|metropolitan|municipalit)\b/i
+  };
+  
+  return locations.map(location => {
+    if (!location || typeof location !== 'object') return location;
+    
+    // Get location name to check against patterns
+    const name = location.name || '';
+    
+    // Check location name against each pattern type
+    let entityType = 'place'; // Default type
+    
+    for (const [type, pattern] of Object.entries(patterns)) {
+      if (pattern.test(name)) {
+        entityType = type;
+        break;
+      }
+    }
+    
+    // Countries, divisions and major cities the gazetteer knows
+    const place = findPlace(name);
+    if (place && place.kind === 'country') {
+      entityType = 'country';
+    } else if (place && place.kind === 'admin') {
+      entityType = 'administrativeArea';
+    } else if (place && place.kind === 'city' && place.population >= MAJOR_CITY_POPULATION) {
+      entityType = 'majorCity';
+    }
+    
+    // Return enhanced location with entity type
+    return {
+      ...location,
+      entityType
+    };
+  });
+}
+
+/**
+ * Process natural language input and extract structured information
+ * Route preference phrases ("avoiding tolls", "leaving at 8am") are taken out
+ * of the text before the locations are extracted and returned as the
+ * structured `routePreferences` (see route-preferences.js), merged with any
+ * preferences the LLM reported. Requests for stops along the way ("with
+ * coffee stops", "gas stations on the way") are taken out the same way and
+ * returned as `corridorCategories` (see poi-categories.js). Locations named
+ * relative to other places ("50 miles north of Denver") carry the parsed
+ * expression as `spatial` (see spatial-expressions.js), and time contexts are
+ * normalized into `years` (see time-context.js); results with two or more
+ * dated places are shown as a timeline. Pasted documents (a few sentences of
+ * prose) are read with parseDocument instead of the query cascade.
+ * @param {string} inputText - The natural language text input from the user
+ * @param {Object} options - { debug, llm }
+ * @param {Function} options.debug - Receives progress messages (optional)
+ * @param {Function} options.llm - async (prompt) => model text; the LLM stage is skipped without it
+ * @returns {Promise<Object>} - A structured result with locations, intent type, and visualization preferences
+ */
+export async function parseText(inputText, options = {}) {
+  if (looksLikeDocument(inputText)) {
+    const documentResult = await parseDocument(inputText, options);
+    if (documentResult.locations.length > 0) return documentResult;
+  }
+
+  const { preferences, text } = extractRoutePreferences(inputText);
+  const { categories, text: routeText } = extractAlongRouteRequests(text || inputText);
+  const result = await parseLocations(routeText || text || inputText, options);
+  const locations = markSpatialLocations(markTimeContexts(result.locations));
+  const names = new Map((result.locations || []).map((location, i) => [location.name, locations[i].name]));
+
+  return toTimeline({
+    ...result,
+    locations,
+    ...(result.suggestedSequence && { suggestedSequence: result.suggestedSequence.map(name => names.get(name) || name) }),
+    routePreferences: mergeRoutePreferences(preferences, preferencesFromList(result.preferences)),
+    ...(categories.length > 0 && { corridorCategories: categories })
+  });
+}
+
+/**
+ * Turn a route or list of places into a timeline when two or more of them
+ * are dated; the stops of a trip don't carry dates, places in history do
+ * @param {Object} result - A parsed result with normalized `years`
+ * @returns {Object} - The result, with intentType "timeline" and the dated
+ *   places first in time order when it is one
+ */
+function toTimeline(result) {
+  const dated = result.locations.filter(location => location.years);
+  if (dated.length < 2 || !['route', 'locations'].includes(result.intentType)) return result;
+
+  const ordered = [...dated].sort((a, b) => compareYears(a.years, b.years));
+  const undated = result.locations.filter(location => !location.years);
+
+  return {
+    ...result,
+    intentType: "timeline",
+    message: `Showing places in time order: ${ordered.map(location => `${location.name} (${location.timeContext})`).join(' → ')}`,
+    suggestedSequence: [...ordered, ...undated].map(location => location.name),
+    skipClarification: true
+  };
+}
+
+/**
+ * Read a document (pasted text, or an uploaded file's text, see
+ * documentText in document-extraction.js) for the places it mentions
+ * @param {string} text - The document's text
+ * @param {Object} options - { debug }, see parseText
+ * @returns {Promise<Object>} - A result with intentType "document": its
+ *   locations are the places (with their roles and the indices of their
+ *   mentions), and `document` is { text, sentences, mentions } with the
+ *   character offsets of each mention, its sentence, role and nearby dates
+ */
+export async function parseDocument(text, options = {}) {
+  const { debug = noop } = options;
+  const { sentences, mentions, places } = extractDocumentPlaces(text);
+  debug(`\nRead a document of ${sentences.length} sentences: ${mentions.length} mentions of ${places.length} places`);
+
+  const names = places.map(place => place.name);
+  return {
+    intentType: "document",
+    locations: enhanceLocationsWithEntityTypes(markTimeContexts(places)),
+    document: { text, sentences, mentions },
+    visualizationType: "both",
+    travelMode: "driving",
+    preferences: [],
+    message: places.length > 0
+      ? `Found ${places.length} places in this text: ${names.join(', ')}`
+      : "Couldn't find any places in this text",
+    suggestedSequence: names,
+    routePreferences: mergeRoutePreferences(),
+    skipClarification: true
+  };
+}
+
+/**
+ * Normalize the locations' time contexts into `years` ({ start, end }),
+ * taking the time off names like "Constantinople in 1453" first when the
+ * location has none
+ * @param {Array} locations - Locations from the cascade
+ * @returns {Array} - The locations, with `years` where the time parses
+ */
+function markTimeContexts(locations = []) {
+  return locations.map(location => {
+    const split = location.timeContext ? null : splitTimeContext(location.name);
+    const marked = split ? { ...location, ...split } : location;
+    const years = parseTimeContext(marked.timeContext);
+    return years ? { ...marked, years } : marked;
+  });
+}
+
+/**
+ * Mark locations whose names describe a place relative to others ("Boston to
+ * 20 miles north of Boston") with the parsed expression as `spatial`
+ * @param {Array} locations - Locations from the cascade
+ * @returns {Array} - The locations, marked where their names parse
+ */
+function markSpatialLocations(locations = []) {
+  return locations.map(location => {
+    if (location.spatial || Array.isArray(location.coordinates)) return location;
+    const spatial = parseSpatialExpression(location.name);
+    return spatial ? { ...location, spatial } : location;
+  });
+}
+
+/**
+ * Extract locations and intent from a query without route preference phrases
+ * Runs the cascade: nearby searches, isochrone, distance and travel time
+ * questions, relative place descriptions, direct route patterns, "show me"
+ * lists, informational queries, from-to patterns, regex extraction, the LLM
+ * for complex queries, then simple extraction and finally default locations.
+ * @param {string} inputText - The query text
+ * @param {Object} options - { debug, llm }, see parseText
+ * @returns {Promise<Object>} - A structured result with locations, intent type, and visualization preferences
+ */
+async function parseLocations(inputText, options = {}) {
+  const { debug = noop, llm = null } = options;
+
+  try {
+    // Start performance tracking
+    const startTime = performance.now();
+    console.log('Processing input:', inputText);
+    
+    debug(`\n[${new Date().toISOString()}] Processing query: "${inputText}"`);
+    
+    // ====== FIRST PRIORITY: CHECK FOR SIMPLE PATTERN MATCHES ======
+    
+    // Searches for a kind of place ("museums near the Eiffel Tower", "hotels
+    // within 1 mile of Times Square") come first, since they always start with
+    // the category and would otherwise read as reachable areas or keep only the
+    // place as an informational query
+    const nearbyResult = extractNearbyQuestion(inputText);
+    if (nearbyResult) {
+      debug(`\nDetected nearby search: ${nearbyResult.message}`);
+      nearbyResult.locations = enhanceLocationsWithEntityTypes(nearbyResult.locations);
+      return nearbyResult;
+    }
+    
+    // Questions about reachable areas and about distance or travel time come
+    // first, since "how long to drive from X to Y" or "where can I drive to in
+    // 30 minutes from X" would otherwise read as plain routes
+    const isochroneResult = extractIsochroneQuestion(inputText);
+    if (isochroneResult) {
+      debug(`\nDetected isochrone question: ${isochroneResult.message}`);
+      isochroneResult.locations = enhanceLocationsWithEntityTypes(isochroneResult.locations);
+      return isochroneResult;
+    }
+    
+    const distanceResult = extractDistanceQuestion(inputText);
+    if (distanceResult) {
+      debug(`\nDetected ${distanceResult.intentType} question: ${distanceResult.suggestedSequence.join(' → ')}`);
+      distanceResult.locations = enhanceLocationsWithEntityTypes(distanceResult.locations);
+      return distanceResult;
+    }
+    
+    // Places described relative to others ("halfway between Paris and
+    // Madrid") would otherwise be split at "and" or kept whole as one name
+    const spatialResult = extractSpatialQuestion(inputText);
+    if (spatialResult) {
+      debug(`\nDetected spatial expression: ${spatialResult.locations[0].name}`);
+      spatialResult.locations = enhanceLocationsWithEntityTypes(spatialResult.locations);
+      return spatialResult;
+    }
+    
+    // Check for direct route patterns first - this is FAST and should be tried before Gemini
+    console.log('Trying direct route pattern extraction first...');
+    const directRouteResult = extractDirectRoutePattern(inputText);
+    if (directRouteResult) {
+      const directMatchTime = performance.now() - startTime;
+      console.log(`Direct route pattern matched in ${directMatchTime.toFixed(2)}ms:`, directRouteResult);
+      debug(`\nDirect route pattern matched in ${directMatchTime.toFixed(2)}ms! ✅`);
+      
+      // Apply entity type enhancement
+      directRouteResult.locations = enhanceLocationsWithEntityTypes(directRouteResult.locations);
+      return directRouteResult;
+    }
+    
+    // Check for "Show me X, Y, and Z" pattern
+    const showMePattern = /show\s+me\s+(.*)/i;
+    const showMeMatch = inputText.match(showMePattern);
+    
+    if (showMeMatch && showMeMatch[1]) {
+      const locationString = showMeMatch[1].trim();
+      console.log('Found "Show me" pattern with locations:', locationString);
+      
+      // Split by commas and 'and'
+      const locations = locationString
+        .replace(/\s+and\s+/gi, ', ')
+        .split(/\s*,\s*/)
+        .filter(loc => loc.trim().length > 0)
+        .map(loc => loc.trim());
+      
+      if (locations.length > 0) {
+        console.log('Extracted "Show me" locations:', locations);
+        debug(`\nExtracted "Show me" locations: ${locations.join(', ')}`);
+        debug(`\nPreserving location sequence: ${locations.join(' → ')}`);
+        
+        // For "Show me X, Y, Z" pattern, the sequence should be X → Y → Z
+        const locationSequence = [...locations]; // Make a copy to ensure we preserve the order
+        
+        const result = {
+          intentType: "route",
+          locations: locations.map(loc => ({ name: loc, timeContext: "" })),
+          visualizationType: "both",
+          travelMode: "driving",
+          preferences: [],
+          message: `Showing route following sequence: ${locationSequence.join(' → ')}`,
+          suggestedSequence: locationSequence,
+          // Flag to explicitly disable clarification for "Show me" queries
+          skipClarification: true
+        };
+        
+        // Apply entity type enhancement
+        result.locations = enhanceLocationsWithEntityTypes(result.locations);
+        return result;
+      }
+    }
+    
+    // Lists of places to visit would otherwise keep only the first one as an
+    // informational query
+    const visitResult = extractVisitList(inputText);
+    if (visitResult) {
+      debug(`\nExtracted places to visit: ${visitResult.suggestedSequence.join(' → ')}`);
+      visitResult.locations = enhanceLocationsWithEntityTypes(visitResult.locations);
+      return visitResult;
+    }
+
+    // Check for informational queries about a single location
+    const informationalQuery = detectInformationalQuery(inputText);
+    if (informationalQuery) {
+      console.log('Detected informational query about location:', informationalQuery);
+      debug(`\nDetected informational query about: ${informationalQuery}`);
+      
+      const result = {
+        intentType: "locations", // Not a route, just a location
+        locations: [{ name: informationalQuery, timeContext: "" }],
+        visualizationType: "both",
+        travelMode: "driving",
+        preferences: [],
+        message: `Showing information about: ${informationalQuery}`,
+        suggestedSequence: [informationalQuery]
+      };
+      
+      // Apply entity type enhancement
+      result.locations = enhanceLocationsWithEntityTypes(result.locations);
+      return result;
+    }
+    
+    // Try direct extraction for simple queries
+    console.log('Trying simple from-to pattern extraction...');
+    const directExtractedLocations = extractSimpleFromToPattern(inputText);
+    
+    // If direct extraction works, use it immediately for route queries
+    if (directExtractedLocations && directExtractedLocations.length >= 2) {
+      const directExtractionTime = performance.now() - startTime;
+      console.log(`Direct extraction successful in ${directExtractionTime.toFixed(2)}ms:`, directExtractedLocations);
+      debug(`\nExtracted locations in ${directExtractionTime.toFixed(2)}ms: ${directExtractedLocations.join(', ')}`);
+      
+      const result = {
+        intentType: "route",
+        locations: directExtractedLocations.map(loc => ({ name: loc, timeContext: "" })),
+        visualizationType: "both",
+        travelMode: "driving",
+        preferences: [],
+        message: `Showing route from ${directExtractedLocations[0]} to ${directExtractedLocations[directExtractedLocations.length-1]}`,
+        suggestedSequence: directExtractedLocations
+      };
+      
+      // Apply entity type enhancement
+      result.locations = enhanceLocationsWithEntityTypes(result.locations);
+      return result;
+    }
+    
+    // Places each given with a time are a list, however many separators it has
+    const datedResult = extractDatedList(inputText);
+    if (datedResult) {
+      debug(`\nExtracted dated places: ${datedResult.suggestedSequence.join(', ')}`);
+      datedResult.locations = enhanceLocationsWithEntityTypes(datedResult.locations);
+      return datedResult;
+    }
+    
+    // Then try general regex extraction as a fallback
+    console.log('Trying regex extraction...');
+    const extractedLocations = extractLocationsWithRegex(inputText);
+    // If regex returns an array with at least 2 locations, use it directly
+    if (Array.isArray(extractedLocations) && extractedLocations.length >= 2) {
+      const regexExtractionTime = performance.now() - startTime;
+      console.log(`Using locations extracted by regex in ${regexExtractionTime.toFixed(2)}ms:`, extractedLocations);
+      debug(`\nRegex extracted locations in ${regexExtractionTime.toFixed(2)}ms: ${extractedLocations.join(', ')}`);
+      
+      // Paragraphs were read as documents by parseText, so this is a route request
+      const result = {
+        intentType: "route",
+        locations: extractedLocations.map(loc => ({ name: loc, timeContext: "" })),
+        visualizationType: "both",
+        travelMode: "driving",
+        preferences: [],
+        message: `Showing route between ${extractedLocations.join(' and ')}`,
+        suggestedSequence: extractedLocations
+      };
+      
+      // Apply entity type enhancement
+      result.locations = enhanceLocationsWithEntityTypes(result.locations);
+      return result;
+    }
+    
+    // ====== SECOND PRIORITY: USE GEMINI API FOR COMPLEX QUERIES ======
+    
+    // Determine if this is a truly complex query that would benefit from Gemini
+    const hasComplexVocabulary = /historical|ancient|culture|civilization|empire|kingdom|region|famous|landmarks|attractions|itinerary|journey|tour|travel|visit/i.test(inputText);
+    const hasSimpleRoutePattern = /\b(route|from|to|between|and)\b/i.test(inputText) && inputText.split(/\s+/).length < 10;
+    
+    // Don't use Gemini for simple route queries
+    const isComplexQuery = !hasSimpleRoutePattern && (
+      (inputText.split(/\s+/).length >= 8) || // Longer queries
+      hasComplexVocabulary || 
+      inputText.includes('?') // Question format indicates complexity
+    );
+    
+    if (isComplexQuery && !llm) {
+      console.log('No LLM client configured, using pattern matching');
+      debug('\nNo LLM client configured, skipping Gemini API call.');
+    } else if (isComplexQuery) {
+      try {
+        debug('\nDetected complex query, attempting to process with Gemini AI...');
+        
+        console.log('Query identified as complex. Using Gemini API for enhanced understanding.');
+        
+        // Track Gemini API call time
+        const geminiStartTime = performance.now();
+        
+        // The LLM client sends the prompt to /api/gemini (browser) or straight to the provider (server)
+        console.log('Calling Gemini API for NLP processing...');
+        const resultText = await llm(buildParsePrompt(inputText));
+        
+        try {
+          // Clean the text in case it returns with markdown code blocks
+          const cleanedText = resultText.replace(/```json|```/g, '').trim();
+          const geminiResult = JSON.parse(cleanedText);
+          
+          const geminiTime = performance.now() - geminiStartTime;
+          console.log(`Successfully processed with Gemini in ${geminiTime.toFixed(2)}ms:`, geminiResult);
+          debug(`\nSuccessfully processed with Gemini AI in ${geminiTime.toFixed(2)}ms ✓`);
+          
+          // Ensure any missing fields are set to default values
+          const result = {
+            intentType: geminiResult.intentType || "locations",
+            locations: geminiResult.locations || [],
+            visualizationType: geminiResult.visualizationType || "both",
+            travelMode: geminiResult.travelMode || "driving",
+            preferences: geminiResult.preferences || [],
+            message: geminiResult.message || `Processed query: ${inputText}`,
+            suggestedSequence: geminiResult.suggestedSequence || 
+                             (geminiResult.locations ? geminiResult.locations.map(loc => loc.name) : []),
+            ...(Array.isArray(geminiResult.legModes) && geminiResult.legModes.length > 0 ? { legModes: geminiResult.legModes } : {})
+          };
+          
+          // Apply entity type enhancement
+          result.locations = enhanceLocationsWithEntityTypes(result.locations);
+          
+          // Log total processing time
+          const totalTime = performance.now() - startTime;
+          console.log(`Total processing time with Gemini: ${totalTime.toFixed(2)}ms`);
+          
+          return result;
+        } catch (parseError) {
+          console.error('Error parsing Gemini response:', parseError);
+          debug(`\nError parsing Gemini response: ${parseError.message}. Falling back to pattern matching.`);
+          // Continue with fallback methods
+        }
+      } catch (geminiError) {
+        console.error('Error with Gemini processing:', geminiError);
+        debug(`\nGemini processing error: ${geminiError.message}. Falling back to pattern matching.`);
+        // Continue with fallback methods
+      }
+    } else {
+      console.log('Query is not complex enough to justify Gemini API call, using pattern matching');
+      debug('\nQuery is simple, skipping Gemini API call.');
+    }
+    
+    // ====== THIRD PRIORITY: FALLBACK TO SIMPLE EXTRACTION ======
+    
+    // If regex doesn't find any, try the simple method
+    const simpleLocations = Array.isArray(extractedLocations) && extractedLocations.length > 0 ? 
+      extractedLocations : extractSimpleLocations(inputText);
+    
+    console.log('Extracted locations:', simpleLocations);
+    debug(`\nSimple location extraction: ${simpleLocations.length > 0 ? simpleLocations.join(', ') : 'none found'}`);
+    
+    // Use these locations directly if found
+    if (simpleLocations.length > 0) {
+      console.log('Simple location extraction successful:', simpleLocations);
+      
+      // If multiple locations, treat as a route, otherwise just show locations
+      const isRoute = simpleLocations.length >= 2;
+      
+      const result = {
+        intentType: isRoute ? "route" : "locations",  // If multiple locations, treat as route
+        locations: simpleLocations.map(loc => ({ name: loc, timeContext: "" })),
+        visualizationType: "both",
+        travelMode: "driving",
+        preferences: [],
+        message: isRoute 
+          ? `Showing route between ${simpleLocations.join(' → ')}`
+          : `Showing location: ${simpleLocations[0]}`,
+        suggestedSequence: simpleLocations
+      };
+      
+      // Apply entity type enhancement
+      result.locations = enhanceLocationsWithEntityTypes(result.locations);
+      
+      // Log total processing time
+      const totalTime = performance.now() - startTime;
+      console.log(`Total processing time with simple extraction: ${totalTime.toFixed(2)}ms`);
+      
+      return result;
+    }
+    
+    // If we still can't find locations, fall back to default locations
+    debug('\nNo locations found, using default locations');
+    
+    // Default fallback
+    const errorResult = {
+      intentType: "locations",
+      locations: [
+        { name: "New York", timeContext: "" },
+        { name: "Los Angeles", timeContext: "" },
+        { name: "Chicago", timeContext: "" }
+      ],
+      visualizationType: "both",
+      travelMode: "driving",
+      preferences: [],
+      message: "Couldn't find specific locations. Showing some major US cities instead.",
+      suggestedSequence: ["New York", "Los Angeles", "Chicago"]
+    };
+    
+    // Apply entity type enhancement even to error results
+    errorResult.locations = enhanceLocationsWithEntityTypes(errorResult.locations);
+    
+    // Log total processing time
+    const totalTime = performance.now() - startTime;
+    console.log(`Total processing time with fallback: ${totalTime.toFixed(2)}ms`);
+    
+    return errorResult;
+    
+  } catch (error) {
+    console.error('Error in parseLocations:', error);
+    debug(`\nERROR processing query: ${error.message}`);
+    
+    // Return default locations as fallback
+    const errorResult = {
+      intentType: "locations",
+      locations: [
+        { name: "New York", timeContext: "" },
+        { name: "Los Angeles", timeContext: "" },
+        { name: "Chicago", timeContext: "" }
+      ],
+      visualizationType: "both",
+      travelMode: "driving",
+      preferences: [],
+      message: `Error processing your query: ${error.message}`,
+      suggestedSequence: ["New York", "Los Angeles", "Chicago"]
+    };
+    
+    // Apply entity type enhancement even to error results
+    errorResult.locations = enhanceLocationsWithEntityTypes(errorResult.locations);
+    return errorResult;
+  }
+}
+
+/**
+ * Extract locations from simple "from X to Y" patterns
+ * @param {string} inputText - The input text
+ * @returns {Array<string>|null} - Array of locations or null if no match
+ */
+export function extractSimpleFromToPattern(inputText) {
+  if (!inputText) return null;
+  
+  console.log('Attempting to extract from-to pattern from:', inputText);
+  
+  // Normalize text
+  const text = inputText.trim();
+  
+  // Pattern for "from X to Y"
+  const fromToPattern = /\b(?:from\s+)([A-Za-z\s']+?)(?:\s+to\s+)([A-Za-z\s']+)\b/i;
+  const match = fromToPattern.exec(text);
+  
+  if (match && match[1] && match[2]) {
+    const from = match[1].trim();
+    const to = match[2].trim();
+    console.log('Matched from-to pattern:', from, 'to', to);
+    return [from, to];
+  }
+  
+  // Also try the basic "X to Y" pattern
+  const basicPattern = /\b([A-Za-z\s']+?)(?:\s+to\s+)([A-Za-z\s']+)\b/i;
+  const basicMatch = basicPattern.exec(text);
+  
+  if (basicMatch && basicMatch[1] && basicMatch[2]) {
+    const from = basicMatch[1].trim();
+    const to = basicMatch[2].trim();
+    console.log('Matched basic X to Y pattern:', from, 'to', to);
+    return [from, to];
+  }
+  
+  console.log('No from-to pattern matched');
+  return null;
+}
+
+/**
+ * Detect if a query is asking for information about places or sites within a location
+ * @param {string} text - Input text
+ * @returns {string|null} - The main location if it's an informational query, null otherwise
+ */
+export function detectInformationalQuery(text) {
+  if (!text) return null;
+  
+  // Normalize the text for better matching
+  const normalizedText = text.toLowerCase().trim();
+  
+  // Patterns that indicate information requests about a location
+  const informationalPatterns = [
+    /\b(?:historical|famous|popular|tourist|interesting)\s+(?:sites|places|locations|spots|attractions|destinations)\s+(?:in|of|around|near)\s+([A-Za-z\s]+)/i,
+    /\b(?:sites|places|locations|spots|attractions|destinations)\s+(?:in|of|around|near)\s+([A-Za-z\s]+)/i,
+    /\b(?:things|what)\s+to\s+(?:see|do|visit)\s+(?:in|around|near)\s+([A-Za-z\s]+)/i,
+    /\b(?:visit|explore|discover)\s+([A-Za-z\s]+)/i,
+    /\b(?:information|info|facts|history)\s+(?:about|on|of)\s+([A-Za-z\s]+)/i
+  ];
+  
+  // Try each pattern to see if it matches
+  for (const pattern of informationalPatterns) {
+    const match = normalizedText.match(pattern);
+    if (match && match[1]) {
+      console.log(`Matched informational pattern: ${pattern}`);
+      return match[1].trim();
+    }
+  }
+  
+  // Check for special cases
+  if (normalizedText.includes('ancient rome') || 
+      normalizedText.includes('ancient greece') ||
+      normalizedText.includes('ancient egypt')) {
+    const ancientMatch = normalizedText.match(/ancient\s+([a-z]+)/i);
+    if (ancientMatch && ancientMatch[1]) {
+      return `Ancient ${ancientMatch[1].charAt(0).toUpperCase() + ancientMatch[1].slice(1)}`;
+    }
+  }
+  
+  return null;
+}
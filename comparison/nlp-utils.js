@@ -3,6 +3,8 @@
  * Provides utility functions for natural language processing.
  */
 
+import { findPlaceNames } from './gazetteer.js';
+
 /**
  * Extract location names from text using regular expressions
  * @param {string} text - The input text to process
@@ -172,35 +174,17 @@ function isLikelyLocation(str) {
 }
 
 /**
- * Extract simple locations from text using a list of known locations
+ * Extract simple locations from text using the gazetteer's known places
+ * Names are returned as the gazetteer spells them ("NYC" is "New York City"),
+ * keeping a qualifier that was written with them ("Portland, Maine")
  * @param {string} text - The input text to process
  * @returns {Array<string>} - Array of extracted location names
  */
 export function extractSimpleLocations(text) {
   if (!text) return [];
   
-  // List of common major cities and landmarks to check for
-  const commonLocations = [
-    "New York", "Los Angeles", "Chicago", "Houston", "Phoenix", "Philadelphia", 
-    "San Antonio", "San Diego", "Dallas", "San Jose", "Austin", "Jacksonville",
-    "Fort Worth", "Columbus", "San Francisco", "Charlotte", "Indianapolis", "Seattle",
-    "Denver", "Washington", "Boston", "El Paso", "Nashville", "Detroit", "Oklahoma City",
-    "Portland", "Las Vegas", "Memphis", "Louisville", "Baltimore", "Milwaukee", "Albuquerque",
-    "London", "Paris", "Tokyo", "Beijing", "Sydney", "Berlin", "Rome", "Madrid",
-    "Moscow", "Cairo", "Dubai", "Mumbai", "Delhi", "Singapore", "Hong Kong",
-    "Eiffel Tower", "Statue of Liberty", "Golden Gate Bridge", "Grand Canyon",
-    "Mount Everest", "Mount Rushmore", "Great Wall"
-  ];
-  
-  // Find all mentions of locations in the text
-  const foundLocations = [];
-  const lowerText = text.toLowerCase();
-  
-  for (const location of commonLocations) {
-    if (lowerText.includes(location.toLowerCase())) {
-      foundLocations.push(location);
-    }
-  }
+  const foundLocations = findPlaceNames(text)
+    .map(({ name, place }) => name.includes(',') ? name : place.name);
   
-  return foundLocations;
+  return [...new Set(foundLocations)];
 } 
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * POI Categories
+ * The kinds of places users search for along a route or near a place
+ * ("coffee stops", "gas stations along the way", "museums near the Eiffel
+ * Tower"), with the words they use for them and the Mapbox Search Box
+ * category each maps to. Shared by the NLP pipeline, the map and the server,
+ * which only accepts these categories. DOM-free.
+ */
+
+export const POI_CATEGORIES = {
+  coffee: { label: 'Coffee', words: ['coffee', 'coffee shop', 'cafe', 'café'] },
+  restaurant: { label: 'Restaurants', words: ['restaurant', 'food', 'lunch', 'dinner', 'meal'] },
+  fast_food: { label: 'Fast food', words: ['fast food', 'burger', 'drive-through', 'drive-thru'] },
+  gas_station: { label: 'Gas stations', words: ['gas station', 'gas', 'fuel', 'petrol', 'petrol station', 'filling station'] },
+  charging_station: { label: 'EV charging', words: ['charging station', 'ev charger', 'ev charging', 'charger', 'charging'] },
+  rest_area: { label: 'Rest areas', words: ['rest area', 'rest stop', 'service area', 'services'] },
+  hotel: { label: 'Hotels', words: ['hotel', 'motel', 'lodging', 'place to stay'] },
+  supermarket: { label: 'Supermarkets', words: ['supermarket', 'grocery', 'grocery store', 'groceries'] },
+  pharmacy: { label: 'Pharmacies', words: ['pharmacy', 'drugstore', 'chemist'] },
+  parking_lot: { label: 'Parking', words: ['parking', 'car park', 'parking lot'] },
+  atm: { label: 'ATMs', words: ['atm', 'cash machine', 'cash'] },
+  bar: { label: 'Bars', words: ['bar', 'pub'] },
+  museum: { label: 'Museums', words: ['museum', 'gallery', 'art gallery'] },
+  park: { label: 'Parks', words: ['park', 'garden'] },
+  tourist_attraction: { label: 'Attractions', words: ['attraction', 'tourist attraction', 'sight', 'things to see', 'things to do', 'places to visit'] }
+};
+
+/**
+ * Turn a word into a regex source that also matches its plural
+ * @param {string} word - e.g. "coffee shop" or "pharmacy"
+ * @returns {string}
+ */
+function pluralPattern(word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+  if (/y$/.test(word)) return `${escaped.slice(0, -1)}(?:y|ies)`;
+  if (/(?:s|sh|ch|x)$/.test(word)) return `${escaped}(?:es)?`;
+  return `${escaped}s?`;
+}
+
+// Longest words first, so "gas station" is not read as a bare "gas"
+const CATEGORY_WORDS = Object.entries(POI_CATEGORIES)
+  .flatMap(([category, { words }]) => words.map(word => ({ category, word })))
+  .sort((a, b) => b.word.length - a.word.length);
+
+// Regex source matching any category word or its plural
+export const CATEGORY_WORD = CATEGORY_WORDS.map(({ word }) => pluralPattern(word)).join('|');
+
+const WORD_PATTERNS = CATEGORY_WORDS.map(({ category, word }) => ({
+  category,
+  pattern: new RegExp(`^(?:${pluralPattern(word)})$`, 'i')
+}));
+
+/**
+ * Find the category a word or phrase names
+ * @param {string} text - e.g. "coffee shops" or "Gas"
+ * @returns {string|null} - A key of POI_CATEGORIES, or null
+ */
+export function findCategory(text) {
+  const trimmed = (text || '').trim();
+  const match = WORD_PATTERNS.find(({ pattern }) => pattern.test(trimmed));
+  return match ? match.category : null;
+}
+
+/**
+ * Name a category in running text
+ * @param {string} category - A key of POI_CATEGORIES
+ * @returns {string} - e.g. "gas stations"; abbreviations such as "EV" keep their case
+ */
+export function describeCategory(category) {
+  return POI_CATEGORIES[category].label.replace(/^[A-Z][a-z]/, initial => initial.toLowerCase());
+}
+
+// "with coffee stops", "with gas and coffee breaks"
+const STOPS_PHRASE = new RegExp(String.raw`\b(?:with|and|plus)\s+(?:some\s+|a\s+few\s+)?((?:${CATEGORY_WORD})(?:\s*(?:,|and|or|&)\s*(?:${CATEGORY_WORD}))*)\s+(?:stops?|breaks?)\b`, 'gi');
+
+// "gas stations along the way", "and find coffee on the way"
+const ALONG_PHRASE = new RegExp(String.raw`\b(?:(?:with|and|plus)\s+)?(?:(?:find|show(?:\s+me)?)\s+)?(?:some\s+)?((?:${CATEGORY_WORD})(?:\s*(?:,|and|or|&)\s*(?:${CATEGORY_WORD}))*)\s+(?:along\s+the\s+(?:way|route)|on\s+the\s+way|en\s+route)\b`, 'gi');
+
+// "stopping for coffee", "with a stop for gas"
+const STOPPING_PHRASE = new RegExp(String.raw`\b(?:(?:and|with)\s+)?(?:stopping|a\s+stop|stops?)\s+for\s+((?:${CATEGORY_WORD})(?:\s*(?:,|and|or|&)\s*(?:${CATEGORY_WORD}))*)\b`, 'gi');
+
+/**
+ * Take requests for stops along the route out of a query
+ * @param {string} text - The query, e.g. "Boston to New York with coffee stops"
+ * @returns {Object} - { categories (keys of POI_CATEGORIES, in order), text
+ *   without the phrases }
+ */
+export function extractAlongRouteRequests(text) {
+  const categories = [];
+  if (!text) return { categories, text: text || '' };
+
+  const collect = (match, words) => {
+    words.split(/\s*(?:,|\band\b|\bor\b|&)\s*/i)
+      .map(findCategory)
+      .filter(category => category && !categories.includes(category))
+      .forEach(category => categories.push(category));
+    return ' ';
+  };
+
+  const remaining = text
+    .replace(STOPS_PHRASE, collect)
+    .replace(ALONG_PHRASE, collect)
+    .replace(STOPPING_PHRASE, collect)
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/[\s,]+$/, '')
+    .trim();
+
+  return { categories, text: categories.length > 0 ? remaining : text };
+}
@@ -0,0 +1,172 @@
+/**
+ * Route Corridor
+ * Finds places worth stopping at along a route: the route line is buffered
+ * into a corridor, searched box by box (a category search takes a bounding
+ * box), and the places inside the corridor are ranked by how far out of the
+ * way they are. DOM-free, so the tests can run it.
+ *
+ * Distances to the route use a local flat projection per segment, which is
+ * accurate to well under a percent for corridors a few kilometers wide.
+ */
+
+import { greatCircleDistance } from './geodesic.js';
+
+const KM_PER_DEGREE = 111.2;
+
+// Corridor half-width by travel mode, in km
+export const CORRIDOR_WIDTHS = {
+  driving: 2,
+  cycling: 0.75,
+  walking: 0.3
+};
+
+// Speeds used to turn a detour into minutes, in km/h
+const DETOUR_SPEEDS = {
+  driving: 50,
+  cycling: 15,
+  walking: 5
+};
+
+// Most boxes searched along one route
+const MAX_CORRIDOR_BOXES = 8;
+
+/**
+ * Locate a point relative to a route line
+ * @param {Array} point - [lng, lat]
+ * @param {Array} coordinates - The route line, [lng, lat] pairs
+ * @returns {Object} - { distance (km to the line), along (km from the start
+ *   to the closest point), segment (index of the closest segment) }
+ */
+export function projectOntoRoute(point, coordinates) {
+  let best = null;
+  let along = 0;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const [lon1, lat1] = coordinates[i];
+    const [lon2, lat2] = coordinates[i + 1];
+    const kmPerLon = KM_PER_DEGREE * Math.cos((lat1 + lat2) / 2 * Math.PI / 180);
+
+    // Flat coordinates in km, relative to the segment start
+    const dx = (lon2 - lon1) * kmPerLon;
+    const dy = (lat2 - lat1) * KM_PER_DEGREE;
+    const px = (point[0] - lon1) * kmPerLon;
+    const py = (point[1] - lat1) * KM_PER_DEGREE;
+    const length = Math.hypot(dx, dy);
+    const t = length > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / (length * length))) : 0;
+    const distance = Math.hypot(px - t * dx, py - t * dy);
+
+    if (!best || distance < best.distance) {
+      best = { distance, along: along + t * length, segment: i };
+    }
+    along += length;
+  }
+
+  return best || { distance: coordinates.length > 0 ? greatCircleDistance(point, coordinates[0]) : Infinity, along: 0, segment: 0 };
+}
+
+/**
+ * Cover a corridor around a route with bounding boxes
+ * The route is cut into stretches of equal length, and each stretch's
+ * bounding box is grown by the corridor width.
+ * @param {Array} coordinates - The route line
+ * @param {number} widthKm - Corridor half-width
+ * @param {number} maxBoxes - Most boxes to return
+ * @returns {Array} - Boxes as [minLng, minLat, maxLng, maxLat]
+ */
+export function corridorBoxes(coordinates, widthKm, maxBoxes = MAX_CORRIDOR_BOXES) {
+  if (coordinates.length === 0) return [];
+
+  const lengths = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    lengths.push(lengths[i - 1] + greatCircleDistance(coordinates[i - 1], coordinates[i]));
+  }
+  const total = lengths[lengths.length - 1];
+
+  // Stretches at least four corridor widths long, so short routes get one box
+  const count = Math.max(1, Math.min(maxBoxes, Math.floor(total / Math.max(widthKm * 4, 1))));
+
+  // Point at a distance along the line, interpolated within its segment
+  const pointAt = distance => {
+    const i = Math.max(1, lengths.findIndex(length => length >= distance));
+    const span = lengths[i] - lengths[i - 1];
+    const t = span > 0 ? (distance - lengths[i - 1]) / span : 0;
+    const [lon1, lat1] = coordinates[i - 1];
+    const [lon2, lat2] = coordinates[i] || coordinates[i - 1];
+    return [lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t];
+  };
+
+  // Each stretch runs from its start point through the vertices within it to its end point
+  const stretches = Array.from({ length: count }, (_, k) => {
+    const start = total * k / count;
+    const end = total * (k + 1) / count;
+    return [
+      pointAt(start),
+      ...coordinates.filter((coord, i) => lengths[i] > start && lengths[i] < end),
+      pointAt(end)
+    ];
+  });
+
+  return stretches.map(stretch => {
+    const lons = stretch.map(([lon]) => lon);
+    const lats = stretch.map(([, lat]) => lat);
+    const padLat = widthKm / KM_PER_DEGREE;
+    const maxAbsLat = Math.min(89, Math.max(...lats.map(Math.abs)) + padLat);
+    const padLon = widthKm / (KM_PER_DEGREE * Math.cos(maxAbsLat * Math.PI / 180));
+    return [
+      Math.min(...lons) - padLon,
+      Math.max(-90, Math.min(...lats) - padLat),
+      Math.max(...lons) + padLon,
+      Math.min(90, Math.max(...lats) + padLat)
+    ];
+  });
+}
+
+/**
+ * Keep the places inside a route's corridor and rank them by detour
+ * The detour is the way out to the place and back from the closest point of
+ * the route, which is what stopping there adds to the trip.
+ * @param {Array} places - [{ name, coordinates, ... }], may contain duplicates
+ * @param {Array} coordinates - The route line
+ * @param {Object} options - { widthKm, travelMode, stops: [lng, lat] of the
+ *   route's stops, to tell which leg a place is on }
+ * @returns {Array} - The places with { offRoute, detour (meters), detourDuration
+ *   (seconds), along (meters), leg }, smallest detour first
+ */
+export function rankCorridorPlaces(places, coordinates, { widthKm, travelMode = 'driving', stops = [] }) {
+  const speed = DETOUR_SPEEDS[travelMode] || DETOUR_SPEEDS.driving;
+  const stopsAlong = stops.map(stop => projectOntoRoute(stop, coordinates).along);
+  const seen = new Set();
+
+  return places
+    .filter(place => {
+      const key = `${place.name}|${place.coordinates.map(value => value.toFixed(5)).join(',')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(place => {
+      const { distance, along } = projectOntoRoute(place.coordinates, coordinates);
+      const leg = Math.max(0, stopsAlong.filter((stopAlong, i) => i < stopsAlong.length - 1 && stopAlong <= along).length - 1);
+      return {
+        ...place,
+        offRoute: Math.round(distance * 1000),
+        detour: Math.round(distance * 2000),
+        detourDuration: Math.round(distance * 2 / speed * 3600),
+        along: Math.round(along * 1000),
+        leg
+      };
+    })
+    .filter(place => place.offRoute <= widthKm * 1000)
+    .sort((a, b) => a.detour - b.detour || a.along - b.along);
+}
+
+/**
+ * Insert a place into a route's stops
+ * @param {Array} stops - The route's stops in order ({ name, coordinates })
+ * @param {Object} place - A ranked place ({ name, coordinates, leg })
+ * @returns {Array} - New stops with the place between the ends of its leg
+ */
+export function insertStop(stops, place) {
+  const index = Math.min(Math.max(place.leg + 1, 1), Math.max(stops.length - 1, 1));
+  return [...stops.slice(0, index), { name: place.name, coordinates: place.coordinates }, ...stops.slice(index)];
+}
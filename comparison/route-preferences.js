@@ -0,0 +1,303 @@
+/**
+ * Route Preferences
+ * The structured routing preferences that flow from a parse result through
+ * getRoute() into GET /api/directions: roads to exclude, a departure time,
+ * whether to return alternative routes and a maximum speed. Shared by the
+ * browser, the NLP pipeline and the server, which validates them against
+ * what each Mapbox routing profile supports.
+ */
+
+// Road classes that can be excluded, with the words users call them
+const EXCLUDE_CLASSES = {
+  motorway: { label: 'highways', pattern: /^(highways?|motorways?|freeways?|interstates?|expressways?)$/i },
+  toll: { label: 'tolls', pattern: /^(tolls?|toll roads?)$/i },
+  ferry: { label: 'ferries', pattern: /^(ferry|ferries)$/i }
+};
+
+// What the Mapbox Directions API accepts for each profile
+const PROFILE_SUPPORT = {
+  driving: { exclude: ['motorway', 'toll', 'ferry'], departAt: true, maxSpeed: true },
+  'driving-traffic': { exclude: ['motorway', 'toll', 'ferry'], departAt: true, maxSpeed: false },
+  walking: { exclude: [], departAt: false, maxSpeed: false },
+  cycling: { exclude: ['ferry'], departAt: false, maxSpeed: false }
+};
+
+// Accepted max_speed range in km/h
+const MIN_MAX_SPEED = 10;
+const MAX_MAX_SPEED = 200;
+
+const KMH_PER_MPH = 1.609344;
+
+// Mapbox depart_at formats: YYYY-MM-DDThh:mm with optional seconds and UTC offset
+const DEPART_AT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Phrases recognized in query text
+const ROAD_WORD = '(?:highways?|motorways?|freeways?|interstates?|expressways?|toll roads?|tolls?|ferry|ferries)';
+const EXCLUDE_PHRASE = new RegExp(`\\b(?:avoid(?:ing)?|no|without|skip(?:ping)?)\\s+(?:the\\s+|any\\s+)?(${ROAD_WORD}(?:\\s*(?:,|and|or|&)\\s*(?:the\\s+)?${ROAD_WORD})*)\\b`, 'gi');
+const ALTERNATIVES_PHRASE = /\b(?:(?:with|show(?:\s+me)?|and)\s+)?(?:some\s+|a\s+few\s+)?(?:alternatives|alternative routes?|other routes|route options)\b/gi;
+const DEPART_PHRASE = /\b(?:depart(?:ing)?|leav(?:e|ing))\s+(tomorrow\s+)?at\s+(\d{1,2})(?::(\d{2}))?(?:\s*(am|pm))?(\s+tomorrow)?\b/gi;
+const MAX_SPEED_PHRASE = /\b(?:(?:at\s+a\s+)?max(?:imum)?\s+speed(?:\s+of)?|(?:at\s+)?no\s+faster\s+than|(?:at\s+)?speeds?\s+(?:under|below)|at\s+most)\s+(\d{1,3})\s*(km\/h|kmh|kph|mph)\b/gi;
+
+/**
+ * Create empty route preferences
+ * @returns {Object} - { exclude, departAt, alternatives, maxSpeed }
+ */
+export function createRoutePreferences() {
+  return {
+    exclude: [],
+    departAt: null,
+    alternatives: false,
+    maxSpeed: null
+  };
+}
+
+/**
+ * Check whether any preference is set
+ * @param {Object} preferences - Route preferences
+ * @returns {boolean}
+ */
+export function hasRoutePreferences(preferences) {
+  return !!preferences && (
+    preferences.exclude.length > 0 ||
+    !!preferences.departAt ||
+    preferences.alternatives ||
+    preferences.maxSpeed !== null
+  );
+}
+
+/**
+ * Combine route preferences; later values win, exclusions are unioned
+ * @param {...Object} sources - Route preferences (null entries are skipped)
+ * @returns {Object} - Route preferences
+ */
+export function mergeRoutePreferences(...sources) {
+  return sources.filter(Boolean).reduce((merged, source) => ({
+    exclude: Object.keys(EXCLUDE_CLASSES).filter(name => merged.exclude.includes(name) || (source.exclude || []).includes(name)),
+    departAt: source.departAt || merged.departAt,
+    alternatives: merged.alternatives || !!source.alternatives,
+    maxSpeed: source.maxSpeed ?? merged.maxSpeed
+  }), createRoutePreferences());
+}
+
+/**
+ * Map a user word such as "highways" to a Mapbox exclude class
+ * @param {string} word - The word from the query
+ * @returns {string|null} - "motorway", "toll", "ferry" or null
+ */
+function toExcludeClass(word) {
+  const entry = Object.entries(EXCLUDE_CLASSES).find(([, { pattern }]) => pattern.test(word.trim()));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Format a date as a Mapbox local depart_at value (YYYY-MM-DDThh:mm)
+ * @param {Date} date - The departure time
+ * @returns {string}
+ */
+function toLocalDepartAt(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Find route preferences in a query and remove their phrases
+ * "From Paris to Berlin avoiding tolls, leaving at 8am" yields the exclusion
+ * and departure time plus the text "From Paris to Berlin", so the phrases do
+ * not end up in location names. A departure time without a day is the next
+ * time that clock time comes around.
+ * @param {string} text - The user query
+ * @param {Date} now - Reference time for departure times (defaults to now)
+ * @returns {Object} - { preferences, text }
+ */
+export function extractRoutePreferences(text, now = new Date()) {
+  const preferences = createRoutePreferences();
+  if (!text) return { preferences, text: text || '' };
+
+  let remaining = text.replace(EXCLUDE_PHRASE, (match, words) => {
+    words.split(/\s*(?:,|\band\b|\bor\b|&)\s*/i)
+      .map(word => toExcludeClass(word.replace(/^the\s+/i, '')))
+      .filter(name => name && !preferences.exclude.includes(name))
+      .forEach(name => preferences.exclude.push(name));
+    return ' ';
+  });
+
+  remaining = remaining.replace(ALTERNATIVES_PHRASE, () => {
+    preferences.alternatives = true;
+    return ' ';
+  });
+
+  remaining = remaining.replace(DEPART_PHRASE, (match, tomorrowBefore, hourText, minuteText, meridiem, tomorrowAfter) => {
+    let hour = parseInt(hourText, 10);
+    const minute = minuteText ? parseInt(minuteText, 10) : 0;
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return match;
+      hour = hour % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return match;
+
+    const departure = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute);
+    if (tomorrowBefore || tomorrowAfter || departure <= now) {
+      departure.setDate(departure.getDate() + 1);
+    }
+    preferences.departAt = toLocalDepartAt(departure);
+    return ' ';
+  });
+
+  remaining = remaining.replace(MAX_SPEED_PHRASE, (match, speedText, unit) => {
+    const speed = parseInt(speedText, 10);
+    preferences.maxSpeed = unit.toLowerCase() === 'mph' ? Math.round(speed * KMH_PER_MPH) : speed;
+    return ' ';
+  });
+
+  // Tidy connectors and punctuation left behind by the removed phrases
+  remaining = remaining
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/,(\s*,)+/g, ',')
+    .replace(/(?:[\s,]+(?:and|with|while|but|,))+\s*([.!?]?)\s*$/i, '$1')
+    .replace(/^[\s,]+/, '')
+    .replace(/[\s,]+$/, '')
+    .trim();
+
+  return { preferences, text: remaining };
+}
+
+/**
+ * Read route preferences from free-form preference strings
+ * The LLM returns preferences such as ["avoid highways", "no tolls"].
+ * @param {Array<string>} list - Preference strings
+ * @returns {Object} - Route preferences
+ */
+export function preferencesFromList(list) {
+  if (!Array.isArray(list)) return createRoutePreferences();
+
+  return mergeRoutePreferences(...list
+    .filter(item => typeof item === 'string')
+    .map(item => extractRoutePreferences(item).preferences));
+}
+
+/**
+ * Describe route preferences for the message shown to the user
+ * @param {Object} preferences - Route preferences
+ * @returns {string} - e.g. "avoiding highways and tolls, max 90 km/h", or '' when none are set
+ */
+export function describeRoutePreferences(preferences) {
+  if (!hasRoutePreferences(preferences)) return '';
+
+  const parts = [];
+  if (preferences.exclude.length > 0) {
+    const labels = preferences.exclude.map(name => EXCLUDE_CLASSES[name].label);
+    parts.push(`avoiding ${labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0]}`);
+  }
+  if (preferences.departAt) {
+    const [date, time] = preferences.departAt.split('T');
+    parts.push(`departing ${date} at ${time.slice(0, 5)}`);
+  }
+  if (preferences.maxSpeed !== null) {
+    parts.push(`max ${preferences.maxSpeed} km/h`);
+  }
+  if (preferences.alternatives) {
+    parts.push('with alternatives');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Split route preferences into those a profile supports and those it ignores
+ * Used by the client so a walking route is not rejected for "avoid tolls".
+ * @param {Object} preferences - Route preferences
+ * @param {string} profile - Routing profile, with or without the "mapbox/" prefix
+ * @returns {Object} - { preferences, ignored } where ignored lists descriptions of dropped preferences
+ */
+export function applicablePreferences(preferences, profile) {
+  const support = PROFILE_SUPPORT[profile.replace(/^mapbox\//, '')] || PROFILE_SUPPORT.driving;
+  const applicable = { ...createRoutePreferences(), ...preferences };
+  const ignored = [];
+
+  const unsupported = applicable.exclude.filter(name => !support.exclude.includes(name));
+  if (unsupported.length > 0) {
+    applicable.exclude = applicable.exclude.filter(name => support.exclude.includes(name));
+    ignored.push(`avoiding ${unsupported.map(name => EXCLUDE_CLASSES[name].label).join(' and ')}`);
+  }
+  if (applicable.departAt && !support.departAt) {
+    applicable.departAt = null;
+    ignored.push('departure time');
+  }
+  if (applicable.maxSpeed !== null && !support.maxSpeed) {
+    applicable.maxSpeed = null;
+    ignored.push('max speed');
+  }
+
+  return { preferences: applicable, ignored };
+}
+
+/**
+ * Convert route preferences to /api/directions (and Mapbox) query parameters
+ * @param {Object} preferences - Route preferences
+ * @returns {Object} - { exclude, depart_at, alternatives, max_speed }, only the ones that are set
+ */
+export function toDirectionsQuery(preferences) {
+  const query = {};
+  if (!preferences) return query;
+
+  if (preferences.exclude.length > 0) query.exclude = preferences.exclude.join(',');
+  if (preferences.departAt) query.depart_at = preferences.departAt;
+  if (preferences.alternatives) query.alternatives = 'true';
+  if (preferences.maxSpeed !== null) query.max_speed = String(preferences.maxSpeed);
+  return query;
+}
+
+/**
+ * Read and validate route preferences from /api/directions query parameters
+ * @param {Object} query - Request query ({ exclude, depart_at, alternatives, max_speed })
+ * @param {string} profile - Routing profile without the "mapbox/" prefix
+ * @returns {Object} - { preferences } or { error } describing the first invalid parameter
+ */
+export function parseDirectionsQuery(query, profile) {
+  const support = PROFILE_SUPPORT[profile];
+  const preferences = createRoutePreferences();
+  const { exclude, depart_at: departAt, alternatives, max_speed: maxSpeed } = query;
+
+  if (exclude !== undefined && exclude !== '') {
+    const names = String(exclude).split(',').map(name => name.trim());
+    const invalid = names.filter(name => !support.exclude.includes(name));
+    if (invalid.length > 0) {
+      return {
+        error: support.exclude.length > 0
+          ? `exclude for ${profile} must be one or more of: ${support.exclude.join(', ')}`
+          : `exclude is not supported for ${profile}`
+      };
+    }
+    preferences.exclude = Object.keys(EXCLUDE_CLASSES).filter(name => names.includes(name));
+  }
+
+  if (departAt !== undefined && departAt !== '') {
+    if (!support.departAt) {
+      return { error: `depart_at is not supported for ${profile}` };
+    }
+    if (!DEPART_AT_PATTERN.test(departAt) || isNaN(new Date(departAt).getTime())) {
+      return { error: 'depart_at must look like YYYY-MM-DDThh:mm, optionally with seconds and a UTC offset' };
+    }
+    preferences.departAt = departAt;
+  }
+
+  if (alternatives !== undefined && alternatives !== '') {
+    if (alternatives !== 'true' && alternatives !== 'false') {
+      return { error: 'alternatives must be true or false' };
+    }
+    preferences.alternatives = alternatives === 'true';
+  }
+
+  if (maxSpeed !== undefined && maxSpeed !== '') {
+    if (!support.maxSpeed) {
+      return { error: 'max_speed is only supported for the driving profile' };
+    }
+    const speed = Number(maxSpeed);
+    if (!Number.isInteger(speed) || speed < MIN_MAX_SPEED || speed > MAX_MAX_SPEED) {
+      return { error: `max_speed must be a whole number of km/h between ${MIN_MAX_SPEED} and ${MAX_MAX_SPEED}` };
+    }
+    preferences.maxSpeed = speed;
+  }
+
+  return { preferences };
+}
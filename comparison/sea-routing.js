@@ -0,0 +1,152 @@
+/**
+ * Sea Routing
+ * Offline routing over the bundled maritime network (maritime-network.js):
+ * each stop snaps to a nearby port or its nearest node and consecutive stops are
+ * joined by the shortest path through the network, so sea routes follow
+ * shipping lanes, straits and canals instead of crossing land. DOM-free and
+ * dependency-free apart from the network data, so it runs in the browser and
+ * in the tests alike.
+ */
+
+import { MARITIME_EDGES, MARITIME_NODES } from './maritime-network.js';
+import { greatCircleDistance, greatCircleLine } from './geodesic.js';
+
+// A stop this close to a port snaps to the port even if a waypoint is nearer
+const PORT_SNAP_KM = 150;
+
+/**
+ * Build an adjacency list from nodes and edges
+ * @param {Object} nodes - Nodes by id ({ name, coordinates, port })
+ * @param {Array} edges - [fromId, toId, { canal }?]
+ * @returns {Map} - id => [{ id, distance, canal }]
+ */
+function buildGraph(nodes, edges) {
+  const graph = new Map(Object.keys(nodes).map(id => [id, []]));
+
+  edges.forEach(([from, to, options = {}]) => {
+    if (!nodes[from] || !nodes[to]) {
+      throw new Error(`Maritime edge ${from} - ${to} references an unknown node`);
+    }
+    const distance = greatCircleDistance(nodes[from].coordinates, nodes[to].coordinates);
+    graph.get(from).push({ id: to, distance, canal: options.canal || null });
+    graph.get(to).push({ id: from, distance, canal: options.canal || null });
+  });
+
+  return graph;
+}
+
+/**
+ * Shortest path between two nodes (Dijkstra; the network is small enough
+ * that a linear scan for the closest unvisited node is fine)
+ * @param {Map} graph - Adjacency list from buildGraph()
+ * @param {string} start - Start node id
+ * @param {string} goal - Goal node id
+ * @returns {Object|null} - { nodes: [ids], distance (km), canals: [names] } or null when unreachable
+ */
+function shortestPath(graph, start, goal) {
+  const distances = new Map([[start, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  while (true) {
+    let current = null;
+    distances.forEach((distance, id) => {
+      if (!visited.has(id) && (current === null || distance < distances.get(current))) current = id;
+    });
+    if (current === null) return null;
+    if (current === goal) break;
+    visited.add(current);
+
+    graph.get(current).forEach(edge => {
+      const distance = distances.get(current) + edge.distance;
+      if (!visited.has(edge.id) && distance < (distances.has(edge.id) ? distances.get(edge.id) : Infinity)) {
+        distances.set(edge.id, distance);
+        previous.set(edge.id, { id: current, canal: edge.canal });
+      }
+    });
+  }
+
+  const nodes = [goal];
+  const canals = [];
+  for (let id = goal; previous.has(id); id = previous.get(id).id) {
+    const step = previous.get(id);
+    nodes.unshift(step.id);
+    if (step.canal) canals.unshift(step.canal);
+  }
+
+  return { nodes, distance: distances.get(goal), canals };
+}
+
+/**
+ * Create a sea router over a maritime network
+ * @param {Object} network - { nodes, edges }; defaults to the bundled network
+ * @returns {Object} - { snapToNetwork, findSeaRoute }
+ */
+export function createSeaRouter({ nodes = MARITIME_NODES, edges = MARITIME_EDGES } = {}) {
+  const graph = buildGraph(nodes, edges);
+
+  /**
+   * Find the network node a stop joins the network at: the nearest port
+   * within PORT_SNAP_KM, otherwise the nearest node of any kind
+   * @param {Array} coordinates - [lng, lat]
+   * @returns {Object} - { id, name, coordinates, distance (km) }
+   */
+  function snapToNetwork(coordinates) {
+    let nearest = null;
+    let nearestPort = null;
+    Object.entries(nodes).forEach(([id, node]) => {
+      const candidate = { id, name: node.name, coordinates: node.coordinates, distance: greatCircleDistance(coordinates, node.coordinates) };
+      if (!nearest || candidate.distance < nearest.distance) nearest = candidate;
+      if (node.port && (!nearestPort || candidate.distance < nearestPort.distance)) nearestPort = candidate;
+    });
+    return nearestPort && nearestPort.distance <= PORT_SNAP_KM ? nearestPort : nearest;
+  }
+
+  /**
+   * Route between stops over water
+   * @param {Array} stops - Array of [lng, lat], at least two
+   * @returns {Object|null} - { coordinates, distance (meters), canals, waypoints },
+   *   or null when a leg has no path through the network
+   */
+  function findSeaRoute(stops) {
+    if (!stops || stops.length < 2) return null;
+
+    const snapped = stops.map(snapToNetwork);
+    const points = [stops[0]];
+    const canals = [];
+    const waypoints = [];
+
+    for (let i = 0; i < stops.length - 1; i++) {
+      const path = shortestPath(graph, snapped[i].id, snapped[i + 1].id);
+      if (!path) return null;
+
+      path.nodes.forEach(id => {
+        points.push(nodes[id].coordinates);
+        // A leg starts at the node the previous leg ended at
+        if (waypoints[waypoints.length - 1] !== nodes[id].name) waypoints.push(nodes[id].name);
+      });
+      path.canals.forEach(canal => {
+        if (!canals.includes(canal)) canals.push(canal);
+      });
+      points.push(stops[i + 1]);
+    }
+
+    // Stops that sit on a node would otherwise repeat a point
+    const distinctPoints = points.filter((point, index) =>
+      index === 0 || point[0] !== points[index - 1][0] || point[1] !== points[index - 1][1]
+    );
+    const distance = distinctPoints.slice(1).reduce(
+      (total, point, index) => total + greatCircleDistance(distinctPoints[index], point),
+      0
+    );
+
+    return {
+      coordinates: greatCircleLine(distinctPoints),
+      distance: Math.round(distance * 1000),
+      canals,
+      waypoints
+    };
+  }
+
+  return { snapToNetwork, findSeaRoute };
+}
@@ -0,0 +1,243 @@
+/**
+ * Spatial Expressions
+ * Understands places described relative to other places: "50 miles north of
+ * Denver", "halfway between Paris and Madrid", "the coast west of Lisbon",
+ * "10 km east of here". Expressions nest ("20 km south of halfway between
+ * Paris and Madrid"), so they parse into a small tree whose leaves are place
+ * names or the user's position.
+ *
+ * Resolving a tree to coordinates needs geocoding, so the caller passes the
+ * lookups in; the module itself stays DOM-free for the pipeline and the tests.
+ */
+
+import { destinationPoint, interpolateGreatCircle } from './geodesic.js';
+
+// Compass points by name, in degrees clockwise from north
+const BEARINGS = {
+  north: 0,
+  'north-northeast': 22.5,
+  northeast: 45,
+  'east-northeast': 67.5,
+  east: 90,
+  'east-southeast': 112.5,
+  southeast: 135,
+  'south-southeast': 157.5,
+  south: 180,
+  'south-southwest': 202.5,
+  southwest: 225,
+  'west-southwest': 247.5,
+  west: 270,
+  'west-northwest': 292.5,
+  northwest: 315,
+  'north-northwest': 337.5
+};
+
+const ABBREVIATIONS = { n: 'north', e: 'east', s: 'south', w: 'west' };
+
+// "north", "north-east", "north east", "northeast", "NNE"
+const DIRECTION = String.raw`(?:(?:north|south|east|west)(?:[\s-]?(?:north|south)?[\s-]?(?:east|west))?|[NS]{1,2}[EW]?|[EW][NS][EW]|[EW])`;
+
+const KM_PER_UNIT = { km: 1, mile: 1.609344, nmi: 1.852, m: 0.001 };
+
+const UNIT = String.raw`(km|kilomet(?:er|re)s?|nautical\s+miles?|nmi|miles?|mi|m|met(?:er|re)s?)`;
+
+// "50 miles due north of Denver"
+const OFFSET = new RegExp(String.raw`^(?:about\s+|roughly\s+|around\s+|some\s+)?(\d+(?:\.\d+)?)\s*${UNIT}\s+(?:due\s+)?(${DIRECTION})\s+of\s+(.+)$`, 'i');
+
+// "halfway between Paris and Madrid", "the midpoint of Paris and Madrid"
+const MIDPOINT = /^(?:the\s+)?(?:half[\s-]?way(?:\s+point)?|mid[\s-]?way(?:\s+point)?|mid[\s-]?point|middle)\s+(?:between|of)\s+(.+?)\s+and\s+(.+)$/i;
+
+// "the coast west of Lisbon"
+const COAST = new RegExp(String.raw`^(?:the\s+)?(?:nearest\s+)?(?:coast(?:line)?|shore(?:line)?|sea(?:side)?)\s+(?:due\s+)?(${DIRECTION})\s+of\s+(.+)$`, 'i');
+
+// Anchors that mean the user's own position
+const HERE = /^(?:here|me|my\s+(?:location|position)|where\s+i\s+am)$/i;
+
+// Distances tried when walking out from a place to find the coast, in km;
+// the crossing is then narrowed down between the last two
+const COAST_STEPS = [2, 5, 10, 20, 40, 80, 160, 320];
+const COAST_REFINEMENTS = 4;
+
+/**
+ * Bearing of a compass direction
+ * @param {string} word - e.g. "north", "north-east", "NE", "NNW"
+ * @returns {number|null} - Degrees clockwise from north
+ */
+export function directionBearing(word) {
+  if (!word) return null;
+  let name = word.trim();
+
+  if (/^[nsew]{1,3}$/i.test(name)) {
+    const letters = name.toLowerCase().split('').map(letter => ABBREVIATIONS[letter]);
+    name = letters.length === 3 ? `${letters[0]}-${letters[1]}${letters[2]}` : letters.join('');
+  } else {
+    name = name.toLowerCase().replace(/(north|south)[\s-]+(east|west)/, '$1$2').replace(/\s+/g, '-');
+  }
+
+  return name in BEARINGS ? BEARINGS[name] : null;
+}
+
+/**
+ * Parse one side of an expression: a nested expression, the user's position
+ * or a place name
+ */
+function parseNode(text) {
+  const name = text.trim();
+  if (HERE.test(name)) return { type: 'here' };
+  return parseSpatialExpression(name) || { type: 'place', name };
+}
+
+/**
+ * Parse a relative or compositional place description
+ * @param {string} text - e.g. "50 miles north of Denver"
+ * @returns {Object|null} - The expression tree, or null for plain place names.
+ *   Nodes are { type: 'offset', from, bearing, distanceKm },
+ *   { type: 'midpoint', between: [a, b] }, { type: 'coast', from, bearing },
+ *   { type: 'place', name } and { type: 'here' }
+ */
+export function parseSpatialExpression(text) {
+  if (!text) return null;
+  const query = text.trim().replace(/[?.!\s]+$/, '');
+
+  const offset = query.match(OFFSET);
+  if (offset) {
+    const [, amount, unitWord, direction, anchor] = offset;
+    const bearing = directionBearing(direction);
+    const unit = /^k/i.test(unitWord) ? 'km' : /^(?:n|nmi)/i.test(unitWord) ? 'nmi' : /^mi/i.test(unitWord) ? 'mile' : 'm';
+    const distanceKm = Number(amount) * KM_PER_UNIT[unit];
+    if (bearing !== null && distanceKm > 0) {
+      return { type: 'offset', from: parseNode(anchor), bearing, distanceKm };
+    }
+  }
+
+  const midpoint = query.match(MIDPOINT);
+  if (midpoint) {
+    return { type: 'midpoint', between: [parseNode(midpoint[1]), parseNode(midpoint[2])] };
+  }
+
+  const coast = query.match(COAST);
+  if (coast) {
+    const bearing = directionBearing(coast[1]);
+    if (bearing !== null) return { type: 'coast', from: parseNode(coast[2]), bearing };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a reverse geocoding result is on land, and the place it is in
+ * Mapbox answers points at sea with no features, or only with the country
+ * or region whose waters they are in.
+ * @param {Array} features - Features of a reverse geocoding response
+ * @returns {Object} - { land, name (e.g. "Fort Collins, Colorado"; null when
+ *   nothing is named there) }
+ */
+export function describeReverseGeocode(features = []) {
+  const feature = features[0];
+  if (!feature) return { land: false, name: null };
+
+  const parts = [feature, ...(feature.context || [])];
+  const typeOf = part => (part.place_type ? part.place_type[0] : String(part.id || '').split('.')[0]);
+  const find = (...types) => parts.find(part => types.includes(typeOf(part)));
+
+  const place = find('place', 'locality', 'district');
+  const region = find('region');
+  const country = find('country');
+  const land = parts.some(part => !['region', 'country'].includes(typeOf(part)));
+
+  const name = place
+    ? [place.text, (region || country || {}).text].filter(Boolean).join(', ')
+    : (region || country || feature).text || feature.place_name || null;
+
+  return { land, name };
+}
+
+/**
+ * Walk out from a point along a bearing until the land ends
+ * @returns {Array|null} - [lng, lat] of the last point on land
+ */
+async function findCoast(from, bearing, reverseGeocode) {
+  const onLand = async distance => (await reverseGeocode(destinationPoint(from, bearing, distance))).land;
+
+  let land = 0;
+  let sea = null;
+  for (const step of COAST_STEPS) {
+    if (!(await onLand(step))) {
+      sea = step;
+      break;
+    }
+    land = step;
+  }
+  if (sea === null) return null;
+
+  for (let i = 0; i < COAST_REFINEMENTS; i++) {
+    const middle = (land + sea) / 2;
+    if (await onLand(middle)) land = middle;
+    else sea = middle;
+  }
+
+  return destinationPoint(from, bearing, land);
+}
+
+/**
+ * Work out the coordinates an expression describes
+ * @param {Object} node - A tree from parseSpatialExpression
+ * @param {Object} lookups - { geocode(name) → [lng, lat] or null,
+ *   reverseGeocode([lng, lat]) → { land, name }, currentPosition() →
+ *   [lng, lat] }, all of which may be async
+ * @returns {Promise<Array>} - [lng, lat]
+ * @throws {Error} - When a place can't be found, the user's position isn't
+ *   available or there is no coast that way
+ */
+export async function resolveSpatialExpression(node, lookups) {
+  switch (node.type) {
+    case 'place': {
+      const coordinates = await lookups.geocode(node.name);
+      if (!coordinates) throw new Error(`Could not find "${node.name}"`);
+      return coordinates;
+    }
+    case 'here': {
+      const position = await lookups.currentPosition();
+      if (!position) throw new Error('Could not get your location');
+      return position;
+    }
+    case 'offset':
+      return destinationPoint(await resolveSpatialExpression(node.from, lookups), node.bearing, node.distanceKm);
+    case 'midpoint': {
+      const [a, b] = await Promise.all(node.between.map(side => resolveSpatialExpression(side, lookups)));
+      return interpolateGreatCircle(a, b, 0.5);
+    }
+    case 'coast': {
+      const from = await resolveSpatialExpression(node.from, lookups);
+      const coast = await findCoast(from, node.bearing, lookups.reverseGeocode);
+      if (!coast) {
+        throw new Error(`No coast within ${COAST_STEPS[COAST_STEPS.length - 1]} km ${describeBearing(node.bearing)} of ${describeNode(node.from)}`);
+      }
+      return coast;
+    }
+    default:
+      throw new Error(`Unknown spatial expression "${node.type}"`);
+  }
+}
+
+/**
+ * Name of the compass point closest to a bearing
+ */
+function describeBearing(bearing) {
+  const [name] = Object.entries(BEARINGS).find(([, value]) => value === Math.round(bearing / 22.5) % 16 * 22.5);
+  return name;
+}
+
+/**
+ * Describe an expression tree in words, for error messages
+ */
+function describeNode(node) {
+  switch (node.type) {
+    case 'place': return node.name;
+    case 'here': return 'your location';
+    case 'offset': return `${Number(node.distanceKm.toFixed(1))} km ${describeBearing(node.bearing)} of ${describeNode(node.from)}`;
+    case 'midpoint': return `halfway between ${describeNode(node.between[0])} and ${describeNode(node.between[1])}`;
+    case 'coast': return `the coast ${describeBearing(node.bearing)} of ${describeNode(node.from)}`;
+    default: return '';
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * Time Contexts
+ * Turns the time contexts locations carry ("1453", "44 BC", "19th century",
+ * "the 1920s", "Victorian era", "Ming dynasty") into year ranges, so the map
+ * can order locations in time and filter them with a slider. Named eras come
+ * from a bundled table. DOM-free, so the NLP pipeline and the tests share it
+ * with the page.
+ *
+ * Years before the common era are negative (44 BC is -44); there is no year 0.
+ */
+
+// Named periods and their usual bounds, in years
+export const ERAS = [
+  { name: 'Bronze Age', start: -3300, end: -1200 },
+  { name: 'Iron Age', start: -1200, end: -550 },
+  { name: 'Ancient Egypt', start: -3100, end: -30, aliases: ['pharaonic egypt', 'age of the pharaohs'] },
+  { name: 'Ancient Greece', start: -800, end: -146, aliases: ['classical greece'] },
+  { name: 'Achaemenid Empire', start: -550, end: -330, aliases: ['persian empire'] },
+  { name: 'Hellenistic period', start: -323, end: -31, aliases: ['hellenistic era', 'hellenistic age'] },
+  { name: 'Roman Republic', start: -509, end: -27 },
+  { name: 'Roman Empire', start: -27, end: 476, aliases: ['imperial rome'] },
+  { name: 'Ancient Rome', start: -753, end: 476 },
+  { name: 'Classical antiquity', start: -800, end: 500, aliases: ['antiquity', 'classical era'] },
+  { name: 'Han dynasty', start: -206, end: 220 },
+  { name: 'Byzantine Empire', start: 330, end: 1453, aliases: ['byzantine era', 'eastern roman empire'] },
+  { name: 'Middle Ages', start: 500, end: 1500, aliases: ['medieval', 'medieval period', 'medieval era'] },
+  { name: 'Early Middle Ages', start: 500, end: 1000, aliases: ['dark ages'] },
+  { name: 'High Middle Ages', start: 1000, end: 1300 },
+  { name: 'Late Middle Ages', start: 1300, end: 1500 },
+  { name: 'Tang dynasty', start: 618, end: 907 },
+  { name: 'Umayyad Caliphate', start: 661, end: 750 },
+  { name: 'Abbasid Caliphate', start: 750, end: 1258 },
+  { name: 'Carolingian Empire', start: 800, end: 888 },
+  { name: 'Holy Roman Empire', start: 800, end: 1806 },
+  { name: 'Viking Age', start: 793, end: 1066 },
+  { name: 'Song dynasty', start: 960, end: 1279 },
+  { name: 'Mongol Empire', start: 1206, end: 1368 },
+  { name: 'Yuan dynasty', start: 1271, end: 1368 },
+  { name: 'Ottoman Empire', start: 1299, end: 1922 },
+  { name: 'Ming dynasty', start: 1368, end: 1644 },
+  { name: 'Renaissance', start: 1400, end: 1600 },
+  { name: 'Aztec Empire', start: 1428, end: 1521 },
+  { name: 'Inca Empire', start: 1438, end: 1533 },
+  { name: 'Age of Discovery', start: 1415, end: 1600, aliases: ['age of exploration'] },
+  { name: 'Tudor period', start: 1485, end: 1603, aliases: ['tudor era', 'tudor england'] },
+  { name: 'Mughal Empire', start: 1526, end: 1857 },
+  { name: 'Elizabethan era', start: 1558, end: 1603 },
+  { name: 'Edo period', start: 1603, end: 1868, aliases: ['tokugawa shogunate'] },
+  { name: 'Qing dynasty', start: 1644, end: 1912 },
+  { name: 'Enlightenment', start: 1685, end: 1815, aliases: ['age of enlightenment'] },
+  { name: 'Georgian era', start: 1714, end: 1837 },
+  { name: 'Industrial Revolution', start: 1760, end: 1840 },
+  { name: 'French Revolution', start: 1789, end: 1799 },
+  { name: 'Napoleonic era', start: 1799, end: 1815, aliases: ['napoleonic wars'] },
+  { name: 'Victorian era', start: 1837, end: 1901, aliases: ['victorian'] },
+  { name: 'Meiji era', start: 1868, end: 1912 },
+  { name: 'Gilded Age', start: 1870, end: 1900 },
+  { name: 'Belle Époque', start: 1871, end: 1914, aliases: ['belle epoque'] },
+  { name: 'Edwardian era', start: 1901, end: 1910, aliases: ['edwardian'] },
+  { name: 'World War I', start: 1914, end: 1918, aliases: ['first world war', 'great war', 'wwi', 'ww1'] },
+  { name: 'Interwar period', start: 1918, end: 1939, aliases: ['interwar years'] },
+  { name: 'Roaring Twenties', start: 1920, end: 1929 },
+  { name: 'Great Depression', start: 1929, end: 1939 },
+  { name: 'World War II', start: 1939, end: 1945, aliases: ['second world war', 'wwii', 'ww2'] },
+  { name: 'Cold War', start: 1947, end: 1991 }
+];
+
+// Era names and aliases, longest first so "Late Middle Ages" wins over "Middle Ages"
+const ERA_NAMES = ERAS
+  .flatMap(era => [era.name, ...(era.aliases || [])].map(name => ({ name: name.toLowerCase(), era })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+const BCE = /^(?:bce?|b\.c\.(?:e\.)?)$/i;
+
+const NOTATION = String.raw`(bce?|ce|ad|b\.c\.(?:e\.)?|a\.d\.)`;
+
+// "1453", "44 BC", "AD 1066"
+const YEAR = new RegExp(String.raw`^(?:year\s+)?(?:ad\s+|a\.d\.\s+)?(\d{1,4})(?:\s*${NOTATION})?$`, 'i');
+
+// "1914-1918", "1914–18", "from 1200 to 1300 AD", "between 500 and 300 BC"
+const RANGE = new RegExp(String.raw`^(?:from\s+|between\s+)?(\d{1,4})(?:\s*${NOTATION})?\s*(?:-|–|—|to|until|till|through|and)\s*(\d{1,4})(?:\s*${NOTATION})?$`, 'i');
+
+// "the 1920s", "1800s"
+const DECADE = /^(\d{2,3}0)'?s$/i;
+
+// "19th century", "5th century BC"
+const CENTURY = new RegExp(String.raw`^(\d{1,2})(?:st|nd|rd|th)\s+century(?:\s*${NOTATION})?$`, 'i');
+
+// "2nd millennium BC"
+const MILLENNIUM = new RegExp(String.raw`^(\d)(?:st|nd|rd|th)\s+millenn?ium(?:\s*${NOTATION})?$`, 'i');
+
+// "early", "mid", "late" narrow a period to its first, middle or last third
+const PART = /^(early|mid(?:dle)?|late)[\s-]+(?:in\s+the\s+|of\s+the\s+)?/i;
+
+/**
+ * Years counted back from the common era are negative
+ */
+function signed(year, notation) {
+  return notation && BCE.test(notation) ? -year : year;
+}
+
+/**
+ * Range of the nth period of a given length, counted forward from year 1 or
+ * back from 1 BC
+ */
+function nthPeriod(n, length, notation) {
+  if (notation && BCE.test(notation)) {
+    return { start: -n * length, end: -(n - 1) * length - 1 };
+  }
+  return { start: (n - 1) * length + 1, end: n * length };
+}
+
+/**
+ * Parse a time context without an era name or an early/mid/late qualifier
+ */
+function parseDates(text) {
+  const year = text.match(YEAR);
+  if (year) {
+    const value = signed(Number(year[1]), year[2]);
+    return value === 0 ? null : { start: value, end: value };
+  }
+
+  const range = text.match(RANGE);
+  if (range) {
+    const [, first, firstNotation, second, secondNotation] = range;
+    let end = Number(second);
+    // "1914-18" ends in 1918
+    if (!secondNotation && second.length < first.length) {
+      end = Number(first.slice(0, first.length - second.length) + second);
+    }
+    const notation = secondNotation || firstNotation;
+    const start = signed(Number(first), firstNotation || notation);
+    end = signed(end, notation);
+    return start === 0 || end === 0 ? null : { start: Math.min(start, end), end: Math.max(start, end) };
+  }
+
+  const decade = text.match(DECADE);
+  if (decade) {
+    const start = Number(decade[1]);
+    // "1800s" is the hundred years, "1920s" the ten
+    return { start, end: start + (start % 100 === 0 && start >= 100 ? 99 : 9) };
+  }
+
+  const century = text.match(CENTURY);
+  if (century) return nthPeriod(Number(century[1]), 100, century[2]);
+
+  const millennium = text.match(MILLENNIUM);
+  if (millennium) return nthPeriod(Number(millennium[1]), 1000, millennium[2]);
+
+  return null;
+}
+
+/**
+ * Find a named era in a time context
+ */
+function findEra(text) {
+  const match = ERA_NAMES.find(({ name }) => new RegExp(String.raw`(?:^|\W)${name}(?:$|\W)`, 'i').test(text));
+  return match ? { start: match.era.start, end: match.era.end } : null;
+}
+
+/**
+ * Normalize a time context into a range of years
+ * @param {string} timeContext - e.g. "1453", "44 BC", "1914-1918", "the
+ *   1920s", "early 19th century", "Victorian era", "during the Ming dynasty"
+ * @returns {Object|null} - { start, end } in years (negative before the
+ *   common era), or null when the text names no time
+ */
+export function parseTimeContext(timeContext) {
+  if (!timeContext) return null;
+
+  let text = timeContext.trim().replace(/[?.!,\s]+$/, '')
+    .replace(/^(?:in|during|around|about|circa|c\.|ca\.|by|under)\s+/i, '')
+    .replace(/^(?:the\s+)/i, '')
+    .replace(/\s+/g, ' ');
+
+  // Era names that start like a qualifier ("Middle Ages", "Late Middle Ages")
+  const named = ERA_NAMES.find(({ name }) => name === text.toLowerCase());
+  if (named) return { start: named.era.start, end: named.era.end };
+
+  const part = text.match(PART);
+  if (part) text = text.slice(part[0].length).replace(/^the\s+/i, '');
+
+  const range = parseDates(text) || findEra(text);
+  if (!range || !part || range.start === range.end) return range;
+
+  // Thirds of the period, rounded to whole years
+  const third = (range.end - range.start + 1) / 3;
+  const index = /^early/i.test(part[1]) ? 0 : /^late/i.test(part[1]) ? 2 : 1;
+  return {
+    start: range.start + Math.round(third * index),
+    end: range.start + Math.round(third * (index + 1)) - 1
+  };
+}
+
+// Times written in running text: centuries and millennia, decades, years with
+// a notation ("44 BC", "AD 1066"), and years after a preposition ("in 1453",
+// "from 1914-18"); bare numbers are too often counts to be read as years
+const TIME_IN_TEXT = new RegExp([
+  String.raw`\b(?:(?:early|mid|late)[\s-]+(?:in\s+the\s+|of\s+the\s+)?)?\d{1,2}(?:st|nd|rd|th)\s+(?:century|millenn?ium)(?:\s+(?:bce?|ce|ad)\b)?`,
+  String.raw`\b\d{3}0'?s\b`,
+  String.raw`\bad\s+\d{1,4}\b`,
+  String.raw`\b\d{1,4}(?:\s*(?:-|–)\s*\d{1,4})?\s*(?:bce?|ce|ad)\b`,
+  String.raw`(?<=\b(?:in|by|since|until|till|around|circa|c\.|about|after|before|from|during|of)\s+)\d{3,4}(?:\s*(?:-|–)\s*\d{2,4})?\b`
+].join('|'), 'gi');
+
+/**
+ * Find the times written in a text, named eras included
+ * @param {string} text - Running text, e.g. a sentence of a document
+ * @returns {Object[]} - { text, start, end (character offsets), years }, in
+ *   the order they appear; overlapping matches keep the longest
+ */
+export function findTimeMentions(text) {
+  if (!text) return [];
+
+  const found = [...text.matchAll(TIME_IN_TEXT)].map(match => ({ text: match[0], start: match.index }));
+  ERA_NAMES.forEach(({ name }) => {
+    const era = new RegExp(String.raw`(?<!\w)${name}(?!\w)`, 'gi');
+    found.push(...[...text.matchAll(era)].map(match => ({ text: match[0], start: match.index })));
+  });
+
+  const mentions = [];
+  found
+    .map(mention => ({ ...mention, end: mention.start + mention.text.length, years: parseTimeContext(mention.text) }))
+    .filter(mention => mention.years)
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach(mention => {
+      const last = mentions[mentions.length - 1];
+      if (last && mention.start < last.end) {
+        if (mention.end - mention.start > last.end - last.start) mentions[mentions.length - 1] = mention;
+        return;
+      }
+      mentions.push(mention);
+    });
+  return mentions;
+}
+
+/**
+ * Split a time off the end of a location name
+ * @param {string} name - e.g. "Constantinople in 1453", "London during the
+ *   Victorian era", "Xi'an (Tang dynasty)"
+ * @returns {Object|null} - { name, timeContext }, or null when the name ends
+ *   in no time
+ */
+export function splitTimeContext(name) {
+  if (!name) return null;
+
+  const match = name.trim().match(/^(.+?)\s*\(([^)]+)\)$/)
+    || name.trim().match(/^(.+?)\s+((?:in|during|around|circa|c\.|under)\s+.+)$/i);
+  if (!match || !parseTimeContext(match[2])) return null;
+
+  return {
+    name: match[1].trim(),
+    timeContext: match[2].replace(/^(?:in|during)\s+/i, '').replace(/^the\s+/i, '').trim()
+  };
+}
+
+/**
+ * Write a year
+ * @param {number} year - Negative before the common era
+ * @returns {string} - e.g. "1453", "44 BC"
+ */
+export function formatYear(year) {
+  return year < 0 ? `${-year} BC` : String(year);
+}
+
+/**
+ * Write a range of years
+ * @param {Object} years - { start, end }
+ * @returns {string} - e.g. "1453", "1837–1901", "27 BC–476"
+ */
+export function describeYears({ start, end }) {
+  return start === end ? formatYear(start) : `${formatYear(start)}–${formatYear(end)}`;
+}
+
+/**
+ * Order ranges of years chronologically: by start, then by end
+ * @param {Object} a - { start, end }
+ * @param {Object} b - { start, end }
+ * @returns {number} - Negative when a comes first
+ */
+export function compareYears(a, b) {
+  return a.start - b.start || a.end - b.end;
+}
+
+/**
+ * Where a range of years stands at a point on the timeline
+ * @param {Object} years - { start, end }
+ * @param {number} year - The timeline's current year
+ * @returns {string} - 'upcoming', 'active' or 'past'
+ */
+export function timelinePhase(years, year) {
+  if (year < years.start) return 'upcoming';
+  return year <= years.end ? 'active' : 'past';
+}
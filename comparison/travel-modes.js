@@ -0,0 +1,64 @@
+/**
+ * Travel Modes
+ * The modes a leg of a trip can use, shared by the NLP pipeline (which
+ * recognizes them in queries like "drive to X, then fly to Y") and the map
+ * (which routes and styles each leg by its mode). DOM-free.
+ *
+ * Each mode has the verbs that introduce it in a query, the label used in
+ * messages, and the line style of its legs. Mapbox GL cannot vary
+ * line-dasharray per feature, so each mode gets a layer of its own.
+ */
+
+export const TRAVEL_MODES = {
+  driving: {
+    label: 'Drive',
+    verbs: ['drive', 'driving', 'go by car', 'take a car', 'take a taxi'],
+    color: '#3887be',
+    dasharray: null
+  },
+  walking: {
+    label: 'Walk',
+    verbs: ['walk', 'walking', 'hike', 'go on foot'],
+    color: '#4caf50',
+    dasharray: [0.5, 1.5]
+  },
+  cycling: {
+    label: 'Cycle',
+    verbs: ['cycle', 'cycling', 'bike', 'biking', 'ride a bike'],
+    color: '#ff9800',
+    dasharray: [1.5, 1.5]
+  },
+  flying: {
+    label: 'Fly',
+    verbs: ['fly', 'flying', 'take a flight', 'take a plane', 'flight'],
+    color: '#e91e63',
+    dasharray: [2, 1]
+  },
+  sailing: {
+    label: 'Sail',
+    verbs: ['sail', 'sailing', 'take a ferry', 'take a boat', 'take a ship', 'cruise'],
+    color: '#009688',
+    dasharray: [4, 1.5, 1, 1.5]
+  }
+};
+
+// Longest verbs first, so "take a flight" is not read as a bare "take"
+const VERB_PATTERNS = Object.entries(TRAVEL_MODES)
+  .flatMap(([mode, { verbs }]) => verbs.map(verb => ({ mode, verb })))
+  .sort((a, b) => b.verb.length - a.verb.length)
+  .map(({ mode, verb }) => ({ mode, pattern: new RegExp(`^${verb.replace(/ /g, '\\s+')}\\b\\s*`, 'i') }));
+
+/**
+ * Split the travel mode verb off the start of a phrase
+ * @param {string} text - e.g. "fly to London"
+ * @returns {Object|null} - { mode, rest } (e.g. { mode: 'flying', rest: 'to London' }),
+ *   or null when the phrase does not start with a mode verb
+ */
+export function detectTravelMode(text) {
+  const trimmed = (text || '').trim();
+  for (const { mode, pattern } of VERB_PATTERNS) {
+    const match = trimmed.match(pattern);
+    if (match) return { mode, rest: trimmed.slice(match[0].length) };
+  }
+  return null;
+}
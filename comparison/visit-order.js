@@ -0,0 +1,118 @@
+/**
+ * Visit Order
+ * Finds a short order to visit a route's stops (a small travelling salesman
+ * problem). The distances come from the caller: a road matrix from
+ * /api/matrix when the server has one, or haversineMatrix() offline. The
+ * tour is built nearest-neighbour first and then improved with 2-opt and
+ * single-stop moves until neither helps, which is close to optimal for the
+ * handful of stops a query names. DOM-free, so the tests can run it.
+ *
+ * The first stop always stays first. Variants:
+ * - 'round-trip': return to the first stop at the end
+ * - 'fixed-start': end at whichever stop makes the route shortest
+ * - 'fixed-ends': keep the last stop last as well
+ */
+
+import { greatCircleDistance } from './geodesic.js';
+
+export const VISIT_ORDER_VARIANTS = ['round-trip', 'fixed-start', 'fixed-ends'];
+
+// Improvements smaller than this (meters) are rounding noise
+const MIN_GAIN = 1e-6;
+
+/**
+ * Straight-line distances between every pair of points
+ * @param {Array} coordinates - Array of [lng, lat]
+ * @returns {Array} - matrix[from][to] in meters
+ */
+export function haversineMatrix(coordinates) {
+  return coordinates.map(from => coordinates.map(to => greatCircleDistance(from, to) * 1000));
+}
+
+/**
+ * Length of a tour
+ * @param {Array} matrix - matrix[from][to]
+ * @param {Array} order - Stop indices in visiting order
+ * @param {boolean} roundTrip - Add the way back to the first stop
+ * @returns {number}
+ */
+export function tourDistance(matrix, order, roundTrip = false) {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) total += matrix[order[i - 1]][order[i]];
+  if (roundTrip && order.length > 1) total += matrix[order[order.length - 1]][order[0]];
+  return total;
+}
+
+/**
+ * Find a short order to visit all stops
+ * @param {Array} matrix - matrix[from][to] for every pair of stops; need not
+ *   be symmetric (road distances often are not)
+ * @param {Object} options - { variant }, one of VISIT_ORDER_VARIANTS
+ * @returns {Object} - { order: stop indices starting with 0, distance }; a
+ *   round trip's order does not repeat the first stop at the end
+ */
+export function optimizeVisitOrder(matrix, { variant = 'fixed-start' } = {}) {
+  if (!VISIT_ORDER_VARIANTS.includes(variant)) {
+    throw new Error(`Unknown visit order variant: ${variant}`);
+  }
+
+  const count = matrix.length;
+  const roundTrip = variant === 'round-trip';
+  const fixedEnd = variant === 'fixed-ends' && count > 1;
+  const length = order => tourDistance(matrix, order, roundTrip);
+
+  // Nearest neighbour from the first stop, leaving a fixed last stop for last
+  const order = [0];
+  const remaining = new Set([...Array(count).keys()].slice(1));
+  if (fixedEnd) remaining.delete(count - 1);
+  while (remaining.size > 0) {
+    const current = order[order.length - 1];
+    let next = null;
+    remaining.forEach(stop => {
+      if (next === null || matrix[current][stop] < matrix[current][next]) next = stop;
+    });
+    order.push(next);
+    remaining.delete(next);
+  }
+  if (fixedEnd) order.push(count - 1);
+
+  // Positions first..last may move
+  const first = 1;
+  const last = order.length - (fixedEnd ? 2 : 1);
+
+  let best = length(order);
+  let improved = true;
+  while (improved) {
+    improved = false;
+
+    // 2-opt: reverse a stretch of the tour
+    for (let i = first; i < last; i++) {
+      for (let k = i + 1; k <= last; k++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+        const distance = length(candidate);
+        if (distance < best - MIN_GAIN) {
+          order.splice(0, order.length, ...candidate);
+          best = distance;
+          improved = true;
+        }
+      }
+    }
+
+    // Move a single stop elsewhere
+    for (let i = first; i <= last; i++) {
+      for (let j = first; j <= last; j++) {
+        if (i === j) continue;
+        const candidate = [...order];
+        candidate.splice(j, 0, ...candidate.splice(i, 1));
+        const distance = length(candidate);
+        if (distance < best - MIN_GAIN) {
+          order.splice(0, order.length, ...candidate);
+          best = distance;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return { order, distance: best };
+}
@@ -3,6 +3,23 @@
  * Handles the integration between the NLP results and map visualization.
  */
 
+import { applicablePreferences, describeRoutePreferences, toDirectionsQuery } from './route-preferences.js';
+import { greatCircleDistance, greatCircleLine, lngLatBounds, unwrapLongitudes } from './geodesic.js';
+import { describeDistanceAnswer, unitsForLocale } from './distance-query.js';
+import { createFlightPlanner } from './flight-routing.js';
+import { describeIsochroneBudget } from './isochrone-query.js';
+import { POI_CATEGORIES, describeCategory } from './poi-categories.js';
+import { describeNearbySearch, nearbyBox, rankNearbyPlaces } from './nearby-query.js';
+import { CORRIDOR_WIDTHS, corridorBoxes, insertStop, rankCorridorPlaces } from './route-corridor.js';
+import { createSeaRouter } from './sea-routing.js';
+import { describeReverseGeocode, resolveSpatialExpression } from './spatial-expressions.js';
+import { compareYears, describeYears, formatYear, parseTimeContext, timelinePhase } from './time-context.js';
+import { findHistoricalPlace, soundsHistorical } from './historical-gazetteer.js';
+import { describePlace, findPlace } from './gazetteer.js';
+import { chooseSnapshot, describeMissingSnapshot, describeSnapshot, findSnapshot, locationYears, snapshotUrl } from './historical-boundaries.js';
+import { TRAVEL_MODES } from './travel-modes.js';
+import { haversineMatrix, optimizeVisitOrder, tourDistance } from './visit-order.js';
+
 // Helper debug function
 function visualLog(message) {
   console.log(`[VIZ: ${new Date().toISOString()}] ${message}`);
@@ -40,7 +57,17 @@ export async function applyVisualization(result, map) {
   
   visualLog(`Applying visualization for ${result.locations.length} locations: ${result.locations.map(l => l.name).join(', ')}`);
   visualLog(`Intent type: ${result.intentType}, Visualization type: ${result.visualizationType}`);
-  
+
+  // A follow-up asking only for stops along the way ("gas stations along the
+  // way") keeps the route on the map, with its chosen alternative, and
+  // searches along it; without one its stops are routed again below
+  if (result.alongActiveRoute && routeSelection) {
+    visualLog('Searching along the active route...');
+    await searchAlongRoute(map, result.corridorCategories);
+    visualLog(`Total visualization time: ${(performance.now() - startTime).toFixed(1)}ms`);
+    return;
+  }
+
   try {
     // Minimal check that map is ready - avoid waiting for load if already loaded
     if (map.loaded && !map.loaded() && !map.getSource) {
@@ -148,23 +175,77 @@ export async function applyVisualization(result, map) {
           }
         });
       }
+      
+      // Forget the previous result's route alternatives and straight line
+      clearRouteSelection(map);
+      distanceLine = null;
+      drawDistanceLine(map);
+      isochrone = null;
+      drawIsochrone(map);
+      corridor = null;
+      drawCorridorPlaces(map);
+      nearby = null;
+      renderNearbyResults();
+      if (timeline) clearInterval(timeline.timer);
+      timeline = null;
+      drawTimeline(map);
+      documentView = null;
+      renderDocumentView(map);
     } catch (err) {
       visualLog(`WARNING: Error clearing existing data: ${err.message}`);
     }
     
+    // Work out places described relative to others before any visualizer
+    // geocodes by name
+    await resolveSpatialLocations(result);
+    
     // Determine the type of visualization to apply - with performance timing
-    if (result.intentType === 'route') {
+    if (result.intentType === 'distance' || result.intentType === 'duration') {
+      visualLog(`Answering ${result.intentType} question...`);
+      const questionStartTime = performance.now();
+      await visualizeDistanceQuery(result, map);
+      visualLog(`Question answered in ${(performance.now() - questionStartTime).toFixed(1)}ms`);
+    } else if (result.intentType === 'nearby') {
+      visualLog('Searching around the anchor...');
+      const nearbyStartTime = performance.now();
+      await visualizeNearby(result, map);
+      visualLog(`Nearby search completed in ${(performance.now() - nearbyStartTime).toFixed(1)}ms`);
+    } else if (result.intentType === 'isochrone') {
+      visualLog('Visualizing reachable areas...');
+      const isochroneStartTime = performance.now();
+      await visualizeIsochrone(result, map);
+      visualLog(`Isochrone visualization completed in ${(performance.now() - isochroneStartTime).toFixed(1)}ms`);
+    } else if (result.intentType === 'document') {
+      visualLog('Visualizing document...');
+      const documentStartTime = performance.now();
+      await visualizeDocument(result, map);
+      visualLog(`Document visualization completed in ${(performance.now() - documentStartTime).toFixed(1)}ms`);
+    } else if (result.intentType === 'timeline') {
+      visualLog('Visualizing timeline...');
+      const timelineStartTime = performance.now();
+      await visualizeTimeline(result, map);
+      visualLog(`Timeline visualization completed in ${(performance.now() - timelineStartTime).toFixed(1)}ms`);
+    } else if (result.intentType === 'route') {
       visualLog('Visualizing route...');
       const routeStartTime = performance.now();
       await visualizeRoute(result, map);
       visualLog(`Route visualization completed in ${(performance.now() - routeStartTime).toFixed(1)}ms`);
+      
+      // Look for the stops the query asked for ("with coffee stops")
+      if (result.corridorCategories && result.corridorCategories.length > 0 && routeSelection) {
+        await searchAlongRoute(map, result.corridorCategories);
+      }
     } else {
       visualLog('Visualizing locations...');
       const locationsStartTime = performance.now();
       await visualizeLocations(result, map);
       visualLog(`Locations visualization completed in ${(performance.now() - locationsStartTime).toFixed(1)}ms`);
     }
-    
+
+    // The historical style's boundaries follow the time of the places shown
+    boundaries.years = locationYears(result.locations);
+    await refreshBoundaries(map);
+
     const totalTime = performance.now() - startTime;
     visualLog(`Total visualization time: ${totalTime.toFixed(1)}ms`);
     
@@ -175,10 +256,60 @@ export async function applyVisualization(result, map) {
   }
 }
 
+/**
+ * Work out the coordinates of locations described relative to other places
+ * ("50 miles north of Denver", "halfway between Paris and Madrid") and name
+ * the place nearest each. The result's other locations are geocoded too,
+ * since once any location has coordinates the visualizers use only those
+ * that do. Locations that can't be worked out are dropped from the result.
+ * @param {Object} result - The processed NLP result, updated in place
+ * @throws {Error} - When none of the locations can be worked out
+ */
+async function resolveSpatialLocations(result) {
+  if (!result.locations.some(location => location.spatial && !Array.isArray(location.coordinates))) return;
+
+  const lookups = { geocode: geocodeLocation, reverseGeocode, currentPosition: getCurrentPosition };
+  const failures = [];
+
+  await Promise.all(result.locations.map(async location => {
+    if (Array.isArray(location.coordinates) || location.currentPosition) return;
+    try {
+      if (location.spatial) {
+        location.coordinates = await resolveSpatialExpression(location.spatial, lookups);
+        location.nearestPlace = (await reverseGeocode(location.coordinates)).name;
+        visualLog(`"${location.name}" is at ${location.coordinates.map(value => value.toFixed(4)).join(', ')}, near ${location.nearestPlace}`);
+      } else {
+        location.coordinates = await geocodeLocation(location.name, location.timeContext);
+        if (!location.coordinates) throw new Error(`Could not find "${location.name}"`);
+      }
+    } catch (error) {
+      visualLog(`Couldn't place "${location.name}": ${error.message}`);
+      failures.push(error.message);
+    }
+  }));
+
+  const placed = result.locations.filter(location => Array.isArray(location.coordinates) || location.currentPosition);
+  if (placed.length === 0) {
+    throw new Error(failures.join('; '));
+  }
+  result.locations = placed;
+  if (result.suggestedSequence) {
+    result.suggestedSequence = result.suggestedSequence.filter(name => placed.some(location => location.name === name));
+  }
+
+  // A single described place is answered with the place it lands near
+  const [only] = placed;
+  if (result.intentType === 'locations' && placed.length === 1 && only.nearestPlace) {
+    result.message = `${only.name.charAt(0).toUpperCase()}${only.name.slice(1)} is near ${only.nearestPlace}`;
+  }
+}
+
 /**
  * Visualize multiple locations on the map
  * @param {Object} result - The processed NLP result
  * @param {Object} map - The Mapbox map instance
+ * @returns {Promise<Array>} - The locations shown, as { coord, location,
+ *   marker (the marker's DOM element) }
  */
 async function visualizeLocations(result, map) {
   const locations = result.locations;
@@ -213,7 +344,7 @@ async function visualizeLocations(result, map) {
       routeTypeIndicator.style.display = 'none';
   }
   
-    // Check if we have predefined coordinates (like for Gibbon's text)
+    // Check if we have predefined coordinates (like airports typed as IATA codes)
     const hasPreDefinedCoordinates = locations.some(loc => loc.coordinates && Array.isArray(loc.coordinates) && loc.coordinates.length === 2);
     
     let validCoordinatesWithLocations = [];
@@ -229,7 +360,7 @@ async function visualizeLocations(result, map) {
     } else {
   // Wait for all geocoding to complete
       visualLog(`Geocoding ${locations.length} locations...`);
-  const coordinatesPromises = locations.map(location => geocodeLocation(location.name));
+  const coordinatesPromises = locations.map(location => geocodeLocation(location.name, location.timeContext));
   
   try {
     const coordinates = await Promise.all(coordinatesPromises);
@@ -253,23 +384,11 @@ async function visualizeLocations(result, map) {
       if (messageDisplay) {
         messageDisplay.textContent = 'Error: Could not find any of the specified locations on the map';
       }
-      return;
+      return [];
     }
     
     // Create GeoJSON features for each location
-    const features = validCoordinatesWithLocations.map(item => ({
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: item.coord
-      },
-      properties: {
-        name: item.location.name,
-        description: item.location.timeContext 
-          ? `${item.location.name} (${item.location.timeContext})`
-          : item.location.name
-      }
-    }));
+    const features = validCoordinatesWithLocations.map(item => locationFeature(item.location, item.coord));
     
     // Update the map with the new locations
     map.getSource('locations').setData({
@@ -296,12 +415,20 @@ async function visualizeLocations(result, map) {
       el.style.height = '15px';
       el.style.borderRadius = '50%';
       el.style.border = '2px solid white';
+      item.marker = el;
+      
+      const { nearestPlace, timeContext, years } = item.location;
+      const when = timeContext ? `<p>${timeContext}${years && describeYears(years) !== timeContext ? ` (${describeYears(years)})` : ''}</p>` : '';
+      const historical = historicalPlaceFor(item.location.name, timeContext);
+      const known = historical && historical.note ? `<p>${historical.note}</p>` : '';
+      const mentions = item.location.mentions;
+      const mentioned = mentions ? `<p>Mentioned ${mentions.length === 1 ? 'once' : `${mentions.length} times`} in the text</p>` : '';
       
       // Add the marker to the map
-      new mapboxgl.Marker(el)
+      item.mapMarker = new mapboxgl.Marker(el)
         .setLngLat(item.coord)
         .setPopup(new mapboxgl.Popup({ offset: 25 })
-          .setHTML(`<h3>${item.location.name}</h3>`))
+          .setHTML(`<h3>${item.location.name}</h3>${when}${known}${nearestPlace ? `<p>Near ${nearestPlace}</p>` : ''}${mentioned}`))
         .addTo(map);
     });
     
@@ -314,6 +441,7 @@ async function visualizeLocations(result, map) {
     }
     
     visualLog('Location visualization completed successfully');
+    return validCoordinatesWithLocations;
   } catch (error) {
     console.error('Error visualizing locations:', error);
     visualLog(`Error in visualizeLocations: ${error.message}`);
@@ -321,6 +449,450 @@ async function visualizeLocations(result, map) {
   }
 }
 
+/**
+ * GeoJSON point for a location shown on the map
+ * @param {Object} location - { name, timeContext }
+ * @param {Array} coordinates - [lng, lat]
+ * @returns {Object} - Feature for the 'locations' source
+ */
+function locationFeature(location, coordinates) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates
+    },
+    properties: {
+      name: location.name,
+      description: location.timeContext
+        ? `${location.name} (${location.timeContext})`
+        : location.name
+    }
+  };
+}
+
+// Years the timeline slider moves per frame when playing, as a share of its span
+const TIMELINE_STEPS = 100;
+const TIMELINE_FRAME_MS = 80;
+
+// Places on the timeline and where its slider stands: { entries (dated places
+// in time order, { location, coord, marker }), undated, start, end, year,
+// timer (while playing) }
+let timeline = null;
+
+/**
+ * Show places in history on a timeline
+ * The places are shown like locations and joined in time order by a dashed
+ * line; the slider under the map filters them to a year: places not reached
+ * yet are hidden, places of that year highlighted and earlier ones faded.
+ * Places without a date stay shown throughout.
+ * @param {Object} result - The processed NLP result (intentType 'timeline')
+ * @param {Object} map - The Mapbox map instance
+ */
+async function visualizeTimeline(result, map) {
+  const items = await visualizeLocations(result, map);
+  const entries = items
+    .filter(item => item.location.years)
+    .sort((a, b) => compareYears(a.location.years, b.location.years));
+  if (entries.length < 2) return;
+
+  const end = Math.max(...entries.map(entry => entry.location.years.end));
+  timeline = {
+    entries,
+    undated: items.filter(item => !item.location.years),
+    start: entries[0].location.years.start,
+    end,
+    year: end,
+    timer: null
+  };
+  setTimelineYear(map, end);
+}
+
+/**
+ * Move the timeline to a year
+ * @param {Object} map - The Mapbox map instance
+ * @param {number} year - Negative before the common era; kept within the
+ *   timeline's span
+ */
+export function setTimelineYear(map, year) {
+  if (!timeline) return;
+  timeline.year = Math.min(Math.max(Math.round(year), timeline.start), timeline.end);
+
+  timeline.entries.forEach(({ location, marker }) => {
+    const phase = timelinePhase(location.years, timeline.year);
+    marker.style.display = phase === 'upcoming' ? 'none' : '';
+    marker.style.opacity = phase === 'past' ? '0.5' : '1';
+    marker.style.backgroundColor = phase === 'active' ? '#fbb03b' : '#3887BE';
+  });
+
+  // The circles under the markers follow the same places
+  if (map.getSource('locations')) {
+    const shown = [...timelineReached(), ...timeline.undated];
+    map.getSource('locations').setData({
+      type: 'FeatureCollection',
+      features: shown.map(item => locationFeature(item.location, item.coord))
+    });
+  }
+
+  drawTimeline(map);
+}
+
+/**
+ * Start or pause playing the timeline from its start to its end
+ * @param {Object} map - The Mapbox map instance
+ */
+export function toggleTimelinePlayback(map) {
+  if (!timeline) return;
+
+  if (timeline.timer) {
+    clearInterval(timeline.timer);
+    timeline.timer = null;
+    renderTimeline();
+    return;
+  }
+
+  if (timeline.year >= timeline.end) setTimelineYear(map, timeline.start);
+  const step = Math.max(1, Math.round((timeline.end - timeline.start) / TIMELINE_STEPS));
+  const playing = timeline;
+  playing.timer = setInterval(() => {
+    if (playing.year >= playing.end) {
+      clearInterval(playing.timer);
+      playing.timer = null;
+      renderTimeline();
+      return;
+    }
+    setTimelineYear(map, playing.year + step);
+  }, TIMELINE_FRAME_MS);
+  renderTimeline();
+}
+
+/**
+ * The timeline's places reached by its current year, in time order
+ */
+function timelineReached() {
+  return timeline.entries.filter(({ location }) => timelinePhase(location.years, timeline.year) !== 'upcoming');
+}
+
+/**
+ * Draw the line joining the places reached on the timeline
+ * @param {Object} map - The Mapbox map instance
+ */
+function drawTimeline(map) {
+  const data = {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: timeline ? timelineReached().map(entry => entry.coord) : [] }
+  };
+
+  if (map.getSource('timeline-path')) {
+    map.getSource('timeline-path').setData(data);
+  } else if (timeline) {
+    map.addSource('timeline-path', { type: 'geojson', data });
+  }
+
+  if (map.getSource('timeline-path') && !map.getLayer('timeline-path-layer')) {
+    map.addLayer({
+      id: 'timeline-path-layer',
+      type: 'line',
+      source: 'timeline-path',
+      paint: {
+        'line-color': '#fbb03b',
+        'line-width': 3,
+        'line-opacity': 0.8,
+        'line-dasharray': [2, 1]
+      }
+    }, map.getLayer('locations-layer') ? 'locations-layer' : undefined);
+  }
+
+  renderTimeline();
+}
+
+/**
+ * Show the timeline's span, year and the places of that year under the map
+ * The panel is hidden unless a timeline is shown.
+ */
+function renderTimeline() {
+  const panel = document.getElementById('timeline-panel');
+  if (!panel) return;
+
+  if (!timeline) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const slider = document.getElementById('timeline-slider');
+  slider.min = timeline.start;
+  slider.max = timeline.end;
+  slider.value = timeline.year;
+  document.getElementById('timeline-start').textContent = formatYear(timeline.start);
+  document.getElementById('timeline-end').textContent = formatYear(timeline.end);
+  document.getElementById('timeline-play-btn').textContent = timeline.timer ? 'Pause' : 'Play';
+
+  const active = timeline.entries.filter(({ location }) => timelinePhase(location.years, timeline.year) === 'active');
+  document.getElementById('timeline-status').textContent = active.length > 0
+    ? `${formatYear(timeline.year)}: ${active.map(({ location }) => `${location.name} (${location.timeContext})`).join(', ')}`
+    : formatYear(timeline.year);
+
+  panel.style.display = 'flex';
+}
+
+// Document shown beside the map: { document ({ text, mentions }, see
+// parseDocument), places (what visualizeLocations placed, by place name:
+// { coord, location, marker, mapMarker }) }
+let documentView = null;
+
+/**
+ * Show the places a document mentions, next to its text
+ * The places are shown like locations; the text view beside the map
+ * highlights each mention by its role, and hovering a mention shows its
+ * place's marker and popup, while hovering a marker highlights its mentions.
+ * @param {Object} result - The processed NLP result (intentType 'document')
+ * @param {Object} map - The Mapbox map instance
+ */
+async function visualizeDocument(result, map) {
+  const items = await visualizeLocations(result, map);
+  documentView = {
+    document: result.document,
+    places: new Map(items.map(item => [item.location.name, item]))
+  };
+
+  items.forEach(item => {
+    item.marker.addEventListener('mouseenter', () => highlightDocumentPlace(item.location.name, true, 'marker'));
+    item.marker.addEventListener('mouseleave', () => highlightDocumentPlace(item.location.name, false, 'marker'));
+  });
+
+  renderDocumentView(map);
+}
+
+/**
+ * Highlight a place of the document on the map and in the text
+ * @param {string} name - The place's name
+ * @param {boolean} on - Whether to highlight it or go back to normal
+ * @param {string} from - 'mention' when hovering the text, 'marker' when
+ *   hovering the map; the other side is brought into view
+ */
+function highlightDocumentPlace(name, on, from) {
+  if (!documentView) return;
+
+  const item = documentView.places.get(name);
+  if (item) {
+    item.marker.style.backgroundColor = on ? '#fbb03b' : '#3887BE';
+    item.marker.style.width = on ? '21px' : '15px';
+    item.marker.style.height = on ? '21px' : '15px';
+    item.marker.style.zIndex = on ? '2' : '';
+    const popup = item.mapMarker.getPopup();
+    if (from === 'mention' && popup.isOpen() !== on) item.mapMarker.togglePopup();
+  }
+
+  const marks = [...document.querySelectorAll('#document-text .document-mention')]
+    .filter(mark => mark.dataset.place === name);
+  marks.forEach(mark => mark.classList.toggle('active', on));
+  if (on && from === 'marker' && marks.length > 0) {
+    marks[0].scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/**
+ * Write the document's text beside the map with its mentions highlighted
+ * The panel is hidden unless a document is shown.
+ * @param {Object} map - The Mapbox map instance
+ */
+function renderDocumentView(map) {
+  const panel = document.getElementById('document-view');
+  if (!panel) return;
+
+  const container = document.getElementById('document-text');
+  container.innerHTML = '';
+  if (!documentView) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const { text, mentions } = documentView.document;
+  let offset = 0;
+  mentions.forEach(mention => {
+    container.appendChild(document.createTextNode(text.slice(offset, mention.start)));
+
+    const mark = document.createElement('mark');
+    mark.className = `document-mention document-mention-${mention.role}`;
+    mark.dataset.place = mention.place;
+    mark.textContent = text.slice(mention.start, mention.end);
+    const dates = mention.dates.map(date => date.text).join(', ');
+    mark.title = `${mention.place}: ${mention.role}${dates ? ` (${dates})` : ''}`;
+
+    if (documentView.places.has(mention.place)) {
+      mark.addEventListener('mouseenter', () => highlightDocumentPlace(mention.place, true, 'mention'));
+      mark.addEventListener('mouseleave', () => highlightDocumentPlace(mention.place, false, 'mention'));
+      mark.addEventListener('click', () => map.flyTo({ center: documentView.places.get(mention.place).coord }));
+    } else {
+      // Mentions of places the map couldn't find
+      mark.classList.add('document-mention-unplaced');
+    }
+
+    container.appendChild(mark);
+    offset = mention.end;
+  });
+  container.appendChild(document.createTextNode(text.slice(offset)));
+
+  panel.style.display = 'flex';
+}
+
+// Boundary overlay of the historical style: { shown (the historical style is
+// on), picked (id of the snapshot chosen in the year picker, or null to follow
+// the results), years (span the current result's places are meant at),
+// snapshot and features (of the overlay drawn), failed (the file didn't load) }
+const boundaries = { shown: false, picked: null, years: null, snapshot: null, features: [], failed: false };
+
+// Features of the snapshot files loaded so far, by snapshot id
+const boundaryFiles = {};
+
+/**
+ * Pick the boundary snapshot the historical style shows
+ * @param {Object} map - The Mapbox map instance
+ * @param {string} id - A snapshot id of BOUNDARY_SNAPSHOTS, or '' to choose
+ *   the snapshot from the time of the results' places
+ */
+export async function setBoundarySnapshot(map, id) {
+  boundaries.picked = findSnapshot(id) ? id : null;
+  await refreshBoundaries(map);
+}
+
+/**
+ * Show the snapshot picked, or the one closest to the results' time, while
+ * the historical style is on, and nothing otherwise
+ * @param {Object} map - The Mapbox map instance
+ */
+async function refreshBoundaries(map) {
+  let snapshot = null;
+  if (boundaries.shown) {
+    snapshot = boundaries.picked ? findSnapshot(boundaries.picked) : chooseSnapshot(boundaries.years);
+  }
+  if (snapshot === boundaries.snapshot && !boundaries.failed) {
+    drawBoundaries(map);
+    return;
+  }
+
+  boundaries.snapshot = snapshot;
+  boundaries.features = [];
+  boundaries.failed = false;
+  drawBoundaries(map);
+  if (!snapshot) return;
+
+  try {
+    const features = await loadBoundarySnapshot(snapshot);
+    // Another snapshot was picked meanwhile
+    if (boundaries.snapshot !== snapshot) return;
+    boundaries.features = features;
+    visualLog(`Showing ${features.length} boundaries of ${describeSnapshot(snapshot)}`);
+  } catch (error) {
+    visualLog(`Could not load the boundaries of ${describeSnapshot(snapshot)}: ${error.message}`);
+    boundaries.failed = true;
+  }
+  drawBoundaries(map);
+}
+
+/**
+ * Fetch the features of a snapshot's bundled GeoJSON file, once
+ * @param {Object} snapshot - A snapshot of BOUNDARY_SNAPSHOTS
+ * @returns {Promise<Object[]>} - Polygon features with a name and a color
+ */
+async function loadBoundarySnapshot(snapshot) {
+  if (!boundaryFiles[snapshot.id]) {
+    const response = await fetch(snapshotUrl(snapshot));
+    if (!response.ok) {
+      throw new Error(`${snapshot.id}.geojson returned ${response.status}`);
+    }
+    boundaryFiles[snapshot.id] = (await response.json()).features;
+  }
+  return boundaryFiles[snapshot.id];
+}
+
+/**
+ * Draw the boundary overlay and fill in the year picker
+ * Also re-creates the layers after a style change removed them.
+ * @param {Object} map - The Mapbox map instance
+ */
+function drawBoundaries(map) {
+  const data = { type: 'FeatureCollection', features: boundaries.features };
+
+  if (map.getSource('historical-boundaries')) {
+    map.getSource('historical-boundaries').setData(data);
+  } else if (boundaries.snapshot) {
+    map.addSource('historical-boundaries', { type: 'geojson', data });
+  }
+
+  if (map.getSource('historical-boundaries')) {
+    // Under the map's place names, and so under everything drawn on the map
+    const labels = (map.getStyle().layers || []).find(layer => layer.type === 'symbol');
+    const beforeId = labels ? labels.id : undefined;
+    if (!map.getLayer('historical-boundaries-fill')) {
+      map.addLayer({
+        id: 'historical-boundaries-fill',
+        type: 'fill',
+        source: 'historical-boundaries',
+        paint: {
+          'fill-color': ['get', 'color'],
+          'fill-opacity': 0.2
+        }
+      }, beforeId);
+    }
+    if (!map.getLayer('historical-boundaries-outline')) {
+      map.addLayer({
+        id: 'historical-boundaries-outline',
+        type: 'line',
+        source: 'historical-boundaries',
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': 1.5,
+          'line-opacity': 0.8
+        }
+      }, beforeId);
+    }
+  }
+
+  renderBoundaryPicker();
+}
+
+/**
+ * Show which snapshot the overlay is of, and which color stands for which state
+ * The picker is hidden unless the historical style is on.
+ */
+function renderBoundaryPicker() {
+  const panel = document.getElementById('boundary-picker');
+  if (!panel) return;
+
+  if (!boundaries.shown) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  document.getElementById('boundary-snapshot').value = boundaries.picked || '';
+
+  const status = document.getElementById('boundary-status');
+  if (!boundaries.snapshot) {
+    status.textContent = describeMissingSnapshot(boundaries.years);
+  } else if (boundaries.failed) {
+    status.textContent = `Couldn't load the boundaries of ${describeSnapshot(boundaries.snapshot)}`;
+  } else {
+    status.textContent = describeSnapshot(boundaries.snapshot);
+  }
+
+  const legend = document.getElementById('boundary-legend');
+  legend.innerHTML = '';
+  boundaries.features.forEach(({ properties }) => {
+    const item = document.createElement('div');
+    item.className = 'boundary-legend-item';
+
+    const swatch = document.createElement('span');
+    swatch.className = 'boundary-legend-swatch';
+    swatch.style.backgroundColor = properties.color;
+
+    item.append(swatch, document.createTextNode(properties.name));
+    legend.appendChild(item);
+  });
+
+  panel.style.display = 'block';
+}
+
 /**
  * Visualize a route connecting multiple locations
  * @param {Object} result - The processed NLP result
@@ -340,10 +912,14 @@ async function visualizeRoute(result, map) {
     const sequence = result.suggestedSequence || result.locations.map(l => l.name);
     visualLog(`Using sequence: ${sequence.join(' → ')}`);
     
-    // Geocode all locations to get coordinates
+    // Geocode all locations to get coordinates, unless the parser already
+    // knows them (e.g. airports typed as IATA codes)
     const geocodeResults = await Promise.all(
       sequence.map(async (name, index) => {
-        const coords = await geocodeLocation(name);
+        const location = result.locations.find(loc => loc.name === name);
+        const coords = location && Array.isArray(location.coordinates)
+          ? location.coordinates
+          : await geocodeLocation(name, location && location.timeContext);
         return { name, coord: coords, index };
       })
     );
@@ -357,6 +933,16 @@ async function visualizeRoute(result, map) {
       throw new Error('Could not geocode enough locations for a route. Need at least 2 valid locations.');
     }
     
+    // Travel mode of each leg for trips that change mode along the way; a leg
+    // takes the mode it arrives at its stop with
+    const legModes = Array.isArray(result.legModes)
+      ? validCoordinatesWithIndex.slice(1).map(item => {
+        const mode = result.legModes[item.index - 1];
+        return TRAVEL_MODES[mode] ? mode : 'driving';
+      })
+      : [];
+    const isMultiModal = new Set(legModes).size > 1;
+    
     visualLog(`Got ${validCoordinates.length} valid coordinates out of ${sequence.length} locations`);
     
     // Create GeoJSON features for each location
@@ -384,7 +970,8 @@ async function visualizeRoute(result, map) {
     existingMarkers.forEach(marker => marker.remove());
     
     // Add numbered markers for all waypoints to show the sequence clearly
-    validCoordinatesWithIndex.forEach((item, i) => {
+    // (kept so flight routes can add the airport to their popups)
+    const stopMarkers = validCoordinatesWithIndex.map((item, i) => {
       // Create a DOM element for the marker
       const el = document.createElement('div');
       el.className = 'marker';
@@ -411,52 +998,76 @@ async function visualizeRoute(result, map) {
       el.textContent = (i + 1).toString(); // Show sequence number
       
       // Add the marker to the map
-      new mapboxgl.Marker(el)
+      return new mapboxgl.Marker(el)
         .setLngLat(item.coord)
         .setPopup(new mapboxgl.Popup({ offset: 25 })
           .setHTML(`<h3>${item.name}</h3><p>Stop #${i+1}</p>`))
         .addTo(map);
     });
+    const stops = validCoordinatesWithIndex.map((item, i) => ({ name: item.name, number: i + 1, marker: stopMarkers[i] }));
     
     let routeCoordinates;
+    let routes; // All routes found, the active one first unless the result selects another
     let routeType = 'driving'; // Default route type
     let routeColor = '#3887be'; // Default blue color for driving routes
+    let preferencesText = ''; // Route preferences applied to the directions request
     
     try {
       // Check if this might be an intercontinental route before trying to get directions
       const isLikelyIntercontinental = checkIfIntercontinental(validCoordinates);
+      const isFlightRequested = result.travelMode === 'flying';
+      const isSeaRequested = result.travelMode === 'sailing';
       
-      if (isLikelyIntercontinental) {
+      if (isMultiModal) {
+        // Route every leg with its own mode
+        routes = [await createMultiModalRoute(validCoordinates, legModes)];
+        routeCoordinates = routes[0].coordinates;
+        routeType = 'multimodal';
+        routes[0].parts.forEach(({ mode, route }, i) => {
+          if (mode === 'flying') addAirportMarkers(map, route, stops.slice(i, i + 2));
+        });
+        visualLog(`Created trip with ${legModes.length} legs and ${routeCoordinates.length} points`);
+      } else if (isLikelyIntercontinental || isFlightRequested || isSeaRequested) {
         // Determine if this should be an air or sea route
-        const isAirRoute = determineTravelType(validCoordinates);
+        const isAirRoute = isFlightRequested || (!isSeaRequested && determineTravelType(validCoordinates));
         
         if (isAirRoute) {
-          // Create an air route with a curved path
-          routeCoordinates = createAirRoute(validCoordinates);
+          // Fly between the airports nearest the stops, with ground legs at either end
+          routes = [await createFlightRoute(validCoordinates)];
+          routeCoordinates = routes[0].coordinates;
           routeType = 'air';
           routeColor = '#e91e63'; // Pink color for air routes
+          addAirportMarkers(map, routes[0], stops);
         } else {
-          // Create a geodesic line for sea routes
-          routeCoordinates = createGeodesicLine(validCoordinates);
+          // Follow the shipping lanes for sea routes
+          routes = [createSeaRoute(validCoordinates)];
+          routeCoordinates = routes[0].coordinates;
           routeType = 'sea';
           routeColor = '#009688'; // Teal color for sea routes
         }
         
         visualLog(`Created ${routeType} route with ${routeCoordinates.length} points for intercontinental travel`);
       } else {
-        // For regular routes, try to get driving directions
-        routeCoordinates = await getRoute(validCoordinates, result.travelMode || 'driving');
-        visualLog(`Created driving route with ${routeCoordinates.length} points`);
+        // For regular routes, try to get driving directions with the requested preferences
+        const routeProfile = result.travelMode || 'driving';
+        const { preferences, ignored } = applicablePreferences(result.routePreferences || {}, routeProfile);
+        
+        // Always ask for alternatives; the comparison panel lets the user pick one
+        routes = await getRoute(validCoordinates, routeProfile, { ...preferences, alternatives: true });
+        const activeIndex = Number.isInteger(result.activeRouteIndex) && result.activeRouteIndex < routes.length
+          ? result.activeRouteIndex
+          : 0;
+        routeCoordinates = routes[activeIndex].coordinates;
+        visualLog(`Created driving route with ${routeCoordinates.length} points (${routes.length} route(s) found)`);
+        
+        preferencesText = describeRoutePreferences(preferences);
+        if (ignored.length > 0) {
+          preferencesText += `${preferencesText ? '; ' : ''}${ignored.join(', ')} not available for ${routeProfile}`;
+        }
       }
       
       // Update the route line on the map with appropriate styling
-      map.getSource('route').setData({
-        type: 'Feature',
-        geometry: {
-          type: 'LineString',
-          coordinates: routeCoordinates
-        }
-      });
+      map.getSource('route').setData(routeLineFeature(routes.find(route => route.coordinates === routeCoordinates)));
       
       // Update the route color based on route type
       if (map.getLayer('route-layer')) {
@@ -474,7 +1085,7 @@ async function visualizeRoute(result, map) {
       const routeTypeIndicator = document.getElementById('route-type-indicator');
       if (routeTypeIndicator) {
         // Remove all type classes
-        routeTypeIndicator.classList.remove('driving', 'air', 'sea');
+        routeTypeIndicator.classList.remove('driving', 'air', 'sea', 'multimodal');
         // Add the current type class
         routeTypeIndicator.classList.add(routeType);
         
@@ -486,6 +1097,10 @@ async function visualizeRoute(result, map) {
           case 'sea':
             routeTypeIndicator.textContent = 'Sea Route';
             break;
+          case 'multimodal':
+            // One entry per leg, e.g. "Drive → Fly → Walk"
+            routeTypeIndicator.textContent = legModes.map(mode => TRAVEL_MODES[mode].label).join(' → ');
+            break;
           default:
             routeTypeIndicator.textContent = 'Driving Route';
         }
@@ -494,9 +1109,16 @@ async function visualizeRoute(result, map) {
         routeTypeIndicator.style.display = 'flex';
       }
       
-      // Compute the bounding box for all coordinates in the route
-      const bounds = new mapboxgl.LngLatBounds();
-      routeCoordinates.forEach(coord => bounds.extend(coord));
+      // Draw the other routes and the comparison panel
+      showRouteSelection(map, {
+        result,
+        routes,
+        index: routes.findIndex(route => route.coordinates === routeCoordinates),
+        stops: validCoordinatesWithIndex.map(item => ({ name: item.name, coordinates: item.coord }))
+      });
+      
+      // Compute the bounding box for all coordinates in the routes
+      const bounds = getBoundingBox(routes.flatMap(route => route.coordinates));
       
       // Fit the map to the bounds
       map.fitBounds(bounds, {
@@ -507,73 +1129,1312 @@ async function visualizeRoute(result, map) {
       if (messageDisplay) {
         let routeTypeText = '';
         switch(routeType) {
-          case 'air':
-            routeTypeText = 'flight route';
+          case 'air': {
+            const flights = routes[routeSelection.index].flights || [];
+            routeTypeText = flights.length > 0 ? `flight ${describeFlights(flights)}` : 'flight route';
             break;
-          case 'sea':
-            routeTypeText = 'sea route';
+          }
+          case 'sea': {
+            // Name the canals the active route passes through
+            const canals = routes[routeSelection.index].canals || [];
+            routeTypeText = canals.length > 0
+              ? `sea route via the ${canals.join(' and the ')}`
+              : 'sea route';
+            break;
+          }
+          case 'multimodal':
+            // Summarize each leg, e.g. "drive to New York: 346 km, 3 h 50 min; fly to London: ..."
+            routeTypeText = routes[routeSelection.index].parts
+              .map(({ mode, route }, i) => `${TRAVEL_MODES[mode].label.toLowerCase()} to ${validLocationNames[i + 1]}: ${describeLegRoute(route)}`)
+              .join('; ');
             break;
           default:
             routeTypeText = 'driving route';
         }
         
+        // Mention the applied preferences, e.g. "(driving route, avoiding tolls)"
+        const routeDetails = preferencesText ? `${routeTypeText}, ${preferencesText}` : routeTypeText;
         messageDisplay.textContent = result.message 
-          ? `${result.message} (${routeTypeText})`
-          : `Showing ${routeTypeText} from ${validLocationNames[0]} to ${validLocationNames[validLocationNames.length - 1]}`;
+          ? `${result.message} (${routeDetails})`
+          : `Showing ${routeDetails} from ${validLocationNames[0]} to ${validLocationNames[validLocationNames.length - 1]}`;
         messageDisplay.style.color = '#4CAF50';
       }
-      
-      console.log('Route visualization completed successfully');
-    } catch (error) {
-      // If route creation fails, still show the locations but inform the user
-      console.error('Error getting route, falling back to showing just locations:', error);
-      visualLog(`Route creation failed: ${error.message}, showing locations only`);
-      
-      // Get the bounding box for all locations
-      const bounds = new mapboxgl.LngLatBounds();
-      validCoordinates.forEach(coord => bounds.extend(coord));
-      
-      // Fit the map to show all locations
-      map.fitBounds(bounds, {
-        padding: 50
+      
+      console.log('Route visualization completed successfully');
+    } catch (error) {
+      // If route creation fails, still show the locations but inform the user
+      console.error('Error getting route, falling back to showing just locations:', error);
+      visualLog(`Route creation failed: ${error.message}, showing locations only`);
+      
+      // Get the bounding box for all locations
+      const bounds = getBoundingBox(validCoordinates);
+      
+      // Fit the map to show all locations
+      map.fitBounds(bounds, {
+        padding: 50
+      });
+      
+      // Hide route type indicator
+      const routeTypeIndicator = document.getElementById('route-type-indicator');
+      if (routeTypeIndicator) {
+        routeTypeIndicator.style.display = 'none';
+      }
+      
+      // Update the message
+      if (messageDisplay) {
+        messageDisplay.textContent = `Couldn't create a route between these locations (${error.message}). Showing locations only.`;
+        messageDisplay.style.color = '#FFA500'; // Orange to indicate partial success
+      }
+    }
+  } catch (error) {
+    console.error('Error visualizing route:', error);
+    visualLog(`Error in visualizeRoute: ${error.message}`);
+    
+    // Hide route type indicator
+    const routeTypeIndicator = document.getElementById('route-type-indicator');
+    if (routeTypeIndicator) {
+      routeTypeIndicator.style.display = 'none';
+    }
+    
+    if (messageDisplay) {
+      messageDisplay.textContent = `Error: ${error.message}`;
+      messageDisplay.style.color = '#d9534f';
+    }
+  }
+}
+
+/**
+ * Answer a distance or travel time question and draw it
+ * The places are shown as a route of the question's travel mode, plus a
+ * dashed great-circle line for the straight-line distance. The answer
+ * replaces the result's message, in the units the question asked for or else
+ * the ones the browser's locale uses.
+ * @param {Object} result - The processed NLP result (intentType 'distance' or 'duration')
+ * @param {Object} map - The Mapbox map instance
+ */
+async function visualizeDistanceQuery(result, map) {
+  const messageDisplay = document.getElementById('message-display');
+
+  // Geocode once here; the route reuses the coordinates
+  const coordinates = await Promise.all(result.locations.map(location => (
+    Array.isArray(location.coordinates) ? location.coordinates : geocodeLocation(location.name, location.timeContext)
+  )));
+  const missing = result.locations.filter((location, i) => !coordinates[i]);
+  if (missing.length > 0) {
+    if (messageDisplay) {
+      messageDisplay.textContent = `Couldn't find ${missing.map(location => location.name).join(' and ')} to measure the distance.`;
+      messageDisplay.style.color = '#d9534f';
+    }
+    return;
+  }
+  result.locations = result.locations.map((location, i) => ({ ...location, coordinates: coordinates[i] }));
+
+  await visualizeRoute(result, map);
+
+  distanceLine = createGeodesicLine(coordinates);
+  drawDistanceLine(map);
+
+  let straightLine = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lon1, lat1] = coordinates[i - 1];
+    const [lon2, lat2] = coordinates[i];
+    straightLine += calculateDistance(lat1, lon1, lat2, lon2) * 1000;
+  }
+
+  // Intercontinental drives come back as flights or sea routes
+  const route = routeSelection ? routeSelection.routes[routeSelection.index] : null;
+  const travelMode = route && route.flights ? 'flying'
+    : route && route.canals ? 'sailing'
+      : result.travelMode || 'driving';
+  const names = result.locations.map(location => location.name);
+
+  result.message = describeDistanceAnswer({
+    intentType: result.intentType,
+    from: names[0],
+    to: names[names.length - 1],
+    travelMode,
+    units: result.units || unitsForLocale(navigator.language),
+    straightLine,
+    route
+  });
+  visualLog(`Answer: ${result.message}`);
+
+  if (messageDisplay) {
+    messageDisplay.textContent = result.message;
+    messageDisplay.style.color = route ? '#4CAF50' : '#FFA500';
+  }
+  if (!route) {
+    map.fitBounds(getBoundingBox(distanceLine), { padding: 50 });
+  }
+}
+
+// Straight line of the current distance question, if any
+let distanceLine = null;
+
+/**
+ * Draw the straight line of a distance question as a dashed grey line
+ * Also re-creates the layer after a style change removed it.
+ * @param {Object} map - The Mapbox map instance
+ */
+function drawDistanceLine(map) {
+  const data = {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: distanceLine || [] }
+  };
+
+  if (map.getSource('distance-line')) {
+    map.getSource('distance-line').setData(data);
+  } else if (distanceLine) {
+    map.addSource('distance-line', { type: 'geojson', data });
+  }
+
+  if (map.getSource('distance-line') && !map.getLayer('distance-line-layer')) {
+    map.addLayer({
+      id: 'distance-line-layer',
+      type: 'line',
+      source: 'distance-line',
+      paint: {
+        'line-color': '#555555',
+        'line-width': 2,
+        'line-opacity': 0.7,
+        'line-dasharray': [2, 2]
+      }
+    }, map.getLayer('route-layer') ? 'route-layer' : undefined);
+  }
+}
+
+// Fill colors of isochrone contours, from the innermost to the outermost
+const ISOCHRONE_COLORS = ['#1a9850', '#a6d96a', '#fdae61', '#d73027'];
+
+// Contours of the current isochrone result: { features, legend, standIn }
+let isochrone = null;
+
+/**
+ * Show the areas reachable from a place within the result's budgets
+ * The place is shown like a location; the contours come from /api/isochrone
+ * and are drawn as filled polygons, colored from green (closest) to red, with
+ * a legend.
+ * @param {Object} result - The processed NLP result (intentType 'isochrone')
+ * @param {Object} map - The Mapbox map instance
+ */
+async function visualizeIsochrone(result, map) {
+  const messageDisplay = document.getElementById('message-display');
+  const [location] = result.locations;
+  const center = Array.isArray(location.coordinates) ? location.coordinates : await geocodeLocation(location.name, location.timeContext);
+  if (center) result.locations = [{ ...location, coordinates: center }];
+
+  await visualizeLocations(result, map);
+  if (!center) return;
+
+  const { metric, contours } = result.isochrone;
+  const profile = result.travelMode || 'driving';
+
+  try {
+    const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+    const contoursParam = `contours_${metric === 'time' ? 'minutes' : 'meters'}=${contours.join(',')}`;
+    const response = await fetch(`${API_URL}/api/isochrone?coordinates=${center.join(',')}&profile=mapbox/${profile}&${contoursParam}`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || `API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    const colorOf = contour => {
+      const rank = contours.indexOf(contour);
+      return ISOCHRONE_COLORS[contours.length > 1 ? Math.round(rank * (ISOCHRONE_COLORS.length - 1) / (contours.length - 1)) : 0];
+    };
+    isochrone = {
+      features: data.features.map(feature => ({
+        ...feature,
+        properties: { ...feature.properties, color: colorOf(feature.properties.contour) }
+      })),
+      legend: contours.map(contour => ({
+        color: colorOf(contour),
+        label: describeIsochroneBudget({ ...result.isochrone, contours: [contour], travelMode: profile })
+      })),
+      standIn: data.standIn === true
+    };
+    drawIsochrone(map);
+    visualLog(`Drew ${isochrone.features.length} isochrone contour(s)${isochrone.standIn ? ' (stand-in)' : ''}`);
+
+    // Show the whole outermost area
+    const outer = isochrone.features.flatMap(feature => feature.geometry.coordinates[0] || []);
+    if (outer.length > 0) {
+      map.fitBounds(getBoundingBox(outer), { padding: 50 });
+    }
+
+    if (messageDisplay && isochrone.standIn) {
+      messageDisplay.textContent = `${result.message} (approximate areas)`;
+    }
+  } catch (error) {
+    visualLog(`Isochrone request failed: ${error.message}`);
+    if (messageDisplay) {
+      messageDisplay.textContent = `Couldn't compute the reachable areas (${error.message}). Showing ${location.name} only.`;
+      messageDisplay.style.color = '#FFA500';
+    }
+  }
+}
+
+/**
+ * Draw the isochrone contours and fill in the legend
+ * Also re-creates the layers after a style change removed them.
+ * @param {Object} map - The Mapbox map instance
+ */
+function drawIsochrone(map) {
+  const data = { type: 'FeatureCollection', features: isochrone ? isochrone.features : [] };
+
+  if (map.getSource('isochrone')) {
+    map.getSource('isochrone').setData(data);
+  } else if (isochrone) {
+    map.addSource('isochrone', { type: 'geojson', data });
+  }
+
+  if (map.getSource('isochrone')) {
+    // Under the route and the location circles
+    const beforeId = ['route-layer', 'locations-layer'].find(id => map.getLayer(id));
+    if (!map.getLayer('isochrone-fill')) {
+      map.addLayer({
+        id: 'isochrone-fill',
+        type: 'fill',
+        source: 'isochrone',
+        layout: {
+          // Smaller contours on top of the larger ones
+          'fill-sort-key': ['-', 0, ['get', 'contour']]
+        },
+        paint: {
+          'fill-color': ['get', 'color'],
+          'fill-opacity': 0.35
+        }
+      }, beforeId);
+    }
+    if (!map.getLayer('isochrone-outline')) {
+      map.addLayer({
+        id: 'isochrone-outline',
+        type: 'line',
+        source: 'isochrone',
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': 1.5
+        }
+      }, beforeId);
+    }
+  }
+
+  renderIsochroneLegend();
+}
+
+/**
+ * Show which color stands for which contour
+ * The legend is hidden unless isochrones are shown.
+ */
+function renderIsochroneLegend() {
+  const legend = document.getElementById('isochrone-legend');
+  if (!legend) return;
+
+  legend.innerHTML = '';
+  if (!isochrone) {
+    legend.style.display = 'none';
+    return;
+  }
+
+  const title = document.createElement('div');
+  title.className = 'isochrone-legend-title';
+  title.textContent = isochrone.standIn ? 'Reachable within (approximate)' : 'Reachable within';
+  legend.appendChild(title);
+
+  isochrone.legend.forEach(({ color, label }) => {
+    const item = document.createElement('div');
+    item.className = 'isochrone-legend-item';
+
+    const swatch = document.createElement('span');
+    swatch.className = 'isochrone-legend-swatch';
+    swatch.style.backgroundColor = color;
+
+    item.append(swatch, document.createTextNode(label));
+    legend.appendChild(item);
+  });
+
+  legend.style.display = 'block';
+}
+
+// Places found by the current nearby search: { result, center, places,
+// selected (numbers of the places picked for a route), markers, standIn }
+let nearby = null;
+
+/**
+ * Find the user's position through the browser
+ * @returns {Promise<Array|null>} - [lng, lat], or null when it is unavailable or refused
+ */
+function getCurrentPosition() {
+  if (!navigator.geolocation) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    navigator.geolocation.getCurrentPosition(
+      position => resolve([position.coords.longitude, position.coords.latitude]),
+      error => {
+        visualLog(`Geolocation failed: ${error.message}`);
+        resolve(null);
+      },
+      { timeout: 10000, maximumAge: 60000 }
+    );
+  });
+}
+
+/**
+ * Search for places of a category around the result's anchor
+ * The anchor is shown like a location; the places come from
+ * /api/category-search, are ranked by distance and shown as numbered markers
+ * and in the results list, where any of them can be picked for a route.
+ * @param {Object} result - The processed NLP result (intentType 'nearby')
+ * @param {Object} map - The Mapbox map instance
+ */
+async function visualizeNearby(result, map) {
+  const messageDisplay = document.getElementById('message-display');
+  const [location] = result.locations;
+  const center = Array.isArray(location.coordinates) ? location.coordinates
+    : location.currentPosition ? await getCurrentPosition()
+      : await geocodeLocation(location.name, location.timeContext);
+
+  if (!center) {
+    if (messageDisplay) {
+      messageDisplay.textContent = location.currentPosition
+        ? "Couldn't get your location. Allow location access or name a place, e.g. \"museums near the Louvre\"."
+        : `Couldn't find ${location.name} to search around.`;
+      messageDisplay.style.color = '#d9534f';
+    }
+    return;
+  }
+  result.locations = [{ ...location, coordinates: center }];
+
+  await visualizeLocations(result, map);
+
+  const { category, radius } = result.nearby;
+  const description = describeNearbySearch({ ...result.nearby, anchorName: location.name, currentPosition: location.currentPosition });
+
+  try {
+    const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+    const response = await fetch(`${API_URL}/api/category-search?category=${category}&bbox=${nearbyBox(center, radius).join(',')}&proximity=${center.join(',')}&limit=25`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || `API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    const candidates = (data.features || []).map(feature => ({
+      name: feature.properties.name,
+      address: feature.properties.full_address || '',
+      coordinates: feature.geometry.coordinates
+    }));
+    nearby = {
+      result,
+      center,
+      places: rankNearbyPlaces(candidates, center, radius),
+      selected: new Set(),
+      markers: new Map(),
+      standIn: data.standIn === true
+    };
+    visualLog(`Found ${nearby.places.length} place(s) for ${description}${nearby.standIn ? ' (stand-in)' : ''}`);
+
+    addNearbyMarkers(map);
+    renderNearbyResults();
+
+    if (nearby.places.length > 0) {
+      map.fitBounds(getBoundingBox([center, ...nearby.places.map(place => place.coordinates)]), { padding: 60, maxZoom: 15 });
+    }
+
+    const count = nearby.places.length;
+    result.message = count > 0
+      ? `Found ${count} ${count === 1 ? 'result' : 'results'} for ${description}${nearby.standIn ? ' (stand-in places)' : ''}`
+      : `No results for ${description}`;
+    if (messageDisplay) {
+      messageDisplay.textContent = result.message;
+      messageDisplay.style.color = count > 0 ? '#4CAF50' : '#FFA500';
+    }
+  } catch (error) {
+    visualLog(`Nearby search failed: ${error.message}`);
+    if (messageDisplay) {
+      messageDisplay.textContent = `Couldn't search for ${description} (${error.message}). Showing ${location.name} only.`;
+      messageDisplay.style.color = '#FFA500';
+    }
+  }
+}
+
+/**
+ * Add a numbered marker for every place of the nearby search
+ * Markers of picked places are outlined; the popup picks or drops a place.
+ * @param {Object} map - The Mapbox map instance
+ */
+function addNearbyMarkers(map) {
+  nearby.places.forEach(place => {
+    const el = document.createElement('div');
+    el.className = 'marker nearby-marker';
+    el.style.backgroundColor = '#ff9800';
+    el.style.width = '22px';
+    el.style.height = '22px';
+    el.style.borderRadius = '50%';
+    el.style.border = '2px solid white';
+    el.style.color = 'white';
+    el.style.textAlign = 'center';
+    el.style.fontWeight = 'bold';
+    el.style.fontSize = '12px';
+    el.style.lineHeight = '22px';
+    el.style.cursor = 'pointer';
+    el.textContent = place.number.toString();
+
+    const content = document.createElement('div');
+    const title = document.createElement('h3');
+    title.textContent = place.name;
+    const details = document.createElement('p');
+    details.textContent = [formatRouteDistance(place.distance) + ' away', place.address].filter(Boolean).join(' · ');
+    const pick = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => selectNearbyPlace(place.number, checkbox.checked));
+    pick.append(checkbox, document.createTextNode(' Include in route'));
+    content.append(title, details, pick);
+
+    const popup = new mapboxgl.Popup({ offset: 15 }).setDOMContent(content);
+    popup.on('open', () => {
+      checkbox.checked = nearby.selected.has(place.number);
+    });
+
+    new mapboxgl.Marker(el)
+      .setLngLat(place.coordinates)
+      .setPopup(popup)
+      .addTo(map);
+    nearby.markers.set(place.number, el);
+  });
+}
+
+/**
+ * Pick or drop a place of the nearby search for a route
+ * @param {number} number - The place's number
+ * @param {boolean} selected - Whether to include it
+ */
+function selectNearbyPlace(number, selected) {
+  if (!nearby) return;
+
+  if (selected) {
+    nearby.selected.add(number);
+  } else {
+    nearby.selected.delete(number);
+  }
+
+  const marker = nearby.markers.get(number);
+  if (marker) {
+    marker.style.border = selected ? '3px solid #3887be' : '2px solid white';
+  }
+  renderNearbyResults();
+}
+
+/**
+ * List the places of the nearby search with a checkbox each
+ * The panel is hidden unless a nearby search is shown.
+ */
+function renderNearbyResults() {
+  const panel = document.getElementById('nearby-panel');
+  const list = document.getElementById('nearby-results');
+  const status = document.getElementById('nearby-status');
+  const routeButton = document.getElementById('nearby-route-btn');
+  if (!panel || !list || !status) return;
+
+  list.innerHTML = '';
+  if (!nearby) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  status.textContent = nearby.places.length > 0
+    ? `Pick places to visit, then make them a route${nearby.standIn ? ' (stand-in places)' : ''}`
+    : 'Nothing found here. Try a larger radius, e.g. "within 5 km of".';
+
+  nearby.places.forEach(place => {
+    const item = document.createElement('li');
+    item.className = 'nearby-place';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = nearby.selected.has(place.number);
+    checkbox.setAttribute('aria-label', `Include ${place.name} in the route`);
+    checkbox.addEventListener('change', () => selectNearbyPlace(place.number, checkbox.checked));
+
+    const details = document.createElement('div');
+    details.className = 'nearby-place-details';
+    const name = document.createElement('div');
+    name.className = 'nearby-place-name';
+    name.textContent = `${place.number}. ${place.name}`;
+    const distance = document.createElement('div');
+    distance.className = 'nearby-place-distance';
+    distance.textContent = [formatRouteDistance(place.distance), place.address].filter(Boolean).join(' · ');
+    details.append(name, distance);
+
+    item.append(checkbox, details);
+    list.appendChild(item);
+  });
+
+  if (routeButton) {
+    routeButton.disabled = nearby.selected.size === 0;
+    routeButton.textContent = nearby.selected.size > 0
+      ? `Route through ${nearby.selected.size} selected`
+      : 'Route through selected';
+  }
+  panel.style.display = 'block';
+}
+
+/**
+ * Turn the picked places of the nearby search into a route
+ * The route starts at the anchor and visits the places in the order that
+ * keeps it shortest (straight-line distances).
+ * @returns {Object|null} - A route result for applyVisualization, or null
+ *   when no place is picked
+ */
+export function planNearbyRoute() {
+  if (!nearby || nearby.selected.size === 0) return null;
+
+  const { result, center } = nearby;
+  const [anchor] = result.locations;
+  const places = nearby.places.filter(place => nearby.selected.has(place.number));
+
+  // Stops are found by name, so places sharing one are told apart
+  const stops = [{ name: anchor.name, coordinates: center }, ...places];
+  const names = stops.map((stop, i) => (
+    stops.slice(0, i).some(other => other.name === stop.name) ? `${stop.name} (${i + 1})` : stop.name
+  ));
+  const { order } = optimizeVisitOrder(haversineMatrix(stops.map(stop => stop.coordinates)), { variant: 'fixed-start' });
+  const sequence = order.map(index => names[index]);
+
+  return {
+    intentType: 'route',
+    locations: stops.map((stop, i) => ({
+      name: names[i],
+      timeContext: '',
+      coordinates: stop.coordinates,
+      entityType: i === 0 ? anchor.entityType : 'pointOfInterest'
+    })),
+    visualizationType: 'both',
+    travelMode: result.travelMode || 'walking',
+    preferences: [],
+    message: `Visiting ${places.length} ${describeCategory(result.nearby.category)} from ${anchor.name}`,
+    suggestedSequence: sequence,
+    skipClarification: true
+  };
+}
+
+// Most places listed along a route
+const MAX_CORRIDOR_PLACES = 20;
+
+// Places searched along the active route: { categories, places, standIn,
+// searching, error }; places are ranked (see rankCorridorPlaces) and numbered
+let corridor = null;
+
+// Whether the places along the route are drawn, kept across searches
+let corridorVisible = true;
+
+// Callbacks for onStopAdded()
+const stopAddedListeners = [];
+
+// Maps that already have the click handler for places along the route
+const mapsWithCorridorClickHandler = new WeakSet();
+
+/**
+ * Find places of some categories along the active route
+ * The route is covered with boxes that are searched through
+ * /api/category-search; the places within the corridor are ranked by the
+ * detour they add, shown on the map and listed in the panel. The categories
+ * are stored on the result as corridorCategories, so replaying the result
+ * (history, added stops) searches again.
+ * @param {Object} map - The Mapbox map instance
+ * @param {Array} categories - Keys of POI_CATEGORIES
+ * @returns {Promise<Object|null>} - The search (see `corridor`), or null when no
+ *   road route is shown
+ */
+export async function searchAlongRoute(map, categories) {
+  if (!routeSelection) return null;
+
+  const { result, stops } = routeSelection;
+  const route = routeSelection.routes[routeSelection.index];
+  const travelMode = result.travelMode || 'driving';
+  if (!CORRIDOR_WIDTHS[travelMode] || route.flights || route.airports || route.canals || route.parts) {
+    corridor = { categories, places: [], error: 'Stops can only be suggested along driving, walking and cycling routes.' };
+    drawCorridorPlaces(map);
+    return corridor;
+  }
+
+  result.corridorCategories = categories;
+  corridor = { categories, places: [], searching: true };
+  drawCorridorPlaces(map);
+
+  const widthKm = CORRIDOR_WIDTHS[travelMode];
+  const boxes = corridorBoxes(route.coordinates, widthKm);
+  const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+  const search = corridor;
+
+  try {
+    const responses = await Promise.all(categories.flatMap(category => boxes.map(async box => {
+      const proximity = [(box[0] + box[2]) / 2, (box[1] + box[3]) / 2];
+      const response = await fetch(`${API_URL}/api/category-search?category=${category}&bbox=${box.join(',')}&proximity=${proximity.join(',')}&limit=25`);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || errorData.error || `API returned ${response.status}`);
+      }
+      return { category, data: await response.json() };
+    })));
+
+    // A newer search or result replaced this one while it was running
+    if (corridor !== search) return search;
+
+    const stopNames = new Set(stops.map(stop => stop.name));
+    const candidates = responses.flatMap(({ category, data }) => (data.features || []).map(feature => ({
+      name: feature.properties.name,
+      address: feature.properties.full_address || '',
+      coordinates: feature.geometry.coordinates,
+      category
+    }))).filter(place => !stopNames.has(place.name));
+
+    corridor = {
+      categories,
+      places: rankCorridorPlaces(candidates, route.coordinates, { widthKm, travelMode, stops: stops.map(stop => stop.coordinates) })
+        .slice(0, MAX_CORRIDOR_PLACES)
+        .map((place, i) => ({ ...place, number: i + 1 })),
+      standIn: responses.some(({ data }) => data.standIn === true)
+    };
+    visualLog(`Found ${corridor.places.length} place(s) within ${widthKm} km of the route${corridor.standIn ? ' (stand-in)' : ''}`);
+  } catch (error) {
+    if (corridor !== search) return search;
+    visualLog(`Search along the route failed: ${error.message}`);
+    corridor = { categories, places: [], error: `Couldn't search along the route (${error.message}).` };
+  }
+
+  drawCorridorPlaces(map);
+  return corridor;
+}
+
+/**
+ * Show or hide the places along the route
+ * @param {Object} map - The Mapbox map instance
+ * @param {boolean} visible - Whether to draw them
+ */
+export function setAlongRouteVisible(map, visible) {
+  corridorVisible = visible;
+  if (map.getLayer('corridor-places-layer')) {
+    map.setLayoutProperty('corridor-places-layer', 'visibility', visible ? 'visible' : 'none');
+  }
+}
+
+/**
+ * Register a callback for when a place along the route becomes a stop
+ * @param {Function} listener - Called with the result and the place
+ */
+export function onStopAdded(listener) {
+  stopAddedListeners.push(listener);
+}
+
+/**
+ * Make a place along the route a stop of the route
+ * The place goes between the stops of the leg it is next to, and the route
+ * is shown again through it.
+ * @param {Object} map - The Mapbox map instance
+ * @param {number} number - The place's number in the list
+ */
+export async function addStopAlongRoute(map, number) {
+  const place = corridor && corridor.places.find(candidate => candidate.number === number);
+  if (!place || !routeSelection) return;
+
+  const { result, stops } = routeSelection;
+  result.suggestedSequence = insertStop(stops, place).map(stop => stop.name);
+  result.locations = [
+    ...result.locations,
+    { name: place.name, coordinates: place.coordinates, entityType: 'pointOfInterest' }
+  ];
+  delete result.activeRouteIndex;
+  visualLog(`Adding ${place.name} as a stop: ${result.suggestedSequence.join(' → ')}`);
+
+  await applyVisualization(result, map);
+  stopAddedListeners.forEach(listener => listener(result, place));
+}
+
+/**
+ * Draw the places along the route and fill in the list
+ * Also re-creates the layer after a style change removed it.
+ * @param {Object} map - The Mapbox map instance
+ */
+function drawCorridorPlaces(map) {
+  const features = (corridor ? corridor.places : []).map(place => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: place.coordinates },
+    properties: { number: place.number }
+  }));
+  const data = { type: 'FeatureCollection', features };
+
+  if (map.getSource('corridor-places')) {
+    map.getSource('corridor-places').setData(data);
+  } else if (features.length > 0) {
+    map.addSource('corridor-places', { type: 'geojson', data });
+  }
+
+  if (map.getSource('corridor-places') && !map.getLayer('corridor-places-layer')) {
+    map.addLayer({
+      id: 'corridor-places-layer',
+      type: 'circle',
+      source: 'corridor-places',
+      layout: {
+        visibility: corridorVisible ? 'visible' : 'none'
+      },
+      paint: {
+        'circle-radius': 6,
+        'circle-color': '#ff9800',
+        'circle-stroke-width': 2,
+        'circle-stroke-color': '#ffffff'
+      }
+    });
+  }
+
+  if (map.getLayer('corridor-places-layer') && !mapsWithCorridorClickHandler.has(map)) {
+    mapsWithCorridorClickHandler.add(map);
+    map.on('click', 'corridor-places-layer', event => {
+      const feature = event.features && event.features[0];
+      const place = feature && corridor && corridor.places.find(candidate => candidate.number === feature.properties.number);
+      if (!place) return;
+
+      const content = corridorPlaceElement(map, place, 'div');
+      const popup = new mapboxgl.Popup({ offset: 10 })
+        .setLngLat(place.coordinates)
+        .setDOMContent(content)
+        .addTo(map);
+      content.querySelector('button').addEventListener('click', () => popup.remove());
+    });
+    map.on('mouseenter', 'corridor-places-layer', () => {
+      map.getCanvas().style.cursor = 'pointer';
+    });
+    map.on('mouseleave', 'corridor-places-layer', () => {
+      map.getCanvas().style.cursor = '';
+    });
+  }
+
+  renderCorridorPlaces(map);
+}
+
+/**
+ * Describe a place along the route with a button that makes it a stop
+ * Used for the list entries and the map popups.
+ * @param {Object} map - The Mapbox map instance
+ * @param {Object} place - A ranked, numbered place
+ * @param {string} tagName - Element to create, e.g. 'li'
+ * @returns {HTMLElement}
+ */
+function corridorPlaceElement(map, place, tagName) {
+  const element = document.createElement(tagName);
+  element.className = 'along-route-place';
+
+  const details = document.createElement('div');
+  details.className = 'along-route-place-details';
+
+  const name = document.createElement('div');
+  name.className = 'along-route-place-name';
+  name.textContent = `${place.number}. ${place.name}`;
+
+  const detour = document.createElement('div');
+  detour.className = 'along-route-place-detour';
+  const detourTime = Math.max(1, Math.round(place.detourDuration / 60));
+  detour.textContent = `${POI_CATEGORIES[place.category].label}, +${formatRouteDistance(place.detour)} / ${detourTime} min detour, ${formatRouteDistance(place.along)} along the route`;
+
+  details.append(name, detour);
+
+  const addButton = document.createElement('button');
+  addButton.className = 'along-route-add-btn';
+  addButton.textContent = 'Add stop';
+  addButton.title = `Add ${place.name} as a stop`;
+  addButton.addEventListener('click', event => {
+    event.stopPropagation();
+    addButton.disabled = true;
+    addStopAlongRoute(map, place.number);
+  });
+
+  element.append(details, addButton);
+  return element;
+}
+
+/**
+ * List the places along the route, smallest detour first
+ * The panel is opened when a search starts and hidden with the route.
+ * @param {Object} map - The Mapbox map instance
+ */
+function renderCorridorPlaces(map) {
+  const panel = document.getElementById('along-route');
+  const list = document.getElementById('along-route-results');
+  const status = document.getElementById('along-route-status');
+  if (!panel || !list || !status) return;
+
+  list.innerHTML = '';
+  if (!corridor) {
+    status.textContent = '';
+    if (!routeSelection) panel.style.display = 'none';
+    return;
+  }
+
+  const labels = corridor.categories.map(describeCategory).join(' and ');
+  if (corridor.searching) {
+    status.textContent = `Searching for ${labels} along the route...`;
+  } else if (corridor.error) {
+    status.textContent = corridor.error;
+  } else if (corridor.places.length === 0) {
+    status.textContent = `No ${labels} found near the route.`;
+  } else {
+    status.textContent = `${corridor.places.length} ${labels} near the route${corridor.standIn ? ' (stand-in places)' : ''}`;
+  }
+
+  corridor.places.forEach(place => list.appendChild(corridorPlaceElement(map, place, 'li')));
+  panel.style.display = 'block';
+}
+
+// The routes of the current result and which one is active
+let routeSelection = null;
+
+// Callbacks for onRouteSelected()
+const routeSelectedListeners = [];
+
+// Maps that already have the click handler for alternative routes
+const mapsWithRouteClickHandler = new WeakSet();
+
+/**
+ * Get the active route of the current result
+ * Sharing, history and export use this so they follow the user's choice.
+ * @returns {Object|null} - { index, count, route, stops } or null when no route is shown
+ */
+export function getActiveRoute() {
+  if (!routeSelection) return null;
+
+  return {
+    index: routeSelection.index,
+    count: routeSelection.routes.length,
+    route: routeSelection.routes[routeSelection.index],
+    stops: routeSelection.stops
+  };
+}
+
+// Most stops per /api/matrix request, matching the server's limit
+const MAX_MATRIX_STOPS = 25;
+
+/**
+ * Work out a shorter order to visit the stops of the current route
+ * Road distances come from /api/matrix; without it (offline, no token, too
+ * many stops, flights) straight-line distances are used instead.
+ * @param {Object} options - { variant }: 'round-trip', 'fixed-start' or 'fixed-ends'
+ * @returns {Promise<Object|null>} - { result, sequence, before, after, source }
+ *   (distances in meters, source 'roads' or 'straight-line'), or null when
+ *   the current route has fewer than three stops or a travel mode per leg
+ */
+export async function planVisitOrder({ variant = 'fixed-start' } = {}) {
+  if (!routeSelection || routeSelection.result.legModes) return null;
+
+  // A round trip ends where it started; the last stop is not another stop
+  const allStops = routeSelection.stops;
+  const isRoundTrip = allStops.length > 2 && allStops[0].name === allStops[allStops.length - 1].name;
+  const stops = isRoundTrip ? allStops.slice(0, -1) : allStops;
+  if (stops.length < 3) return null;
+
+  const { matrix, source } = await getDistanceMatrix(stops.map(stop => stop.coordinates), routeSelection.result.travelMode);
+  const { order, distance } = optimizeVisitOrder(matrix, { variant });
+  const sequence = order.map(index => stops[index].name);
+  if (variant === 'round-trip') sequence.push(stops[0].name);
+
+  return {
+    result: routeSelection.result,
+    sequence,
+    before: tourDistance(matrix, stops.map((stop, index) => index), variant === 'round-trip'),
+    after: distance,
+    source
+  };
+}
+
+/**
+ * Get the distances between every pair of stops
+ * @param {Array} coordinates - Array of coordinate pairs
+ * @param {string} travelMode - The result's travel mode
+ * @returns {Promise<Object>} - { matrix (meters), source: 'roads' or 'straight-line' }
+ */
+async function getDistanceMatrix(coordinates, travelMode = 'driving') {
+  const isRoadMode = ['driving', 'walking', 'cycling'].includes(travelMode);
+
+  if (isRoadMode && coordinates.length <= MAX_MATRIX_STOPS) {
+    try {
+      const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+      const coordinatesString = coordinates.map(coord => coord.join(',')).join(';');
+      const response = await fetch(`${API_URL}/api/matrix?coordinates=${coordinatesString}&profile=mapbox/${travelMode}`);
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (data.distances && data.distances.every(row => row.every(distance => distance !== null))) {
+        return { matrix: data.distances, source: 'roads' };
+      }
+      visualLog('Some stops cannot reach each other by road, using straight-line distances');
+    } catch (error) {
+      visualLog(`Distance matrix unavailable (${error.message}), using straight-line distances`);
+    }
+  }
+
+  return { matrix: haversineMatrix(coordinates), source: 'straight-line' };
+}
+
+/**
+ * Register a callback for when the user selects another route
+ * @param {Function} listener - Called with getActiveRoute() and the result the route belongs to
+ */
+export function onRouteSelected(listener) {
+  routeSelectedListeners.push(listener);
+}
+
+/**
+ * Make one of the current result's routes the active route
+ * The choice is stored on the result as activeRouteIndex, so replaying the
+ * result (history, shared links) shows the same route.
+ * @param {Object} map - The Mapbox map instance
+ * @param {number} index - Index of the route to activate
+ */
+export function selectRoute(map, index) {
+  if (!routeSelection || !routeSelection.routes[index] || routeSelection.index === index) return;
+
+  routeSelection.index = index;
+  routeSelection.result.activeRouteIndex = index;
+  visualLog(`Selected route ${index + 1} of ${routeSelection.routes.length}`);
+
+  if (map.getSource('route')) {
+    map.getSource('route').setData(routeLineFeature(routeSelection.routes[index]));
+  }
+  drawRouteAlternatives(map);
+  drawRouteSegments(map);
+  renderRouteComparison(map);
+  renderItinerary(map);
+
+  routeSelectedListeners.forEach(listener => listener(getActiveRoute(), routeSelection.result));
+}
+
+/**
+ * Remember the routes of a result, draw the alternatives and show the panel
+ * @param {Object} map - The Mapbox map instance
+ * @param {Object} selection - { result, routes, index, stops }
+ */
+function showRouteSelection(map, selection) {
+  routeSelection = selection;
+  drawRouteAlternatives(map);
+  drawRouteSegments(map);
+  renderRouteComparison(map);
+  renderItinerary(map);
+}
+
+/**
+ * Forget the current routes and hide the alternatives and the panel
+ * @param {Object} map - The Mapbox map instance
+ */
+function clearRouteSelection(map) {
+  routeSelection = null;
+  drawRouteAlternatives(map);
+  drawRouteSegments(map);
+  renderRouteComparison(map);
+  renderItinerary(map);
+}
+
+/**
+ * Draw the inactive routes as muted, clickable lines under the active route
+ * Also re-creates the layer after a style change removed it.
+ * @param {Object} map - The Mapbox map instance
+ */
+function drawRouteAlternatives(map) {
+  const features = routeSelection
+    ? routeSelection.routes
+      .map((route, routeIndex) => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: route.coordinates },
+        properties: { routeIndex }
+      }))
+      .filter(feature => feature.properties.routeIndex !== routeSelection.index)
+    : [];
+  const data = { type: 'FeatureCollection', features };
+
+  if (map.getSource('route-alternatives')) {
+    map.getSource('route-alternatives').setData(data);
+  } else if (features.length > 0) {
+    map.addSource('route-alternatives', { type: 'geojson', data });
+  }
+
+  if (map.getSource('route-alternatives') && !map.getLayer('route-alternatives-layer')) {
+    map.addLayer({
+      id: 'route-alternatives-layer',
+      type: 'line',
+      source: 'route-alternatives',
+      layout: {
+        'line-join': 'round',
+        'line-cap': 'round'
+      },
+      paint: {
+        'line-color': '#8a8a8a',
+        'line-width': 5,
+        'line-opacity': 0.6
+      }
+    }, map.getLayer('route-layer') ? 'route-layer' : undefined);
+  }
+
+  if (!mapsWithRouteClickHandler.has(map)) {
+    mapsWithRouteClickHandler.add(map);
+    map.on('click', 'route-alternatives-layer', event => {
+      const feature = event.features && event.features[0];
+      if (feature) selectRoute(map, feature.properties.routeIndex);
+    });
+    map.on('mouseenter', 'route-alternatives-layer', () => {
+      map.getCanvas().style.cursor = 'pointer';
+    });
+    map.on('mouseleave', 'route-alternatives-layer', () => {
+      map.getCanvas().style.cursor = '';
+    });
+  }
+}
+
+/**
+ * GeoJSON for the active route line
+ * Routes made of segments (flights with their ground legs, trips that change
+ * travel mode) leave it empty; drawRouteSegments() draws them in the style
+ * of each segment's mode.
+ * @param {Object} route - Route object
+ * @returns {Object} - LineString Feature
+ */
+function routeLineFeature(route) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: route.segments ? [] : route.coordinates
+    }
+  };
+}
+
+/**
+ * Draw the segments of the active route, one layer per travel mode
+ * Also re-creates the layers after a style change removed them.
+ * @param {Object} map - The Mapbox map instance
+ */
+function drawRouteSegments(map) {
+  const route = routeSelection && routeSelection.routes[routeSelection.index];
+  const features = (route && route.segments ? route.segments : []).map(segment => ({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: segment.coordinates },
+    properties: { mode: segment.mode }
+  }));
+  const data = { type: 'FeatureCollection', features };
+
+  if (map.getSource('route-segments')) {
+    map.getSource('route-segments').setData(data);
+  } else if (features.length > 0) {
+    map.addSource('route-segments', { type: 'geojson', data });
+  }
+  if (!map.getSource('route-segments')) return;
+
+  // line-dasharray is not data-driven, hence a layer per mode
+  Object.entries(TRAVEL_MODES).forEach(([mode, { color, dasharray }]) => {
+    if (map.getLayer(`route-segments-${mode}`)) return;
+    map.addLayer({
+      id: `route-segments-${mode}`,
+      type: 'line',
+      source: 'route-segments',
+      filter: ['==', ['get', 'mode'], mode],
+      layout: {
+        'line-join': 'round',
+        'line-cap': dasharray ? 'butt' : 'round'
+      },
+      paint: {
+        'line-color': color,
+        'line-width': 4,
+        'line-opacity': 0.9,
+        ...(dasharray ? { 'line-dasharray': dasharray } : {})
+      }
+    }, map.getLayer('route-layer') ? 'route-layer' : undefined);
+  });
+}
+
+/**
+ * Format a route or step distance
+ * @param {number} meters - Distance in meters
+ * @returns {string} - e.g. "350 m", "8.4 km" or "346 km"
+ */
+function formatRouteDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters / 10) * 10} m`;
+  const km = meters / 1000;
+  return `${km < 100 ? km.toFixed(1) : Math.round(km)} km`;
+}
+
+/**
+ * Format a route or step duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "< 1 min", "45 min" or "3 h 50 min"
+ */
+function formatRouteDuration(seconds) {
+  if (seconds < 60) return '< 1 min';
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+}
+
+/**
+ * Describe flights by their airports and time in the air
+ * @param {Array} flights - Flights of a flight route
+ * @returns {string} - e.g. "JFK → NRT, about 14 h 5 min in the air"
+ */
+function describeFlights(flights) {
+  const airports = [flights[0].origin, ...flights.map(flight => flight.destination)];
+  const airTime = flights.reduce((total, flight) => total + flight.duration, 0);
+  return `${airports.map(airport => airport.iata).join(' → ')}, about ${formatRouteDuration(airTime)} in the air`;
+}
+
+/**
+ * Describe one leg of a trip for the route message
+ * @param {Object} route - The leg's route
+ * @returns {string} - e.g. "346 km, 3 h 50 min" or the flight details
+ */
+function describeLegRoute(route) {
+  if (route.flights) return describeFlights(route.flights);
+  return [
+    route.distance !== null ? formatRouteDistance(route.distance) : null,
+    route.duration !== null ? formatRouteDuration(route.duration) : null
+  ].filter(Boolean).join(', ') || 'no distance available';
+}
+
+/**
+ * Show the distance and duration of each route, with the active one highlighted
+ * The panel is hidden unless there is more than one route to choose from.
+ * @param {Object} map - The Mapbox map instance
+ */
+function renderRouteComparison(map) {
+  const panel = document.getElementById('route-comparison');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+  if (!routeSelection || routeSelection.routes.length < 2) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const title = document.createElement('div');
+  title.className = 'route-comparison-title';
+  title.textContent = 'Routes';
+  panel.appendChild(title);
+
+  const fastest = Math.min(...routeSelection.routes.map(route => route.duration));
+  routeSelection.routes.forEach((route, index) => {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = `route-option${index === routeSelection.index ? ' active' : ''}`;
+
+    const label = document.createElement('span');
+    label.className = 'route-option-label';
+    label.textContent = `Route ${index + 1}${route.duration === fastest ? ' (fastest)' : ''}`;
+
+    const details = document.createElement('span');
+    details.className = 'route-option-details';
+    details.textContent = `${formatRouteDistance(route.distance)} · ${formatRouteDuration(route.duration)}`;
+
+    option.append(label, details);
+    option.addEventListener('click', () => selectRoute(map, index));
+    panel.appendChild(option);
+  });
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Show the active route's turn-by-turn directions, grouped by leg
+ * Each leg runs between two consecutive stops; clicking a step flies the map
+ * to its maneuver. The panel is hidden for routes without steps (air, sea).
+ * @param {Object} map - The Mapbox map instance
+ */
+function renderItinerary(map) {
+  const panel = document.getElementById('itinerary-panel');
+  const content = document.getElementById('itinerary-content');
+  if (!panel || !content) return;
+
+  content.innerHTML = '';
+  const route = routeSelection && routeSelection.routes[routeSelection.index];
+  if (!route || !route.legs || !route.legs.some(leg => leg.steps.length > 0)) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const { stops } = routeSelection;
+  route.legs.forEach((leg, legIndex) => {
+    const section = document.createElement('section');
+    section.className = 'itinerary-leg';
+
+    const heading = document.createElement('h4');
+    heading.className = 'itinerary-leg-heading';
+    const from = stops[legIndex] ? stops[legIndex].name : `Stop ${legIndex + 1}`;
+    const to = stops[legIndex + 1] ? stops[legIndex + 1].name : `Stop ${legIndex + 2}`;
+    // Trips that change travel mode name the mode of each leg
+    const mode = leg.mode ? ` (${TRAVEL_MODES[leg.mode].label.toLowerCase()})` : '';
+    heading.textContent = `${legIndex + 1}. ${from} → ${to}${mode}`;
+
+    const summary = document.createElement('span');
+    summary.className = 'itinerary-leg-summary';
+    summary.textContent = [
+      leg.distance !== null ? formatRouteDistance(leg.distance) : null,
+      leg.duration !== null ? formatRouteDuration(leg.duration) : null
+    ].filter(Boolean).join(' · ');
+    heading.appendChild(summary);
+    section.appendChild(heading);
+
+    const list = document.createElement('ol');
+    list.className = 'itinerary-steps';
+    leg.steps.forEach(step => {
+      const item = document.createElement('li');
+      item.className = 'itinerary-step';
+      item.tabIndex = 0;
+
+      const instruction = document.createElement('span');
+      instruction.className = 'itinerary-step-instruction';
+      instruction.textContent = step.instruction;
+      item.appendChild(instruction);
+
+      // The arrival step has no distance of its own
+      if (step.distance > 0) {
+        const details = document.createElement('span');
+        details.className = 'itinerary-step-details';
+        details.textContent = `${formatRouteDistance(step.distance)} · ${formatRouteDuration(step.duration)}`;
+        item.appendChild(details);
+      }
+
+      const flyToStep = () => {
+        content.querySelectorAll('.itinerary-step.active').forEach(active => active.classList.remove('active'));
+        item.classList.add('active');
+        map.flyTo({ center: step.location, zoom: 15 });
+      };
+      item.addEventListener('click', flyToStep);
+      item.addEventListener('keydown', event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          flyToStep();
+        }
       });
-      
-      // Hide route type indicator
-      const routeTypeIndicator = document.getElementById('route-type-indicator');
-      if (routeTypeIndicator) {
-        routeTypeIndicator.style.display = 'none';
-      }
-      
-      // Update the message
-      if (messageDisplay) {
-        messageDisplay.textContent = `Couldn't create a route between these locations (${error.message}). Showing locations only.`;
-        messageDisplay.style.color = '#FFA500'; // Orange to indicate partial success
-      }
-    }
-  } catch (error) {
-    console.error('Error visualizing route:', error);
-    visualLog(`Error in visualizeRoute: ${error.message}`);
-    
-    // Hide route type indicator
-    const routeTypeIndicator = document.getElementById('route-type-indicator');
-    if (routeTypeIndicator) {
-      routeTypeIndicator.style.display = 'none';
-    }
-    
-    if (messageDisplay) {
-      messageDisplay.textContent = `Error: ${error.message}`;
-      messageDisplay.style.color = '#d9534f';
-    }
-  }
+
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    content.appendChild(section);
+  });
+
+  panel.style.display = 'block';
 }
 
 /**
- * Get route coordinates between points
+ * Get the routes between points
+ * Mapbox returns up to two alternatives after the recommended route when
+ * preferences.alternatives is set (only for routes without intermediate stops).
  * @param {Array} coordinates - Array of coordinate pairs
  * @param {string} profile - The routing profile to use
- * @returns {Promise<Array>} - Array of route coordinates
+ * @param {Object} preferences - Route preferences supported by the profile (see route-preferences.js)
+ * @returns {Promise<Array>} - Routes as { coordinates, distance (m), duration (s), legs }, recommended first;
+ *   air and sea fallbacks have no distance, duration or legs
  */
-async function getRoute(coordinates, profile = 'driving') {
+async function getRoute(coordinates, profile = 'driving', preferences = null) {
   const routeStartTime = performance.now();
   visualLog(`Getting route for ${coordinates.length} points with profile: ${profile}`);
   
@@ -600,7 +2461,8 @@ async function getRoute(coordinates, profile = 'driving') {
   // Always try to get a driving route first, regardless of distance
   try {
     // Use the directions API for all routes
-    const url = `${API_URL}/api/directions?coordinates=${coordinatesString}&profile=${mapboxProfile}`;
+    const preferenceParams = new URLSearchParams(toDirectionsQuery(preferences)).toString();
+    const url = `${API_URL}/api/directions?coordinates=${coordinatesString}&profile=${mapboxProfile}&steps=true${preferenceParams ? `&${preferenceParams}` : ''}`;
     visualLog(`Fetching route from API: ${url.substring(0, 100)}...`);
     
     // Set a timeout for the fetch to avoid hanging
@@ -634,12 +2496,27 @@ async function getRoute(coordinates, profile = 'driving') {
       throw new Error('No route found between these locations');
     }
     
-    // Extract the route coordinates
-    const routeCoordinates = data.routes[0].geometry.coordinates;
-    visualLog(`Route found with ${routeCoordinates.length} points`);
+    // Extract the coordinates, distance, duration and turn-by-turn legs of every route
+    const routes = data.routes.map(route => ({
+      coordinates: route.geometry.coordinates,
+      distance: route.distance,
+      duration: route.duration,
+      legs: (route.legs || []).map(leg => ({
+        distance: leg.distance,
+        duration: leg.duration,
+        steps: (leg.steps || []).map(step => ({
+          instruction: step.maneuver.instruction,
+          type: step.maneuver.type,
+          location: step.maneuver.location,
+          distance: step.distance,
+          duration: step.duration
+        }))
+      }))
+    }));
+    visualLog(`${routes.length} route(s) found, recommended route has ${routes[0].coordinates.length} points`);
     visualLog(`Total route processing time: ${(performance.now() - routeStartTime).toFixed(1)}ms`);
     
-    return routeCoordinates;
+    return routes;
   } catch (error) {
     visualLog(`Error getting driving route: ${error.message}`);
     
@@ -649,11 +2526,11 @@ async function getRoute(coordinates, profile = 'driving') {
       const isAirRoute = determineTravelType(coordinates);
       
       if (isAirRoute) {
-        visualLog('Creating air route with curved path');
-        return createAirRoute(coordinates);
+        visualLog('Creating flight route between the nearest airports');
+        return [await createFlightRoute(coordinates)];
       } else {
-        visualLog('Creating sea route with geodesic line');
-    return createGeodesicLine(coordinates);
+        visualLog('Creating sea route along the shipping lanes');
+        return [createSeaRoute(coordinates)];
       }
     } else {
       // For domestic routes, especially within North America, we should try harder to get a driving route
@@ -754,47 +2631,34 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 /**
- * Create a geodesic line between points by interpolating
+ * Create a geodesic line between points along the great circles
+ * The line is unwrapped at the antimeridian so e.g. a trans-Pacific crossing
+ * is drawn across the Pacific rather than around the world.
  * @param {Array} coordinates - Array of coordinate pairs
  * @returns {Array} - Array of interpolated coordinates forming a geodesic line
  */
 function createGeodesicLine(coordinates) {
-  if (coordinates.length < 2) return coordinates;
-  
-  const result = [];
-  
-  // For each segment, create intermediate points
-  for (let i = 0; i < coordinates.length - 1; i++) {
-    const [lon1, lat1] = coordinates[i];
-    const [lon2, lat2] = coordinates[i+1];
-    
-    // Add the start point
-    result.push([lon1, lat1]);
-    
-    // For long distances, add intermediate points
-    const distance = calculateDistance(lat1, lon1, lat2, lon2);
-    
-    // Add more intermediate points for longer distances
-    const numIntermediatePoints = Math.min(Math.ceil(distance / 500), 20);
-    
-    if (numIntermediatePoints > 0) {
-      for (let j = 1; j <= numIntermediatePoints; j++) {
-        const fraction = j / (numIntermediatePoints + 1);
-        
-        // Simple linear interpolation - not perfect for geodesic lines
-        // but good enough for visualization purposes
-        const lat = lat1 + fraction * (lat2 - lat1);
-        const lon = lon1 + fraction * (lon2 - lon1);
-        
-        result.push([lon, lat]);
-      }
-    }
+  return greatCircleLine(coordinates);
+}
+
+// Offline router over the bundled shipping lanes
+const seaRouter = createSeaRouter();
+
+/**
+ * Create a sea route that follows the bundled shipping lanes
+ * Falls back to a great-circle line when a leg has no path through the network.
+ * @param {Array} coordinates - Array of coordinate pairs
+ * @returns {Object} - Route ({ coordinates, distance, duration, legs, canals })
+ */
+function createSeaRoute(coordinates) {
+  const seaRoute = seaRouter.findSeaRoute(coordinates);
+  if (!seaRoute) {
+    visualLog('No path through the maritime network, using a great-circle line');
+    return { coordinates: createGeodesicLine(coordinates), distance: null, duration: null, legs: [], canals: [] };
   }
   
-  // Add the final point
-  result.push(coordinates[coordinates.length - 1]);
-  
-  return result;
+  visualLog(`Sea route via ${seaRoute.waypoints.join(' > ')}`);
+  return { coordinates: seaRoute.coordinates, distance: seaRoute.distance, duration: null, legs: [], canals: seaRoute.canals };
 }
 
 /**
@@ -877,74 +2741,364 @@ function determineTravelType(coordinates) {
          !firstIsOnContinent || !secondIsOnContinent;
 }
 
+// Nearest-airport lookup and flight time estimates over the bundled airports
+const flightPlanner = createFlightPlanner();
+
+// Stops closer than this to their airport need no ground leg
+const MIN_GROUND_LEG_KM = 2;
+
+/**
+ * Create a ground leg between a stop and its airport
+ * Uses a driving route where there is one, else a straight line.
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {Promise<Object|null>} - { coordinates, distance, duration }, or
+ *   null when the stop is at the airport
+ */
+async function createGroundLeg(from, to) {
+  const distanceKm = greatCircleDistance(from, to);
+  if (distanceKm < MIN_GROUND_LEG_KM) return null;
+
+  try {
+    const [route] = await getRoute([from, to], 'driving');
+    return { coordinates: route.coordinates, distance: route.distance, duration: route.duration };
+  } catch (error) {
+    visualLog(`No driving route to the airport (${error.message}), using a straight line`);
+    return { coordinates: [from, to], distance: Math.round(distanceKm * 1000), duration: null };
+  }
+}
+
+/**
+ * Join route segments into one line
+ * The whole line is unwrapped at once, so every segment lands on the world
+ * copy the previous one ended on, and then cut back into its segments.
+ * @param {Array} segments - [{ mode, coordinates }]
+ * @returns {Object} - { coordinates, segments }
+ */
+function joinSegments(segments) {
+  const coordinates = unwrapLongitudes(segments.flatMap(segment => segment.coordinates));
+  let offset = 0;
+  return {
+    coordinates,
+    segments: segments.map(segment => {
+      offset += segment.coordinates.length;
+      return { mode: segment.mode, coordinates: coordinates.slice(offset - segment.coordinates.length, offset) };
+    })
+  };
+}
+
 /**
- * Create a curved flight path for air travel
+ * Create a flight route: a ground leg to the airport nearest the first stop,
+ * great-circle flights between the airports of the stops, and a ground leg
+ * from the last airport
+ * Flights follow great circles, which is what makes them arc toward the pole
+ * on a Mercator map.
  * @param {Array} coordinates - Array of coordinate pairs
- * @returns {Array} - Array of coordinates forming a curved flight path
+ * @returns {Promise<Object>} - Route ({ coordinates, distance, duration, legs,
+ *   segments, flights, airports })
  */
-function createAirRoute(coordinates) {
-  if (coordinates.length < 2) return coordinates;
-  
-  const result = [];
-  
-  // For each segment, create a curved path
-  for (let i = 0; i < coordinates.length - 1; i++) {
-    const [lon1, lat1] = coordinates[i];
-    const [lon2, lat2] = coordinates[i+1];
-    
-    // Add the start point
-    result.push([lon1, lat1]);
-    
-    // Calculate distance for determining number of points
-    const distance = calculateDistance(lat1, lon1, lat2, lon2);
-    
-    // More points for longer distances
-    const numPoints = Math.min(Math.ceil(distance / 300), 30);
-    
-    // Calculate the midpoint between the two locations
-    const midLon = (lon1 + lon2) / 2;
-    const midLat = (lat1 + lat2) / 2;
-    
-    // Calculate the distance from start to end (in degrees)
-    const lonDist = lon2 - lon1;
-    const latDist = lat2 - lat1;
-    
-    // Calculate a control point for the curve
-    // Move it slightly north to create an arc
-    const controlLat = midLat + (Math.abs(latDist) * 0.5 + 0.1);
-    const controlLon = midLon;
-    
-    // Generate points along the quadratic Bézier curve
-    for (let j = 1; j < numPoints; j++) {
-      const t = j / numPoints;
-      
-      // Quadratic Bézier curve formula:
-      // B(t) = (1-t)²P₀ + 2(1-t)tP₁ + t²P₂
-      // where P₀ is start point, P₁ is control point, P₂ is end point
-      
-      const lon = Math.pow(1-t, 2) * lon1 + 2 * (1-t) * t * controlLon + Math.pow(t, 2) * lon2;
-      const lat = Math.pow(1-t, 2) * lat1 + 2 * (1-t) * t * controlLat + Math.pow(t, 2) * lat2;
-      
-      result.push([lon, lat]);
+async function createFlightRoute(coordinates) {
+  const plan = flightPlanner.planFlights(coordinates);
+  if (!plan) {
+    visualLog('All stops share an airport, using a great-circle line');
+    return { coordinates: createGeodesicLine(coordinates), distance: null, duration: null, legs: [] };
+  }
+
+  const { airports, flights } = plan;
+  const [departure, arrival] = await Promise.all([
+    createGroundLeg(coordinates[0], airports[0].airport.coordinates),
+    createGroundLeg(airports[airports.length - 1].airport.coordinates, coordinates[coordinates.length - 1])
+  ]);
+  visualLog(`Flying ${[flights[0].origin, ...flights.map(flight => flight.destination)].map(airport => airport.iata).join(' > ')}`);
+
+  const parts = [departure, ...flights, arrival].filter(Boolean);
+  return {
+    ...joinSegments([
+      departure && { mode: 'driving', coordinates: departure.coordinates },
+      { mode: 'flying', coordinates: flights.flatMap(flight => flight.coordinates) },
+      arrival && { mode: 'driving', coordinates: arrival.coordinates }
+    ].filter(Boolean)),
+    distance: parts.reduce((total, part) => total + part.distance, 0),
+    // Ground legs drawn as straight lines have no duration to add
+    duration: parts.reduce((total, part) => total + (part.duration || 0), 0),
+    legs: [],
+    flights,
+    airports
+  };
+}
+
+/**
+ * Route one leg of a trip with the method its travel mode needs
+ * @param {Array} coordinates - The leg's two coordinate pairs
+ * @param {string} mode - A key of TRAVEL_MODES
+ * @returns {Promise<Object>} - Route object
+ */
+async function createLegRoute(coordinates, mode) {
+  if (mode === 'flying') return createFlightRoute(coordinates);
+  if (mode === 'sailing') return createSeaRoute(coordinates);
+
+  try {
+    const [route] = await getRoute(coordinates, mode);
+    return route;
+  } catch (error) {
+    visualLog(`No ${mode} route for this leg (${error.message}), using a great-circle line`);
+    return { coordinates: createGeodesicLine(coordinates), distance: null, duration: null, legs: [] };
+  }
+}
+
+/**
+ * Create a trip whose legs use different travel modes
+ * Each leg is routed on its own (directions, flight or sea route) and keeps
+ * its mode in the segments, so the map can style it.
+ * @param {Array} coordinates - Array of coordinate pairs
+ * @param {Array} modes - Travel mode of each leg, one fewer than coordinates
+ * @returns {Promise<Object>} - Route ({ coordinates, distance, duration, legs,
+ *   segments, parts }); parts holds each leg's route and mode
+ */
+async function createMultiModalRoute(coordinates, modes) {
+  const routes = await Promise.all(modes.map((mode, i) => createLegRoute([coordinates[i], coordinates[i + 1]], mode)));
+  const parts = routes.map((route, i) => ({ mode: modes[i], route }));
+  visualLog(`Trip legs: ${modes.join(' > ')}`);
+
+  const total = key => parts.every(({ route }) => route[key] !== null)
+    ? parts.reduce((sum, { route }) => sum + route[key], 0)
+    : null;
+
+  return {
+    ...joinSegments(parts.flatMap(({ mode, route }) => route.segments || [{ mode, coordinates: route.coordinates }])),
+    distance: total('distance'),
+    duration: total('duration'),
+    // One itinerary leg per trip leg; only directions come with steps
+    legs: parts.map(({ mode, route }) => ({
+      mode,
+      distance: route.distance,
+      duration: route.duration,
+      steps: route.legs && route.legs[0] ? route.legs[0].steps : []
+    })),
+    parts
+  };
+}
+
+/**
+ * Show the airports of a flight route
+ * Stop popups name the airport serving the stop, and airports that are not a
+ * stop themselves get a marker with their code and the flight leaving there.
+ * @param {Object} map - The Mapbox map instance
+ * @param {Object} route - Route from createFlightRoute()
+ * @param {Array} stops - The route's stops in order ({ name, number, marker })
+ */
+function addAirportMarkers(map, route, stops) {
+  if (!route.flights) return;
+
+  route.airports.forEach(({ airport, distance }, i) => {
+    const served = distance < MIN_GROUND_LEG_KM
+      ? `${airport.iata} · ${airport.name}`
+      : `${airport.iata} · ${airport.name} (${Math.round(distance)} km away)`;
+    stops[i].marker.setPopup(new mapboxgl.Popup({ offset: 25 })
+      .setHTML(`<h3>${stops[i].name}</h3><p>Stop #${stops[i].number}</p><p>Airport: ${served}</p>`));
+  });
+
+  const stopAirports = route.airports
+    .filter(({ distance }) => distance < MIN_GROUND_LEG_KM)
+    .map(({ airport }) => airport);
+  const airports = [...new Set(route.flights.flatMap(flight => [flight.origin, flight.destination]))]
+    .filter(airport => !stopAirports.includes(airport));
+
+  airports.forEach(airport => {
+    const el = document.createElement('div');
+    el.className = 'marker airport-marker';
+    el.style.backgroundColor = '#e91e63';
+    el.style.padding = '0 6px';
+    el.style.borderRadius = '11px';
+    el.style.border = '2px solid white';
+    el.style.color = 'white';
+    el.style.fontWeight = 'bold';
+    el.style.fontSize = '12px';
+    el.style.lineHeight = '18px';
+    el.textContent = airport.iata;
+
+    const departures = route.flights
+      .filter(flight => flight.origin === airport)
+      .map(flight => `<p>Flight to ${flight.destination.iata}: ${formatRouteDistance(flight.distance)}, about ${formatRouteDuration(flight.duration)}</p>`)
+      .join('');
+
+    new mapboxgl.Marker(el)
+      .setLngLat(airport.coordinates)
+      .setPopup(new mapboxgl.Popup({ offset: 15 })
+        .setHTML(`<h3>${airport.iata}</h3><p>${airport.name}, ${airport.city}</p>${departures}`))
+      .addTo(map);
+  });
+}
+
+// Place names waiting to be sent in the next /api/geocode/batch request
+let pendingGeocodes = [];
+
+// Set once the server has no batch endpoint (e.g. an older deployment)
+let batchGeocodingUnavailable = false;
+
+// Most names per batch request, matching the server's limit
+const MAX_GEOCODE_BATCH = 50;
+
+/**
+ * Geocode a place name through the server
+ * Calls made in the same tick (such as a Promise.all over a route's stops) are
+ * collected and sent as one /api/geocode/batch request.
+ * @param {string} location - The location name to geocode
+ * @returns {Promise<Array|null>} - The coordinates [lng, lat] or null if not found
+ */
+function requestGeocode(location) {
+  if (batchGeocodingUnavailable) {
+    return requestSingleGeocode(location);
+  }
+
+  return new Promise((resolve, reject) => {
+    pendingGeocodes.push({ location, resolve, reject });
+    if (pendingGeocodes.length === 1) {
+      setTimeout(flushGeocodeBatch, 0);
+    }
+  });
+}
+
+/**
+ * Send the pending place names to /api/geocode/batch and settle their promises
+ */
+async function flushGeocodeBatch() {
+  const queue = pendingGeocodes;
+  pendingGeocodes = [];
+
+  for (let start = 0; start < queue.length; start += MAX_GEOCODE_BATCH) {
+    const chunk = queue.slice(start, start + MAX_GEOCODE_BATCH);
+    const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+
+    // Set a timeout for the fetch to avoid hanging
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout for the whole batch
+
+    let results;
+    try {
+      const response = await fetch(`${API_URL}/api/geocode/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ names: chunk.map(item => item.location) }),
+        signal: controller.signal
+      });
+
+      if (response.status === 404 || response.status === 405) {
+        visualLog('Batch geocoding unavailable, using single lookups');
+        batchGeocodingUnavailable = true;
+        chunk.forEach(item => requestSingleGeocode(item.location).then(item.resolve, item.reject));
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`Batch geocoding API returned ${response.status}`);
+      }
+
+      results = (await response.json()).results;
+    } catch (error) {
+      chunk.forEach(item => item.reject(error));
+      continue;
+    } finally {
+      clearTimeout(timeoutId);
     }
+
+    visualLog(`Batch geocoded ${chunk.length} location(s)`);
+    chunk.forEach((item, index) => {
+      const result = results[index];
+      if (result.status === 'error') {
+        item.reject(new Error(result.message || 'Geocoding failed'));
+        return;
+      }
+      if (result.status === 'ambiguous') {
+        visualLog(`"${item.location}" is ambiguous, using ${result.placeName} (${result.candidates.length} candidates)`);
+      }
+      item.resolve(result.coordinates || null);
+    });
   }
-  
-  // Add the final point
-  result.push(coordinates[coordinates.length - 1]);
-  
-  return result;
+}
+
+/**
+ * Geocode one place name through /api/mapbox-geocoding
+ * @param {string} location - The location name to geocode
+ * @returns {Promise<Array|null>} - The coordinates [lng, lat] or null if not found
+ */
+async function requestSingleGeocode(location) {
+  // Use the Mapbox geocoding API through our server proxy
+  const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+
+  // Set a timeout for the fetch to avoid hanging
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 4000); // 4 second timeout
+
+  try {
+    const response = await fetch(
+      `${API_URL}/api/mapbox-geocoding?q=${encodeURIComponent(location)}`,
+      { signal: controller.signal }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Geocoding API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.features && data.features.length > 0 ? data.features[0].geometry.coordinates : null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Reverse geocode a point through /api/reverse-geocoding
+ * @param {Array} coordinates - [lng, lat]
+ * @returns {Promise<Object>} - { land, name }, see describeReverseGeocode
+ */
+async function reverseGeocode([lng, lat]) {
+  const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+  const point = `${lng.toFixed(5)},${lat.toFixed(5)}`;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 4000);
+
+  try {
+    const response = await fetch(
+      `${API_URL}/api/reverse-geocoding?coordinates=${point}`,
+      { signal: controller.signal }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Geocoding API returned ${response.status}`);
+    }
+
+    return describeReverseGeocode((await response.json()).features);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * The historical gazetteer's entry for a place, looked up for places with a
+ * time context or a name that sounds historical
+ * @param {string} name - The location name
+ * @param {string} timeContext - The location's time context, if any
+ * @returns {Object|null} - See findHistoricalPlace
+ */
+function historicalPlaceFor(name, timeContext) {
+  if (!name || (!timeContext && !soundsHistorical(name))) return null;
+  return findHistoricalPlace(name, parseTimeContext(timeContext));
 }
 
 /**
  * Geocode a location string to coordinates
- * Uses a cache to avoid redundant API calls
+ * Places from history resolve through the historical gazetteer first; the
+ * rest use a cache to avoid redundant API calls, then the geocoder, with the
+ * bundled gazetteer (see gazetteer.js) as the offline fallback
  * @param {string} location - The location name to geocode
+ * @param {string} timeContext - The time the location is meant at, if any
  * @returns {Promise<Array|null>} - The coordinates [lng, lat] or null if not found
  */
 // Create a module-level cache for geocoded locations
 const geocodeCache = {};
 
-async function geocodeLocation(location) {
+async function geocodeLocation(location, timeContext = '') {
   const geocodeStartTime = performance.now();
   
   if (!location) {
@@ -952,6 +3106,12 @@ async function geocodeLocation(location) {
     return null;
   }
   
+  const historical = historicalPlaceFor(location, timeContext);
+  if (historical) {
+    visualLog(`Using the historical gazetteer for "${location}": ${historical.name}${historical.note ? ` (${historical.note})` : ''}`);
+    return historical.coordinates;
+  }
+  
   // Check cache first (case-insensitive)
   const normalizedLocation = location.toLowerCase().trim();
   
@@ -963,95 +3123,27 @@ async function geocodeLocation(location) {
   
   visualLog(`Geocoding "${location}"...`);
   
-  // Hard-coded coordinates for common cities as fallback
-  const commonCities = {
-    'paris': [2.3522, 48.8566],
-    'london': [-0.1278, 51.5074],
-    'rome': [12.4964, 41.9028],
-    'ancient rome': [12.4964, 41.9028],
-    'new york': [-74.0060, 40.7128],
-    'los angeles': [-118.2437, 34.0522],
-    'chicago': [-87.6298, 41.8781],
-    'seattle': [-122.3321, 47.6062],
-    'boston': [-71.0589, 42.3601],
-    'miami': [-80.1918, 25.7617],
-    'san francisco': [-122.4194, 37.7749],
-    'washington dc': [-77.0369, 38.9072],
-    'tokyo': [139.6917, 35.6895],
-    'berlin': [13.4050, 52.5200],
-    'madrid': [-3.7038, 40.4168],
-    'sydney': [151.2093, -33.8688],
-    'beijing': [116.4074, 39.9042],
-    'toronto': [-79.3832, 43.6532],
-    'dubai': [55.2708, 25.2048],
-    'amsterdam': [4.9041, 52.3676],
-    'bangkok': [100.5018, 13.7563],
-    'singapore': [103.8198, 1.3521]
+  // Without an answer from the geocoder, the gazetteer's most likely place is used
+  const offlineFallback = () => {
+    const known = findPlace(location);
+    if (!known) return null;
+    visualLog(`Using the gazetteer's most likely place for "${location}": ${describePlace(known)}`);
+    geocodeCache[normalizedLocation] = known.coordinates;
+    return known.coordinates;
   };
   
-  // First check for exact match in common cities
-  if (commonCities[normalizedLocation]) {
-    const coords = commonCities[normalizedLocation];
-    visualLog(`Using hard-coded coordinates for "${location}"`);
-    // Cache the result
-    geocodeCache[normalizedLocation] = coords;
-    return coords;
-  }
-  
-  // Then check for partial match in common cities (only if exact word matches)
-  const locationWords = normalizedLocation.split(/\s+/);
-  for (const [city, coords] of Object.entries(commonCities)) {
-    const cityWords = city.split(/\s+/);
-    // Check if any word matches exactly
-    if (locationWords.some(word => cityWords.includes(word) && word.length > 3)) {
-      visualLog(`Using partial word match for "${location}" → "${city}"`);
-      // Cache the result
-      geocodeCache[normalizedLocation] = coords;
-      return coords;
-    }
-  }
-  
   try {
-    // Use the Mapbox geocoding API through our server proxy
-    const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
-    
-    // Set a timeout for the fetch to avoid hanging
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 4000); // 4 second timeout
-    
+    // Lookups started in the same tick are sent to the server as one batch
     const apiStartTime = performance.now();
-    const response = await fetch(
-      `${API_URL}/api/mapbox-geocoding?q=${encodeURIComponent(location)}`,
-      { signal: controller.signal }
-    );
-    clearTimeout(timeoutId);
+    const coordinates = await requestGeocode(location);
     
     visualLog(`API response received in ${(performance.now() - apiStartTime).toFixed(1)}ms`);
     
-    if (!response.ok) {
-      throw new Error(`Geocoding API returned ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.features || data.features.length === 0) {
+    if (!coordinates) {
       visualLog(`No geocoding results for: ${location}, checking fallbacks...`);
-      
-      // Try fallback to fuzzy matching with common cities
-      for (const [city, coords] of Object.entries(commonCities)) {
-        if (city.includes(normalizedLocation.substring(0, 5)) || 
-            normalizedLocation.includes(city.substring(0, 5))) {
-          visualLog(`Using fuzzy match coordinates for "${location}" → "${city}"`);
-          // Cache the result
-          geocodeCache[normalizedLocation] = coords;
-          return coords;
-        }
-      }
-      
-      return null;
+      return offlineFallback();
     }
     
-    const coordinates = data.features[0].geometry.coordinates;
     visualLog(`Geocoded "${location}" to: [${coordinates[0].toFixed(4)}, ${coordinates[1].toFixed(4)}] in ${(performance.now() - geocodeStartTime).toFixed(1)}ms`);
     
     // Cache the result
@@ -1064,19 +3156,7 @@ async function geocodeLocation(location) {
       visualLog('Geocoding request timed out, using fallbacks');
     }
     
-    // Try fallback to similar city names (only first 5 chars for fuzzy matching)
-    for (const [city, coords] of Object.entries(commonCities)) {
-      // For timeouts and network errors, use a more generous fuzzy match
-      if (city.includes(normalizedLocation.substring(0, 5)) || 
-          normalizedLocation.includes(city.substring(0, 5))) {
-        visualLog(`Using fallback coordinates for "${location}" → "${city}"`);
-        // Cache the result
-        geocodeCache[normalizedLocation] = coords;
-        return coords;
-      }
-    }
-    
-    return null;
+    return offlineFallback();
   }
 }
 
@@ -1086,7 +3166,8 @@ async function geocodeLocation(location) {
  * @returns {Object} - mapboxgl.LngLatBounds object
  */
 function getBoundingBox(coordinates) {
-  if (!coordinates || coordinates.length === 0) {
+  const bounds = lngLatBounds(coordinates);
+  if (!bounds) {
     // Default to San Francisco area as fallback
     return new mapboxgl.LngLatBounds(
       [-122.5, 37.7],
@@ -1094,15 +3175,9 @@ function getBoundingBox(coordinates) {
     );
   }
   
-  // Create a bounds object and extend it with each coordinate
-  const bounds = new mapboxgl.LngLatBounds();
-  coordinates.forEach(coord => {
-    if (coord && Array.isArray(coord) && coord.length >= 2) {
-      bounds.extend(coord);
-    }
-  });
-  
-  return bounds;
+  // Bounds that cross the antimeridian have an east edge beyond 180, which
+  // fitBounds handles by centering on the crossing
+  return new mapboxgl.LngLatBounds(bounds[0], bounds[1]);
 }
 
 /**
@@ -1121,6 +3196,14 @@ export function updateMapStyle(visualizationType, map) {
     // Remove transparent mode class first (will add back if needed)
     document.body.classList.remove('transparent-mode-active');
     
+    // Boundaries of the past are only shown in the historical style
+    boundaries.shown = visualizationType === 'historical';
+    if (!boundaries.shown) {
+        boundaries.snapshot = null;
+        boundaries.features = [];
+        renderBoundaryPicker();
+    }
+    
     // For transparent mode, we need a special approach
     if (visualizationType === 'transparent') {
         applyTransparentMode(map);
@@ -1196,6 +3279,9 @@ export function updateMapStyle(visualizationType, map) {
             visualLog(`Map style loaded in ${styleLoadTime.toFixed(2)}ms, re-adding sources and layers...`);
             
             readdSourcesAndLayers(map, locationsData, routeData);
+            if (boundaries.shown) {
+                refreshBoundaries(map);
+            }
         });
     } catch (error) {
         visualLog(`Error updating map style: ${error.message}`);
@@ -1388,6 +3474,27 @@ function readdSourcesAndLayers(map, locationsData, routeData) {
             });
         }
         
+        // The style change also removed the alternative routes and ground legs
+        if (routeSelection) {
+            drawRouteAlternatives(map);
+            drawRouteSegments(map);
+        }
+        if (distanceLine) {
+            drawDistanceLine(map);
+        }
+        if (isochrone) {
+            drawIsochrone(map);
+        }
+        if (corridor) {
+            drawCorridorPlaces(map);
+        }
+        if (timeline) {
+            drawTimeline(map);
+        }
+        if (boundaries.snapshot) {
+            drawBoundaries(map);
+        }
+        
         visualLog(`Sources and layers re-added in ${(performance.now() - sourcesStartTime).toFixed(2)}ms`);
     } catch (error) {
         visualLog(`Error re-adding sources and layers: ${error.message}`);
@@ -0,0 +1,5 @@
+// Cloudflare Pages Function for POST /api/geocode/batch (handler shared with server.js, see /api)
+
+import { createPagesFunction } from '../../../../api/cloudflare.js';
+
+export const onRequest = createPagesFunction('/api/geocode/batch');
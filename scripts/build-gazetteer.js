@@ -0,0 +1,187 @@
+/**
+ * Build the gazetteer extract (comparison/gazetteer-data.js) from GeoNames
+ * dumps (https://download.geonames.org/export/dump/, CC BY 4.0).
+ *
+ *   node scripts/build-gazetteer.js <directory> [<directory>...]
+ *
+ * The directories are read in order, later ones adding rows and names to the
+ * earlier ones; scripts/gazetteer-supplement/ holds curated rows in the same
+ * layout for what cities15000.txt lacks (division names, countries, landmarks,
+ * English names). Between them, the directories hold:
+ * - countryInfo.txt and admin1CodesASCII.txt, the names of countries and of
+ *   first-level divisions (states, provinces);
+ * - cities15000.txt (or another cities*.txt), the places of 15,000 people or
+ *   more;
+ * - features.txt (optional), rows of allCountries.txt for the countries,
+ *   first-level divisions and landmarks to place by name, e.g.
+ *   grep -P '\tA\t(PCL[A-Z]*|TERR|ADM1)\t' allCountries.txt > features.txt
+ *   plus the landmarks wanted;
+ * - alternateNamesV2.txt (optional), for English names and abbreviations
+ *   ("Munich", "NYC"). Names in other languages are left out to keep the
+ *   extract small.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'comparison', 'gazetteer-data.js');
+
+// Feature codes of countries and dependent territories
+const COUNTRY_CODES = /^(?:PCL[A-Z]*|TERR)$/;
+
+// Longest abbreviation kept from the alternate names ("NYC", "UAE")
+const MAX_ABBREVIATION_LENGTH = 5;
+
+// Order of the kinds of places in the extract
+const KIND_ORDER = ['C', 'A', 'P', 'L'];
+
+/**
+ * Read a tab-separated dump, skipping comments and blank lines
+ * @returns {string[][]}
+ */
+function readRows(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => line.replace(/\r$/, '').split('\t'));
+}
+
+/**
+ * Read rows of the geoname table (cities15000.txt, allCountries.txt) into places by geoname id
+ */
+function readFeatures(file, places) {
+  readRows(file).forEach(([id, name, asciiName, , latitude, longitude, featureClass, featureCode, country, , admin1, , , , population]) => {
+    let kind = null;
+    if (featureClass === 'P') kind = 'P';
+    else if (featureClass === 'A' && COUNTRY_CODES.test(featureCode)) kind = 'C';
+    else if (featureClass === 'A' && featureCode === 'ADM1') kind = 'A';
+    else if (featureClass !== 'A') kind = 'L';
+    if (!kind) return;
+
+    places.set(id, {
+      name,
+      alternates: new Set(asciiName && asciiName !== name ? [asciiName] : []),
+      coordinates: [Number(longitude), Number(latitude)],
+      kind,
+      country,
+      admin1: kind === 'C' ? '' : admin1,
+      population: Number(population) || 0
+    });
+  });
+}
+
+/**
+ * Add the English names and abbreviations of alternateNamesV2.txt to the places
+ */
+async function readAlternateNames(file, places) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const [, id, language, name, , , isColloquial, isHistoric] = line.split('\t');
+    const place = places.get(id);
+    if (!place || isColloquial === '1' || isHistoric === '1') continue;
+
+    if (language === 'en' || (language === 'abbr' && name.length <= MAX_ABBREVIATION_LENGTH)) {
+      place.alternates.add(name);
+    }
+  }
+}
+
+/**
+ * Write a place as a line of the extract: name|alternates|lng|lat|kind|country|admin1|population
+ */
+function formatPlace(place) {
+  const alternates = [...place.alternates]
+    .filter(alternate => alternate.toLowerCase() !== place.name.toLowerCase() && !/[|;\n]/.test(alternate));
+  return [
+    place.name,
+    [...new Set(alternates)].join(';'),
+    Number(place.coordinates[0].toFixed(4)),
+    Number(place.coordinates[1].toFixed(4)),
+    place.kind,
+    place.country,
+    place.admin1,
+    place.population
+  ].join('|');
+}
+
+/**
+ * Quote lines as a template literal
+ */
+function templateLiteral(lines) {
+  const body = lines.join('\n').replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${');
+  return `\`\n${body}\n\``;
+}
+
+/**
+ * Name the files read from a directory for the extract's header
+ */
+function describeSource(directory, files) {
+  const relative = path.relative(ROOT, path.resolve(directory));
+  const where = relative.startsWith('..') || path.isAbsolute(relative) ? 'GeoNames dumps' : `${relative.split(path.sep).join('/')}/`;
+  return `${where} (${files.join(', ')})`;
+}
+
+async function main() {
+  const directories = process.argv.slice(2);
+  if (directories.length === 0) {
+    console.error('Usage: node scripts/build-gazetteer.js <directory with the GeoNames dumps> [<directory>...]');
+    process.exit(1);
+  }
+
+  const countries = new Map();
+  const adminAreas = new Map();
+  const places = new Map();
+  const sources = [];
+
+  for (const directory of directories) {
+    const files = fs.readdirSync(directory).filter(file =>
+      ['countryInfo.txt', 'admin1CodesASCII.txt', 'features.txt', 'alternateNamesV2.txt'].includes(file) || /^cities.*\.txt$/.test(file));
+
+    readRows(path.join(directory, 'countryInfo.txt')).forEach(([code, , , , name]) => countries.set(code, name));
+    readRows(path.join(directory, 'admin1CodesASCII.txt')).forEach(([code, name]) => adminAreas.set(code, name));
+    files.filter(file => /^cities.*\.txt$/.test(file) || file === 'features.txt')
+      .forEach(file => readFeatures(path.join(directory, file), places));
+    if (files.includes('alternateNamesV2.txt')) {
+      await readAlternateNames(path.join(directory, 'alternateNamesV2.txt'), places);
+    }
+    sources.push(describeSource(directory, files.sort()));
+  }
+
+  const lines = [...places.values()]
+    .sort((a, b) => a.country.localeCompare(b.country) ||
+      KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+      a.name.localeCompare(b.name))
+    .map(formatPlace);
+  const table = entries => [...entries].map(([code, name]) => `${code}|${name}`).sort();
+
+  const source = `/**
+ * Gazetteer Data
+ * Generated by scripts/build-gazetteer.js; do not edit by hand. Read it
+ * through gazetteer.js. Sources:
+${sources.map(line => ` * - ${line}`).join('\n')}
+ *
+ * COUNTRIES and ADMIN_AREAS hold a code and a name per line ("US|United
+ * States", "US.OR|Oregon"). PLACES holds a place per line: name|alternate
+ * names, separated by ";"|longitude|latitude|kind (C country, A first-level
+ * division, P populated place, L landmark)|country code|division code|population
+ */
+
+export const COUNTRIES = ${templateLiteral(table(countries))};
+
+export const ADMIN_AREAS = ${templateLiteral(table(adminAreas))};
+
+export const PLACES = ${templateLiteral(lines)};
+`;
+
+  fs.writeFileSync(OUTPUT, source);
+  console.log(`Wrote ${lines.length} places, ${countries.size} countries and ${adminAreas.size} divisions to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});